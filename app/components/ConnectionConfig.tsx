@@ -1,29 +1,44 @@
 import React from 'react';
 import { Settings } from 'lucide-react';
+import KeyValueEditor from './KeyValueEditor';
+import { AuthType, ConnectionProfile } from '../lib/profiles';
+import { ReconnectPolicy, resolveReconnectPolicy } from '../lib/reconnect';
 
 interface ConnectionConfigProps {
-  url: string;
-  setUrl: (url: string) => void;
-  token: string;
-  setToken: (token: string) => void;
+  profile: ConnectionProfile;
+  onProfileChange: (patch: Partial<ConnectionProfile>) => void;
   isConnected: boolean;
   isDisconnecting: boolean;
+  isReconnecting: boolean;
   onConnect: () => void;
   onDisconnect: () => void;
   validateUrl: (url: string) => { valid: boolean; error?: string };
 }
 
 export default function ConnectionConfig({
-  url,
-  setUrl,
-  token,
-  setToken,
+  profile,
+  onProfileChange,
   isConnected,
   isDisconnecting,
+  isReconnecting,
   onConnect,
   onDisconnect,
   validateUrl,
 }: ConnectionConfigProps) {
+  const url = profile.url;
+  const reconnect = resolveReconnectPolicy(profile.reconnect);
+  const updateReconnect = (patch: Partial<ReconnectPolicy>) => onProfileChange({ reconnect: { ...reconnect, ...patch } });
+  const numberInput = (value: number, onChange: (value: number) => void, step = 1) => (
+    <input
+      type="number"
+      min={0}
+      step={step}
+      value={value}
+      onChange={e => onChange(Math.max(0, Number(e.target.value) || 0))}
+      className="w-full bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-emerald-500"
+    />
+  );
+
   return (
     <div className="bg-neutral-900 p-4 border border-neutral-800 rounded-lg space-y-3">
       <div className="flex items-center gap-2 text-white border-b border-neutral-800 pb-2 mb-3">
@@ -35,7 +50,7 @@ export default function ConnectionConfig({
         <input
           type="text"
           value={url}
-          onChange={e => setUrl(e.target.value)}
+          onChange={e => onProfileChange({ url: e.target.value })}
           className={`w-full bg-black border p-2 rounded focus:outline-none transition-colors text-xs ${
             validateUrl(url).valid
               ? 'border-neutral-800 focus:border-emerald-500'
@@ -47,22 +62,135 @@ export default function ConnectionConfig({
           <p className="text-rose-500 text-xs mt-1">⚠️ {validateUrl(url).error}</p>
         )}
         <p className="text-neutral-600 text-xs mt-2">
-          💡 Format: <span className="text-neutral-400 font-mono">http://host:port/path</span> hoặc{' '}
-          <span className="text-neutral-400 font-mono">https://host:port/path</span>
+          💡 Format: <span className="text-neutral-400 font-mono">http(s)://host:port/path</span> (SockJS) hoặc{' '}
+          <span className="text-neutral-400 font-mono">ws(s)://host:port/path</span> (WebSocket)
         </p>
       </div>
       
       <div>
-        <label className="block text-neutral-500 mb-1 text-xs">JWT Token (Bearer)</label>
-        <textarea
-          value={token}
-          onChange={e => setToken(e.target.value)}
-          rows={3}
-          className="w-full bg-black border border-neutral-800 p-2 rounded focus:border-emerald-500 outline-none transition-colors overflow-hidden text-xs"
-          placeholder="Paste your token here..."
+        <label className="block text-neutral-500 mb-1 text-xs">Auth</label>
+        <select
+          value={profile.authType}
+          onChange={e => onProfileChange({ authType: e.target.value as AuthType })}
+          className="w-full bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-emerald-500"
+        >
+          <option value="bearer">JWT Token (Bearer)</option>
+          <option value="login">STOMP login / passcode</option>
+          <option value="none">Không xác thực</option>
+        </select>
+      </div>
+
+      {profile.authType === 'bearer' && (
+        <div>
+          <label className="block text-neutral-500 mb-1 text-xs">JWT Token (Bearer)</label>
+          <textarea
+            value={profile.token}
+            onChange={e => onProfileChange({ token: e.target.value })}
+            rows={3}
+            className="w-full bg-black border border-neutral-800 p-2 rounded focus:border-emerald-500 outline-none transition-colors overflow-hidden text-xs"
+            placeholder="Paste your token here..."
+          />
+        </div>
+      )}
+
+      {profile.authType === 'login' && (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={profile.login}
+            onChange={e => onProfileChange({ login: e.target.value })}
+            className="flex-1 min-w-0 bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-emerald-500"
+            placeholder="login"
+          />
+          <input
+            type="password"
+            value={profile.passcode}
+            onChange={e => onProfileChange({ passcode: e.target.value })}
+            className="flex-1 min-w-0 bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-emerald-500"
+            placeholder="passcode"
+          />
+        </div>
+      )}
+
+      <div>
+        <label className="block text-neutral-500 mb-1 text-xs">CONNECT Headers</label>
+        <KeyValueEditor
+          pairs={profile.connectHeaders}
+          onChange={connectHeaders => onProfileChange({ connectHeaders })}
+          keyPlaceholder="host"
+          valuePlaceholder="/"
+          addLabel="Thêm header"
         />
       </div>
-      
+
+      <div className="flex gap-2">
+        <div className="flex-1">
+          <label className="block text-neutral-500 mb-1 text-xs">Heart-beat in (ms)</label>
+          <input
+            type="number"
+            min={0}
+            value={profile.heartbeatIncoming}
+            onChange={e => onProfileChange({ heartbeatIncoming: Math.max(0, Number(e.target.value) || 0) })}
+            className="w-full bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-emerald-500"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="block text-neutral-500 mb-1 text-xs">Heart-beat out (ms)</label>
+          <input
+            type="number"
+            min={0}
+            value={profile.heartbeatOutgoing}
+            onChange={e => onProfileChange({ heartbeatOutgoing: Math.max(0, Number(e.target.value) || 0) })}
+            className="w-full bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-emerald-500"
+          />
+        </div>
+      </div>
+
+      <div className="space-y-2 text-xs">
+        <label className="flex items-center gap-2 text-neutral-500">
+          <input
+            type="checkbox"
+            checked={reconnect.enabled}
+            onChange={e => updateReconnect({ enabled: e.target.checked })}
+            className="accent-emerald-500"
+          />
+          Tự động reconnect
+        </label>
+        {reconnect.enabled && (
+          <div className="space-y-2 pl-5">
+            <div className="flex gap-2">
+              <div className="flex-1">
+                <label className="block text-neutral-500 mb-1">Số lần tối đa (0 = mãi mãi)</label>
+                {numberInput(reconnect.maxAttempts, maxAttempts => updateReconnect({ maxAttempts: Math.floor(maxAttempts) }))}
+              </div>
+              <div className="flex-1">
+                <label className="block text-neutral-500 mb-1">Jitter (%)</label>
+                {numberInput(Math.round(reconnect.jitter * 100), jitter => updateReconnect({ jitter: Math.min(100, jitter) / 100 }))}
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <div className="flex-1">
+                <label className="block text-neutral-500 mb-1">Delay ban đầu (ms)</label>
+                {numberInput(reconnect.baseDelayMs, baseDelayMs => updateReconnect({ baseDelayMs }), 100)}
+              </div>
+              <div className="flex-1">
+                <label className="block text-neutral-500 mb-1">Delay tối đa (ms)</label>
+                {numberInput(reconnect.maxDelayMs, maxDelayMs => updateReconnect({ maxDelayMs }), 100)}
+              </div>
+            </div>
+            <label className="flex items-center gap-2 text-neutral-500">
+              <input
+                type="checkbox"
+                checked={reconnect.reconnectOnCleanClose}
+                onChange={e => updateReconnect({ reconnectOnCleanClose: e.target.checked })}
+                className="accent-emerald-500"
+              />
+              Reconnect cả khi server đóng sạch (clean close)
+            </label>
+          </div>
+        )}
+      </div>
+
       <div className="space-y-2 text-xs">
         <button
           onClick={onConnect}
@@ -77,16 +205,16 @@ export default function ConnectionConfig({
         </button>
         <button
           onClick={onDisconnect}
-          disabled={!isConnected || isDisconnecting}
+          disabled={(!isConnected && !isReconnecting) || isDisconnecting}
           className={`w-full p-2 rounded font-bold transition-all text-xs ${
-            !isConnected
+            !isConnected && !isReconnecting
               ? 'bg-neutral-700 text-neutral-400 cursor-default opacity-50'
-              : isDisconnecting
+              : isDisconnecting || isReconnecting
               ? 'bg-orange-600 text-white'
               : 'bg-rose-600 hover:bg-rose-700 text-white'
           }`}
         >
-          {isDisconnecting ? 'ĐANG HỦY...' : 'DISCONNECT'}
+          {isDisconnecting ? 'ĐANG HỦY...' : isReconnecting ? 'HỦY RECONNECT' : 'DISCONNECT'}
         </button>
       </div>
     </div>
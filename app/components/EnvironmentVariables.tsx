@@ -0,0 +1,29 @@
+import React from 'react';
+import { Braces } from 'lucide-react';
+import KeyValueEditor from './KeyValueEditor';
+import { KeyValuePair } from '../lib/keyValue';
+
+interface EnvironmentVariablesProps {
+  variables: KeyValuePair[];
+  setVariables: (variables: KeyValuePair[]) => void;
+}
+
+export default function EnvironmentVariables({ variables, setVariables }: EnvironmentVariablesProps) {
+  return (
+    <div className="bg-neutral-900 p-4 border border-neutral-800 rounded-lg space-y-3">
+      <div className="flex items-center gap-2 text-white border-b border-neutral-800 pb-2 mb-3 text-xs">
+        <Braces size={14} /> <span>ENVIRONMENT VARIABLES</span>
+      </div>
+      <p className="text-neutral-600 text-xs">
+        💡 Dùng <span className="text-neutral-400 font-mono">{'{{name}}'}</span> trong body hoặc header
+      </p>
+      <KeyValueEditor
+        pairs={variables}
+        onChange={setVariables}
+        keyPlaceholder="receiverId"
+        valuePlaceholder="7"
+        addLabel="Thêm biến"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowDownLeft, ArrowUpRight, HeartPulse, Layers, Send, Trash2 } from 'lucide-react';
+import { HEARTBEAT, StompFrameRecord } from '../lib/stompFrames';
+
+interface FrameInspectorProps {
+  frames: StompFrameRecord[];
+  isConnected: boolean;
+  onClear: () => void;
+  onSendRaw: (text: string) => void;
+}
+
+const RAW_FRAME_EXAMPLE = 'SEND\ndestination:/app/chat.send\ncontent-type:application/json\n\n{"content":"raw"}';
+
+function commandClass(command: string): string {
+  switch (command) {
+    case 'ERROR':
+      return 'text-rose-500';
+    case 'CONNECT':
+    case 'STOMP':
+    case 'CONNECTED':
+    case 'DISCONNECT':
+      return 'text-violet-400';
+    case 'RECEIPT':
+      return 'text-amber-400';
+    case HEARTBEAT:
+      return 'text-neutral-600';
+    default:
+      return 'text-white';
+  }
+}
+
+function formatTime(time: number): string {
+  const date = new Date(time);
+  return `${date.toLocaleTimeString()}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+}
+
+function FrameRow({ frame, delta }: { frame: StompFrameRecord; delta: number | null }) {
+  const [expanded, setExpanded] = useState(frame.command === 'ERROR');
+  const isOut = frame.direction === 'out';
+
+  return (
+    <div className="border-b border-neutral-800/60 py-1">
+      <button onClick={() => setExpanded(!expanded)} className="w-full flex items-center gap-2 text-left">
+        {isOut ? (
+          <ArrowUpRight size={12} className="text-blue-500 flex-shrink-0" />
+        ) : (
+          <ArrowDownLeft size={12} className="text-emerald-500 flex-shrink-0" />
+        )}
+        <span className="text-[10px] text-neutral-600 w-24 flex-shrink-0">{formatTime(frame.time)}</span>
+        <span className={`font-bold w-24 flex-shrink-0 ${commandClass(frame.command)}`}>{frame.command}</span>
+        <span className="text-neutral-500 truncate flex-1">
+          {frame.headers
+            .filter(([key]) => key === 'destination' || key === 'message' || key === 'receipt-id' || key === 'id')
+            .map(([key, value]) => `${key}:${value}`)
+            .join('  ')}
+        </span>
+        <span className="text-[10px] text-neutral-500 flex-shrink-0">{frame.size} B</span>
+        <span className="text-[10px] text-neutral-600 w-16 text-right flex-shrink-0">
+          {delta === null ? '' : `+${delta.toFixed(1)} ms`}
+        </span>
+      </button>
+      {expanded && frame.command !== HEARTBEAT && (
+        <div className="mt-1 ml-5 p-2 bg-black rounded border border-neutral-800 font-mono text-[10px] space-y-0.5">
+          {frame.headers.map(([key, value], i) => (
+            <p key={i} className="break-all">
+              <span className="text-neutral-400">{key}</span>
+              <span className="text-neutral-600">:</span>
+              <span className="text-neutral-300">{value}</span>
+            </p>
+          ))}
+          {frame.body && <pre className="text-white whitespace-pre-wrap break-all pt-1">{frame.body}</pre>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function FrameInspector({ frames, isConnected, onClear, onSendRaw }: FrameInspectorProps) {
+  const [showHeartbeats, setShowHeartbeats] = useState(false);
+  const [rawFrame, setRawFrame] = useState(RAW_FRAME_EXAMPLE);
+
+  const visible = useMemo(
+    () => (showHeartbeats ? frames : frames.filter(f => f.command !== HEARTBEAT)),
+    [frames, showHeartbeats]
+  );
+
+  return (
+    <div className="lg:col-span-3 bg-neutral-900 p-4 border border-neutral-800 rounded-lg space-y-3 text-xs">
+      <div className="flex items-center justify-between border-b border-neutral-800 pb-2 mb-3">
+        <div className="flex items-center gap-2 text-white">
+          <Layers size={14} /> <span>FRAME INSPECTOR</span>
+          <span className="text-[10px] text-neutral-500">{visible.length} frames</span>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => setShowHeartbeats(!showHeartbeats)}
+            className={`transition-colors ${showHeartbeats ? 'text-rose-400' : 'text-neutral-500 hover:text-white'}`}
+            title="Hiện heart-beat"
+          >
+            <HeartPulse size={16} />
+          </button>
+          <button onClick={onClear} className="text-neutral-500 hover:text-rose-400 transition-colors" title="Xóa frames">
+            <Trash2 size={16} />
+          </button>
+        </div>
+      </div>
+
+      <div className="max-h-80 overflow-y-auto">
+        {visible.length === 0 ? (
+          <p className="text-neutral-600 italic py-2">Chưa có frames</p>
+        ) : (
+          visible.map((frame, i) => (
+            <FrameRow key={frame.id} frame={frame} delta={i === 0 ? null : frame.time - visible[i - 1].time} />
+          ))
+        )}
+      </div>
+
+      <div>
+        <label className="block text-neutral-500 mb-1">Raw frame (NUL được thêm tự động)</label>
+        <div className="flex gap-2">
+          <textarea
+            value={rawFrame}
+            onChange={e => setRawFrame(e.target.value)}
+            rows={5}
+            spellCheck={false}
+            className="flex-1 bg-black border border-neutral-800 p-2 rounded outline-none font-mono focus:border-violet-500"
+          />
+          <button
+            onClick={() => onSendRaw(rawFrame)}
+            disabled={!isConnected || !rawFrame.trim()}
+            className="self-end bg-violet-600 hover:bg-violet-700 text-white px-3 py-2 rounded font-bold disabled:opacity-50 transition-all flex items-center gap-1"
+          >
+            <Send size={12} /> SEND RAW
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,25 @@
 import React from 'react';
 import { Wifi, WifiOff, Plug, PlugZap } from 'lucide-react';
+import { ConnectionProfile } from '../lib/profiles';
+import { AgentStatus, agentStatusMessage } from '../lib/localAgent';
 
 interface HeaderProps {
   isConnected: boolean;
-  agentAvailable: boolean | null; // null = not needed (running on localhost)
+  agentStatus: AgentStatus | null; // null = not needed (running on localhost)
+  profiles: ConnectionProfile[];
+  activeProfileId: string;
+  onSelectProfile: (id: string) => void;
 }
 
-export default function Header({ isConnected, agentAvailable }: HeaderProps) {
+export default function Header({
+  isConnected,
+  agentStatus,
+  profiles,
+  activeProfileId,
+  onSelectProfile,
+}: HeaderProps) {
+  const agentAvailable = agentStatus === 'available';
+
   return (
     <header className="flex items-center justify-between bg-neutral-900 p-4 border border-neutral-800 rounded-lg">
       <div className="flex items-center gap-3">
@@ -25,8 +38,22 @@ export default function Header({ isConnected, agentAvailable }: HeaderProps) {
         </div>
       </div>
       <div className="flex items-center gap-3 text-xs">
+        {/* Profile Switcher */}
+        <select
+          value={activeProfileId}
+          onChange={e => onSelectProfile(e.target.value)}
+          disabled={isConnected}
+          className="bg-black border border-neutral-800 px-2 py-1 rounded outline-none text-xs focus:border-emerald-500 disabled:opacity-50"
+          title={isConnected ? 'Ngắt kết nối để đổi profile' : 'Đổi connection profile'}
+        >
+          {profiles.map(p => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
         {/* Agent Status Badge */}
-        {agentAvailable !== null && (
+        {agentStatus !== null && (
           <div
             className={`flex items-center gap-1.5 px-2.5 py-1 rounded-full border ${
               agentAvailable
@@ -36,12 +63,12 @@ export default function Header({ isConnected, agentAvailable }: HeaderProps) {
             title={
               agentAvailable
                 ? 'Stomp Local Agent extension is active'
-                : 'Install the extension to connect to localhost'
+                : agentStatusMessage(agentStatus) || undefined
             }
           >
             {agentAvailable ? <PlugZap size={12} /> : <Plug size={12} />}
             <span className="text-[10px] font-medium uppercase tracking-wider">
-              {agentAvailable ? 'Agent' : 'No Agent'}
+              {agentAvailable ? 'Agent' : agentStatus === 'untrusted' ? 'Untrusted' : 'No Agent'}
             </span>
           </div>
         )}
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+
+interface JsonTreeProps {
+  data: unknown;
+  name?: string;
+  depth?: number;
+}
+
+// Nodes deeper than this start collapsed
+const AUTO_EXPAND_DEPTH = 2;
+
+function Primitive({ value }: { value: unknown }) {
+  if (value === null) return <span className="text-neutral-500">null</span>;
+  switch (typeof value) {
+    case 'string':
+      return <span className="text-amber-300">&quot;{value}&quot;</span>;
+    case 'number':
+      return <span className="text-sky-400">{value}</span>;
+    case 'boolean':
+      return <span className="text-violet-400">{String(value)}</span>;
+    default:
+      return <span className="text-neutral-400">{String(value)}</span>;
+  }
+}
+
+export default function JsonTree({ data, name, depth = 0 }: JsonTreeProps) {
+  const [expanded, setExpanded] = useState(depth < AUTO_EXPAND_DEPTH);
+  const isObject = data !== null && typeof data === 'object';
+  const label = name !== undefined && <span className="text-neutral-400">{name}: </span>;
+
+  if (!isObject) {
+    return (
+      <div className="pl-4">
+        {label}
+        <Primitive value={data} />
+      </div>
+    );
+  }
+
+  const entries = Array.isArray(data)
+    ? data.map((value, index) => [String(index), value] as const)
+    : Object.entries(data as Record<string, unknown>);
+  const [open, close] = Array.isArray(data) ? ['[', ']'] : ['{', '}'];
+
+  return (
+    <div className={depth > 0 ? 'pl-4' : ''}>
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="inline-flex items-center gap-0.5 hover:text-white text-neutral-300"
+      >
+        {expanded ? <ChevronDown size={10} /> : <ChevronRight size={10} />}
+        {label}
+        <span>{open}</span>
+        {!expanded && (
+          <span className="text-neutral-600">
+            {' '}…{entries.length} {Array.isArray(data) ? 'items' : 'keys'} {close}
+          </span>
+        )}
+      </button>
+      {expanded && (
+        <>
+          {entries.map(([key, value]) => (
+            <JsonTree key={key} name={key} data={value} depth={depth + 1} />
+          ))}
+          <div className="pl-3 text-neutral-300">{close}</div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import { KeyValuePair } from '../lib/keyValue';
+
+interface KeyValueEditorProps {
+  pairs: KeyValuePair[];
+  onChange: (pairs: KeyValuePair[]) => void;
+  keyPlaceholder?: string;
+  valuePlaceholder?: string;
+  addLabel?: string;
+}
+
+export default function KeyValueEditor({
+  pairs,
+  onChange,
+  keyPlaceholder = 'key',
+  valuePlaceholder = 'value',
+  addLabel = 'Thêm',
+}: KeyValueEditorProps) {
+  const updatePair = (index: number, field: keyof KeyValuePair, value: string) => {
+    onChange(pairs.map((p, i) => (i === index ? { ...p, [field]: value } : p)));
+  };
+
+  const removePair = (index: number) => {
+    onChange(pairs.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-1.5">
+      {pairs.map((pair, index) => (
+        <div key={index} className="flex gap-1.5">
+          <input
+            type="text"
+            value={pair.key}
+            onChange={e => updatePair(index, 'key', e.target.value)}
+            className="w-2/5 min-w-0 bg-black border border-neutral-800 p-1.5 rounded outline-none text-xs focus:border-blue-500"
+            placeholder={keyPlaceholder}
+          />
+          <input
+            type="text"
+            value={pair.value}
+            onChange={e => updatePair(index, 'value', e.target.value)}
+            className="flex-1 min-w-0 bg-black border border-neutral-800 p-1.5 rounded outline-none text-xs focus:border-blue-500"
+            placeholder={valuePlaceholder}
+          />
+          <button
+            onClick={() => removePair(index)}
+            className="text-rose-500 hover:text-rose-400 hover:bg-rose-500/10 p-1 rounded transition-all flex-shrink-0"
+            title="Xóa"
+          >
+            <X size={12} />
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={() => onChange([...pairs, { key: '', value: '' }])}
+        className="flex items-center gap-1 text-[10px] text-neutral-500 hover:text-white transition-colors"
+      >
+        <Plus size={10} /> {addLabel}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,244 @@
+import React from 'react';
+import { Gauge, Play, Square } from 'lucide-react';
+import { LoadSecond, LoadTestConfig, LoadTestStats } from '../lib/loadTest';
+import { PAYLOAD_FORMATS, PayloadFormat } from '../lib/payloadFormat';
+
+interface LoadTestPanelProps {
+  config: LoadTestConfig;
+  setConfig: React.Dispatch<React.SetStateAction<LoadTestConfig>>;
+  stats: LoadTestStats;
+  isConnected: boolean;
+  onStart: () => void;
+  onStop: () => void;
+}
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 90;
+
+function LoadChart({ series }: { series: LoadSecond[] }) {
+  if (series.length === 0) {
+    return <p className="text-neutral-600 text-xs italic py-2">Chưa có dữ liệu</p>;
+  }
+
+  const maxRate = Math.max(1, ...series.map(s => Math.max(s.sent, s.received)));
+  const maxLatency = Math.max(1, ...series.map(s => s.p50 ?? 0));
+  const step = CHART_WIDTH / series.length;
+  const barWidth = Math.max(1, step / 2 - 1);
+  const latencyPoints = series
+    .filter(s => s.p50 !== null)
+    .map(s => `${s.second * step + step / 2},${CHART_HEIGHT - ((s.p50 as number) / maxLatency) * CHART_HEIGHT}`)
+    .join(' ');
+
+  return (
+    <div className="space-y-1">
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-24 bg-black rounded border border-neutral-800">
+        {series.map(s => (
+          <g key={s.second}>
+            <rect
+              x={s.second * step}
+              y={CHART_HEIGHT - (s.sent / maxRate) * CHART_HEIGHT}
+              width={barWidth}
+              height={(s.sent / maxRate) * CHART_HEIGHT}
+              className="fill-blue-600/70"
+            />
+            <rect
+              x={s.second * step + barWidth + 1}
+              y={CHART_HEIGHT - (s.received / maxRate) * CHART_HEIGHT}
+              width={barWidth}
+              height={(s.received / maxRate) * CHART_HEIGHT}
+              className="fill-emerald-600/70"
+            />
+          </g>
+        ))}
+        {latencyPoints && (
+          <polyline points={latencyPoints} fill="none" strokeWidth={1.5} className="stroke-amber-400" />
+        )}
+      </svg>
+      <div className="flex gap-3 text-[10px] text-neutral-500">
+        <span className="text-blue-400">■ sent/s</span>
+        <span className="text-emerald-400">■ received/s</span>
+        <span className="text-amber-400">— p50 (max {Math.round(maxLatency)} ms)</span>
+      </div>
+    </div>
+  );
+}
+
+export default function LoadTestPanel({ config, setConfig, stats, isConnected, onStart, onStop }: LoadTestPanelProps) {
+  const inputClass =
+    'w-full bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-amber-500 disabled:opacity-50';
+  const update = (patch: Partial<LoadTestConfig>) => setConfig(prev => ({ ...prev, ...patch }));
+  const numberValue = (value: string) => Math.max(0, Number(value) || 0);
+  const running = stats.running;
+
+  return (
+    <div className="bg-neutral-900 p-4 border border-neutral-800 rounded-lg space-y-3">
+      <div className="flex items-center gap-2 text-white border-b border-neutral-800 pb-2 mb-3 text-xs">
+        <Gauge size={14} /> <span>LOAD TEST</span>
+      </div>
+
+      <div>
+        <label className="block text-neutral-500 mb-1 text-xs">Destination</label>
+        <input
+          type="text"
+          value={config.destination}
+          disabled={running}
+          onChange={e => update({ destination: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+
+      <div>
+        <div className="flex items-center gap-2 mb-1">
+          <label className="text-neutral-500 text-xs">Body</label>
+          <select
+            value={config.payloadFormat}
+            disabled={running}
+            onChange={e => update({ payloadFormat: e.target.value as PayloadFormat })}
+            className="bg-black border border-neutral-800 p-1 rounded outline-none text-xs focus:border-amber-500 disabled:opacity-50"
+          >
+            {PAYLOAD_FORMATS.map(f => (
+              <option key={f.value} value={f.value}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <textarea
+          value={config.body}
+          disabled={running}
+          onChange={e => update({ body: e.target.value })}
+          rows={4}
+          className={inputClass}
+        />
+        <p className="text-neutral-600 text-xs mt-1">
+          💡 Mỗi message có placeholders riêng, thêm{' '}
+          <span className="text-neutral-400 font-mono">{'{{correlationId}}'}</span>
+          {config.payloadFormat === 'protobuf' && ' · Protobuf dùng .proto và message type của form Publish'}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <div>
+          <label className="block text-neutral-500 mb-1 text-xs">Chế độ</label>
+          <select
+            value={config.mode}
+            disabled={running}
+            onChange={e => update({ mode: e.target.value as LoadTestConfig['mode'] })}
+            className={inputClass}
+          >
+            <option value="count">N messages</option>
+            <option value="duration">T giây</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-neutral-500 mb-1 text-xs">{config.mode === 'count' ? 'Số message' : 'Giây'}</label>
+          <input
+            type="number"
+            min={1}
+            value={config.mode === 'count' ? config.count : config.durationSec}
+            disabled={running}
+            onChange={e =>
+              update(config.mode === 'count' ? { count: numberValue(e.target.value) } : { durationSec: numberValue(e.target.value) })
+            }
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-neutral-500 mb-1 text-xs">Msg/giây</label>
+          <input
+            type="number"
+            min={1}
+            value={config.ratePerSec}
+            disabled={running}
+            onChange={e => update({ ratePerSec: numberValue(e.target.value) })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <div className="col-span-2">
+          <label className="block text-neutral-500 mb-1 text-xs">Reply destination (tùy chọn)</label>
+          <input
+            type="text"
+            value={config.replyDestination}
+            disabled={running}
+            onChange={e => update({ replyDestination: e.target.value })}
+            className={inputClass}
+            placeholder="/user/queue/messages"
+          />
+        </div>
+        <div>
+          <label className="block text-neutral-500 mb-1 text-xs">Chờ reply (ms)</label>
+          <input
+            type="number"
+            min={0}
+            value={config.replyTimeoutMs}
+            disabled={running}
+            onChange={e => update({ replyTimeoutMs: numberValue(e.target.value) })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-neutral-500 mb-1 text-xs">Correlation header</label>
+        <input
+          type="text"
+          value={config.correlationHeader}
+          disabled={running}
+          onChange={e => update({ correlationHeader: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+
+      <div className="grid grid-cols-4 gap-2 text-center">
+        {[
+          ['Sent', stats.sent],
+          ['Received', stats.received],
+          ['Errors', stats.errors],
+          ['Msg/s', stats.throughput],
+        ].map(([label, value]) => (
+          <div key={label} className="bg-black border border-neutral-800 rounded p-1.5">
+            <p className="text-[10px] text-neutral-500">{label}</p>
+            <p className="text-xs text-white font-bold">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      {stats.latency && (
+        <div className="grid grid-cols-3 gap-2 text-center">
+          {(['p50', 'p95', 'p99'] as const).map(key => (
+            <div key={key} className="bg-black border border-neutral-800 rounded p-1.5">
+              <p className="text-[10px] text-neutral-500">{key}</p>
+              <p className="text-xs text-amber-400 font-bold">{stats.latency?.[key]} ms</p>
+            </div>
+          ))}
+          <p className="col-span-3 text-[10px] text-neutral-500">
+            min {stats.latency.min} ms · mean {stats.latency.mean} ms · max {stats.latency.max} ms
+          </p>
+        </div>
+      )}
+
+      <LoadChart series={stats.series} />
+
+      <button
+        onClick={running ? onStop : onStart}
+        disabled={!running && !isConnected}
+        className={`w-full p-2 rounded font-bold transition-all text-xs flex items-center justify-center gap-2 disabled:opacity-50 ${
+          running ? 'bg-orange-600 hover:bg-orange-700 text-white' : 'bg-amber-600 hover:bg-amber-700 text-white'
+        }`}
+      >
+        {running ? (
+          <>
+            <Square size={12} /> STOP
+          </>
+        ) : (
+          <>
+            <Play size={12} /> START LOAD TEST
+          </>
+        )}
+      </button>
+    </div>
+  );
+}
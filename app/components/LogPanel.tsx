@@ -1,77 +1,399 @@
-import React from 'react';
-import { Terminal, Trash2, MessageSquare } from 'lucide-react';
+import React, { useMemo, useRef, useState } from 'react';
+import { Terminal, Trash2, Search, Copy, Check, Repeat, Braces, Download, Upload } from 'lucide-react';
 import { LogEntry } from './types';
+import JsonTree from './JsonTree';
+import VirtualLogList from './VirtualLogList';
+import { JsonPathQuery, matchesJsonPath, parseJsonPath } from '../lib/jsonPath';
+import { TraceFormat } from '../lib/trafficTrace';
 
 interface LogPanelProps {
   logs: LogEntry[];
-  onClear: () => void;
-  logEndRef: React.RefObject<HTMLDivElement | null>;
+  title?: string;
+  // Handlers are optional so the panel can also serve as a read-only viewer
+  onClear?: () => void;
+  onResend?: (log: LogEntry) => void;
+  onAck?: (log: LogEntry, action: 'ack' | 'nack') => void;
+  onExport?: (format: TraceFormat) => void;
+  onImport?: (file: File) => void;
+  isConnected?: boolean;
+  className?: string;
 }
 
-export default function LogPanel({ logs, onClear, logEndRef }: LogPanelProps) {
+const LOG_TYPES: LogEntry['type'][] = ['sent', 'received', 'error', 'info'];
+
+// Parsed JSON bodies, cached per entry (null = not JSON)
+const parsedCache = new WeakMap<LogEntry, { value: unknown } | null>();
+
+function parseContent(log: LogEntry): { value: unknown } | null {
+  if (!parsedCache.has(log)) {
+    let parsed: { value: unknown } | null = null;
+    const text = log.content.trim();
+    if (text.startsWith('{') || text.startsWith('[')) {
+      try {
+        parsed = { value: JSON.parse(text) };
+      } catch {
+        parsed = null;
+      }
+    }
+    parsedCache.set(log, parsed);
+  }
+  return parsedCache.get(log) ?? null;
+}
+
+function typeBadgeClass(type: LogEntry['type']): string {
+  return type === 'sent'
+    ? 'bg-blue-500/10 text-blue-500'
+    : type === 'received'
+    ? 'bg-emerald-500/10 text-emerald-500 ring ring-emerald-500/30'
+    : type === 'error'
+    ? 'bg-rose-500/10 text-rose-500'
+    : 'bg-neutral-800 text-neutral-400';
+}
+
+interface LogEntryRowProps {
+  log: LogEntry;
+  prettyJson: boolean;
+  isConnected: boolean;
+  onResend?: (log: LogEntry) => void;
+  onAck?: (log: LogEntry, action: 'ack' | 'nack') => void;
+  onShowCorrelation: (correlationId: string) => void;
+}
+
+function LogEntryRow({ log, prettyJson, isConnected, onResend, onAck, onShowCorrelation }: LogEntryRowProps) {
+  const [copied, setCopied] = useState(false);
+  const parsed = prettyJson ? parseContent(log) : null;
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(log.content);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1500);
+  };
+
+  return (
+    <div
+      className={`group border-l-2 pl-4 py-1 transition-all text-xs ${
+        log.type === 'received'
+          ? 'border-emerald-600 hover:border-emerald-500 bg-emerald-950/10 rounded ps-3'
+          : 'border-neutral-800 hover:border-neutral-600'
+      }`}
+    >
+      <div className="flex items-center gap-3 mb-1">
+        <span className="text-[10px] text-neutral-600">{log.timestamp}</span>
+        <span className={`text-[10px] font-bold uppercase px-1.5 rounded ${typeBadgeClass(log.type)}`}>
+          {log.type}
+        </span>
+        {log.destination && (
+          <span className="text-[10px] text-neutral-500 italic">to: {log.destination}</span>
+        )}
+        {log.payloadFormat && log.payloadFormat !== 'json' && log.payloadFormat !== 'text' && (
+          <span className="text-[10px] font-mono text-sky-400" title="Định dạng body">
+            {log.payloadFormat}
+            {log.messageType && ` ${log.messageType}`}
+          </span>
+        )}
+        {log.schemaErrors && log.schemaErrors.length === 0 && (
+          <span className="text-[10px] text-emerald-500" title="Khớp JSON Schema">✓ schema</span>
+        )}
+        {log.schemaErrors && log.schemaErrors.length > 0 && (
+          <span className="text-[10px] text-rose-500 font-bold" title={log.schemaErrors.join('\n')}>
+            ✗ schema ({log.schemaErrors.length})
+          </span>
+        )}
+        {log.decodeError && (
+          <span className="text-[10px] text-rose-500" title={log.decodeError}>
+            ⚠️ decode lỗi
+          </span>
+        )}
+        {log.correlationId && (
+          <button
+            onClick={() => onShowCorrelation(log.correlationId as string)}
+            className="text-[10px] font-mono text-violet-400 hover:text-violet-300"
+            title={`Lọc theo correlation-id ${log.correlationId}`}
+          >
+            ⇄ {log.correlationId.slice(0, 8)}
+          </button>
+        )}
+        {log.roundTripMs !== undefined && (
+          <span className="text-[10px] text-emerald-400">{log.roundTripMs} ms</span>
+        )}
+        {log.replyStatus === 'pending' && <span className="text-[10px] text-amber-500">chờ reply…</span>}
+        {log.replyStatus === 'timeout' && <span className="text-[10px] text-rose-500">không có reply</span>}
+        {log.transactionId && (
+          <span
+            className={`text-[10px] font-mono ${
+              log.transactionStatus === 'committed'
+                ? 'text-emerald-400'
+                : log.transactionStatus === 'aborted'
+                ? 'text-rose-500 line-through'
+                : 'text-amber-400'
+            }`}
+            title={`Transaction ${log.transactionId}: ${log.transactionStatus}`}
+          >
+            tx {log.transactionId}
+            {log.transactionStatus === 'pending' && ' · chờ commit'}
+          </span>
+        )}
+        {log.ackStatus === 'pending' && onAck && (
+          <span className="flex items-center gap-1">
+            <button
+              onClick={() => onAck(log, 'ack')}
+              disabled={!isConnected}
+              className="text-[10px] font-bold px-1.5 rounded bg-emerald-600/20 text-emerald-400 hover:bg-emerald-600/40 disabled:opacity-50 transition-colors"
+              title={`ACK (${log.subscriptionId})`}
+            >
+              ACK
+            </button>
+            <button
+              onClick={() => onAck(log, 'nack')}
+              disabled={!isConnected}
+              className="text-[10px] font-bold px-1.5 rounded bg-rose-600/20 text-rose-400 hover:bg-rose-600/40 disabled:opacity-50 transition-colors"
+              title={`NACK (${log.subscriptionId})`}
+            >
+              NACK
+            </button>
+          </span>
+        )}
+        {log.ackStatus === 'pending' && !onAck && <span className="text-[10px] text-amber-500">chưa ack</span>}
+        {log.ackStatus === 'acked' && <span className="text-[10px] text-emerald-400">✓ acked</span>}
+        {log.ackStatus === 'nacked' && <span className="text-[10px] text-rose-500">✗ nacked</span>}
+        {log.ackStatus === 'expired' && (
+          <span className="text-[10px] text-neutral-500" title="Session đã mất; broker sẽ gửi lại message">
+            ack hết hạn
+          </span>
+        )}
+        <div className="ml-auto flex items-center gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
+          {onResend && log.type === 'sent' && log.destination && (
+            <button
+              onClick={() => onResend(log)}
+              disabled={!isConnected}
+              className="text-neutral-500 hover:text-blue-400 disabled:opacity-50 transition-colors"
+              title="Gửi lại message này"
+            >
+              <Repeat size={12} />
+            </button>
+          )}
+          <button
+            onClick={copy}
+            className="text-neutral-500 hover:text-white transition-colors"
+            title="Copy nội dung"
+          >
+            {copied ? <Check size={12} className="text-emerald-500" /> : <Copy size={12} />}
+          </button>
+        </div>
+      </div>
+      {log.headers && Object.keys(log.headers).length > 0 && (
+        <div className="flex flex-wrap gap-x-3 gap-y-0.5 mb-1 text-[10px] text-neutral-500 font-mono">
+          {Object.entries(log.headers).map(([key, value]) => (
+            <span key={key}>
+              <span className="text-neutral-400">{key}</span>: {value}
+            </span>
+          ))}
+        </div>
+      )}
+      {log.schemaErrors && log.schemaErrors.length > 0 && (
+        <div className="mb-1 text-[10px] text-rose-400 font-mono space-y-0.5">
+          {log.schemaErrors.map((error, i) => (
+            <p key={i}>✗ {error}</p>
+          ))}
+        </div>
+      )}
+      <div
+        className={`text-white text-xs break-all whitespace-pre-wrap p-3 rounded border ${
+          log.type === 'received'
+            ? 'bg-emerald-950/30 border-emerald-600/30'
+            : 'bg-neutral-950/50 border-neutral-800/50'
+        }`}
+      >
+        {parsed ? <JsonTree data={parsed.value} /> : <pre className="whitespace-pre-wrap">{log.content}</pre>}
+      </div>
+    </div>
+  );
+}
+
+export default function LogPanel({
+  logs,
+  title = 'Traffic Log',
+  onClear,
+  onResend,
+  onAck,
+  onExport,
+  onImport,
+  isConnected = false,
+  className = 'lg:col-span-2 h-[800px]',
+}: LogPanelProps) {
+  const [enabledTypes, setEnabledTypes] = useState<LogEntry['type'][]>(LOG_TYPES);
+  const [destinationFilter, setDestinationFilter] = useState('');
+  const [query, setQuery] = useState('');
+  const [prettyJson, setPrettyJson] = useState(true);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const destinations = useMemo(
+    () => [...new Set(logs.map(l => l.destination).filter((d): d is string => !!d))].sort(),
+    [logs]
+  );
+
+  // A query starting with "$" is treated as JSONPath, anything else as full text
+  const jsonPath = useMemo((): { query: JsonPathQuery | null; error: string | null } => {
+    if (!query.trim().startsWith('$')) return { query: null, error: null };
+    try {
+      return { query: parseJsonPath(query), error: null };
+    } catch (err) {
+      return { query: null, error: err instanceof Error ? err.message : String(err) };
+    }
+  }, [query]);
+
+  const filteredLogs = useMemo(() => {
+    const text = query.trim().toLowerCase();
+    return logs.filter(log => {
+      if (!enabledTypes.includes(log.type)) return false;
+      if (destinationFilter && log.destination !== destinationFilter) return false;
+      if (!text) return true;
+      if (text.startsWith('$')) {
+        if (!jsonPath.query) return true;
+        const parsed = parseContent(log);
+        return parsed !== null && matchesJsonPath(parsed.value, jsonPath.query);
+      }
+      return (
+        log.content.toLowerCase().includes(text) ||
+        (log.destination || '').toLowerCase().includes(text) ||
+        (log.correlationId || '').toLowerCase().includes(text) ||
+        Object.values(log.headers || {}).some(v => v.toLowerCase().includes(text))
+      );
+    });
+  }, [logs, enabledTypes, destinationFilter, query, jsonPath]);
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (file && onImport) onImport(file);
+    e.target.value = '';
+  };
+
+  const toggleType = (type: LogEntry['type']) => {
+    setEnabledTypes(prev => (prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]));
+  };
+
   return (
-    <div className="lg:col-span-2 flex flex-col bg-neutral-900 border border-neutral-800 rounded-lg overflow-hidden h-[800px]">
+    <div className={`${className} flex flex-col bg-neutral-900 border border-neutral-800 rounded-lg overflow-hidden`}>
       <div className="flex items-center justify-between p-4 border-b border-neutral-800 bg-neutral-900 text-xs">
         <div className="flex items-center gap-2 text-white uppercase tracking-widest">
-          <Terminal size={14} /> <span>Traffic Log</span>
+          <Terminal size={14} /> <span>{title}</span>
+          <span className="text-[10px] text-neutral-500 normal-case tracking-normal">
+            {filteredLogs.length === logs.length ? logs.length : `${filteredLogs.length} / ${logs.length}`}
+          </span>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => setPrettyJson(!prettyJson)}
+            className={`transition-colors ${prettyJson ? 'text-blue-400' : 'text-neutral-500 hover:text-white'}`}
+            title="Pretty-print JSON"
+          >
+            <Braces size={16} />
+          </button>
+          {onImport && (
+            <>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="text-neutral-500 hover:text-white transition-colors"
+                title="Mở trace (NDJSON / HAR)"
+              >
+                <Upload size={16} />
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".ndjson,.har,.json,application/json"
+                onChange={handleFileChange}
+                className="hidden"
+              />
+            </>
+          )}
+          {onExport && (
+            <>
+              <button
+                onClick={() => onExport('ndjson')}
+                disabled={logs.length === 0}
+                className="flex items-center gap-1 text-neutral-500 hover:text-white transition-colors disabled:opacity-50"
+                title="Export session (NDJSON)"
+              >
+                <Download size={16} /> <span className="text-[10px]">NDJSON</span>
+              </button>
+              <button
+                onClick={() => onExport('har')}
+                disabled={logs.length === 0}
+                className="flex items-center gap-1 text-neutral-500 hover:text-white transition-colors disabled:opacity-50"
+                title="Export session (HAR)"
+              >
+                <Download size={16} /> <span className="text-[10px]">HAR</span>
+              </button>
+            </>
+          )}
+          {onClear && (
+            <button
+              onClick={onClear}
+              className="text-neutral-500 hover:text-white transition-colors"
+              title="Clear Logs"
+            >
+              <Trash2 size={16} />
+            </button>
+          )}
         </div>
-        <button
-          onClick={onClear}
-          className="text-neutral-500 hover:text-white transition-colors"
-          title="Clear Logs"
-        >
-          <Trash2 size={16} />
-        </button>
       </div>
 
-      <div className="flex-1 overflow-y-auto p-4 space-y-3 scrollbar-hide">
-        {logs.length === 0 && (
-          <div className="h-full flex flex-col items-center justify-center text-neutral-600 space-y-2 opacity-50">
-            <MessageSquare size={48} />
-            <p className="text-xs">Awaiting traffic...</p>
+      <div className="p-3 border-b border-neutral-800 space-y-2 text-xs">
+        <div className="flex gap-2">
+          <div className="flex-1 flex items-center gap-2 bg-black border border-neutral-800 rounded px-2 focus-within:border-emerald-500">
+            <Search size={12} className="text-neutral-500" />
+            <input
+              type="text"
+              value={query}
+              onChange={e => setQuery(e.target.value)}
+              className="flex-1 bg-transparent py-1.5 outline-none text-xs"
+              placeholder='Tìm kiếm... hoặc JSONPath: $.receiverId == 7'
+            />
           </div>
-        )}
-        {logs.map(log => (
-          <div
-            key={log.id}
-            className={`group border-l-2 pl-4 py-1 transition-all text-xs ${
-              log.type === 'received'
-                ? 'border-emerald-600 hover:border-emerald-500 bg-emerald-950/10 rounded ps-3 animate-in'
-                : 'border-neutral-800 hover:border-neutral-600'
-            }`}
+          <select
+            value={destinationFilter}
+            onChange={e => setDestinationFilter(e.target.value)}
+            className="w-40 bg-black border border-neutral-800 p-1.5 rounded outline-none text-xs focus:border-emerald-500"
           >
-            <div className="flex items-center gap-3 mb-1">
-              <span className="text-[10px] text-neutral-600">{log.timestamp}</span>
-              <span
-                className={`text-[10px] font-bold uppercase px-1.5 rounded ${
-                  log.type === 'sent'
-                    ? 'bg-blue-500/10 text-blue-500'
-                    : log.type === 'received'
-                    ? 'bg-emerald-500/10 text-emerald-500 ring ring-emerald-500/30'
-                    : log.type === 'error'
-                    ? 'bg-rose-500/10 text-rose-500'
-                    : 'bg-neutral-800 text-neutral-400'
-                }`}
-              >
-                {log.type}
-              </span>
-              {log.destination && (
-                <span className="text-[10px] text-neutral-500 italic">to: {log.destination}</span>
-              )}
-            </div>
-            <pre
-              className={`text-white text-xs break-all whitespace-pre-wrap p-3 rounded border ${
-                log.type === 'received'
-                  ? 'bg-emerald-950/30 border-emerald-600/30'
-                  : 'bg-neutral-950/50 border-neutral-800/50'
+            <option value="">Tất cả destinations</option>
+            {destinations.map(d => (
+              <option key={d} value={d}>
+                {d}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center gap-2">
+          {LOG_TYPES.map(type => (
+            <button
+              key={type}
+              onClick={() => toggleType(type)}
+              className={`text-[10px] font-bold uppercase px-1.5 rounded transition-opacity ${typeBadgeClass(type)} ${
+                enabledTypes.includes(type) ? '' : 'opacity-30'
               }`}
             >
-              {log.content}
-            </pre>
-          </div>
-        ))}
-        <div ref={logEndRef} />
+              {type}
+            </button>
+          ))}
+          {jsonPath.error && <span className="text-rose-500 text-[10px]">⚠️ {jsonPath.error}</span>}
+        </div>
       </div>
+
+      <VirtualLogList
+        entries={filteredLogs}
+        empty={logs.length === 0}
+        renderEntry={log => (
+          <LogEntryRow
+            log={log}
+            prettyJson={prettyJson}
+            isConnected={isConnected}
+            onResend={onResend}
+            onAck={onAck}
+            onShowCorrelation={setQuery}
+          />
+        )}
+      />
     </div>
   );
 }
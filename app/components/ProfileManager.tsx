@@ -0,0 +1,130 @@
+import React, { useRef, useState } from 'react';
+import { Copy, Download, FlaskConical, Layers, Plus, Trash2, Upload } from 'lucide-react';
+import { ConnectionProfile } from '../lib/profiles';
+
+interface ProfileManagerProps {
+  profiles: ConnectionProfile[];
+  activeProfile: ConnectionProfile;
+  isConnected: boolean;
+  onSelect: (id: string) => void;
+  onRename: (name: string) => void;
+  onCreate: () => void;
+  onDuplicate: () => void;
+  onUseMock: () => void;
+  onDelete: () => void;
+  onExport: (includeSecrets: boolean) => void;
+  onImport: (file: File) => void;
+}
+
+export default function ProfileManager({
+  profiles,
+  activeProfile,
+  isConnected,
+  onSelect,
+  onRename,
+  onCreate,
+  onDuplicate,
+  onUseMock,
+  onDelete,
+  onExport,
+  onImport,
+}: ProfileManagerProps) {
+  const [includeSecrets, setIncludeSecrets] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (file) onImport(file);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="bg-neutral-900 p-4 border border-neutral-800 rounded-lg space-y-3">
+      <div className="flex items-center justify-between border-b border-neutral-800 pb-2 mb-3 text-xs">
+        <div className="flex items-center gap-2 text-white">
+          <Layers size={14} /> <span>PROFILES</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={onCreate} className="text-neutral-500 hover:text-white transition-colors" title="Profile mới">
+            <Plus size={14} />
+          </button>
+          <button onClick={onDuplicate} className="text-neutral-500 hover:text-white transition-colors" title="Nhân bản profile">
+            <Copy size={14} />
+          </button>
+          <button
+            onClick={onUseMock}
+            className="text-neutral-500 hover:text-white transition-colors"
+            title="Local mock broker (npm run mock-broker)"
+          >
+            <FlaskConical size={14} />
+          </button>
+          <button
+            onClick={onDelete}
+            disabled={profiles.length <= 1 || isConnected}
+            className="text-neutral-500 hover:text-rose-400 transition-colors disabled:opacity-50"
+            title="Xóa profile"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <select
+          value={activeProfile.id}
+          onChange={e => onSelect(e.target.value)}
+          disabled={isConnected}
+          className="w-1/2 bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-emerald-500 disabled:opacity-50"
+        >
+          {profiles.map(p => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={activeProfile.name}
+          onChange={e => onRename(e.target.value)}
+          className="w-1/2 bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-emerald-500"
+          placeholder="Tên profile"
+        />
+      </div>
+
+      <div className="flex items-center justify-between text-xs">
+        <label className="flex items-center gap-2 text-neutral-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={includeSecrets}
+            onChange={e => setIncludeSecrets(e.target.checked)}
+            className="accent-emerald-500"
+          />
+          Export kèm secrets
+        </label>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="text-neutral-500 hover:text-white transition-colors"
+            title="Import profiles (JSON)"
+          >
+            <Upload size={14} />
+          </button>
+          <button
+            onClick={() => onExport(includeSecrets)}
+            className="text-neutral-500 hover:text-white transition-colors"
+            title="Export profiles (JSON)"
+          >
+            <Download size={14} />
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
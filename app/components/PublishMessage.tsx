@@ -1,13 +1,33 @@
-import React from 'react';
-import { Send } from 'lucide-react';
+import React, { useRef, useState } from 'react';
+import { Eye, Send, Upload } from 'lucide-react';
+import KeyValueEditor from './KeyValueEditor';
+import { ResolvedMessage } from '../lib/placeholders';
+import { KeyValuePair } from '../lib/keyValue';
+import { CorrelationLocation, RequestReplyConfig } from '../lib/requestReply';
+import { PAYLOAD_FORMATS, PayloadFormat, ProtoSchema } from '../lib/payloadFormat';
+import { SchemaViolation } from '../lib/schemas';
 
 interface PublishMessageProps {
   sendDest: string;
   setSendDest: (dest: string) => void;
   messageBody: string;
   setMessageBody: (body: string) => void;
+  sendHeaders: KeyValuePair[];
+  setSendHeaders: (headers: KeyValuePair[]) => void;
+  payloadFormat: PayloadFormat;
+  setPayloadFormat: (format: PayloadFormat) => void;
+  protoSchema: ProtoSchema | null;
+  protoType: string;
+  setProtoType: (type: string) => void;
+  onLoadProto: (file: File) => void;
+  schemaViolations: SchemaViolation[] | null; // null = no schema for the destination
+  requestReceipt: boolean;
+  setRequestReceipt: (requestReceipt: boolean) => void;
+  requestReply: RequestReplyConfig;
+  setRequestReply: (config: RequestReplyConfig) => void;
   isConnected: boolean;
   onSend: () => void;
+  preview: ResolvedMessage; // resolved with the current variables, headers and counter
 }
 
 export default function PublishMessage({
@@ -15,15 +35,45 @@ export default function PublishMessage({
   setSendDest,
   messageBody,
   setMessageBody,
+  sendHeaders,
+  setSendHeaders,
+  payloadFormat,
+  setPayloadFormat,
+  protoSchema,
+  protoType,
+  setProtoType,
+  onLoadProto,
+  schemaViolations,
+  requestReceipt,
+  setRequestReceipt,
+  requestReply,
+  setRequestReply,
   isConnected,
   onSend,
+  preview,
 }: PublishMessageProps) {
+  const [showPreview, setShowPreview] = useState(false);
+  const protoInputRef = useRef<HTMLInputElement>(null);
+
+  const handleProtoChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (file) onLoadProto(file);
+    e.target.value = '';
+  };
+
   return (
     <div className="bg-neutral-900 p-4 border border-neutral-800 rounded-lg space-y-3">
       <div className="flex items-center justify-between border-b border-neutral-800 pb-2 mb-3 text-xs">
         <div className="flex items-center gap-2 text-white">
           <Send size={14} /> <span>PUBLISH MESSAGE</span>
         </div>
+        <button
+          onClick={() => setShowPreview(!showPreview)}
+          className={`transition-colors ${showPreview ? 'text-blue-400' : 'text-neutral-500 hover:text-white'}`}
+          title="Preview payload sau khi thay placeholders"
+        >
+          <Eye size={14} />
+        </button>
       </div>
       
       <div>
@@ -37,21 +87,185 @@ export default function PublishMessage({
       </div>
       
       <div>
-        <label className="block text-neutral-500 mb-1 text-xs">Body (JSON)</label>
+        <label className="block text-neutral-500 mb-1 text-xs">Headers</label>
+        <KeyValueEditor
+          pairs={sendHeaders}
+          onChange={setSendHeaders}
+          keyPlaceholder="content-type"
+          valuePlaceholder="application/json"
+          addLabel="Thêm header"
+        />
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center gap-2">
+          <label className="text-neutral-500 text-xs">Body</label>
+          <select
+            value={payloadFormat}
+            onChange={e => setPayloadFormat(e.target.value as PayloadFormat)}
+            className="bg-black border border-neutral-800 p-1 rounded outline-none text-xs focus:border-blue-500"
+          >
+            {PAYLOAD_FORMATS.map(f => (
+              <option key={f.value} value={f.value}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {payloadFormat === 'protobuf' && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => protoInputRef.current?.click()}
+              className="flex items-center gap-1 bg-neutral-800 hover:bg-neutral-700 px-2 rounded text-xs transition-all max-w-[45%]"
+              title="Tải file .proto"
+            >
+              <Upload size={12} className="flex-shrink-0" />
+              <span className="truncate">{protoSchema ? protoSchema.fileName : '.proto'}</span>
+            </button>
+            <input ref={protoInputRef} type="file" accept=".proto" onChange={handleProtoChange} className="hidden" />
+            <select
+              value={protoType}
+              onChange={e => setProtoType(e.target.value)}
+              disabled={!protoSchema}
+              className="flex-1 min-w-0 bg-black border border-neutral-800 p-1.5 rounded outline-none text-xs focus:border-blue-500 disabled:opacity-50"
+            >
+              {!protoSchema && <option value="">Chưa tải schema</option>}
+              {protoSchema?.types.map(type => (
+                <option key={type} value={type}>
+                  {type}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
         <textarea
           value={messageBody}
           onChange={e => setMessageBody(e.target.value)}
           rows={6}
-          className="w-full bg-black border border-neutral-800 p-2 rounded outline-none focus:border-blue-500 text-xs"
+          spellCheck={false}
+          className={`w-full bg-black border p-2 rounded outline-none text-xs ${
+            schemaViolations?.length ? 'border-rose-600 focus:border-rose-500' : 'border-neutral-800 focus:border-blue-500'
+          }`}
+          placeholder={
+            payloadFormat === 'base64'
+              ? 'aGVsbG8='
+              : payloadFormat === 'hex'
+              ? '68 65 6c 6c 6f'
+              : payloadFormat === 'protobuf'
+              ? '{ "field": "value" } — JSON theo message type'
+              : undefined
+          }
         />
+        {schemaViolations && (
+          <div className="text-xs space-y-0.5">
+            {schemaViolations.length === 0 ? (
+              <p className="text-emerald-500">✓ Khớp JSON Schema</p>
+            ) : (
+              schemaViolations.map((v, i) => (
+                <p key={i} className="text-rose-500 break-all">
+                  ✗ <span className="font-mono">{v.path || '/'}</span>: {v.message}
+                  <span className="text-neutral-600"> ({v.pattern})</span>
+                </p>
+              ))
+            )}
+          </div>
+        )}
+        <p className="text-neutral-600 text-xs mt-1">
+          💡 Placeholders:{' '}
+          <span className="text-neutral-400 font-mono">
+            {'{{uuid}} {{timestamp}} {{isoDate}} {{randomInt 1 100}} {{counter}}'}
+          </span>
+        </p>
       </div>
+
+      {showPreview && (
+        <div>
+          <label className="block text-neutral-500 mb-1 text-xs">Preview (giá trị sẽ được tạo lại khi gửi)</label>
+          {Object.keys(preview.headers).length > 0 && (
+            <pre className="text-neutral-400 text-xs break-all whitespace-pre-wrap p-2 mb-1 rounded border bg-neutral-950/50 border-blue-600/30">
+              {Object.entries(preview.headers)
+                .map(([key, value]) => `${key}:${value}`)
+                .join('\n')}
+            </pre>
+          )}
+          <pre className="text-white text-xs break-all whitespace-pre-wrap p-2 rounded border bg-neutral-950/50 border-blue-600/30 max-h-48 overflow-y-auto">
+            {preview.text}
+          </pre>
+          {preview.unresolved.length > 0 && (
+            <p className="text-amber-500 text-xs mt-1">
+              ⚠️ Chưa có giá trị cho: {preview.unresolved.map(n => `{{${n}}}`).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
       
+      <label className="flex items-center gap-2 text-neutral-400 text-xs cursor-pointer">
+        <input
+          type="checkbox"
+          checked={requestReceipt}
+          onChange={e => setRequestReceipt(e.target.checked)}
+          className="accent-blue-500"
+        />
+        Yêu cầu RECEIPT từ broker
+      </label>
+
+      <label className="flex items-center gap-2 text-neutral-400 text-xs cursor-pointer">
+        <input
+          type="checkbox"
+          checked={requestReply.enabled}
+          onChange={e => setRequestReply({ ...requestReply, enabled: e.target.checked })}
+          className="accent-violet-500"
+        />
+        Request / reply (tự subscribe và ghép reply theo correlation id)
+      </label>
+
+      {requestReply.enabled && (
+        <div className="space-y-2 pl-5">
+          <div>
+            <label className="block text-neutral-500 mb-1 text-xs">Reply destination</label>
+            <input
+              type="text"
+              value={requestReply.replyDestination}
+              onChange={e => setRequestReply({ ...requestReply, replyDestination: e.target.value })}
+              className="w-full bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-violet-500"
+              placeholder="/user/queue/..."
+            />
+          </div>
+          <div className="flex gap-2">
+            <select
+              value={requestReply.location}
+              onChange={e => setRequestReply({ ...requestReply, location: e.target.value as CorrelationLocation })}
+              className="bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-violet-500"
+              title="Correlation id nằm ở header hay field JSON"
+            >
+              <option value="header">Header</option>
+              <option value="body">JSON field</option>
+            </select>
+            <input
+              type="text"
+              value={requestReply.correlationKey}
+              onChange={e => setRequestReply({ ...requestReply, correlationKey: e.target.value })}
+              className="flex-1 bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-violet-500"
+              placeholder="correlation-id"
+            />
+            <input
+              type="number"
+              min={0}
+              value={requestReply.timeoutMs}
+              onChange={e => setRequestReply({ ...requestReply, timeoutMs: Math.max(0, Number(e.target.value) || 0) })}
+              className="w-24 bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-violet-500"
+              title="Timeout (ms)"
+            />
+          </div>
+        </div>
+      )}
+
       <button
         onClick={onSend}
         disabled={!isConnected}
         className="w-full bg-blue-600 hover:bg-blue-700 text-white p-2 rounded font-bold disabled:opacity-50 transition-all text-xs"
       >
-        SEND STOMP MESSAGE
+        {requestReply.enabled ? 'SEND REQUEST' : 'SEND STOMP MESSAGE'}
       </button>
     </div>
   );
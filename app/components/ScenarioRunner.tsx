@@ -0,0 +1,275 @@
+import React, { useState } from 'react';
+import { CircleCheck, CircleX, FlaskConical, Loader, Play, Plus, Square, Trash2, X } from 'lucide-react';
+import {
+  Scenario,
+  ScenarioStep,
+  StepResult,
+  StepType,
+  STEP_TYPES,
+  createScenario,
+  createStep,
+} from '../lib/scenario';
+
+interface ScenarioRunnerProps {
+  scenarios: Scenario[];
+  setScenarios: React.Dispatch<React.SetStateAction<Scenario[]>>;
+  results: StepResult[];
+  isRunning: boolean;
+  onRun: (scenario: Scenario) => void;
+  onStop: () => void;
+}
+
+function StatusIcon({ result }: { result?: StepResult }) {
+  switch (result?.status) {
+    case 'running':
+      return <Loader size={12} className="text-blue-400 animate-spin" />;
+    case 'passed':
+      return <CircleCheck size={12} className="text-emerald-500" />;
+    case 'failed':
+      return <CircleX size={12} className="text-rose-500" />;
+    case 'skipped':
+      return <span className="w-3 text-center text-neutral-600">–</span>;
+    default:
+      return <span className="w-3 text-center text-neutral-700">·</span>;
+  }
+}
+
+interface StepEditorProps {
+  step: ScenarioStep;
+  result?: StepResult;
+  disabled: boolean;
+  onChange: (patch: Partial<ScenarioStep>) => void;
+  onRemove: () => void;
+}
+
+function StepEditor({ step, result, disabled, onChange, onRemove }: StepEditorProps) {
+  const inputClass =
+    'w-full bg-black border border-neutral-800 p-1.5 rounded outline-none text-xs focus:border-violet-500 disabled:opacity-50';
+
+  return (
+    <div
+      className={`bg-black p-2 rounded border space-y-1.5 ${
+        result?.status === 'failed'
+          ? 'border-rose-600'
+          : result?.status === 'passed'
+          ? 'border-emerald-700'
+          : 'border-neutral-800'
+      }`}
+    >
+      <div className="flex items-center gap-2">
+        <StatusIcon result={result} />
+        <select
+          value={step.type}
+          disabled={disabled}
+          onChange={e => onChange({ ...createStep(e.target.value as StepType), id: step.id })}
+          className="bg-black border border-neutral-800 p-1 rounded outline-none text-xs uppercase disabled:opacity-50"
+        >
+          {STEP_TYPES.map(type => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </select>
+        {(step.type === 'subscribe' || step.type === 'publish' || step.type === 'wait') && (
+          <input
+            type="text"
+            value={step.destination}
+            disabled={disabled}
+            onChange={e => onChange({ destination: e.target.value })}
+            className={`${inputClass} flex-1`}
+            placeholder="/topic/..."
+          />
+        )}
+        {(step.type === 'connect' || step.type === 'wait' || step.type === 'sleep') && (
+          <input
+            type="number"
+            min={0}
+            value={step.timeoutMs}
+            disabled={disabled}
+            onChange={e => onChange({ timeoutMs: Math.max(0, Number(e.target.value) || 0) })}
+            className={`${inputClass} !w-20`}
+            title={step.type === 'sleep' ? 'Thời gian (ms)' : 'Timeout (ms)'}
+          />
+        )}
+        <button
+          onClick={onRemove}
+          disabled={disabled}
+          className="ml-auto text-rose-500 hover:text-rose-400 disabled:opacity-50 flex-shrink-0"
+          title="Xóa bước"
+        >
+          <X size={12} />
+        </button>
+      </div>
+      {step.type === 'publish' && (
+        <textarea
+          value={step.body}
+          disabled={disabled}
+          onChange={e => onChange({ body: e.target.value })}
+          rows={3}
+          className={inputClass}
+        />
+      )}
+      {(step.type === 'wait' || step.type === 'assert') && (
+        <input
+          type="text"
+          value={step.expression}
+          disabled={disabled}
+          onChange={e => onChange({ expression: e.target.value })}
+          className={inputClass}
+          placeholder={step.type === 'wait' ? 'Lọc (tùy chọn): $.content ~= Hello' : '$.receiverId == 7'}
+        />
+      )}
+      {result?.message && (
+        <p
+          className={`text-[10px] break-all ${result.status === 'failed' ? 'text-rose-400' : 'text-neutral-500'}`}
+        >
+          {result.message}
+        </p>
+      )}
+      {result?.durationMs !== undefined && (
+        <p className="text-[10px] text-neutral-600">{result.durationMs} ms</p>
+      )}
+    </div>
+  );
+}
+
+export default function ScenarioRunner({
+  scenarios,
+  setScenarios,
+  results,
+  isRunning,
+  onRun,
+  onStop,
+}: ScenarioRunnerProps) {
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const scenario = scenarios.find(s => s.id === selectedId) || scenarios[0];
+
+  const updateScenario = (patch: Partial<Scenario>) => {
+    if (!scenario) return;
+    setScenarios(prev => prev.map(s => (s.id === scenario.id ? { ...s, ...patch } : s)));
+  };
+
+  const updateStep = (stepId: string, patch: Partial<ScenarioStep>) => {
+    if (!scenario) return;
+    updateScenario({ steps: scenario.steps.map(s => (s.id === stepId ? { ...s, ...patch } : s)) });
+  };
+
+  const addScenario = () => {
+    const created = createScenario(`Scenario ${scenarios.length + 1}`);
+    setScenarios(prev => [...prev, created]);
+    setSelectedId(created.id);
+  };
+
+  const deleteScenario = () => {
+    if (!scenario || !confirm(`Xóa scenario "${scenario.name}"?`)) return;
+    setScenarios(prev => prev.filter(s => s.id !== scenario.id));
+    setSelectedId(null);
+  };
+
+  const resultFor = (stepId: string) => results.find(r => r.stepId === stepId);
+  const passed = results.filter(r => r.status === 'passed').length;
+  const failed = results.some(r => r.status === 'failed');
+  // Only summarize results that belong to the scenario on screen
+  const finished =
+    !isRunning && results.length > 0 && !!scenario && results.every(r => scenario.steps.some(s => s.id === r.stepId));
+
+  return (
+    <div className="bg-neutral-900 p-4 border border-neutral-800 rounded-lg space-y-3">
+      <div className="flex items-center justify-between border-b border-neutral-800 pb-2 mb-3 text-xs">
+        <div className="flex items-center gap-2 text-white">
+          <FlaskConical size={14} /> <span>SCENARIOS</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={addScenario}
+            disabled={isRunning}
+            className="text-neutral-500 hover:text-white transition-colors disabled:opacity-50"
+            title="Scenario mới"
+          >
+            <Plus size={14} />
+          </button>
+          <button
+            onClick={deleteScenario}
+            disabled={!scenario || isRunning}
+            className="text-neutral-500 hover:text-rose-400 transition-colors disabled:opacity-50"
+            title="Xóa scenario"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      </div>
+
+      {!scenario ? (
+        <p className="text-neutral-600 text-xs italic py-2">Chưa có scenarios</p>
+      ) : (
+        <>
+          <div className="flex gap-2">
+            <select
+              value={scenario.id}
+              disabled={isRunning}
+              onChange={e => setSelectedId(e.target.value)}
+              className="w-1/2 bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-violet-500 disabled:opacity-50"
+            >
+              {scenarios.map(s => (
+                <option key={s.id} value={s.id}>
+                  {s.name}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={scenario.name}
+              disabled={isRunning}
+              onChange={e => updateScenario({ name: e.target.value })}
+              className="w-1/2 bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-violet-500 disabled:opacity-50"
+            />
+          </div>
+
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {scenario.steps.map(step => (
+              <StepEditor
+                key={step.id}
+                step={step}
+                result={resultFor(step.id)}
+                disabled={isRunning}
+                onChange={patch => updateStep(step.id, patch)}
+                onRemove={() => updateScenario({ steps: scenario.steps.filter(s => s.id !== step.id) })}
+              />
+            ))}
+            <button
+              onClick={() => updateScenario({ steps: [...scenario.steps, createStep('publish')] })}
+              disabled={isRunning}
+              className="flex items-center gap-1 text-[10px] text-neutral-500 hover:text-white transition-colors disabled:opacity-50"
+            >
+              <Plus size={10} /> Thêm bước
+            </button>
+          </div>
+
+          {finished && (
+            <p className={`text-xs font-bold ${failed ? 'text-rose-500' : 'text-emerald-500'}`}>
+              {failed ? '✗ FAILED' : '✓ PASSED'} — {passed}/{results.length} bước thành công
+            </p>
+          )}
+
+          <button
+            onClick={() => (isRunning ? onStop() : onRun(scenario))}
+            disabled={!isRunning && scenario.steps.length === 0}
+            className={`w-full p-2 rounded font-bold transition-all text-xs flex items-center justify-center gap-2 disabled:opacity-50 ${
+              isRunning ? 'bg-orange-600 hover:bg-orange-700 text-white' : 'bg-violet-600 hover:bg-violet-700 text-white'
+            }`}
+          >
+            {isRunning ? (
+              <>
+                <Square size={12} /> STOP
+              </>
+            ) : (
+              <>
+                <Play size={12} /> RUN SCENARIO
+              </>
+            )}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
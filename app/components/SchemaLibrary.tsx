@@ -0,0 +1,125 @@
+import React, { useRef, useState } from 'react';
+import { FileCheck, Save, Trash2, Upload } from 'lucide-react';
+import { DestinationSchema, matchesDestination } from '../lib/schemas';
+
+interface SchemaLibraryProps {
+  schemas: DestinationSchema[];
+  sendDest: string;
+  onSave: (pattern: string, schema: string) => boolean;
+  onDelete: (id: string) => void;
+}
+
+const SCHEMA_EXAMPLE = `{
+  "type": "object",
+  "required": ["receiverId", "content"],
+  "properties": {
+    "receiverId": { "type": "integer" },
+    "content": { "type": "string" }
+  }
+}`;
+
+export default function SchemaLibrary({ schemas, sendDest, onSave, onDelete }: SchemaLibraryProps) {
+  const [pattern, setPattern] = useState('');
+  const [source, setSource] = useState(SCHEMA_EXAMPLE);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const handleSave = () => {
+    if (onSave(pattern, source)) {
+      setPattern('');
+    }
+  };
+
+  const edit = (schema: DestinationSchema) => {
+    setPattern(schema.pattern);
+    setSource(schema.schema);
+  };
+
+  // A bare JSON Schema file is loaded into the editor; templates exports go through the template import
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) setSource(await file.text());
+  };
+
+  return (
+    <div className="bg-neutral-900 p-4 border border-neutral-800 rounded-lg space-y-3">
+      <div className="flex items-center justify-between border-b border-neutral-800 pb-2 mb-3 text-xs">
+        <div className="flex items-center gap-2 text-white">
+          <FileCheck size={14} /> <span>JSON SCHEMAS</span>
+        </div>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="text-neutral-500 hover:text-white transition-colors"
+          title="Mở file JSON Schema"
+        >
+          <Upload size={14} />
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={pattern}
+          onChange={e => setPattern(e.target.value)}
+          className="flex-1 min-w-0 bg-black border border-neutral-800 p-2 rounded outline-none text-xs font-mono focus:border-blue-500"
+          placeholder={sendDest || '/app/chat.*'}
+        />
+        <button
+          onClick={handleSave}
+          disabled={!pattern.trim() || !source.trim()}
+          className="bg-neutral-800 px-3 rounded hover:bg-neutral-700 disabled:opacity-50 text-xs font-bold transition-all"
+          title="Lưu schema cho pattern"
+        >
+          <Save size={14} />
+        </button>
+      </div>
+      <textarea
+        value={source}
+        onChange={e => setSource(e.target.value)}
+        rows={6}
+        spellCheck={false}
+        className="w-full bg-black border border-neutral-800 p-2 rounded outline-none focus:border-blue-500 text-xs font-mono"
+      />
+      <p className="text-neutral-600 text-xs">
+        💡 <span className="font-mono text-neutral-400">*</span> trong một segment,{' '}
+        <span className="font-mono text-neutral-400">**</span> qua nhiều segment. Schemas được export cùng templates.
+      </p>
+
+      <div className="space-y-2 max-h-48 overflow-y-auto pt-2">
+        {schemas.length === 0 ? (
+          <p className="text-neutral-600 text-xs italic py-2">Chưa có schemas</p>
+        ) : (
+          schemas.map(s => (
+            <div
+              key={s.id}
+              className="flex items-center justify-between bg-black p-2 rounded border border-neutral-700 hover:border-blue-600 transition-all text-xs"
+            >
+              <button onClick={() => edit(s)} className="flex-1 min-w-0 text-left" title="Sửa schema">
+                <span className="block text-blue-400 font-mono truncate">{s.pattern}</span>
+              </button>
+              {sendDest && matchesDestination(s.pattern, sendDest) && (
+                <span className="text-[10px] text-emerald-500 whitespace-nowrap ml-2" title={`Áp dụng cho ${sendDest}`}>
+                  đang áp dụng
+                </span>
+              )}
+              <button
+                onClick={() => onDelete(s.id)}
+                className="text-rose-500 hover:text-rose-400 hover:bg-rose-500/10 p-1 rounded transition-all ml-2 flex-shrink-0"
+                title="Xóa schema"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+
+export interface SessionTab {
+  id: string;
+  name: string;
+  profileId: string;
+}
+
+interface SessionTabsProps {
+  sessions: SessionTab[];
+  activeSessionId: string;
+  connectedSessions: { [id: string]: boolean };
+  onSelect: (id: string) => void;
+  onAdd: () => void;
+  onClose: (id: string) => void;
+  onRename: (id: string, name: string) => void;
+}
+
+export default function SessionTabs({
+  sessions,
+  activeSessionId,
+  connectedSessions,
+  onSelect,
+  onAdd,
+  onClose,
+  onRename,
+}: SessionTabsProps) {
+  const handleRename = (session: SessionTab) => {
+    const name = prompt('Tên session:', session.name);
+    if (name && name.trim()) onRename(session.id, name.trim());
+  };
+
+  return (
+    <div className="flex items-center gap-1 overflow-x-auto text-xs">
+      {sessions.map(session => (
+        <div
+          key={session.id}
+          onClick={() => onSelect(session.id)}
+          onDoubleClick={() => handleRename(session)}
+          className={`flex items-center gap-2 px-3 py-2 rounded-t-lg border border-b-0 cursor-pointer transition-all whitespace-nowrap ${
+            session.id === activeSessionId
+              ? 'bg-neutral-900 border-neutral-700 text-white'
+              : 'bg-neutral-950 border-neutral-800 text-neutral-500 hover:text-neutral-300'
+          }`}
+          title="Double-click để đổi tên"
+        >
+          <span
+            className={`w-1.5 h-1.5 rounded-full ${
+              connectedSessions[session.id] ? 'bg-emerald-500' : 'bg-rose-500'
+            }`}
+          />
+          <span>{session.name}</span>
+          {sessions.length > 1 && (
+            <button
+              onClick={e => {
+                e.stopPropagation();
+                onClose(session.id);
+              }}
+              className="text-neutral-600 hover:text-rose-400 transition-colors"
+              title="Đóng session"
+            >
+              <X size={12} />
+            </button>
+          )}
+        </div>
+      ))}
+      <button
+        onClick={onAdd}
+        className="p-2 text-neutral-500 hover:text-white transition-colors"
+        title="Session mới"
+      >
+        <Plus size={14} />
+      </button>
+    </div>
+  );
+}
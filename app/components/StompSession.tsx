@@ -0,0 +1,1294 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Client, IMessage, ITransaction, StompSubscription } from '@stomp/stompjs';
+import ConnectionConfig from './ConnectionConfig';
+import SubscribeSection from './SubscribeSection';
+import PublishMessage from './PublishMessage';
+import TransactionPanel from './TransactionPanel';
+import LogPanel from './LogPanel';
+import DisconnectConfirm from './DisconnectConfirm';
+import TemplateLibrary from './TemplateLibrary';
+import SchemaLibrary from './SchemaLibrary';
+import EnvironmentVariables from './EnvironmentVariables';
+import ProfileManager from './ProfileManager';
+import TraceViewer from './TraceViewer';
+import ScenarioRunner from './ScenarioRunner';
+import LoadTestPanel from './LoadTestPanel';
+import FrameInspector from './FrameInspector';
+import {
+  AckMode,
+  DEFAULT_SUBSCRIBE_OPTIONS,
+  LogEntry,
+  LogExtras,
+  SubscribeOptions,
+  SubscriptionEntry,
+  TransactionStatus,
+  TransactionSummary,
+} from './types';
+import { buildBrokerUrl, validateBrokerUrl } from '../lib/brokerUrl';
+import { AgentStatus, BUILT_IN_APP_ORIGIN, agentStatusMessage, shouldUseAgent } from '../lib/localAgent';
+import { downloadTextFile } from '../lib/storage';
+import { KeyValuePair, pairsToRecord, recordToPairs } from '../lib/keyValue';
+import { PlaceholderContext, resolveMessage, resolvePlaceholders, resolveHeaderPlaceholders } from '../lib/placeholders';
+import {
+  MessageTemplate,
+  createTemplate,
+  exportTemplates,
+  parseTemplateImport,
+  mergeTemplates,
+} from '../lib/templates';
+import {
+  ConnectionProfile,
+  DEFAULT_PROFILE,
+  createProfile,
+  createMockBrokerProfile,
+  MOCK_BROKER_URL,
+  buildConnectHeaders,
+  exportProfiles,
+  parseProfileImport,
+} from '../lib/profiles';
+import { Scenario, StepResult, runScenario } from '../lib/scenario';
+import { DEFAULT_LOAD_CONFIG, LoadTestConfig, LoadTestStats, emptyStats, runLoadTest } from '../lib/loadTest';
+import { createLoadTestDriver, createScenarioDriver } from '../lib/runDrivers';
+import { ConnectionSettings, StompConnection } from '../lib/stompConnection';
+import {
+  DEFAULT_REQUEST_REPLY,
+  RequestReplyConfig,
+  attachCorrelation,
+  extractCorrelation,
+  newCorrelationId,
+} from '../lib/requestReply';
+import { StompFrameRecord, buildRawFrame, parseFrameText, tapSocket } from '../lib/stompFrames';
+import { resolveReconnectPolicy } from '../lib/reconnect';
+import {
+  DestinationSchema,
+  compileSchema,
+  createDestinationSchema,
+  formatViolation,
+  mergeSchemas,
+  parseSchemaImport,
+  validateBody,
+} from '../lib/schemas';
+import { PayloadFormat, ProtoSchema, decodePayload, encodePayload, parseProtoSchema } from '../lib/payloadFormat';
+import { TraceFormat, TrafficTrace, exportTrace, parseTraceImport, traceConnection, traceFileName } from '../lib/trafficTrace';
+
+// How long to wait for a RECEIPT frame before flagging it in the log
+const RECEIPT_TIMEOUT_MS = 10_000;
+
+// Upper bound on retained log entries; the log panel is virtualized
+const MAX_LOG_ENTRIES = 20_000;
+
+// Frame inspector: retained frames, and how often buffered frames are flushed to state
+const MAX_FRAMES = 2_000;
+const FRAME_FLUSH_MS = 100;
+
+// Generated subscription ids; stompjs uses "sub-N" for its own
+const SUBSCRIPTION_ID_PREFIX = 'sub-ui-';
+
+type PendingAck = { message: IMessage; subscriptionId: string; ack: AckMode };
+
+/**
+ * The open transaction. Log ids are kept so commit/abort can flag the
+ * entries; ACKs keep their pending record so an abort can undo them.
+ */
+interface OpenTransaction {
+  handle: ITransaction;
+  sentLogIds: string[];
+  acks: Map<string, PendingAck>;
+}
+
+interface StompSessionProps {
+  sessionName: string;
+  profiles: ConnectionProfile[];
+  setProfiles: React.Dispatch<React.SetStateAction<ConnectionProfile[]>>;
+  profileId: string;
+  onProfileIdChange: (id: string) => void;
+  templates: MessageTemplate[];
+  setTemplates: React.Dispatch<React.SetStateAction<MessageTemplate[]>>;
+  schemas: DestinationSchema[];
+  setSchemas: React.Dispatch<React.SetStateAction<DestinationSchema[]>>;
+  scenarios: Scenario[];
+  setScenarios: React.Dispatch<React.SetStateAction<Scenario[]>>;
+  agentStatus: AgentStatus | null; // null = not needed (running on localhost)
+  onConnectionChange: (isConnected: boolean) => void;
+}
+
+/**
+ * One independent STOMP session: its own client, subscriptions,
+ * publish form and traffic log. Rendered once per tab.
+ */
+export default function StompSession({
+  sessionName,
+  profiles,
+  setProfiles,
+  profileId,
+  onProfileIdChange,
+  templates,
+  setTemplates,
+  schemas,
+  setSchemas,
+  scenarios,
+  setScenarios,
+  agentStatus,
+  onConnectionChange,
+}: StompSessionProps) {
+  // Connection State
+  const activeProfile = profiles.find(p => p.id === profileId) || profiles[0] || DEFAULT_PROFILE;
+  const url = activeProfile.url;
+  const [isConnected, setIsConnectedState] = useState(false);
+  const [client, setClient] = useState<Client | null>(null);
+  // Client lifecycle: connect, page-side reconnect, waiters and run subscriptions
+  const [connection] = useState(() => new StompConnection());
+  const [isDisconnecting, setIsDisconnecting] = useState(false);
+  const [showDisconnectConfirm, setShowDisconnectConfirm] = useState(false);
+  // Page-side reconnect (non-agent mode; the extension handles agent sockets)
+  const [isReconnecting, setIsReconnecting] = useState(false);
+
+  // Messaging State
+  const [subscribeDest, setSubscribeDest] = useState('/user/queue/messages');
+  const [subscriptions, setSubscriptions] = useState<SubscriptionEntry[]>([]);
+  // Latest subscriptions for the STOMP callbacks, which close over an older render
+  const subscriptionsRef = useRef<SubscriptionEntry[]>([]);
+  // Live StompSubscription handles of the current session, by subscription id
+  const subscriptionHandlesRef = useRef(new Map<string, StompSubscription>());
+  const subscriptionCounterRef = useRef(0);
+  const [subscribeOptions, setSubscribeOptions] = useState<SubscribeOptions>(DEFAULT_SUBSCRIBE_OPTIONS);
+  // Received messages awaiting ACK/NACK, by log entry id
+  const pendingAcksRef = useRef(new Map<string, PendingAck>());
+  const transactionRef = useRef<OpenTransaction | null>(null);
+  const [transaction, setTransaction] = useState<TransactionSummary | null>(null);
+  const [messageCounters, setMessageCounters] = useState<{ [key: string]: number }>({});
+  const [sendDest, setSendDest] = useState('/app/chat.send');
+  const [messageBody, setMessageBody] = useState('{\n  "receiverId": 7,\n  "content": "Hello world!"\n}');
+  const [sendHeaders, setSendHeaders] = useState<KeyValuePair[]>([]);
+  const [payloadFormat, setPayloadFormat] = useState<PayloadFormat>('json');
+  const [protoSchema, setProtoSchema] = useState<ProtoSchema | null>(null);
+  // Read by the STOMP message callbacks, which close over an older render
+  const protoSchemaRef = useRef<ProtoSchema | null>(null);
+  const [protoType, setProtoType] = useState('');
+
+  // Live check of the publish body against the schemas for the send destination
+  const sendViolations = useMemo(() => {
+    if (payloadFormat !== 'json' && payloadFormat !== 'protobuf') return null;
+    const body = resolvePlaceholders(messageBody, { variables: pairsToRecord(activeProfile.variables), counter: 1 }).text;
+    return validateBody(schemas, sendDest, body);
+  }, [schemas, sendDest, messageBody, payloadFormat, activeProfile.variables]);
+  const [requestReceipt, setRequestReceipt] = useState(false);
+  // RECEIPT timeouts still running, by receipt id
+  const pendingReceiptsRef = useRef(new Map<string, ReturnType<typeof setTimeout>>());
+
+  const sendCounterRef = useRef(0);
+  // Mirror of sendCounterRef for rendering, synced after manual sends and runs
+  const [sendCounter, setSendCounter] = useState(0);
+
+  // Request/reply: outstanding requests keyed by correlation id
+  const [requestReply, setRequestReply] = useState<RequestReplyConfig>(DEFAULT_REQUEST_REPLY);
+  const pendingRepliesRef = useRef(
+    new Map<string, { logId: string; sentAt: number; timer: ReturnType<typeof setTimeout> }>()
+  );
+  // Correlation settings of the latest request, used to read ids back from replies
+  const correlationRef = useRef<Pick<RequestReplyConfig, 'correlationKey' | 'location'>>(DEFAULT_REQUEST_REPLY);
+
+  // Log State
+  const [logs, setLogs] = useState<LogEntry[]>([]);
+  const [importedTrace, setImportedTrace] = useState<TrafficTrace | null>(null);
+
+  // Frame Inspector State
+  const [frames, setFrames] = useState<StompFrameRecord[]>([]);
+  const pendingFramesRef = useRef<StompFrameRecord[]>([]);
+  const rawSocketRef = useRef<{ send: (data: string) => void } | null>(null);
+
+  // Scenario State
+  const [scenarioResults, setScenarioResults] = useState<StepResult[]>([]);
+  const [scenarioRunning, setScenarioRunning] = useState(false);
+  const scenarioAbortRef = useRef<AbortController | null>(null);
+
+  // Load Test State
+  const [loadConfig, setLoadConfig] = useState<LoadTestConfig>(DEFAULT_LOAD_CONFIG);
+  const [loadStats, setLoadStats] = useState<LoadTestStats>(emptyStats);
+  const loadAbortRef = useRef<AbortController | null>(null);
+
+  // Report agent detection result in this session's log
+  useEffect(() => {
+    if (agentStatus === 'available') {
+      addLog('info', '🔌 Stomp Local Agent extension detected!');
+    } else if (agentStatus !== null) {
+      addLog('info', `⚠️ ${agentStatusMessage(agentStatus)}`);
+    }
+  }, [agentStatus]);
+
+  useEffect(() => {
+    subscriptionsRef.current = subscriptions;
+  }, [subscriptions]);
+
+  // Schemas for the STOMP message callbacks
+  const schemasRef = useRef<DestinationSchema[]>(schemas);
+  useEffect(() => {
+    schemasRef.current = schemas;
+  }, [schemas]);
+
+  // Close the connection when the tab is closed
+  useEffect(() => {
+    const pendingReplies = pendingRepliesRef.current;
+    const pendingReceipts = pendingReceiptsRef.current;
+    return () => {
+      pendingReplies.forEach(pending => clearTimeout(pending.timer));
+      pendingReceipts.forEach(timer => clearTimeout(timer));
+      connection.disconnect();
+    };
+  }, [connection]);
+
+  const setIsConnected = (value: boolean) => {
+    setIsConnectedState(value);
+    onConnectionChange(value);
+  };
+
+  const addLog = (type: LogEntry['type'], content: string, destination?: string, extras?: LogExtras): string => {
+    const time = performance.timeOrigin + performance.now();
+    const id = Math.random().toString(36).substring(7);
+    const newLog: LogEntry = {
+      id,
+      timestamp: new Date(time).toLocaleTimeString(),
+      time,
+      type,
+      content,
+      destination,
+      ...extras,
+    };
+    setLogs(prev => [...prev.slice(-(MAX_LOG_ENTRIES - 1)), newLog]);
+    return id;
+  };
+
+  const updateLog = (id: string, patch: LogExtras) => {
+    setLogs(prev => prev.map(log => (log.id === id ? { ...log, ...patch } : log)));
+  };
+
+  // Frames are buffered and flushed in batches so bursts don't re-render per frame
+  const recordFrame = (frame: StompFrameRecord) => {
+    const pending = pendingFramesRef.current;
+    pending.push(frame);
+    if (pending.length > 1) return;
+    setTimeout(() => {
+      const batch = pendingFramesRef.current;
+      pendingFramesRef.current = [];
+      setFrames(prev => [...prev, ...batch].slice(-MAX_FRAMES));
+    }, FRAME_FLUSH_MS);
+  };
+
+  const tap = <T extends object>(socket: T): T => {
+    rawSocketRef.current = socket as unknown as { send: (data: string) => void };
+    return tapSocket(socket, recordFrame);
+  };
+
+  const connect = () => {
+    // Validate URL
+    const validation = validateBrokerUrl(url);
+    if (!validation.valid) {
+      addLog('error', `✗ Lỗi URL: ${validation.error}`);
+      alert(`❌ ${validation.error}\n\nVí dụ: http://localhost:8080/ws/chat hoặc ws://localhost:8080/ws`);
+      connection.fail(validation.error);
+      return;
+    }
+
+    clearPendingReceipts();
+    const useAgent = shouldUseAgent(url);
+    const brokerURL = buildBrokerUrl(url);
+    
+    addLog('info', `Đang kết nối tới ${url}...`);
+    addLog('info', `[DEBUG] WebSocket URL: ${brokerURL}`);
+    if (useAgent && url.startsWith('http')) {
+      addLog('info', `[DEBUG] Sử dụng SockJS qua Local Agent extension proxy`);
+    } else if (useAgent) {
+      addLog('info', `[DEBUG] Sử dụng Local Agent extension proxy`);
+    } else if (url.startsWith('http')) {
+      addLog('info', `[DEBUG] Sử dụng SockJS fallback`);
+    }
+
+    // Check if agent is needed but not available
+    if (useAgent && agentStatus === 'untrusted') {
+      addLog('error', `✗ ${agentStatusMessage(agentStatus)}`);
+      connection.fail('Origin chưa được Stomp Local Agent tin cậy');
+      return;
+    }
+    if (useAgent && agentStatus !== 'available') {
+      addLog('error', '✗ Cần cài đặt Stomp Local Agent extension để kết nối tới localhost từ Vercel.');
+      addLog('info', '💡 Gợi ý: Cài extension từ thư mục stomp-local-agent/ → chrome://extensions → Load unpacked');
+      if (window.location.origin !== BUILT_IN_APP_ORIGIN) {
+        addLog('info', `💡 App tự host: thêm ${window.location.origin} vào Trusted app origins trong Options của extension`);
+      }
+      connection.fail('Cần cài đặt Stomp Local Agent extension');
+      return;
+    }
+
+    const settings: ConnectionSettings = {
+      url,
+      useAgent,
+      connectHeaders: resolveHeaderPlaceholders(
+        buildConnectHeaders(activeProfile),
+        placeholderContext(sendCounterRef.current)
+      ).headers,
+      heartbeatIncoming: activeProfile.heartbeatIncoming,
+      heartbeatOutgoing: activeProfile.heartbeatOutgoing,
+      reconnect: resolveReconnectPolicy(activeProfile.reconnect),
+    };
+    connection.connect(settings, {
+      log: addLog,
+      connected: stompClient => {
+        setIsConnected(true);
+        setClient(stompClient);
+        restoreSubscriptions(stompClient);
+      },
+      disconnected: () => {
+        setIsConnected(false);
+        setClient(null);
+      },
+      sessionLost: () => {
+        markSubscriptionsPending();
+        abandonTransaction();
+        clearPendingReceipts();
+      },
+      reconnectingChange: setIsReconnecting,
+      wrapSocket: tap,
+    });
+  };
+
+  const disconnect = async () => {
+    if (!client) return;
+    
+    setIsDisconnecting(true);
+    try {
+      // Hủy tất cả subscriptions
+      subscriptionHandlesRef.current.forEach((handle, id) => {
+        try {
+          handle.unsubscribe();
+        } catch (e) {
+          console.log(`Failed to unsubscribe ${id}`);
+        }
+      });
+      subscriptionHandlesRef.current.clear();
+
+      // Đợi một chút trước khi deactivate
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      clearPendingReceipts();
+      connection.disconnect();
+      setIsConnected(false);
+      setClient(null);
+      setSubscriptions([]);
+      setMessageCounters({});
+      addLog('info', 'Đã hủy kết nối thành công. Tất cả subscriptions đã bị xóa.');
+      setShowDisconnectConfirm(false);
+    } catch (err) {
+      addLog('error', `Lỗi khi hủy kết nối: ${err}`);
+    } finally {
+      setIsDisconnecting(false);
+    }
+  };
+
+  const handleDisconnectClick = () => {
+    if (isConnected) {
+      setShowDisconnectConfirm(true);
+    } else if (isReconnecting) {
+      connection.disconnect('Đã hủy reconnect');
+      addLog('info', 'Đã hủy reconnect.');
+    }
+  };
+
+  const unsubscribe = (id: string) => {
+    const entry = subscriptions.find(s => s.id === id);
+    if (!entry) return;
+
+    try {
+      // While disconnected there is no handle; just stop restoring it
+      const handle = subscriptionHandlesRef.current.get(id);
+      if (handle && client) {
+        handle.unsubscribe();
+      }
+      subscriptionHandlesRef.current.delete(id);
+      setSubscriptions(subscriptions.filter(s => s.id !== id));
+      setMessageCounters(prev => {
+        const updated = { ...prev };
+        delete updated[id];
+        return updated;
+      });
+      addLog('info', `Đã hủy subscribe: ${entry.destination} (id: ${id})`);
+    } catch (err) {
+      addLog('error', `Lỗi khi hủy subscribe ${entry.destination}: ${err}`);
+    }
+  };
+
+  /**
+   * Log an inbound message, pairing it with its request when it carries the
+   * correlation id of an outstanding request/reply send. Messages from
+   * client-ack subscriptions are kept until the user ACKs or NACKs them.
+   */
+  const handleIncoming = (destination: string, message: IMessage, subscription?: SubscriptionEntry) => {
+    const headers = { ...message.headers };
+    const decoded = decodePayload(
+      message,
+      headers['content-type'],
+      subscription?.format ?? 'auto',
+      protoSchemaRef.current,
+      subscription?.messageType
+    );
+    const pendingReplies = pendingRepliesRef.current;
+    const correlationId =
+      pendingReplies.size > 0 ? extractCorrelation(correlationRef.current, headers, decoded.text) : undefined;
+    const pending = correlationId ? pendingReplies.get(correlationId) : undefined;
+    const ackExtras: LogExtras =
+      subscription && subscription.ack !== 'auto'
+        ? { subscriptionId: subscription.id, ackStatus: 'pending' }
+        : {};
+    const formatExtras: LogExtras = {
+      payloadFormat: decoded.format,
+      messageType: decoded.messageType,
+      decodeError: decoded.error,
+      ...(decoded.format === 'json' || decoded.format === 'protobuf' ? schemaExtras(destination, decoded.text) : {}),
+    };
+
+    let logId: string;
+    if (correlationId && pending) {
+      clearTimeout(pending.timer);
+      pendingReplies.delete(correlationId);
+      const roundTripMs = Math.round(performance.now() - pending.sentAt);
+      updateLog(pending.logId, { replyStatus: 'replied', roundTripMs });
+      logId = addLog('received', decoded.text, destination, {
+        headers,
+        correlationId,
+        roundTripMs,
+        ...formatExtras,
+        ...ackExtras,
+      });
+    } else {
+      logId = addLog('received', decoded.text, destination, { headers, ...formatExtras, ...ackExtras });
+    }
+
+    if (subscription && subscription.ack !== 'auto') {
+      pendingAcksRef.current.set(logId, { message, subscriptionId: subscription.id, ack: subscription.ack });
+    }
+  };
+
+  const attachSubscription = (stompClient: Client, entry: SubscriptionEntry) => {
+    const { id, destination, ack, headers } = entry;
+    const handle = stompClient.subscribe(destination, (message) => {
+      handleIncoming(destination, message, entry);
+      // Increments message counter
+      setMessageCounters(prev => ({
+        ...prev,
+        [id]: (prev[id] || 0) + 1
+      }));
+    }, { ...headers, id, ack });
+    subscriptionHandlesRef.current.set(id, handle);
+  };
+
+  const nextSubscriptionId = (): string => {
+    const used = new Set(subscriptions.map(s => s.id));
+    let id: string;
+    do {
+      id = `${SUBSCRIPTION_ID_PREFIX}${++subscriptionCounterRef.current}`;
+    } while (used.has(id));
+    return id;
+  };
+
+  const subscribeTo = (stompClient: Client, destination: string, options: SubscribeOptions = DEFAULT_SUBSCRIBE_OPTIONS) => {
+    const headers = pairsToRecord(options.headers);
+    if (options.selector.trim()) {
+      headers['selector'] = options.selector.trim();
+    }
+    const entry: SubscriptionEntry = {
+      id: options.id.trim() || nextSubscriptionId(),
+      destination,
+      ack: options.ack,
+      headers,
+      format: options.format,
+      messageType: options.format === 'protobuf' ? options.messageType : undefined,
+      status: 'active',
+    };
+    attachSubscription(stompClient, entry);
+
+    setSubscriptions(prev => [...prev, entry]);
+    setMessageCounters(prev => ({
+      ...prev,
+      [entry.id]: 0
+    }));
+    addLog('info', `Đã subscribe destination: ${destination} (id: ${entry.id}, ack: ${entry.ack})`);
+  };
+
+  const markSubscriptionsPending = () => {
+    setSubscriptions(prev => prev.map(s => ({ ...s, status: 'pending' })));
+    subscriptionHandlesRef.current.clear();
+
+    // Unacked messages belong to the lost session; the broker will redeliver them
+    const expired = new Set(pendingAcksRef.current.keys());
+    pendingAcksRef.current.clear();
+    if (expired.size > 0) {
+      setLogs(prev => prev.map(log => (expired.has(log.id) ? { ...log, ackStatus: 'expired' } : log)));
+    }
+  };
+
+  /**
+   * Re-issue every tracked subscription, with its original id, ack mode and
+   * headers, on a fresh STOMP session (after any reconnect or a manual connect).
+   */
+  const restoreSubscriptions = (stompClient: Client) => {
+    const entries = subscriptionsRef.current;
+    if (entries.length === 0) return;
+
+    const failed = new Set<string>();
+    for (const entry of entries) {
+      try {
+        attachSubscription(stompClient, entry);
+        addLog('info', `♻️ Đã khôi phục subscription: ${entry.destination} (id: ${entry.id})`);
+      } catch (err) {
+        failed.add(entry.id);
+        addLog('error', `✗ Khôi phục subscription thất bại: ${entry.destination} (${err instanceof Error ? err.message : err})`);
+      }
+    }
+    addLog('info', `Khôi phục ${entries.length - failed.size}/${entries.length} subscriptions`);
+    setSubscriptions(prev => prev.map(s => ({ ...s, status: failed.has(s.id) ? 'failed' : 'active' })));
+  };
+
+  const subscribe = () => {
+    if (!client || !isConnected) return;
+
+    const customId = subscribeOptions.id.trim();
+    if (customId && subscriptions.some(s => s.id === customId)) {
+      alert('ID subscription này đã tồn tại!');
+      return;
+    }
+    if (subscribeOptions.format === 'protobuf' && !subscribeOptions.messageType) {
+      alert('Chưa chọn message type!');
+      return;
+    }
+
+    subscribeTo(client, subscribeDest, subscribeOptions);
+    if (customId) {
+      setSubscribeOptions(prev => ({ ...prev, id: '' }));
+    }
+  };
+
+  /**
+   * ACK or NACK a message from a client / client-individual subscription.
+   * In `client` mode the frame is cumulative: it also settles every earlier
+   * pending message of the same subscription.
+   */
+  const acknowledge = (log: LogEntry, action: 'ack' | 'nack') => {
+    const pending = pendingAcksRef.current.get(log.id);
+    if (!pending) return;
+
+    const tx = transactionRef.current;
+    const txHeaders: Record<string, string> = tx ? { transaction: tx.handle.id } : {};
+    try {
+      if (action === 'ack') {
+        pending.message.ack(txHeaders);
+      } else {
+        pending.message.nack(txHeaders);
+      }
+    } catch (err) {
+      addLog('error', `✗ ${action.toUpperCase()} thất bại: ${err instanceof Error ? err.message : err}`);
+      return;
+    }
+
+    const settled = new Set([log.id]);
+    if (pending.ack === 'client') {
+      const logIndex = logs.findIndex(l => l.id === log.id);
+      logs.slice(0, logIndex).forEach(l => {
+        if (l.ackStatus === 'pending' && l.subscriptionId === pending.subscriptionId) settled.add(l.id);
+      });
+    }
+    settled.forEach(id => {
+      const record = pendingAcksRef.current.get(id);
+      if (tx && record) tx.acks.set(id, record);
+      pendingAcksRef.current.delete(id);
+    });
+
+    const ackStatus = action === 'ack' ? 'acked' : 'nacked';
+    const txExtras: LogExtras = tx ? { transactionId: tx.handle.id, transactionStatus: 'pending' } : {};
+    setLogs(prev => prev.map(l => (settled.has(l.id) ? { ...l, ackStatus, ...txExtras } : l)));
+    const extra = settled.size > 1 ? ` (+${settled.size - 1} message trước đó, ack: client)` : '';
+    addLog(
+      'info',
+      `${action === 'ack' ? '✓ ACK' : '✗ NACK'} message-id ${pending.message.headers['message-id'] ?? '?'} trên ${pending.subscriptionId}${extra}`,
+      log.destination,
+      txExtras
+    );
+    if (tx) {
+      setTransaction(prev => (prev ? { ...prev, acks: tx.acks.size } : prev));
+    }
+  };
+
+  const beginTransaction = (name: string) => {
+    if (!client || !isConnected || transactionRef.current) return;
+
+    const id = name.trim() || undefined;
+    try {
+      const handle = client.begin(id);
+      transactionRef.current = { handle, sentLogIds: [], acks: new Map() };
+      setTransaction({ id: handle.id, startedAt: Date.now(), sends: 0, acks: 0 });
+      addLog('info', `▶ BEGIN transaction ${handle.id}`);
+    } catch (err) {
+      addLog('error', `✗ BEGIN thất bại: ${err instanceof Error ? err.message : err}`);
+    }
+  };
+
+  /** Flag every log entry that belongs to the transaction once it ends */
+  const settleTransactionLogs = (tx: OpenTransaction, status: TransactionStatus) => {
+    const sent = new Set(tx.sentLogIds);
+    setLogs(prev =>
+      prev.map(l => {
+        if (sent.has(l.id)) return { ...l, transactionStatus: status };
+        if (!tx.acks.has(l.id)) return l;
+        // Aborted ACK/NACKs are undone: the message is pending again
+        return status === 'aborted'
+          ? { ...l, ackStatus: 'pending', transactionId: undefined, transactionStatus: undefined }
+          : { ...l, transactionStatus: status };
+      })
+    );
+  };
+
+  const endTransaction = (action: 'commit' | 'abort') => {
+    const tx = transactionRef.current;
+    if (!tx) return;
+
+    try {
+      if (action === 'commit') {
+        tx.handle.commit();
+      } else {
+        tx.handle.abort();
+      }
+    } catch (err) {
+      addLog('error', `✗ ${action.toUpperCase()} thất bại: ${err instanceof Error ? err.message : err}`);
+      return;
+    }
+
+    transactionRef.current = null;
+    setTransaction(null);
+    if (action === 'abort') {
+      tx.acks.forEach((record, logId) => pendingAcksRef.current.set(logId, record));
+    }
+    settleTransactionLogs(tx, action === 'commit' ? 'committed' : 'aborted');
+    addLog(
+      'info',
+      `${action === 'commit' ? '✓ COMMIT' : '✗ ABORT'} transaction ${tx.handle.id} (${tx.sentLogIds.length} send, ${tx.acks.size} ack)`
+    );
+  };
+
+  // The broker aborts an open transaction when the session ends
+  const abandonTransaction = () => {
+    const tx = transactionRef.current;
+    if (!tx) return;
+
+    transactionRef.current = null;
+    setTransaction(null);
+    settleTransactionLogs(tx, 'aborted');
+    addLog('error', `✗ Transaction ${tx.handle.id} bị hủy do mất kết nối`);
+  };
+
+  const placeholderContext = (counter: number): PlaceholderContext => ({
+    variables: pairsToRecord(activeProfile.variables),
+    counter,
+  });
+
+  // Preview uses the value {{counter}} will have on the next send
+  const messagePreview = useMemo(
+    () =>
+      resolveMessage(messageBody, pairsToRecord(sendHeaders), {
+        variables: pairsToRecord(activeProfile.variables),
+        counter: sendCounter + 1,
+      }),
+    [messageBody, sendHeaders, activeProfile.variables, sendCounter]
+  );
+
+  const sendMessage = () => {
+    if (!client || !isConnected) return;
+
+    const context = placeholderContext(sendCounterRef.current + 1);
+    const resolved = resolveMessage(messageBody, pairsToRecord(sendHeaders), context);
+    if (resolved.unresolved.length > 0) {
+      addLog('info', `⚠️ Placeholders chưa có giá trị: ${resolved.unresolved.map(n => `{{${n}}}`).join(', ')}`);
+    }
+
+    const payloadExtras: LogExtras = {
+      payloadFormat,
+      messageType: payloadFormat === 'protobuf' ? protoType : undefined,
+    };
+    try {
+      // Validate the body for its format before anything is sent
+      encodePayload(payloadFormat, resolved.text, protoSchemaRef.current, payloadExtras.messageType);
+
+      const violations = payloadFormat === 'json' || payloadFormat === 'protobuf'
+        ? validateBody(schemas, sendDest, resolved.text)
+        : null;
+      if (
+        violations?.length &&
+        !confirm(`Body vi phạm JSON Schema:\n${violations.map(formatViolation).join('\n')}\n\nVẫn gửi?`)
+      ) {
+        return;
+      }
+
+      const headers = resolved.headers;
+      if (requestReceipt && !headers['receipt']) {
+        headers['receipt'] = newReceiptId(context.counter);
+      }
+
+      sendCounterRef.current = context.counter;
+      setSendCounter(context.counter);
+      if (requestReply.enabled) {
+        sendRequest(client, headers, resolved.text, payloadExtras);
+      } else {
+        publishMessage(client, sendDest, headers, resolved.text, payloadExtras);
+      }
+    } catch (err) {
+      alert(err instanceof Error ? err.message : String(err));
+    }
+  };
+
+  const sendRequest = (stompClient: Client, headers: Record<string, string>, body: string, payloadExtras: LogExtras) => {
+    const replyDestination = requestReply.replyDestination.trim();
+    if (!replyDestination || !requestReply.correlationKey.trim()) {
+      alert('Cần nhập reply destination và correlation key!');
+      return;
+    }
+
+    let request;
+    try {
+      request = attachCorrelation(requestReply, headers, body, newCorrelationId());
+    } catch (err) {
+      alert(err instanceof Error ? err.message : String(err));
+      return;
+    }
+
+    if (!subscriptions.some(s => s.destination === replyDestination)) {
+      subscribeTo(stompClient, replyDestination);
+    }
+
+    const { correlationId } = request;
+    correlationRef.current = { correlationKey: requestReply.correlationKey, location: requestReply.location };
+    const logId = publishMessage(stompClient, sendDest, request.headers, request.body, {
+      ...payloadExtras,
+      correlationId,
+      replyStatus: 'pending',
+    });
+
+    const timeoutMs = requestReply.timeoutMs;
+    const timer = setTimeout(() => {
+      if (!pendingRepliesRef.current.delete(correlationId)) return;
+      updateLog(logId, { replyStatus: 'timeout' });
+      addLog(
+        'error',
+        `✗ Không có reply cho ${requestReply.correlationKey}=${correlationId} sau ${timeoutMs / 1000}s`,
+        replyDestination,
+        { correlationId }
+      );
+    }, timeoutMs);
+    pendingRepliesRef.current.set(correlationId, { logId, sentAt: performance.now(), timer });
+  };
+
+  const newReceiptId = (counter: number) => `receipt-${counter}-${Math.random().toString(36).substring(2, 8)}`;
+
+  /** Schema check result for a log entry; nothing when no schema applies */
+  const schemaExtras = (destination: string, body: string): LogExtras => {
+    const violations = validateBody(schemasRef.current, destination, body);
+    return violations ? { schemaErrors: violations.map(formatViolation) } : {};
+  };
+
+  /**
+   * Encode and publish a body without logging it. `extras.payloadFormat`
+   * picks the encoding (plain text when absent); throws when the body isn't
+   * valid for it. Returns the headers actually sent.
+   */
+  const publishEncoded = (
+    stompClient: Client,
+    destination: string,
+    headers: Record<string, string>,
+    body: string,
+    extras?: LogExtras
+  ): Record<string, string> => {
+    const encoded = encodePayload(extras?.payloadFormat ?? 'text', body, protoSchemaRef.current, extras?.messageType);
+    if (encoded.contentType && !headers['content-type']) {
+      headers = { ...headers, 'content-type': encoded.contentType };
+    }
+
+    if (headers['receipt']) {
+      watchReceipt(stompClient, headers['receipt']);
+    }
+
+    const tx = transactionRef.current;
+    if (tx && !headers['transaction']) {
+      headers = { ...headers, transaction: tx.handle.id };
+    }
+
+    stompClient.publish(
+      encoded.binaryBody ? { destination, headers, binaryBody: encoded.binaryBody } : { destination, headers, body }
+    );
+    return headers;
+  };
+
+  /**
+   * Encode, publish and log a body; see publishEncoded().
+   */
+  const publishMessage = (
+    stompClient: Client,
+    destination: string,
+    headers: Record<string, string>,
+    body: string,
+    extras?: LogExtras
+  ): string => {
+    const tx = transactionRef.current;
+    headers = publishEncoded(stompClient, destination, headers, body, extras);
+    const format = extras?.payloadFormat;
+    const logId = addLog('sent', body, destination, {
+      headers,
+      ...(format === 'xml' || format === 'base64' || format === 'hex' ? {} : schemaExtras(destination, body)),
+      ...(tx && { transactionId: headers['transaction'], transactionStatus: 'pending' }),
+      ...extras,
+    });
+    if (tx) {
+      tx.sentLogIds.push(logId);
+      setTransaction(prev => (prev ? { ...prev, sends: tx.sentLogIds.length } : prev));
+    }
+    return logId;
+  };
+
+  const resendLog = (log: LogEntry) => {
+    if (!client || !isConnected || !log.destination) return;
+
+    // Receipt ids must be unique, so a resend asks for a fresh one
+    const headers = { ...log.headers };
+    if (headers['receipt']) {
+      headers['receipt'] = newReceiptId(sendCounterRef.current);
+    }
+    // Goes into the open transaction, if any, not the one it was first sent in
+    delete headers['transaction'];
+    try {
+      publishMessage(client, log.destination, headers, log.content, {
+        payloadFormat: log.payloadFormat,
+        messageType: log.messageType,
+      });
+    } catch (err) {
+      addLog('error', `✗ Gửi lại thất bại: ${err instanceof Error ? err.message : err}`);
+    }
+  };
+
+  const loadProtoFile = async (file: File) => {
+    try {
+      const schema = parseProtoSchema(file.name, await file.text());
+      protoSchemaRef.current = schema;
+      setProtoSchema(schema);
+      setProtoType(prev => (schema.types.includes(prev) ? prev : schema.types[0]));
+      addLog('info', `Đã tải ${file.name}: ${schema.types.length} message types`);
+    } catch (err) {
+      alert(err instanceof Error ? err.message : String(err));
+    }
+  };
+
+  const watchReceipt = (stompClient: Client, receiptId: string) => {
+    const sentAt = performance.now();
+    const pendingReceipts = pendingReceiptsRef.current;
+    stompClient.watchForReceipt(receiptId, () => {
+      clearTimeout(pendingReceipts.get(receiptId));
+      pendingReceipts.delete(receiptId);
+      const elapsed = Math.round(performance.now() - sentAt);
+      addLog('info', `✓ RECEIPT ${receiptId} nhận sau ${elapsed} ms`);
+    });
+    const timer = setTimeout(() => {
+      pendingReceipts.delete(receiptId);
+      addLog('error', `✗ Chưa nhận RECEIPT ${receiptId} sau ${RECEIPT_TIMEOUT_MS / 1000}s`);
+    }, RECEIPT_TIMEOUT_MS);
+    pendingReceipts.set(receiptId, timer);
+  };
+
+  // The session that would have sent these receipts is gone
+  const clearPendingReceipts = () => {
+    pendingReceiptsRef.current.forEach(timer => clearTimeout(timer));
+    pendingReceiptsRef.current.clear();
+  };
+
+  const updateActiveProfile = (patch: Partial<ConnectionProfile>) => {
+    setProfiles(prev => prev.map(p => (p.id === activeProfile.id ? { ...p, ...patch } : p)));
+  };
+
+  const selectProfile = (id: string) => {
+    onProfileIdChange(id);
+    const profile = profiles.find(p => p.id === id);
+    if (profile) addLog('info', `Đã chuyển sang profile: ${profile.name}`);
+  };
+
+  const addProfile = (profile: ConnectionProfile) => {
+    setProfiles(prev => [...prev, profile]);
+    onProfileIdChange(profile.id);
+  };
+
+  // Reuse an existing mock profile rather than piling up copies
+  const selectMockBrokerProfile = () => {
+    const existing = profiles.find(p => p.url === MOCK_BROKER_URL);
+    if (existing) {
+      onProfileIdChange(existing.id);
+    } else {
+      addProfile(createMockBrokerProfile());
+    }
+    addLog('info', `Profile local mock: ${MOCK_BROKER_URL} — chạy "npm run mock-broker" trước khi kết nối`);
+  };
+
+  const deleteActiveProfile = () => {
+    if (profiles.length <= 1) return;
+    if (!confirm(`Xóa profile "${activeProfile.name}"?`)) return;
+    const remaining = profiles.filter(p => p.id !== activeProfile.id);
+    setProfiles(remaining);
+    onProfileIdChange(remaining[0].id);
+  };
+
+  const exportProfileFile = (includeSecrets: boolean) => {
+    downloadTextFile('stomp-profiles.json', exportProfiles(profiles, includeSecrets));
+  };
+
+  const importProfileFile = async (file: File) => {
+    try {
+      const imported = parseProfileImport(await file.text());
+      setProfiles(prev => [...prev, ...imported]);
+      addLog('info', `Đã import ${imported.length} profiles từ ${file.name}`);
+    } catch (err) {
+      addLog('error', `✗ Import profiles thất bại: ${err instanceof Error ? err.message : err}`);
+    }
+  };
+
+  const runScenarioInSession = async (scenario: Scenario) => {
+    const abort = new AbortController();
+    scenarioAbortRef.current = abort;
+    setScenarioRunning(true);
+    addLog('info', `▶ Chạy scenario: ${scenario.name}`);
+
+    // The driver reads the connection's client per call: the `client` state captured here is stale once a step connects
+    const driver = createScenarioDriver({
+      connection,
+      startConnect: connect,
+      nextContext,
+      publish: (stompClient, destination, body) => publishMessage(stompClient, destination, {}, body),
+      onReceived: ({ destination, body, headers }) =>
+        addLog('received', body, destination, { headers, ...schemaExtras(destination, body) }),
+    });
+
+    const results = await runScenario(scenario, driver, setScenarioResults, abort.signal);
+    const passed = results.filter(r => r.status === 'passed').length;
+    const failed = results.some(r => r.status === 'failed');
+    addLog(
+      failed ? 'error' : 'info',
+      `${failed ? '✗' : '✓'} Scenario ${scenario.name}: ${passed}/${results.length} bước thành công`
+    );
+    scenarioAbortRef.current = null;
+    setScenarioRunning(false);
+    setSendCounter(sendCounterRef.current);
+  };
+
+  // Placeholder context of the next send; advances {{counter}}
+  const nextContext = (): PlaceholderContext => {
+    const context = placeholderContext(sendCounterRef.current + 1);
+    sendCounterRef.current = context.counter;
+    return context;
+  };
+
+  const startLoadTest = async () => {
+    if (!connection.connected) return;
+
+    const config = loadConfig;
+    const payloadExtras: LogExtras = {
+      payloadFormat: config.payloadFormat,
+      messageType: config.payloadFormat === 'protobuf' ? protoType : undefined,
+    };
+    // Reject a body that can't be encoded up front rather than failing every message
+    try {
+      const sample = resolvePlaceholders(config.body, {
+        ...placeholderContext(sendCounterRef.current + 1),
+        variables: { ...pairsToRecord(activeProfile.variables), correlationId: crypto.randomUUID() },
+      });
+      encodePayload(config.payloadFormat, sample.text, protoSchemaRef.current, payloadExtras.messageType);
+    } catch (err) {
+      alert(err instanceof Error ? err.message : String(err));
+      return;
+    }
+
+    const abort = new AbortController();
+    loadAbortRef.current = abort;
+    setLoadStats({ ...emptyStats(), running: true });
+    const target = config.mode === 'count' ? `${config.count} messages` : `${config.durationSec}s`;
+    addLog('info', `▶ Load test ${config.destination}: ${target} @ ${config.ratePerSec} msg/s`);
+
+    // Individual frames are not logged: thousands of entries would bury everything else
+    const driver = createLoadTestDriver({
+      connection,
+      body: config.body,
+      nextContext,
+      publish: (stompClient, destination, headers, body) =>
+        publishEncoded(stompClient, destination, headers, body, payloadExtras),
+    });
+
+    const stats = await runLoadTest(config, driver, setLoadStats, abort.signal);
+    const latency = stats.latency
+      ? `, p50 ${stats.latency.p50} ms / p95 ${stats.latency.p95} ms / p99 ${stats.latency.p99} ms`
+      : '';
+    addLog(
+      stats.errors > 0 ? 'error' : 'info',
+      `${stats.errors > 0 ? '✗' : '✓'} Load test: ${stats.sent} sent, ${stats.received} replies, ${stats.errors} lỗi, ${stats.throughput} msg/s${latency}`
+    );
+    loadAbortRef.current = null;
+    setSendCounter(sendCounterRef.current);
+  };
+
+  const sendRawFrame = (text: string) => {
+    const socket = rawSocketRef.current;
+    if (!socket || !connection.connected) return;
+
+    const frame = buildRawFrame(text);
+    try {
+      socket.send(frame);
+      addLog('info', `→ Raw frame ${parseFrameText(frame.slice(0, -1)).command}`);
+    } catch (err) {
+      addLog('error', `✗ Không gửi được raw frame: ${err instanceof Error ? err.message : String(err)}`);
+    }
+  };
+
+  const exportTraffic = (format: TraceFormat) => {
+    const trace: TrafficTrace = {
+      name: sessionName,
+      exportedAt: new Date().toISOString(),
+      connection: traceConnection(activeProfile),
+      entries: logs,
+    };
+    downloadTextFile(
+      traceFileName(sessionName, format),
+      exportTrace(trace, format),
+      format === 'har' ? 'application/json' : 'application/x-ndjson'
+    );
+  };
+
+  const importTraffic = async (file: File) => {
+    try {
+      const trace = parseTraceImport(await file.text());
+      setImportedTrace({ ...trace, name: trace.name || file.name });
+    } catch (err) {
+      addLog('error', `✗ Không đọc được trace ${file.name}: ${err instanceof Error ? err.message : err}`);
+    }
+  };
+
+  const saveTemplate = (name: string, folder: string) => {
+    const template = createTemplate({
+      name,
+      folder,
+      destination: sendDest,
+      headers: pairsToRecord(sendHeaders),
+      body: messageBody,
+    });
+    setTemplates(prev => mergeTemplates(prev, [template]));
+    addLog('info', `Đã lưu template: ${template.folder}/${template.name}`);
+  };
+
+  const loadTemplate = (template: MessageTemplate) => {
+    setSendDest(template.destination);
+    setSendHeaders(recordToPairs(template.headers));
+    setMessageBody(template.body);
+    addLog('info', `Đã load template: ${template.folder}/${template.name}`);
+  };
+
+  const deleteTemplate = (id: string) => {
+    setTemplates(prev => prev.filter(t => t.id !== id));
+  };
+
+  /**
+   * Add or replace the schema for a pattern. Returns false (after telling
+   * the user) when the schema doesn't compile.
+   */
+  const saveSchema = (pattern: string, source: string): boolean => {
+    if (!pattern.trim()) {
+      alert('Cần nhập destination pattern!');
+      return false;
+    }
+    try {
+      compileSchema(source);
+    } catch (err) {
+      alert(err instanceof Error ? err.message : String(err));
+      return false;
+    }
+    setSchemas(prev => mergeSchemas(prev, [createDestinationSchema(pattern, source)]));
+    addLog('info', `Đã lưu JSON Schema cho ${pattern.trim()}`);
+    return true;
+  };
+
+  const deleteSchema = (id: string) => {
+    setSchemas(prev => prev.filter(s => s.id !== id));
+  };
+
+  const exportTemplateFile = () => {
+    downloadTextFile('stomp-templates.json', exportTemplates(templates, schemas));
+  };
+
+  const importTemplateFile = async (file: File) => {
+    try {
+      const text = await file.text();
+      const imported = parseTemplateImport(text);
+      const importedSchemas = parseSchemaImport(text);
+      setTemplates(prev => mergeTemplates(prev, imported));
+      setSchemas(prev => mergeSchemas(prev, importedSchemas));
+      addLog(
+        'info',
+        `Đã import ${imported.length} templates${importedSchemas.length > 0 ? `, ${importedSchemas.length} schemas` : ''} từ ${file.name}`
+      );
+    } catch (err) {
+      addLog('error', `✗ Import templates thất bại: ${err instanceof Error ? err.message : err}`);
+    }
+  };
+
+  return (
+    <>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+      
+        {/* Settings Side */}
+        <div className="lg:col-span-1 space-y-4 text-xs">
+        
+          {/* Connection Profiles */}
+          <ProfileManager
+            profiles={profiles}
+            activeProfile={activeProfile}
+            isConnected={isConnected}
+            onSelect={selectProfile}
+            onRename={name => updateActiveProfile({ name })}
+            onCreate={() => addProfile(createProfile({ name: `Profile ${profiles.length + 1}` }))}
+            onDuplicate={() => addProfile(createProfile({ ...activeProfile, name: `${activeProfile.name} (copy)` }))}
+            onUseMock={selectMockBrokerProfile}
+            onDelete={deleteActiveProfile}
+            onExport={exportProfileFile}
+            onImport={importProfileFile}
+          />
+
+          {/* Connection Config */}
+          <ConnectionConfig
+            profile={activeProfile}
+            onProfileChange={updateActiveProfile}
+            isConnected={isConnected}
+            isDisconnecting={isDisconnecting}
+            isReconnecting={isReconnecting}
+            onConnect={connect}
+            onDisconnect={handleDisconnectClick}
+            validateUrl={validateBrokerUrl}
+          />
+
+          {/* Subscriptions */}
+          <SubscribeSection
+            subscribeDest={subscribeDest}
+            setSubscribeDest={setSubscribeDest}
+            subscribeOptions={subscribeOptions}
+            setSubscribeOptions={setSubscribeOptions}
+            subscriptions={subscriptions}
+            protoTypes={protoSchema?.types ?? []}
+            messageCounters={messageCounters}
+            isConnected={isConnected}
+            onSubscribe={subscribe}
+            onUnsubscribe={unsubscribe}
+          />
+
+          {/* Publish Message */}
+          <PublishMessage
+            sendDest={sendDest}
+            setSendDest={setSendDest}
+            messageBody={messageBody}
+            setMessageBody={setMessageBody}
+            sendHeaders={sendHeaders}
+            setSendHeaders={setSendHeaders}
+            payloadFormat={payloadFormat}
+            setPayloadFormat={setPayloadFormat}
+            protoSchema={protoSchema}
+            protoType={protoType}
+            setProtoType={setProtoType}
+            onLoadProto={loadProtoFile}
+            schemaViolations={sendViolations}
+            requestReceipt={requestReceipt}
+            setRequestReceipt={setRequestReceipt}
+            requestReply={requestReply}
+            setRequestReply={setRequestReply}
+            isConnected={isConnected}
+            onSend={sendMessage}
+            preview={messagePreview}
+          />
+
+          {/* Transactions */}
+          <TransactionPanel
+            transaction={transaction}
+            isConnected={isConnected}
+            onBegin={beginTransaction}
+            onCommit={() => endTransaction('commit')}
+            onAbort={() => endTransaction('abort')}
+          />
+
+          {/* Environment Variables */}
+          <EnvironmentVariables
+            variables={activeProfile.variables}
+            setVariables={variables => updateActiveProfile({ variables })}
+          />
+
+          {/* Template Library */}
+          <TemplateLibrary
+            templates={templates}
+            onSave={saveTemplate}
+            onLoad={loadTemplate}
+            onDelete={deleteTemplate}
+            onExport={exportTemplateFile}
+            onImport={importTemplateFile}
+          />
+
+          {/* JSON Schemas */}
+          <SchemaLibrary schemas={schemas} sendDest={sendDest} onSave={saveSchema} onDelete={deleteSchema} />
+
+          {/* Scenario Runner */}
+          <ScenarioRunner
+            scenarios={scenarios}
+            setScenarios={setScenarios}
+            results={scenarioResults}
+            isRunning={scenarioRunning}
+            onRun={runScenarioInSession}
+            onStop={() => scenarioAbortRef.current?.abort()}
+          />
+
+          {/* Load Test */}
+          <LoadTestPanel
+            config={loadConfig}
+            setConfig={setLoadConfig}
+            stats={loadStats}
+            isConnected={isConnected}
+            onStart={startLoadTest}
+            onStop={() => loadAbortRef.current?.abort()}
+          />
+        </div>
+
+        {/* Log Panel */}
+        <LogPanel
+          logs={logs}
+          onClear={() => setLogs([])}
+          onResend={resendLog}
+          onAck={acknowledge}
+          onExport={exportTraffic}
+          onImport={importTraffic}
+          isConnected={isConnected}
+        />
+
+        {/* Frame Inspector */}
+        <FrameInspector
+          frames={frames}
+          isConnected={isConnected}
+          onClear={() => setFrames([])}
+          onSendRaw={sendRawFrame}
+        />
+      </div>
+
+      {/* Confirmation Dialog */}
+      <DisconnectConfirm
+        showConfirm={showDisconnectConfirm}
+        isDisconnecting={isDisconnecting}
+        url={url}
+        subscriptionCount={subscriptions.length}
+        onCancel={() => setShowDisconnectConfirm(false)}
+        onConfirm={disconnect}
+      />
+
+      {/* Imported Trace Viewer */}
+      <TraceViewer trace={importedTrace} onClose={() => setImportedTrace(null)} />
+    </>
+  );
+}
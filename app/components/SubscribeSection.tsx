@@ -1,31 +1,48 @@
-import React from 'react';
-import { Plus, X } from 'lucide-react';
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, Plus, X } from 'lucide-react';
+import { AckMode, SubscribeOptions, SubscriptionEntry } from './types';
+import KeyValueEditor from './KeyValueEditor';
+import { PAYLOAD_FORMATS, ReceiveFormat } from '../lib/payloadFormat';
 
 interface SubscribeSectionProps {
   subscribeDest: string;
   setSubscribeDest: (dest: string) => void;
-  subscriptions: string[];
+  subscribeOptions: SubscribeOptions;
+  setSubscribeOptions: (options: SubscribeOptions) => void;
+  subscriptions: SubscriptionEntry[];
+  protoTypes: string[]; // message types of the loaded .proto schema
   messageCounters: { [key: string]: number };
   isConnected: boolean;
   onSubscribe: () => void;
-  onUnsubscribe: (dest: string) => void;
+  onUnsubscribe: (id: string) => void;
 }
 
+const ACK_MODES: AckMode[] = ['auto', 'client', 'client-individual'];
+
 export default function SubscribeSection({
   subscribeDest,
   setSubscribeDest,
+  subscribeOptions,
+  setSubscribeOptions,
   subscriptions,
+  protoTypes,
   messageCounters,
   isConnected,
   onSubscribe,
   onUnsubscribe,
 }: SubscribeSectionProps) {
+  const [showOptions, setShowOptions] = useState(false);
+
+  const updateOptions = (changes: Partial<SubscribeOptions>) => {
+    setSubscribeOptions({ ...subscribeOptions, ...changes });
+  };
+
   return (
     <div className="bg-neutral-900 p-4 border border-neutral-800 rounded-lg space-y-3">
       <div className="flex items-center gap-2 text-white border-b border-neutral-800 pb-2 mb-3 text-xs">
         <Plus size={14} /> <span>SUBSCRIBE</span>
       </div>
-      
+
       <div className="flex gap-2">
         <input
           type="text"
@@ -42,30 +59,143 @@ export default function SubscribeSection({
           SUB
         </button>
       </div>
-      
+
+      <button
+        onClick={() => setShowOptions(!showOptions)}
+        className="flex items-center gap-1 text-neutral-500 hover:text-white text-xs transition-colors"
+      >
+        {showOptions ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+        Tùy chọn (ack: {subscribeOptions.ack})
+      </button>
+
+      {showOptions && (
+        <div className="space-y-2 text-xs">
+          <div className="flex gap-2">
+            <div className="flex-1 min-w-0">
+              <label className="block text-neutral-500 mb-1">Ack mode</label>
+              <select
+                value={subscribeOptions.ack}
+                onChange={e => updateOptions({ ack: e.target.value as AckMode })}
+                className="w-full bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-emerald-500"
+              >
+                {ACK_MODES.map(mode => (
+                  <option key={mode} value={mode}>
+                    {mode}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="flex-1 min-w-0">
+              <label className="block text-neutral-500 mb-1">ID</label>
+              <input
+                type="text"
+                value={subscribeOptions.id}
+                onChange={e => updateOptions({ id: e.target.value })}
+                className="w-full bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-emerald-500"
+                placeholder="tự động"
+              />
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <div className="flex-1 min-w-0">
+              <label className="block text-neutral-500 mb-1">Format nhận</label>
+              <select
+                value={subscribeOptions.format}
+                onChange={e => updateOptions({ format: e.target.value as ReceiveFormat })}
+                className="w-full bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-emerald-500"
+              >
+                <option value="auto">Tự động (content-type)</option>
+                {PAYLOAD_FORMATS.map(f => (
+                  <option key={f.value} value={f.value}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {subscribeOptions.format === 'protobuf' && (
+              <div className="flex-1 min-w-0">
+                <label className="block text-neutral-500 mb-1">Message type</label>
+                <select
+                  value={subscribeOptions.messageType}
+                  onChange={e => updateOptions({ messageType: e.target.value })}
+                  className="w-full bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-emerald-500"
+                >
+                  <option value="">{protoTypes.length === 0 ? 'Tải .proto ở Publish' : 'Chọn...'}</option>
+                  {protoTypes.map(type => (
+                    <option key={type} value={type}>
+                      {type}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+          <div>
+            <label className="block text-neutral-500 mb-1">Selector</label>
+            <input
+              type="text"
+              value={subscribeOptions.selector}
+              onChange={e => updateOptions({ selector: e.target.value })}
+              className="w-full bg-black border border-neutral-800 p-2 rounded outline-none text-xs font-mono focus:border-emerald-500"
+              placeholder="type = 'order' AND priority > 5"
+            />
+          </div>
+          <div>
+            <label className="block text-neutral-500 mb-1">SUBSCRIBE Headers</label>
+            <KeyValueEditor
+              pairs={subscribeOptions.headers}
+              onChange={headers => updateOptions({ headers })}
+              keyPlaceholder="durable-subscription-name"
+              valuePlaceholder="value"
+              addLabel="Thêm header"
+            />
+          </div>
+        </div>
+      )}
+
       <div className="space-y-2 max-h-32 overflow-y-auto pt-2">
         {subscriptions.length === 0 ? (
           <p className="text-neutral-600 text-xs italic py-2">Chưa có subscriptions</p>
         ) : (
-          subscriptions.map(s => (
+          subscriptions.map(({ id, destination: s, ack, headers, format, messageType, status }) => (
             <div
-              key={s}
+              key={id}
               className={`flex items-center justify-between bg-black p-2 rounded border transition-all text-xs ${
-                messageCounters[s] > 0
+                messageCounters[id] > 0
                   ? 'border-emerald-600 bg-emerald-950/20'
                   : 'border-neutral-700 hover:border-neutral-600'
               }`}
             >
               <div className="flex items-center gap-2 flex-1 min-w-0">
-                <span className="text-emerald-500 truncate flex-1">{s}</span>
-                {messageCounters[s] > 0 && (
+                <span
+                  className={`truncate flex-1 ${status === 'active' ? 'text-emerald-500' : 'text-neutral-500'}`}
+                  title={headers.selector ? `selector: ${headers.selector}` : undefined}
+                >
+                  {s}
+                </span>
+                <span className="text-neutral-600 text-[10px] font-mono whitespace-nowrap">{id}</span>
+                {format !== 'auto' && (
+                  <span className="text-sky-400 text-[10px] whitespace-nowrap">{messageType ?? format}</span>
+                )}
+                {ack !== 'auto' && (
+                  <span className="text-violet-400 text-[10px] whitespace-nowrap">{ack}</span>
+                )}
+                {status === 'pending' && (
+                  <span className="text-amber-400 text-[10px] whitespace-nowrap" title="Sẽ subscribe lại khi kết nối lại">
+                    chờ khôi phục
+                  </span>
+                )}
+                {status === 'failed' && (
+                  <span className="text-rose-500 text-[10px] whitespace-nowrap">khôi phục lỗi</span>
+                )}
+                {messageCounters[id] > 0 && (
                   <span className="bg-emerald-600 text-white text-[10px] font-bold px-2 py-0.5 rounded-full whitespace-nowrap">
-                    {messageCounters[s]} new
+                    {messageCounters[id]} new
                   </span>
                 )}
               </div>
               <button
-                onClick={() => onUnsubscribe(s)}
+                onClick={() => onUnsubscribe(id)}
                 className="text-rose-500 hover:text-rose-400 hover:bg-rose-500/10 p-1 rounded transition-all ml-2 flex-shrink-0"
                 title="Hủy subscribe"
               >
@@ -0,0 +1,133 @@
+import React, { useRef, useState } from 'react';
+import { BookMarked, Download, Folder, Save, Trash2, Upload } from 'lucide-react';
+import { MessageTemplate, groupByFolder } from '../lib/templates';
+
+interface TemplateLibraryProps {
+  templates: MessageTemplate[];
+  onSave: (name: string, folder: string) => void;
+  onLoad: (template: MessageTemplate) => void;
+  onDelete: (id: string) => void;
+  onExport: () => void;
+  onImport: (file: File) => void;
+}
+
+export default function TemplateLibrary({
+  templates,
+  onSave,
+  onLoad,
+  onDelete,
+  onExport,
+  onImport,
+}: TemplateLibraryProps) {
+  const [name, setName] = useState('');
+  const [folder, setFolder] = useState('');
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const handleSave = () => {
+    if (!name.trim()) return;
+    onSave(name.trim(), folder.trim());
+    setName('');
+  };
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (file) onImport(file);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="bg-neutral-900 p-4 border border-neutral-800 rounded-lg space-y-3">
+      <div className="flex items-center justify-between border-b border-neutral-800 pb-2 mb-3 text-xs">
+        <div className="flex items-center gap-2 text-white">
+          <BookMarked size={14} /> <span>TEMPLATES</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="text-neutral-500 hover:text-white transition-colors"
+            title="Import templates (JSON)"
+          >
+            <Upload size={14} />
+          </button>
+          <button
+            onClick={onExport}
+            disabled={templates.length === 0}
+            className="text-neutral-500 hover:text-white transition-colors disabled:opacity-50"
+            title="Export templates (JSON)"
+          >
+            <Download size={14} />
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && handleSave()}
+          className="flex-1 min-w-0 bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-blue-500"
+          placeholder="Tên template..."
+        />
+        <input
+          type="text"
+          value={folder}
+          onChange={e => setFolder(e.target.value)}
+          className="w-24 bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-blue-500"
+          placeholder="Folder"
+        />
+        <button
+          onClick={handleSave}
+          disabled={!name.trim()}
+          className="bg-neutral-800 px-3 rounded hover:bg-neutral-700 disabled:opacity-50 text-xs font-bold transition-all"
+          title="Lưu form hiện tại thành template"
+        >
+          <Save size={14} />
+        </button>
+      </div>
+
+      <div className="space-y-2 max-h-48 overflow-y-auto pt-2">
+        {templates.length === 0 ? (
+          <p className="text-neutral-600 text-xs italic py-2">Chưa có templates</p>
+        ) : (
+          groupByFolder(templates).map(([folderName, items]) => (
+            <div key={folderName} className="space-y-1">
+              <div className="flex items-center gap-1.5 text-[10px] uppercase tracking-wider text-neutral-500">
+                <Folder size={10} /> {folderName}
+              </div>
+              {items.map(t => (
+                <div
+                  key={t.id}
+                  className="flex items-center justify-between bg-black p-2 rounded border border-neutral-700 hover:border-blue-600 transition-all text-xs"
+                >
+                  <button
+                    onClick={() => onLoad(t)}
+                    className="flex-1 min-w-0 text-left"
+                    title={`Load vào form: ${t.destination}`}
+                  >
+                    <span className="block text-blue-400 truncate">{t.name}</span>
+                    <span className="block text-[10px] text-neutral-500 truncate">{t.destination}</span>
+                  </button>
+                  <button
+                    onClick={() => onDelete(t.id)}
+                    className="text-rose-500 hover:text-rose-400 hover:bg-rose-500/10 p-1 rounded transition-all ml-2 flex-shrink-0"
+                    title="Xóa template"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
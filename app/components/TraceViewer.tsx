@@ -0,0 +1,57 @@
+import React from 'react';
+import { FileJson, X } from 'lucide-react';
+import LogPanel from './LogPanel';
+import { TrafficTrace } from '../lib/trafficTrace';
+
+interface TraceViewerProps {
+  trace: TrafficTrace | null;
+  onClose: () => void;
+}
+
+export default function TraceViewer({ trace, onClose }: TraceViewerProps) {
+  if (!trace) return null;
+
+  const connection = trace.connection;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 backdrop-blur-sm p-4">
+      <div className="bg-neutral-950 border border-neutral-800 rounded-lg p-4 w-full max-w-5xl space-y-3 text-xs">
+        <div className="flex items-center justify-between border-b border-neutral-800 pb-3">
+          <h2 className="text-sm font-bold text-white flex items-center gap-2">
+            <FileJson size={16} className="text-blue-400" />
+            {trace.name}
+            <span className="text-[10px] font-normal text-neutral-500">(read-only)</span>
+          </h2>
+          <button onClick={onClose} className="text-neutral-500 hover:text-white transition-colors" title="Đóng">
+            <X size={16} />
+          </button>
+        </div>
+
+        {connection && (
+          <div className="bg-neutral-900 border border-neutral-800 rounded p-3 space-y-1">
+            <p className="text-neutral-500">
+              Profile: <span className="text-neutral-300">{connection.profileName}</span>
+            </p>
+            <p className="text-neutral-500">
+              URL: <span className="text-neutral-300 font-mono break-all">{connection.url}</span>
+            </p>
+            <p className="text-neutral-500">
+              Heart-beat: <span className="text-neutral-300">{connection.heartbeatIncoming}/{connection.heartbeatOutgoing} ms</span>
+            </p>
+            {Object.keys(connection.connectHeaders).length > 0 && (
+              <p className="text-neutral-500 font-mono">
+                {Object.entries(connection.connectHeaders).map(([key, value]) => (
+                  <span key={key} className="mr-3">
+                    <span className="text-neutral-400">{key}</span>: {value}
+                  </span>
+                ))}
+              </p>
+            )}
+          </div>
+        )}
+
+        <LogPanel logs={trace.entries} title="Imported Trace" className="h-[70vh]" />
+      </div>
+    </div>
+  );
+}
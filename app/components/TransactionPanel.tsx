@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import { Check, GitCommit, Play, X } from 'lucide-react';
+import { TransactionSummary } from './types';
+
+interface TransactionPanelProps {
+  transaction: TransactionSummary | null;
+  isConnected: boolean;
+  onBegin: (name: string) => void;
+  onCommit: () => void;
+  onAbort: () => void;
+}
+
+function formatElapsed(ms: number): string {
+  const seconds = Math.floor(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+export default function TransactionPanel({
+  transaction,
+  isConnected,
+  onBegin,
+  onCommit,
+  onAbort,
+}: TransactionPanelProps) {
+  const [name, setName] = useState('');
+  const [now, setNow] = useState(() => Date.now());
+
+  // Ticks the elapsed time while a transaction is open
+  useEffect(() => {
+    if (!transaction) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [transaction]);
+
+  const begin = () => {
+    onBegin(name);
+    setName('');
+  };
+
+  return (
+    <div className="bg-neutral-900 p-4 border border-neutral-800 rounded-lg space-y-3">
+      <div className="flex items-center gap-2 text-white border-b border-neutral-800 pb-2 mb-3 text-xs">
+        <GitCommit size={14} /> <span>TRANSACTIONS</span>
+      </div>
+
+      {transaction ? (
+        <div className="space-y-2 text-xs">
+          <div className="flex items-center gap-2 bg-black p-2 rounded border border-amber-600/50">
+            <span className="w-2 h-2 rounded-full bg-amber-400 animate-pulse flex-shrink-0" />
+            <span className="font-mono text-amber-400 truncate flex-1">{transaction.id}</span>
+            <span className="text-neutral-500 whitespace-nowrap">
+              {transaction.sends} send · {transaction.acks} ack · {formatElapsed(Math.max(0, now - transaction.startedAt))}
+            </span>
+          </div>
+          <p className="text-neutral-500">SEND và ACK/NACK tiếp theo sẽ nằm trong transaction này.</p>
+          <div className="flex gap-2">
+            <button
+              onClick={onCommit}
+              disabled={!isConnected}
+              className="flex-1 bg-emerald-600 hover:bg-emerald-700 text-white py-2 rounded font-bold disabled:opacity-50 transition-all flex items-center justify-center gap-1"
+            >
+              <Check size={12} /> COMMIT
+            </button>
+            <button
+              onClick={onAbort}
+              disabled={!isConnected}
+              className="flex-1 bg-rose-600 hover:bg-rose-700 text-white py-2 rounded font-bold disabled:opacity-50 transition-all flex items-center justify-center gap-1"
+            >
+              <X size={12} /> ABORT
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={e => setName(e.target.value)}
+            onKeyDown={e => e.key === 'Enter' && isConnected && begin()}
+            className="flex-1 bg-black border border-neutral-800 p-2 rounded outline-none text-xs focus:border-amber-500"
+            placeholder="Tên transaction (tự động nếu để trống)"
+          />
+          <button
+            onClick={begin}
+            disabled={!isConnected}
+            className="bg-neutral-800 px-3 rounded hover:bg-neutral-700 disabled:opacity-50 text-xs font-bold transition-all flex items-center gap-1"
+          >
+            <Play size={12} /> BEGIN
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useVirtualizer } from '@tanstack/react-virtual';
+import { MessageSquare } from 'lucide-react';
+import { LogEntry } from './types';
+
+interface VirtualLogListProps {
+  entries: LogEntry[];
+  empty: boolean; // nothing logged at all, as opposed to everything filtered out
+  renderEntry: (log: LogEntry) => React.ReactNode;
+}
+
+/**
+ * Scrolling, virtualized log list that follows the newest entry while the
+ * user is at the bottom. Kept out of React Compiler memoization (see
+ * eslint.config.mjs): useVirtualizer returns functions whose results change
+ * without the instance changing.
+ */
+export default function VirtualLogList({ entries, empty, renderEntry }: VirtualLogListProps) {
+  'use no memo';
+  const [follow, setFollow] = useState(true);
+  const scrollRef = useRef<HTMLDivElement>(null);
+
+  const virtualizer = useVirtualizer({
+    count: entries.length,
+    getScrollElement: () => scrollRef.current,
+    estimateSize: () => 96,
+    overscan: 8,
+    getItemKey: index => entries[index].id,
+  });
+
+  // Keep the newest entry in view while the user is at the bottom
+  useEffect(() => {
+    if (follow && entries.length > 0) {
+      virtualizer.scrollToIndex(entries.length - 1, { align: 'end' });
+    }
+  }, [entries.length, follow, virtualizer]);
+
+  const handleScroll = () => {
+    const el = scrollRef.current;
+    if (!el) return;
+    setFollow(el.scrollHeight - el.scrollTop - el.clientHeight < 40);
+  };
+
+  return (
+    <div ref={scrollRef} onScroll={handleScroll} className="flex-1 overflow-y-auto p-4 scrollbar-hide">
+      {empty && (
+        <div className="h-full flex flex-col items-center justify-center text-neutral-600 space-y-2 opacity-50">
+          <MessageSquare size={48} />
+          <p className="text-xs">Awaiting traffic...</p>
+        </div>
+      )}
+      <div className="relative w-full" style={{ height: virtualizer.getTotalSize() }}>
+        {virtualizer.getVirtualItems().map(item => (
+          <div
+            key={item.key}
+            data-index={item.index}
+            ref={virtualizer.measureElement}
+            className="absolute left-0 top-0 w-full pb-3"
+            style={{ transform: `translateY(${item.start}px)` }}
+          >
+            {renderEntry(entries[item.index])}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,77 @@
+import { KeyValuePair } from '../lib/keyValue';
+import { PayloadFormat, ReceiveFormat } from '../lib/payloadFormat';
+
 export interface LogEntry {
   id: string;
   timestamp: string;
+  time: number; // epoch ms with sub-millisecond precision
   type: 'info' | 'sent' | 'received' | 'error';
   destination?: string;
-  content: string;
+  content: string; // binary bodies as base64/hex, protobuf as JSON
+  headers?: Record<string, string>;
+  // Request/reply pairing: set on both the request and its reply
+  correlationId?: string;
+  roundTripMs?: number;
+  replyStatus?: 'pending' | 'replied' | 'timeout';
+  // Messages from client / client-individual subscriptions awaiting ACK/NACK
+  subscriptionId?: string;
+  ackStatus?: 'pending' | 'acked' | 'nacked' | 'expired';
+  // Sends and ACKs made inside a STOMP transaction
+  transactionId?: string;
+  transactionStatus?: TransactionStatus;
+  // Body format; absent means JSON/text as typed
+  payloadFormat?: PayloadFormat;
+  messageType?: string; // protobuf message type
+  decodeError?: string;
+  // JSON Schema check for the destination; [] = valid, absent = no schema applied
+  schemaErrors?: string[];
+}
+
+/** Optional fields a caller may attach when adding a log entry */
+export type LogExtras = Partial<Omit<LogEntry, 'id' | 'timestamp' | 'time' | 'type' | 'content' | 'destination'>>;
+
+export type TransactionStatus = 'pending' | 'committed' | 'aborted';
+
+export type AckMode = 'auto' | 'client' | 'client-individual';
+
+/**
+ * A subscription the session keeps across reconnects. `pending` while the
+ * connection is down, then `active` or `failed` once restoring it was tried.
+ * `id` and `ack` are sent on every SUBSCRIBE, so a restore reuses them.
+ */
+export interface SubscriptionEntry {
+  id: string;
+  destination: string;
+  ack: AckMode;
+  headers: Record<string, string>; // selector and any other SUBSCRIBE headers
+  format: ReceiveFormat;
+  messageType?: string; // protobuf message type, for format 'protobuf'
+  status: 'active' | 'pending' | 'failed';
+}
+
+/** Form state for a new subscription */
+export interface SubscribeOptions {
+  id: string; // blank = generated
+  ack: AckMode;
+  selector: string;
+  headers: KeyValuePair[];
+  format: ReceiveFormat;
+  messageType: string;
+}
+
+export const DEFAULT_SUBSCRIBE_OPTIONS: SubscribeOptions = {
+  id: '',
+  ack: 'auto',
+  selector: '',
+  headers: [],
+  format: 'auto',
+  messageType: '',
+};
+
+/** The open STOMP transaction, as shown in the transactions panel */
+export interface TransactionSummary {
+  id: string;
+  startedAt: number;
+  sends: number;
+  acks: number;
 }
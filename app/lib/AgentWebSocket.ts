@@ -12,8 +12,15 @@
  *   - Transparent WebSocket API compatibility
  *   - Reconnect awareness (WS_EVENT_RECONNECTING / WS_EVENT_RECONNECTED)
  *   - onreconnecting / onreconnected callbacks for UI feedback
+ *   - Subprotocol negotiation: `protocols` are offered by the real socket
+ *     and the negotiated `protocol` / `extensions` reported back on open
+ *   - Binary frames in both directions, honoring binaryType
+ *     ('arraybuffer' | 'blob') like a native WebSocket
+ *   - Reconnect policy (attempts, backoff, jitter) applied by the extension
  */
 
+import { ReconnectPolicy } from './reconnect';
+
 type WebSocketEventHandler = ((this: WebSocket, ev: Event) => void) | null;
 type MessageEventHandler = ((this: WebSocket, ev: MessageEvent) => void) | null;
 type CloseEventHandler = ((this: WebSocket, ev: CloseEvent) => void) | null;
@@ -27,6 +34,10 @@ export interface ReconnectingEvent {
 export type ReconnectingHandler = ((event: ReconnectingEvent) => void) | null;
 export type ReconnectedHandler = (() => void) | null;
 
+export interface AgentWebSocketOptions {
+  reconnect?: ReconnectPolicy;
+}
+
 export class AgentWebSocket {
   // WebSocket interface properties
   readonly CONNECTING = 0;
@@ -54,8 +65,12 @@ export class AgentWebSocket {
   // Internal
   private connectionId: string;
   private messageHandler: ((event: MessageEvent) => void) | null = null;
+  // Blob payloads are read asynchronously; later sends queue behind them to keep frame order
+  private sendQueue: Promise<void> = Promise.resolve();
+  private queuedSends = 0;
 
-  constructor(url: string) {
+  constructor(url: string, protocols: string | string[] = [], options: AgentWebSocketOptions = {}) {
+    const offered = validateProtocols(protocols);
     this.url = url;
     this.connectionId = crypto.randomUUID();
     this.readyState = this.CONNECTING;
@@ -69,6 +84,8 @@ export class AgentWebSocket {
       switch (data.type) {
         case 'WS_EVENT_OPEN':
           this.readyState = this.OPEN;
+          this.protocol = data.protocol || '';
+          this.extensions = data.extensions || '';
           if (this.onopen) {
             this.onopen.call(this as unknown as WebSocket, new Event('open'));
           }
@@ -77,7 +94,7 @@ export class AgentWebSocket {
         case 'WS_EVENT_MESSAGE':
           if (this.onmessage) {
             const msgEvent = new MessageEvent('message', {
-              data: data.data,
+              data: this.toMessageData(data.data),
             });
             this.onmessage.call(this as unknown as WebSocket, msgEvent);
           }
@@ -116,6 +133,8 @@ export class AgentWebSocket {
 
         case 'WS_EVENT_RECONNECTED':
           this.readyState = this.OPEN;
+          this.protocol = data.protocol || '';
+          this.extensions = data.extensions || '';
           if (this.onreconnected) {
             this.onreconnected();
           }
@@ -135,12 +154,14 @@ export class AgentWebSocket {
         type: 'WS_OPEN',
         connectionId: this.connectionId,
         url: url,
+        protocols: offered,
+        reconnect: options.reconnect,
       },
       window.location.origin
     );
   }
 
-  send(data: string | ArrayBuffer | Blob): void {
+  send(data: string | ArrayBufferLike | ArrayBufferView | Blob): void {
     if (this.readyState !== this.OPEN) {
       throw new DOMException(
         "Failed to execute 'send' on 'WebSocket': Still in CONNECTING state.",
@@ -148,16 +169,46 @@ export class AgentWebSocket {
       );
     }
 
+    if (!(data instanceof Blob) && this.queuedSends === 0) {
+      this.postSend(toPayload(data));
+      return;
+    }
+
+    const size = data instanceof Blob ? data.size : typeof data === 'string' ? data.length : data.byteLength;
+    this.queuedSends++;
+    this.bufferedAmount += size;
+    this.sendQueue = this.sendQueue
+      .then(async () => {
+        this.postSend(data instanceof Blob ? await data.arrayBuffer() : toPayload(data));
+      })
+      .finally(() => {
+        this.queuedSends--;
+        this.bufferedAmount -= size;
+      });
+  }
+
+  private postSend(payload: string | ArrayBuffer): void {
     window.postMessage(
       {
         type: 'WS_SEND',
         connectionId: this.connectionId,
-        data: data,
+        data: payload,
       },
       window.location.origin
     );
   }
 
+  /**
+   * Shape an inbound payload the way a native WebSocket would for the
+   * current binaryType.
+   */
+  private toMessageData(data: unknown): string | ArrayBuffer | Blob {
+    if (typeof data === 'string') return data;
+    // Extensions before 1.2 relayed binary frames as plain number arrays
+    const buffer = data instanceof ArrayBuffer ? data : Uint8Array.from(data as number[]).buffer;
+    return this.binaryType === 'blob' ? new Blob([buffer]) : buffer;
+  }
+
   close(code?: number, reason?: string): void {
     if (this.readyState === this.CLOSED || this.readyState === this.CLOSING) {
       return;
@@ -222,3 +273,35 @@ export class AgentWebSocket {
     return false;
   }
 }
+
+/**
+ * Copy a send() argument into something postMessage can clone on its own:
+ * views are cut down to their bytes so the whole underlying buffer isn't sent.
+ */
+function toPayload(data: string | ArrayBufferLike | ArrayBufferView): string | ArrayBuffer {
+  if (typeof data === 'string') return data;
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice().buffer;
+  }
+  return new Uint8Array(data).slice().buffer;
+}
+
+// RFC 6455 subprotocol names are HTTP tokens
+const PROTOCOL_TOKEN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * Normalize the constructor's `protocols` argument, throwing the same
+ * SyntaxError a native WebSocket would for invalid or repeated names.
+ */
+function validateProtocols(protocols: string | string[]): string[] {
+  const list = typeof protocols === 'string' ? [protocols] : [...protocols];
+  list.forEach((protocol, index) => {
+    if (!PROTOCOL_TOKEN.test(protocol) || list.indexOf(protocol) !== index) {
+      throw new DOMException(
+        `Failed to construct 'WebSocket': The subprotocol '${protocol}' is invalid or duplicated.`,
+        'SyntaxError'
+      );
+    }
+  });
+  return list;
+}
@@ -0,0 +1,92 @@
+/**
+ * Agent HTTP
+ *
+ * HTTP requests proxied through the Stomp Local Agent extension
+ * (HTTP_REQUEST). With `stream` the body arrives piece by piece
+ * (HTTP_RESPONSE_START / CHUNK / END) as the background worker reads it,
+ * which is what long-lived responses like SockJS xhr-streaming need.
+ * Without it the whole body comes back in a single HTTP_RESPONSE.
+ */
+
+export interface AgentHttpRequest {
+  url: string;
+  method?: string;
+  headers?: Record<string, string>;
+  body?: string;
+  stream?: boolean;
+}
+
+export interface AgentHttpHandlers {
+  onResponse: (status: number, statusText: string, headers: Record<string, string>) => void;
+  onChunk: (chunk: string) => void;
+  onEnd: () => void;
+  onError: (error: string) => void;
+}
+
+/**
+ * Start a proxied request. Returns a function that aborts it; no handler
+ * is called after an abort.
+ */
+export function agentHttpRequest(request: AgentHttpRequest, handlers: AgentHttpHandlers): () => void {
+  const requestId = crypto.randomUUID();
+  let done = false;
+
+  function finish() {
+    done = true;
+    window.removeEventListener('message', handler);
+  }
+
+  function handler(event: MessageEvent) {
+    if (event.source !== window) return;
+    const data = event.data;
+    if (!data || data.requestId !== requestId || data.connectionId !== requestId) return;
+
+    switch (data.type) {
+      case 'HTTP_RESPONSE_START':
+        handlers.onResponse(data.status, data.statusText || '', data.headers || {});
+        break;
+
+      case 'HTTP_RESPONSE_CHUNK':
+        handlers.onChunk(data.chunk);
+        break;
+
+      case 'HTTP_RESPONSE_END':
+        finish();
+        handlers.onEnd();
+        break;
+
+      case 'HTTP_RESPONSE':
+        finish();
+        if (!data.success) {
+          handlers.onError(data.error || 'HTTP request failed');
+          return;
+        }
+        handlers.onResponse(data.status, data.statusText || '', data.headers || {});
+        if (data.body) handlers.onChunk(data.body);
+        handlers.onEnd();
+        break;
+    }
+  }
+
+  window.addEventListener('message', handler);
+
+  window.postMessage(
+    {
+      type: 'HTTP_REQUEST',
+      connectionId: requestId,
+      requestId,
+      url: request.url,
+      method: request.method || 'GET',
+      headers: request.headers || {},
+      body: request.body,
+      stream: request.stream ?? false,
+    },
+    window.location.origin
+  );
+
+  return () => {
+    if (done) return;
+    finish();
+    window.postMessage({ type: 'HTTP_ABORT', connectionId: requestId, requestId }, window.location.origin);
+  };
+}
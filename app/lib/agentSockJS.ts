@@ -0,0 +1,145 @@
+/**
+ * SockJS over the Local Agent
+ *
+ * SockJS endpoints on hosts only the Stomp Local Agent can reach. Every
+ * SockJS HTTP request — the /info handshake, xhr-streaming / xhr-polling
+ * receives and xhr_send posts — goes through AgentXhrObject, a stand-in
+ * for sockjs-client's own XHR wrapper that runs on agentHttpRequest.
+ *
+ * sockjs-client has no public hook for custom transports, so each agent
+ * socket is patched on the instance: its /info receiver and its transport
+ * list. Shared state is only swapped for the duration of one synchronous
+ * call, so plain `new SockJS(url)` sockets never see the agent.
+ * The patch relies on sockjs-client internals, hence the exact version pin
+ * in package.json and test/agentSockJS.test.mjs.
+ */
+
+import SockJS from 'sockjs-client';
+import { EventEmitter } from 'sockjs-client/lib/event/emitter';
+import AjaxBasedTransport from 'sockjs-client/lib/transport/lib/ajax-based';
+import XhrReceiver from 'sockjs-client/lib/transport/receiver/xhr';
+import InfoAjax from 'sockjs-client/lib/info-ajax';
+import InfoReceiver from 'sockjs-client/lib/info-receiver';
+import { agentHttpRequest } from './agentHttp';
+
+export const AGENT_SOCKJS_TRANSPORTS = ['agent-xhr-streaming', 'agent-xhr-polling'];
+
+interface AjaxOptions {
+  headers?: Record<string, string>;
+}
+
+/**
+ * Same contract as sockjs-client's XHR objects: starts on the next tick,
+ * emits `chunk` (status, text so far) while the body streams in and
+ * `finish` (status, text) once, with status 0 on network errors.
+ */
+export class AgentXhrObject extends EventEmitter {
+  private abortRequest: (() => void) | null = null;
+
+  constructor(method: string, url: string, payload?: string | null, opts?: AjaxOptions) {
+    super();
+    setTimeout(() => this.start(method, url, payload, opts), 0);
+  }
+
+  private start(method: string, url: string, payload?: string | null, opts?: AjaxOptions) {
+    let status = 0;
+    let text = '';
+
+    this.abortRequest = agentHttpRequest(
+      { url, method, headers: opts?.headers, body: payload ?? undefined, stream: true },
+      {
+        onResponse: (responseStatus) => {
+          status = responseStatus;
+        },
+        onChunk: (chunk) => {
+          text += chunk;
+          if (status === 200) this.emit('chunk', status, text);
+        },
+        onEnd: () => this.finish(status, text),
+        onError: (error) => {
+          console.warn('[AgentSockJS]', error);
+          this.finish(0, '');
+        },
+      }
+    );
+  }
+
+  private finish(status: number, text: string) {
+    this.abortRequest = null;
+    this.emit('finish', status, text);
+    this.removeAllListeners();
+  }
+
+  close() {
+    this.removeAllListeners();
+    if (this.abortRequest) {
+      this.abortRequest();
+      this.abortRequest = null;
+    }
+  }
+}
+
+class AgentXhrStreamingTransport extends AjaxBasedTransport {
+  static transportName = 'agent-xhr-streaming';
+  static roundTrips = 2;
+
+  constructor(transUrl: string) {
+    super(transUrl, '/xhr_streaming', XhrReceiver, AgentXhrObject);
+  }
+}
+
+class AgentXhrPollingTransport extends AjaxBasedTransport {
+  static transportName = 'agent-xhr-polling';
+  static roundTrips = 2;
+
+  constructor(transUrl: string) {
+    super(transUrl, '/xhr', XhrReceiver, AgentXhrObject);
+  }
+}
+
+const AGENT_TRANSPORT_CLASSES = [AgentXhrStreamingTransport, AgentXhrPollingTransport];
+
+// The sockjs-client instance fields patched below
+interface SockJSInternals {
+  _ir: typeof InfoReceiver.prototype | null;
+  _transports: unknown[];
+  _connect(): void;
+}
+
+/**
+ * Open a SockJS connection whose HTTP traffic is proxied by the agent.
+ */
+export function createAgentSockJS(url: string): WebSocket {
+  // The whitelist matches none of sockjs-client's own transports: if the
+  // patch below stops applying, the socket fails instead of bypassing the agent
+  const socket = new SockJS(url, undefined, { transports: AGENT_SOCKJS_TRANSPORTS });
+  const internals = socket as unknown as SockJSInternals;
+
+  // The /info request starts on the next tick through this receiver's doXhr().
+  // _getReceiver is static, so it is swapped only for that synchronous call.
+  const infoReceiver = internals._ir;
+  if (infoReceiver) {
+    infoReceiver.doXhr = function (baseUrl, urlInfo) {
+      const nativeGetReceiver = InfoReceiver._getReceiver;
+      InfoReceiver._getReceiver = (_baseUrl, infoUrl) => new InfoAjax(infoUrl, AgentXhrObject);
+      try {
+        InfoReceiver.prototype.doXhr.call(this, baseUrl, urlInfo);
+      } finally {
+        InfoReceiver._getReceiver = nativeGetReceiver;
+      }
+    };
+  }
+
+  // _connect() tries the next transport in _transports; the first call
+  // comes right after /info, with the transports enabled from the shared list
+  let transportsSet = false;
+  internals._connect = function () {
+    if (!transportsSet) {
+      transportsSet = true;
+      this._transports = [...AGENT_TRANSPORT_CLASSES];
+    }
+    (SockJS.prototype as unknown as SockJSInternals)._connect.call(this);
+  };
+
+  return socket as unknown as WebSocket;
+}
@@ -0,0 +1,48 @@
+/**
+ * Broker URL
+ *
+ * Validation and normalization of the profile URL. http(s) URLs are SockJS
+ * endpoints; ws(s) URLs are plain STOMP-over-WebSocket endpoints (the
+ * bundled mock broker, brokers without SockJS).
+ */
+
+export interface UrlValidation {
+  valid: boolean;
+  error?: string;
+}
+
+const SUPPORTED_SCHEME = /^(https?|wss?):\/\//;
+
+/**
+ * Check a profile URL the way the Connect button does.
+ */
+export function validateBrokerUrl(inputUrl: string): UrlValidation {
+  const trimmed = inputUrl.trim();
+
+  if (!trimmed) {
+    return { valid: false, error: 'URL không được để trống' };
+  }
+
+  if (!SUPPORTED_SCHEME.test(trimmed)) {
+    return { valid: false, error: 'URL phải bắt đầu bằng http://, https://, ws:// hoặc wss://' };
+  }
+
+  try {
+    new URL(trimmed);
+    return { valid: true };
+  } catch {
+    return { valid: false, error: 'URL không hợp lệ' };
+  }
+}
+
+/**
+ * WebSocket URL for stompjs' brokerURL: http(s) becomes ws(s), ws(s) is kept.
+ */
+export function buildBrokerUrl(inputUrl: string): string {
+  if (inputUrl.startsWith('https')) {
+    return inputUrl.replace('https', 'wss');
+  } else if (inputUrl.startsWith('http')) {
+    return inputUrl.replace('http', 'ws');
+  }
+  return inputUrl;
+}
@@ -0,0 +1,187 @@
+/**
+ * Minimal JSONPath
+ *
+ * Supports the subset that is useful for filtering the traffic log:
+ *
+ *   $.a.b            child members
+ *   $['a-b']         bracket member
+ *   $.items[0]       array index (negative counts from the end)
+ *   $.items[*]       wildcard over array items / object values
+ *   $..id            recursive descent
+ *
+ * An optional comparison filters on the selected values:
+ *
+ *   $.receiverId == 7
+ *   $.status != "sent"
+ *   $.content ~= hello      (case-insensitive substring)
+ */
+
+type Segment =
+  | { kind: 'member'; name: string }
+  | { kind: 'index'; index: number }
+  | { kind: 'wildcard' }
+  | { kind: 'descend'; name: string | null };
+
+export interface JsonPathQuery {
+  segments: Segment[];
+  operator?: '==' | '!=' | '~=';
+  operand?: unknown;
+}
+
+const COMPARISON_PATTERN = /^(.*?)\s*(==|!=|~=)\s*(.+)$/;
+
+function parseSegments(path: string): Segment[] {
+  if (!path.startsWith('$')) {
+    throw new Error('JSONPath phải bắt đầu bằng $');
+  }
+  const segments: Segment[] = [];
+  let i = 1;
+
+  const readName = () => {
+    const match = /^[A-Za-z_$][\w$-]*/.exec(path.slice(i));
+    if (!match) return null;
+    i += match[0].length;
+    return match[0];
+  };
+
+  while (i < path.length) {
+    if (path.startsWith('..', i)) {
+      i += 2;
+      if (path[i] === '*') {
+        i++;
+        segments.push({ kind: 'descend', name: null });
+      } else {
+        const name = readName();
+        if (!name) throw new Error(`JSONPath không hợp lệ tại vị trí ${i}`);
+        segments.push({ kind: 'descend', name });
+      }
+    } else if (path[i] === '.') {
+      i++;
+      if (path[i] === '*') {
+        i++;
+        segments.push({ kind: 'wildcard' });
+      } else {
+        const name = readName();
+        if (!name) throw new Error(`JSONPath không hợp lệ tại vị trí ${i}`);
+        segments.push({ kind: 'member', name });
+      }
+    } else if (path[i] === '[') {
+      const end = path.indexOf(']', i);
+      if (end === -1) throw new Error('Thiếu dấu ]');
+      const inner = path.slice(i + 1, end).trim();
+      i = end + 1;
+      if (inner === '*') {
+        segments.push({ kind: 'wildcard' });
+      } else if (/^-?\d+$/.test(inner)) {
+        segments.push({ kind: 'index', index: Number(inner) });
+      } else if (/^(['"]).*\1$/.test(inner)) {
+        segments.push({ kind: 'member', name: inner.slice(1, -1) });
+      } else {
+        throw new Error(`Selector không hỗ trợ: [${inner}]`);
+      }
+    } else {
+      throw new Error(`JSONPath không hợp lệ tại vị trí ${i}`);
+    }
+  }
+  return segments;
+}
+
+function parseOperand(raw: string): unknown {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Parse a query such as `$.a[0].b == "x"`. Throws on syntax errors.
+ */
+export function parseJsonPath(query: string): JsonPathQuery {
+  const trimmed = query.trim();
+  const comparison = COMPARISON_PATTERN.exec(trimmed);
+  if (comparison) {
+    return {
+      segments: parseSegments(comparison[1]),
+      operator: comparison[2] as JsonPathQuery['operator'],
+      operand: parseOperand(comparison[3].trim()),
+    };
+  }
+  return { segments: parseSegments(trimmed) };
+}
+
+function children(value: unknown): unknown[] {
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === 'object') return Object.values(value);
+  return [];
+}
+
+function descendants(value: unknown): unknown[] {
+  const result: unknown[] = [value];
+  for (const child of children(value)) {
+    result.push(...descendants(child));
+  }
+  return result;
+}
+
+/**
+ * Select every value matched by the query's path.
+ */
+export function selectJsonPath(data: unknown, query: JsonPathQuery): unknown[] {
+  let current: unknown[] = [data];
+  for (const segment of query.segments) {
+    const next: unknown[] = [];
+    for (const value of current) {
+      switch (segment.kind) {
+        case 'member':
+          if (value && typeof value === 'object' && !Array.isArray(value) && segment.name in value) {
+            next.push((value as Record<string, unknown>)[segment.name]);
+          }
+          break;
+        case 'index':
+          if (Array.isArray(value)) {
+            const index = segment.index < 0 ? value.length + segment.index : segment.index;
+            if (index >= 0 && index < value.length) next.push(value[index]);
+          }
+          break;
+        case 'wildcard':
+          next.push(...children(value));
+          break;
+        case 'descend':
+          for (const node of descendants(value)) {
+            if (segment.name === null) {
+              next.push(...children(node));
+            } else if (node && typeof node === 'object' && !Array.isArray(node) && segment.name in node) {
+              next.push((node as Record<string, unknown>)[segment.name]);
+            }
+          }
+          break;
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+/**
+ * True when the query selects at least one value satisfying its comparison.
+ */
+export function matchesJsonPath(data: unknown, query: JsonPathQuery): boolean {
+  const values = selectJsonPath(data, query);
+  if (!query.operator) return values.length > 0;
+
+  return values.some(value => {
+    switch (query.operator) {
+      case '==':
+        return value === query.operand || (typeof value !== 'object' && String(value) === String(query.operand));
+      case '!=':
+        return value !== query.operand && String(value) !== String(query.operand);
+      case '~=':
+        return String(typeof value === 'object' ? JSON.stringify(value) : value)
+          .toLowerCase()
+          .includes(String(query.operand).toLowerCase());
+      default:
+        return false;
+    }
+  });
+}
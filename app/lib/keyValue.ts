@@ -0,0 +1,29 @@
+/**
+ * Key/Value Helpers
+ *
+ * Editable key/value rows (headers, environment variables) are kept as an
+ * ordered list so that blank and in-progress keys survive editing; they are
+ * converted to plain records when sent or persisted.
+ */
+
+export interface KeyValuePair {
+  key: string;
+  value: string;
+}
+
+/**
+ * Convert rows to a record, skipping rows with an empty key.
+ * Later rows win when the same key appears twice.
+ */
+export function pairsToRecord(pairs: KeyValuePair[]): Record<string, string> {
+  const record: Record<string, string> = {};
+  for (const { key, value } of pairs) {
+    const trimmed = key.trim();
+    if (trimmed) record[trimmed] = value;
+  }
+  return record;
+}
+
+export function recordToPairs(record: Record<string, string>): KeyValuePair[] {
+  return Object.entries(record).map(([key, value]) => ({ key, value }));
+}
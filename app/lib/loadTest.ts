@@ -0,0 +1,238 @@
+/**
+ * Load / Burst Publishing
+ *
+ * Publishes a message template N times, or for T seconds, at a target rate.
+ * Every message carries a fresh correlation id (header + `{{correlationId}}`
+ * placeholder). A reply on the reply destination is matched either by the
+ * same header or, for plain echo endpoints, by the id appearing in its body;
+ * matched replies feed the round-trip latency statistics.
+ */
+
+import { PayloadFormat } from './payloadFormat';
+
+export type LoadMode = 'count' | 'duration';
+
+export interface LoadTestConfig {
+  destination: string;
+  body: string;
+  payloadFormat: PayloadFormat;
+  mode: LoadMode;
+  count: number;
+  durationSec: number;
+  ratePerSec: number;
+  replyDestination: string;
+  correlationHeader: string;
+  replyTimeoutMs: number;
+}
+
+export interface LatencySummary {
+  min: number;
+  mean: number;
+  p50: number;
+  p95: number;
+  p99: number;
+  max: number;
+}
+
+/** One point per elapsed second of the run, for the live chart */
+export interface LoadSecond {
+  second: number;
+  sent: number;
+  received: number;
+  p50: number | null;
+}
+
+export interface LoadTestStats {
+  running: boolean;
+  sent: number;
+  received: number;
+  errors: number;
+  elapsedMs: number;
+  throughput: number;
+  latency: LatencySummary | null;
+  series: LoadSecond[];
+}
+
+export interface LoadReply {
+  body: string;
+  headers: Record<string, string>;
+}
+
+export interface LoadTestDriver {
+  subscribe: (destination: string, onMessage: (message: LoadReply) => void) => () => void;
+  publish: (destination: string, headers: Record<string, string>, correlationId: string) => void;
+}
+
+export const DEFAULT_LOAD_CONFIG: LoadTestConfig = {
+  destination: '/app/chat.send',
+  body: '{\n  "receiverId": 7,\n  "content": "Load {{counter}} {{correlationId}}"\n}',
+  payloadFormat: 'json',
+  mode: 'count',
+  count: 100,
+  durationSec: 10,
+  ratePerSec: 20,
+  replyDestination: '/user/queue/messages',
+  correlationHeader: 'correlation-id',
+  replyTimeoutMs: 5000,
+};
+
+const TICK_MS = 20;
+// Correlation ids are crypto.randomUUID() values
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+const REPORT_INTERVAL_MS = 250;
+
+export function emptyStats(): LoadTestStats {
+  return { running: false, sent: 0, received: 0, errors: 0, elapsedMs: 0, throughput: 0, latency: null, series: [] };
+}
+
+/**
+ * Nearest-rank percentile over an ascending array.
+ */
+export function percentile(sorted: number[], p: number): number {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+export function summarizeLatencies(latencies: number[]): LatencySummary | null {
+  if (latencies.length === 0) return null;
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const round = (n: number) => Math.round(n * 10) / 10;
+  return {
+    min: round(sorted[0]),
+    mean: round(sorted.reduce((sum, n) => sum + n, 0) / sorted.length),
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted[sorted.length - 1]),
+  };
+}
+
+/**
+ * Run a burst against the driver until the configured count / duration is
+ * reached, then wait up to `replyTimeoutMs` for outstanding replies.
+ * `onProgress` receives a fresh stats object a few times per second.
+ */
+export function runLoadTest(
+  config: LoadTestConfig,
+  driver: LoadTestDriver,
+  onProgress: (stats: LoadTestStats) => void,
+  signal?: AbortSignal
+): Promise<LoadTestStats> {
+  return new Promise(resolve => {
+    const rate = Math.max(0.1, config.ratePerSec);
+    const total = config.mode === 'count' ? Math.max(0, Math.floor(config.count)) : Infinity;
+    const durationMs = config.mode === 'duration' ? Math.max(0, config.durationSec) * 1000 : Infinity;
+
+    // correlation id → performance.now() at publish time
+    const pending = new Map<string, number>();
+    const latencies: number[] = [];
+    const perSecond: { sent: number; received: number; latencies: number[] }[] = [];
+    let attempts = 0;
+    let sent = 0;
+    let received = 0;
+    let errors = 0;
+    let doneSendingAt: number | null = null;
+    const started = performance.now();
+
+    const bucket = (now: number) => {
+      const second = Math.floor((now - started) / 1000);
+      while (perSecond.length <= second) perSecond.push({ sent: 0, received: 0, latencies: [] });
+      return perSecond[second];
+    };
+
+    // Header first; echo endpoints only carry the id in the body, among any other UUIDs
+    const matchReply = (reply: LoadReply): string | undefined => {
+      const id = reply.headers[config.correlationHeader];
+      if (id && pending.has(id)) return id;
+      for (const [candidate] of reply.body.matchAll(UUID_PATTERN)) {
+        const normalized = candidate.toLowerCase();
+        if (pending.has(normalized)) return normalized;
+      }
+      return undefined;
+    };
+
+    const unsubscribe = config.replyDestination.trim()
+      ? driver.subscribe(config.replyDestination, reply => {
+          const id = matchReply(reply);
+          if (!id) return;
+          const now = performance.now();
+          const latency = now - (pending.get(id) as number);
+          pending.delete(id);
+          received++;
+          latencies.push(latency);
+          const b = bucket(now);
+          b.received++;
+          b.latencies.push(latency);
+        })
+      : null;
+
+    const snapshot = (running: boolean): LoadTestStats => {
+      const elapsedMs = performance.now() - started;
+      const sendingMs = (doneSendingAt ?? performance.now()) - started;
+      return {
+        running,
+        sent,
+        received,
+        errors,
+        elapsedMs: Math.round(elapsedMs),
+        throughput: sendingMs > 0 ? Math.round((sent / sendingMs) * 10_000) / 10 : 0,
+        latency: summarizeLatencies(latencies),
+        series: perSecond.map((b, second) => ({
+          second,
+          sent: b.sent,
+          received: b.received,
+          p50: b.latencies.length ? percentile([...b.latencies].sort((x, y) => x - y), 50) : null,
+        })),
+      };
+    };
+
+    let lastReport = 0;
+    const timer = setInterval(() => {
+      const now = performance.now();
+      const elapsed = now - started;
+
+      if (doneSendingAt === null) {
+        // Catch up to where the target rate says we should be
+        const due = Math.min(total, Math.floor((Math.min(elapsed, durationMs) * rate) / 1000));
+        while (attempts < due && !signal?.aborted) {
+          attempts++;
+          const correlationId = crypto.randomUUID();
+          try {
+            pending.set(correlationId, performance.now());
+            driver.publish(config.destination, { [config.correlationHeader]: correlationId }, correlationId);
+            bucket(performance.now()).sent++;
+            sent++;
+          } catch {
+            pending.delete(correlationId);
+            errors++;
+          }
+        }
+        if (attempts >= total || elapsed >= durationMs || signal?.aborted) {
+          doneSendingAt = performance.now();
+        }
+      }
+
+      const drained =
+        doneSendingAt !== null &&
+        (pending.size === 0 || !unsubscribe || now - doneSendingAt >= config.replyTimeoutMs || signal?.aborted);
+      if (drained) {
+        clearInterval(timer);
+        try {
+          unsubscribe?.();
+        } catch {
+          // Connection may already be gone
+        }
+        const stats = snapshot(false);
+        onProgress(stats);
+        resolve(stats);
+        return;
+      }
+
+      if (now - lastReport >= REPORT_INTERVAL_MS) {
+        lastReport = now;
+        onProgress(snapshot(true));
+      }
+    }, TICK_MS);
+  });
+}
@@ -3,26 +3,58 @@
  *
  * Helper functions for detecting the Stomp Local Agent Chrome extension
  * and determining when to use it.
+ *
+ * The extension owns the list of allowed target hosts (its options page);
+ * it reports the list in every PONG so the page routes the same hosts
+ * through the agent. Entry syntax matches stomp-local-agent/allowlist.js.
+ *
+ * The extension also keeps a list of trusted app origins. On an untrusted
+ * origin the content script either answers AGENT_UNTRUSTED (origin removed
+ * from the list) or is not injected at all, which looks like "missing".
  */
 
 /**
- * Check if the Stomp Local Agent extension is installed and responsive.
+ *   available → extension answered the ping
+ *   untrusted → extension is installed but this origin is not trusted
+ *   missing   → no answer (not installed, or never trusted on this origin)
+ */
+export type AgentStatus = 'available' | 'untrusted' | 'missing';
+
+// Origin the extension trusts out of the box (see stomp-local-agent/trustedOrigins.js)
+export const BUILT_IN_APP_ORIGIN = 'https://stomp-template-send-sigma.vercel.app';
+
+export const DEFAULT_AGENT_ALLOWED_HOSTS = ['localhost', '127.0.0.1'];
+
+// Last allowlist reported by the extension
+let agentAllowedHosts: string[] = DEFAULT_AGENT_ALLOWED_HOSTS;
+
+export function getAgentAllowedHosts(): string[] {
+  return agentAllowedHosts;
+}
+
+/**
+ * Detect the Stomp Local Agent extension and whether it trusts this origin.
  * Sends a ping via postMessage and waits for a pong response.
  */
-export function isLocalAgentAvailable(): Promise<boolean> {
+export function detectLocalAgent(): Promise<AgentStatus> {
   return new Promise((resolve) => {
     const connectionId = crypto.randomUUID();
     let resolved = false;
 
     function handler(event: MessageEvent) {
       if (event.source !== window) return;
-      if (
-        event.data?.type === 'AGENT_PONG' &&
-        event.data?.connectionId === connectionId
-      ) {
+      if (event.data?.connectionId !== connectionId) return;
+      if (event.data?.type === 'AGENT_PONG') {
         resolved = true;
         window.removeEventListener('message', handler);
-        resolve(true);
+        if (Array.isArray(event.data.allowedHosts)) {
+          agentAllowedHosts = event.data.allowedHosts;
+        }
+        resolve('available');
+      } else if (event.data?.type === 'AGENT_UNTRUSTED') {
+        resolved = true;
+        window.removeEventListener('message', handler);
+        resolve('untrusted');
       }
     }
 
@@ -40,24 +72,99 @@ export function isLocalAgentAvailable(): Promise<boolean> {
     setTimeout(() => {
       if (!resolved) {
         window.removeEventListener('message', handler);
-        resolve(false);
+        resolve('missing');
       }
     }, 2000);
   });
 }
 
 /**
- * Check if a URL points to localhost or 127.0.0.1
+ * Check if the Stomp Local Agent extension is installed and responsive.
+ */
+export async function isLocalAgentAvailable(): Promise<boolean> {
+  return (await detectLocalAgent()) === 'available';
+}
+
+/**
+ * Human-readable explanation of an agent status for the log, or null when
+ * the agent is usable.
  */
-export function isLocalhostUrl(url: string): boolean {
+export function agentStatusMessage(status: AgentStatus, origin = window.location.origin): string | null {
+  switch (status) {
+    case 'available':
+      return null;
+    case 'untrusted':
+      return `Stomp Local Agent đã cài nhưng chưa tin cậy origin ${origin}. Mở Options của extension → Trusted app origins để thêm.`;
+    case 'missing':
+      return origin === BUILT_IN_APP_ORIGIN
+        ? 'Không phát hiện Stomp Local Agent extension.'
+        : `Không phát hiện Stomp Local Agent trên ${origin}. Nếu đã cài extension, thêm origin này vào Trusted app origins trong Options của extension.`;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Allowlist entries
+// ---------------------------------------------------------------------------
+// A port of parseHostEntry / isUrlAllowed in stomp-local-agent/allowlist.js,
+// which the extension loads as a classic script. test/allowlist.test.mjs runs
+// both against the same table so the page never picks the agent for a URL
+// the background would reject.
+
+const HOST_ENTRY_PATTERN = /^(\*\.)?[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?(\.[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?)*(:\d{1,5})?$/;
+const IPV6_ENTRY_PATTERN = /^(\[[0-9a-f:.]+\])(?::(\d{1,5}))?$/;
+
+interface HostRule {
+  wildcard: boolean;
+  host: string; // IPv6 hosts keep their brackets, like URL.hostname
+  port: string; // "" = any port
+}
+
+function parseHostEntry(entry: string): HostRule | null {
+  const value = String(entry || '').trim().toLowerCase();
+
+  let wildcard = false;
+  let host: string;
+  let port: string | undefined;
+  const ipv6 = value.match(IPV6_ENTRY_PATTERN);
+  if (ipv6) {
+    try {
+      host = new URL(`http://${ipv6[1]}/`).hostname;
+    } catch {
+      return null;
+    }
+    port = ipv6[2];
+  } else {
+    if (!HOST_ENTRY_PATTERN.test(value)) return null;
+    wildcard = value.startsWith('*.');
+    [host, port] = (wildcard ? value.slice(2) : value).split(':');
+  }
+
+  if (port !== undefined && (Number(port) < 1 || Number(port) > 65535)) return null;
+  return { wildcard, host, port: port || '' };
+}
+
+/**
+ * Check if a URL (http/https/ws/wss) targets a host on the agent allowlist.
+ * Entries are `host`, `host:port`, `*.domain` or `[ipv6]:port`; without a
+ * port any port matches. Invalid entries match nothing.
+ */
+export function isAgentAllowedUrl(url: string, entries: string[] = agentAllowedHosts): boolean {
+  let parsed: URL;
   try {
-    const parsed = new URL(url);
-    return (
-      parsed.hostname === 'localhost' || parsed.hostname === '127.0.0.1'
-    );
+    parsed = new URL(url);
   } catch {
     return false;
   }
+  if (!['http:', 'https:', 'ws:', 'wss:'].includes(parsed.protocol)) return false;
+
+  const hostname = parsed.hostname.toLowerCase();
+  const port = parsed.port || (parsed.protocol === 'https:' || parsed.protocol === 'wss:' ? '443' : '80');
+  return entries.some(entry => {
+    const rule = parseHostEntry(entry);
+    if (!rule) return false;
+    const hostMatches = rule.wildcard ? hostname.endsWith(`.${rule.host}`) : hostname === rule.host;
+    return hostMatches && (!rule.port || rule.port === port);
+  });
 }
 
 /**
@@ -74,9 +181,9 @@ export function isRunningOnLocalhost(): boolean {
 /**
  * Determine if the agent should be used for a given URL.
  * Agent is needed when:
- * 1. The target URL is localhost
+ * 1. The target URL is on the agent allowlist (localhost by default)
  * 2. The app is NOT running on localhost (i.e., deployed to Vercel)
  */
 export function shouldUseAgent(url: string): boolean {
-  return isLocalhostUrl(url) && !isRunningOnLocalhost();
+  return isAgentAllowedUrl(url) && !isRunningOnLocalhost();
 }
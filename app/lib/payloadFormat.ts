@@ -0,0 +1,296 @@
+/**
+ * Payload Formats
+ *
+ * Encodes the editor text into a STOMP body for each supported format and
+ * decodes received bodies back into something readable. Binary formats go
+ * out as `binaryBody`; protobuf uses a schema parsed from a user-supplied
+ * .proto file, with messages written and shown as JSON.
+ */
+
+import protobuf, { type Root, type Type } from 'protobufjs';
+
+export type PayloadFormat = 'json' | 'text' | 'xml' | 'base64' | 'hex' | 'protobuf';
+
+/** Receive side: `auto` picks the format from the content-type header */
+export type ReceiveFormat = 'auto' | PayloadFormat;
+
+export const PAYLOAD_FORMATS: { value: PayloadFormat; label: string }[] = [
+  { value: 'json', label: 'JSON' },
+  { value: 'text', label: 'Text' },
+  { value: 'xml', label: 'XML' },
+  { value: 'base64', label: 'Base64 (binary)' },
+  { value: 'hex', label: 'Hex (binary)' },
+  { value: 'protobuf', label: 'Protobuf' },
+];
+
+// content-type sent when the user didn't set one; JSON and text keep the old behaviour
+const DEFAULT_CONTENT_TYPES: Partial<Record<PayloadFormat, string>> = {
+  xml: 'application/xml',
+  base64: 'application/octet-stream',
+  hex: 'application/octet-stream',
+  protobuf: 'application/x-protobuf',
+};
+
+export interface ProtoSchema {
+  fileName: string;
+  root: Root;
+  types: string[]; // fully qualified message type names
+}
+
+export interface EncodedPayload {
+  body?: string;
+  binaryBody?: Uint8Array;
+  contentType?: string;
+}
+
+export interface DecodedPayload {
+  text: string;
+  format: PayloadFormat;
+  messageType?: string;
+  error?: string;
+}
+
+export function isBinaryFormat(format: PayloadFormat): boolean {
+  return format === 'base64' || format === 'hex' || format === 'protobuf';
+}
+
+// ---------------------------------------------------------------------------
+// Binary helpers
+// ---------------------------------------------------------------------------
+
+export function bytesToBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBytes(text: string): Uint8Array {
+  const clean = text.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(clean) || clean.length % 4 !== 0) {
+    throw new Error('Nội dung không phải là base64 hợp lệ!');
+  }
+  const binary = atob(clean);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+export function bytesToHex(bytes: Uint8Array): string {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+export function hexToBytes(text: string): Uint8Array {
+  const clean = text.replace(/0x/gi, '').replace(/[\s:,-]+/g, '');
+  if (!/^[0-9a-fA-F]*$/.test(clean) || clean.length % 2 !== 0) {
+    throw new Error('Nội dung không phải là hex hợp lệ!');
+  }
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+// ---------------------------------------------------------------------------
+// XML
+// ---------------------------------------------------------------------------
+
+function assertXml(text: string) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Nội dung không phải là XML hợp lệ!');
+  }
+}
+
+/** Re-indent an XML document; returns the input unchanged when it doesn't parse */
+export function formatXml(text: string): string {
+  try {
+    assertXml(text);
+  } catch {
+    return text;
+  }
+  // One tag per line; text-only elements such as <a>text</a> stay on one line
+  const lines = text.trim().replace(/>\s*</g, '>\n<').split('\n');
+  let depth = 0;
+  return lines
+    .map(raw => {
+      const line = raw.trim();
+      if (line.startsWith('</')) depth = Math.max(0, depth - 1);
+      const indented = '  '.repeat(depth) + line;
+      const opens = /^<[^/?!]/.test(line) && !line.endsWith('/>') && !line.includes('</');
+      if (opens) depth++;
+      return indented;
+    })
+    .join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Protobuf
+// ---------------------------------------------------------------------------
+
+function collectTypes(namespace: { nestedArray: unknown[] }, into: string[]) {
+  for (const nested of namespace.nestedArray) {
+    if (nested instanceof protobuf.Type) {
+      into.push(nested.fullName.replace(/^\./, ''));
+    }
+    if (nested && typeof nested === 'object' && 'nestedArray' in nested) {
+      collectTypes(nested as { nestedArray: unknown[] }, into);
+    }
+  }
+  return into;
+}
+
+/**
+ * Parse a .proto file. Imports are not resolved, so the file must define
+ * every message it references.
+ */
+export function parseProtoSchema(fileName: string, source: string): ProtoSchema {
+  let root: Root;
+  try {
+    root = protobuf.parse(source, { keepCase: true }).root;
+  } catch (err) {
+    throw new Error(`File .proto không hợp lệ: ${err instanceof Error ? err.message : err}`);
+  }
+  const types = collectTypes(root, []).sort();
+  if (types.length === 0) {
+    throw new Error('File .proto không có message type nào');
+  }
+  return { fileName, root, types };
+}
+
+function lookupType(schema: ProtoSchema | null, messageType: string | undefined): Type {
+  if (!schema) throw new Error('Chưa tải file .proto!');
+  if (!messageType) throw new Error('Chưa chọn message type!');
+  try {
+    return schema.root.lookupType(messageType);
+  } catch {
+    throw new Error(`Không tìm thấy message type ${messageType} trong ${schema.fileName}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Encode / decode
+// ---------------------------------------------------------------------------
+
+/**
+ * Turn editor text into a STOMP body. Throws with a user-facing message
+ * when the text isn't valid for the format.
+ */
+export function encodePayload(
+  format: PayloadFormat,
+  text: string,
+  schema: ProtoSchema | null = null,
+  messageType?: string
+): EncodedPayload {
+  const contentType = DEFAULT_CONTENT_TYPES[format];
+  switch (format) {
+    case 'json':
+      try {
+        JSON.parse(text);
+      } catch {
+        throw new Error('Nội dung không phải là JSON hợp lệ!');
+      }
+      return { body: text };
+    case 'text':
+      return { body: text };
+    case 'xml':
+      assertXml(text);
+      return { body: text, contentType };
+    case 'base64':
+      return { binaryBody: base64ToBytes(text), contentType };
+    case 'hex':
+      return { binaryBody: hexToBytes(text), contentType };
+    case 'protobuf': {
+      const type = lookupType(schema, messageType);
+      let value: unknown;
+      try {
+        value = JSON.parse(text);
+      } catch {
+        throw new Error('Protobuf message phải được viết dưới dạng JSON!');
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Protobuf message phải là JSON object!');
+      }
+      const unknownFields = Object.keys(value).filter(key => !type.fields[key]);
+      if (unknownFields.length > 0) {
+        throw new Error(`Protobuf ${messageType}: field không tồn tại: ${unknownFields.join(', ')}`);
+      }
+      let encoded: Uint8Array;
+      try {
+        const message = type.fromObject(value as Record<string, unknown>);
+        const invalid = type.verify(message);
+        if (invalid) throw new Error(invalid);
+        encoded = type.encode(message).finish();
+      } catch (err) {
+        throw new Error(`Protobuf ${messageType}: ${err instanceof Error ? err.message : err}`);
+      }
+      return { binaryBody: encoded, contentType };
+    }
+  }
+}
+
+/** Format implied by a content-type header, or null when it says nothing useful */
+export function formatFromContentType(contentType: string | undefined): PayloadFormat | null {
+  const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (!mime) return null;
+  if (mime === 'application/json' || mime.endsWith('+json')) return 'json';
+  if (mime === 'application/xml' || mime === 'text/xml' || mime.endsWith('+xml')) return 'xml';
+  if (mime.startsWith('text/')) return 'text';
+  // Without a per-subscription message type, protobuf bodies are shown as raw bytes
+  if (mime === 'application/octet-stream' || mime.includes('protobuf')) return 'base64';
+  return null;
+}
+
+/**
+ * Render a received body for the log. `auto` follows the content-type and
+ * falls back to JSON/text; a failed protobuf decode falls back to base64.
+ */
+export function decodePayload(
+  message: { body: string; binaryBody: Uint8Array },
+  contentType: string | undefined,
+  format: ReceiveFormat,
+  schema: ProtoSchema | null = null,
+  messageType?: string
+): DecodedPayload {
+  const resolved: PayloadFormat =
+    format === 'auto' ? formatFromContentType(contentType) ?? (isJson(message.body) ? 'json' : 'text') : format;
+
+  switch (resolved) {
+    case 'json':
+    case 'text':
+      return { text: message.body, format: resolved };
+    case 'xml':
+      return { text: formatXml(message.body), format: 'xml' };
+    case 'base64':
+      return { text: bytesToBase64(message.binaryBody), format: 'base64' };
+    case 'hex':
+      return { text: bytesToHex(message.binaryBody), format: 'hex' };
+    case 'protobuf':
+      try {
+        const type = lookupType(schema, messageType);
+        const decoded = type.toObject(type.decode(message.binaryBody), { longs: String, enums: String, bytes: String });
+        return { text: JSON.stringify(decoded, null, 2), format: 'protobuf', messageType };
+      } catch (err) {
+        return {
+          text: bytesToBase64(message.binaryBody),
+          format: 'base64',
+          error: `Không decode được protobuf: ${err instanceof Error ? err.message : err}`,
+        };
+      }
+  }
+}
+
+function isJson(text: string): boolean {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return false;
+  try {
+    JSON.parse(trimmed);
+    return true;
+  } catch {
+    return false;
+  }
+}
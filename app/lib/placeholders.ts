@@ -0,0 +1,112 @@
+/**
+ * Placeholder Templating
+ *
+ * Expands `{{...}}` placeholders in message bodies and header values
+ * right before publishing:
+ *
+ *   {{uuid}}            → random UUID v4
+ *   {{timestamp}}       → epoch milliseconds
+ *   {{isoDate}}         → ISO-8601 date
+ *   {{randomInt a b}}   → random integer in [a, b] (default 0..1000)
+ *   {{counter}}         → per-session send counter
+ *   {{anyName}}         → variable from the active environment
+ *
+ * Unknown placeholders are left untouched and reported as unresolved.
+ */
+
+export interface PlaceholderContext {
+  variables: Record<string, string>;
+  counter: number;
+}
+
+export interface ResolveResult {
+  text: string;
+  unresolved: string[];
+}
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)((?:\s+-?\d+)*)\s*\}\}/g;
+
+function randomInt(min: number, max: number): number {
+  const lo = Math.min(min, max);
+  const hi = Math.max(min, max);
+  return lo + Math.floor(Math.random() * (hi - lo + 1));
+}
+
+function builtin(name: string, args: number[], context: PlaceholderContext): string | undefined {
+  switch (name) {
+    case 'uuid':
+      return crypto.randomUUID();
+    case 'timestamp':
+      return String(Date.now());
+    case 'isoDate':
+      return new Date().toISOString();
+    case 'randomInt':
+      return String(randomInt(args[0] ?? 0, args[1] ?? 1000));
+    case 'counter':
+      return String(context.counter);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Resolve every placeholder in `text`. Environment variables take
+ * precedence over built-ins so a profile can pin e.g. `{{uuid}}`.
+ */
+export function resolvePlaceholders(text: string, context: PlaceholderContext): ResolveResult {
+  const unresolved = new Set<string>();
+
+  const resolved = text.replace(PLACEHOLDER_PATTERN, (match, name: string, rawArgs: string) => {
+    if (Object.prototype.hasOwnProperty.call(context.variables, name)) {
+      return context.variables[name];
+    }
+    const args = rawArgs.trim() ? rawArgs.trim().split(/\s+/).map(Number) : [];
+    const value = builtin(name, args, context);
+    if (value === undefined) {
+      unresolved.add(name);
+      return match;
+    }
+    return value;
+  });
+
+  return { text: resolved, unresolved: [...unresolved] };
+}
+
+/**
+ * Resolve placeholders in every value of a header map.
+ */
+export function resolveHeaderPlaceholders(
+  headers: Record<string, string>,
+  context: PlaceholderContext
+): { headers: Record<string, string>; unresolved: string[] } {
+  const unresolved = new Set<string>();
+  const result: Record<string, string> = {};
+  for (const [key, value] of Object.entries(headers)) {
+    const { text, unresolved: missing } = resolvePlaceholders(value, context);
+    result[key] = text;
+    missing.forEach(name => unresolved.add(name));
+  }
+  return { headers: result, unresolved: [...unresolved] };
+}
+
+export interface ResolvedMessage extends ResolveResult {
+  headers: Record<string, string>;
+}
+
+/**
+ * Resolve a message body and its headers with one context, as a publish
+ * sends them. `unresolved` covers both.
+ */
+export function resolveMessage(
+  body: string,
+  headers: Record<string, string>,
+  context: PlaceholderContext
+): ResolvedMessage {
+  const resolved = resolvePlaceholders(body, context);
+  const resolvedHeaders = resolveHeaderPlaceholders(headers, context);
+  return {
+    text: resolved.text,
+    headers: resolvedHeaders.headers,
+    unresolved: [...new Set([...resolved.unresolved, ...resolvedHeaders.unresolved])],
+  };
+}
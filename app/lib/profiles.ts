@@ -0,0 +1,178 @@
+/**
+ * Connection Profiles
+ *
+ * Named connection settings (URL, auth, CONNECT headers, heart-beats,
+ * reconnect policy and environment variables) for switching between
+ * backends such as dev / staging / local. Profiles persist in localStorage
+ * and can be exported with or without their secrets.
+ */
+
+import { KeyValuePair } from './keyValue';
+import { DEFAULT_RECONNECT_POLICY, ReconnectPolicy, resolveReconnectPolicy } from './reconnect';
+
+export type AuthType = 'none' | 'bearer' | 'login';
+
+export interface ConnectionProfile {
+  id: string;
+  name: string;
+  url: string;
+  authType: AuthType;
+  token: string;
+  login: string;
+  passcode: string;
+  connectHeaders: KeyValuePair[];
+  heartbeatIncoming: number;
+  heartbeatOutgoing: number;
+  reconnect: ReconnectPolicy;
+  variables: KeyValuePair[];
+}
+
+export interface ProfileExport {
+  format: 'stomp-template-send/profiles';
+  version: 1;
+  exportedAt: string;
+  secretsIncluded: boolean;
+  profiles: ConnectionProfile[];
+}
+
+export const PROFILES_STORAGE_KEY = 'profiles';
+
+// Header and variable names treated as secrets when exporting without them
+const SECRET_KEY_PATTERN = /authorization|token|secret|password|passcode|api[-_]?key/i;
+
+export function isSecretKey(key: string): boolean {
+  return SECRET_KEY_PATTERN.test(key);
+}
+
+export function createProfile(fields: Partial<ConnectionProfile> = {}): ConnectionProfile {
+  return {
+    name: 'Local',
+    url: 'http://localhost:8080/ws/chat',
+    authType: 'bearer',
+    token: '',
+    login: '',
+    passcode: '',
+    connectHeaders: [],
+    heartbeatIncoming: 4000,
+    heartbeatOutgoing: 4000,
+    reconnect: DEFAULT_RECONNECT_POLICY,
+    variables: [],
+    ...fields,
+    id: crypto.randomUUID(),
+  };
+}
+
+// Must match the bundled mock broker (mock-broker/broker.mjs, `npm run mock-broker`)
+export const MOCK_BROKER_URL = 'ws://localhost:8090/ws';
+
+/**
+ * Profile for the bundled mock broker. The login becomes the user name the
+ * broker routes /user/... destinations by.
+ */
+export function createMockBrokerProfile(): ConnectionProfile {
+  return createProfile({
+    name: 'Local mock',
+    url: MOCK_BROKER_URL,
+    authType: 'login',
+    login: 'mock-user',
+    passcode: '',
+    heartbeatIncoming: 10000,
+    heartbeatOutgoing: 10000,
+  });
+}
+
+// Stable id so the server render and the first client render agree
+export const DEFAULT_PROFILE: ConnectionProfile = {
+  ...createProfile(),
+  id: 'default',
+};
+
+/**
+ * Build the STOMP CONNECT headers for a profile (auth + custom headers).
+ */
+export function buildConnectHeaders(profile: ConnectionProfile): Record<string, string> {
+  const headers: Record<string, string> = {};
+  if (profile.authType === 'bearer' && profile.token) {
+    headers['Authorization'] = `Bearer ${profile.token}`;
+  } else if (profile.authType === 'login') {
+    headers['login'] = profile.login;
+    headers['passcode'] = profile.passcode;
+  }
+  for (const { key, value } of profile.connectHeaders) {
+    if (key.trim()) headers[key.trim()] = value;
+  }
+  return headers;
+}
+
+/**
+ * Strip token, passcode and secret-looking headers/variables from a profile.
+ */
+export function redactProfile(profile: ConnectionProfile): ConnectionProfile {
+  const redactPairs = (pairs: KeyValuePair[]) =>
+    pairs.map(p => (isSecretKey(p.key) ? { ...p, value: '' } : p));
+  return {
+    ...profile,
+    token: '',
+    passcode: '',
+    connectHeaders: redactPairs(profile.connectHeaders),
+    variables: redactPairs(profile.variables),
+  };
+}
+
+export function exportProfiles(profiles: ConnectionProfile[], includeSecrets: boolean): string {
+  const doc: ProfileExport = {
+    format: 'stomp-template-send/profiles',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    secretsIncluded: includeSecrets,
+    profiles: includeSecrets ? profiles : profiles.map(redactProfile),
+  };
+  return JSON.stringify(doc, null, 2);
+}
+
+function toPairs(value: unknown): KeyValuePair[] {
+  if (Array.isArray(value)) {
+    return value
+      .filter(p => p && typeof p.key === 'string' && typeof p.value === 'string')
+      .map(p => ({ key: p.key, value: p.value }));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, v]) => typeof v === 'string')
+      .map(([key, v]) => ({ key, value: v as string }));
+  }
+  return [];
+}
+
+/**
+ * Parse an export document (or a bare array of profiles).
+ * Imported profiles always get fresh ids so they never clobber local ones.
+ */
+export function parseProfileImport(text: string): ConnectionProfile[] {
+  const parsed = JSON.parse(text);
+  const list: unknown = Array.isArray(parsed) ? parsed : parsed?.profiles;
+  if (!Array.isArray(list)) {
+    throw new Error('File không chứa danh sách profiles');
+  }
+
+  return list.map((item, index) => {
+    if (typeof item !== 'object' || item === null || typeof item.name !== 'string' || typeof item.url !== 'string') {
+      throw new Error(`Profile #${index + 1} thiếu name/url`);
+    }
+    const str = (v: unknown) => (typeof v === 'string' ? v : '');
+    const num = (v: unknown, fallback: number) => (typeof v === 'number' && v >= 0 ? v : fallback);
+    return createProfile({
+      name: item.name,
+      url: item.url,
+      authType: ['none', 'bearer', 'login'].includes(item.authType) ? item.authType : 'bearer',
+      token: str(item.token),
+      login: str(item.login),
+      passcode: str(item.passcode),
+      connectHeaders: toPairs(item.connectHeaders),
+      heartbeatIncoming: num(item.heartbeatIncoming, 4000),
+      heartbeatOutgoing: num(item.heartbeatOutgoing, 4000),
+      reconnect: resolveReconnectPolicy(item.reconnect),
+      variables: toPairs(item.variables),
+    });
+  });
+}
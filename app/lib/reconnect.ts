@@ -0,0 +1,68 @@
+/**
+ * Reconnect Policy
+ *
+ * Per-profile reconnect settings. In agent mode the policy travels with
+ * WS_OPEN and the extension's WSConnection reconnects the real socket
+ * (same math in stomp-local-agent/background.js); otherwise StompSession
+ * re-activates the STOMP client itself.
+ */
+
+export interface ReconnectPolicy {
+  enabled: boolean;
+  maxAttempts: number; // 0 = forever
+  baseDelayMs: number;
+  maxDelayMs: number;
+  jitter: number; // 0..1, fraction of the delay randomized either way
+  reconnectOnCleanClose: boolean;
+}
+
+// Matches the extension's previous hard-coded behaviour: 10 attempts, 2s doubling up to 30s
+export const DEFAULT_RECONNECT_POLICY: ReconnectPolicy = {
+  enabled: true,
+  maxAttempts: 10,
+  baseDelayMs: 2000,
+  maxDelayMs: 30000,
+  jitter: 0,
+  reconnectOnCleanClose: false,
+};
+
+/**
+ * Fill in missing or invalid fields (profiles saved before the policy existed).
+ */
+export function resolveReconnectPolicy(policy?: Partial<ReconnectPolicy>): ReconnectPolicy {
+  const num = (v: unknown, fallback: number) => (typeof v === 'number' && v >= 0 ? v : fallback);
+  const bool = (v: unknown, fallback: boolean) => (typeof v === 'boolean' ? v : fallback);
+  const d = DEFAULT_RECONNECT_POLICY;
+  return {
+    enabled: bool(policy?.enabled, d.enabled),
+    maxAttempts: Math.floor(num(policy?.maxAttempts, d.maxAttempts)),
+    baseDelayMs: num(policy?.baseDelayMs, d.baseDelayMs),
+    maxDelayMs: num(policy?.maxDelayMs, d.maxDelayMs),
+    jitter: Math.min(1, num(policy?.jitter, d.jitter)),
+    reconnectOnCleanClose: bool(policy?.reconnectOnCleanClose, d.reconnectOnCleanClose),
+  };
+}
+
+/**
+ * Whether a socket that just closed should be reconnected, given how many
+ * attempts have already been made since it was last open.
+ */
+export function shouldReconnect(policy: ReconnectPolicy, wasClean: boolean, attempts: number): boolean {
+  if (!policy.enabled) return false;
+  if (wasClean && !policy.reconnectOnCleanClose) return false;
+  return policy.maxAttempts === 0 || attempts < policy.maxAttempts;
+}
+
+/**
+ * Exponential backoff for the 1-based `attempt`: base, 2×base, 4×base…
+ * capped at maxDelayMs, then spread by ±jitter.
+ */
+export function reconnectDelay(policy: ReconnectPolicy, attempt: number): number {
+  const backoff = Math.min(policy.baseDelayMs * Math.pow(2, attempt - 1), Math.max(policy.maxDelayMs, policy.baseDelayMs));
+  const spread = backoff * policy.jitter * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(backoff + spread));
+}
+
+export function formatMaxAttempts(policy: ReconnectPolicy): string {
+  return policy.maxAttempts === 0 ? '∞' : String(policy.maxAttempts);
+}
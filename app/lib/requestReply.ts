@@ -0,0 +1,86 @@
+/**
+ * Request / Reply Correlation
+ *
+ * A request carries a correlation id either as a STOMP header or as a
+ * top-level field of its JSON body. Replies arriving on the reply
+ * destination are paired with their request by reading the same key back.
+ */
+
+export type CorrelationLocation = 'header' | 'body';
+
+export interface RequestReplyConfig {
+  enabled: boolean;
+  replyDestination: string;
+  correlationKey: string;
+  location: CorrelationLocation;
+  timeoutMs: number;
+}
+
+export const DEFAULT_REQUEST_REPLY: RequestReplyConfig = {
+  enabled: false,
+  replyDestination: '/user/queue/messages',
+  correlationKey: 'correlation-id',
+  location: 'header',
+  timeoutMs: 10_000,
+};
+
+export function newCorrelationId(): string {
+  return crypto.randomUUID();
+}
+
+/**
+ * Attach the correlation id to an outgoing request. Body mode requires a
+ * JSON object body; an id already present in the request is kept.
+ */
+export function attachCorrelation(
+  config: RequestReplyConfig,
+  headers: Record<string, string>,
+  body: string,
+  id: string
+): { headers: Record<string, string>; body: string; correlationId: string } {
+  if (config.location === 'header') {
+    const existing = headers[config.correlationKey];
+    return {
+      headers: existing ? headers : { ...headers, [config.correlationKey]: id },
+      body,
+      correlationId: existing || id,
+    };
+  }
+
+  const parsed = JSON.parse(body);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Body phải là JSON object để thêm field "${config.correlationKey}"`);
+  }
+  const existing = parsed[config.correlationKey];
+  if (existing !== undefined && existing !== null && existing !== '') {
+    return { headers, body, correlationId: String(existing) };
+  }
+  return {
+    headers,
+    body: JSON.stringify({ ...parsed, [config.correlationKey]: id }, null, 2),
+    correlationId: id,
+  };
+}
+
+/**
+ * Read the correlation id back from a reply, looking at the configured
+ * location first and falling back to the other one.
+ */
+export function extractCorrelation(
+  config: Pick<RequestReplyConfig, 'correlationKey' | 'location'>,
+  headers: Record<string, string>,
+  body: string
+): string | undefined {
+  const fromHeader = () => headers[config.correlationKey] || undefined;
+  const fromBody = () => {
+    const text = body.trim();
+    if (!text.startsWith('{')) return undefined;
+    try {
+      const value = JSON.parse(text)[config.correlationKey];
+      return value === undefined || value === null ? undefined : String(value);
+    } catch {
+      return undefined;
+    }
+  };
+  return config.location === 'header' ? fromHeader() ?? fromBody() : fromBody() ?? fromHeader();
+}
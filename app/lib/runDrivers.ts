@@ -0,0 +1,69 @@
+/**
+ * Scenario and Load-Test Drivers
+ *
+ * Bind the transport-agnostic runners (scenario.ts, loadTest.ts) to a
+ * StompConnection. Subscriptions follow the session across reconnects and
+ * every publish goes to the client connected at that moment, so a run
+ * carries on over a page-side reconnect. Encoding and logging stay with
+ * the session, behind the `publish` callbacks.
+ */
+
+import { Client } from '@stomp/stompjs';
+import { LoadTestDriver } from './loadTest';
+import { PlaceholderContext, resolvePlaceholders } from './placeholders';
+import { ScenarioDriver, ScenarioMessage } from './scenario';
+import { StompConnection } from './stompConnection';
+
+export interface ScenarioDriverOptions {
+  connection: StompConnection;
+  // Starts a connect with the session's profile; see StompConnection.ensureConnected()
+  startConnect: () => void;
+  // Placeholder context of the next send, advancing the session's {{counter}}
+  nextContext: () => PlaceholderContext;
+  publish: (client: Client, destination: string, body: string) => void;
+  // Every message delivered to a scenario subscription, before the step sees it
+  onReceived?: (message: ScenarioMessage) => void;
+}
+
+export function createScenarioDriver(options: ScenarioDriverOptions): ScenarioDriver {
+  const { connection } = options;
+  return {
+    connect: async () => {
+      await connection.ensureConnected(options.startConnect);
+    },
+    subscribe: (destination, onMessage) =>
+      connection.subscribeAcrossReconnects(destination, message => {
+        const received: ScenarioMessage = { destination, body: message.body, headers: { ...message.headers } };
+        options.onReceived?.(received);
+        onMessage(received);
+      }),
+    publish: (destination, body) => {
+      const stompClient = connection.requireClient();
+      options.publish(stompClient, destination, resolvePlaceholders(body, options.nextContext()).text);
+    },
+  };
+}
+
+export interface LoadTestDriverOptions {
+  connection: StompConnection;
+  // Message template; `{{correlationId}}` resolves to the id of each message
+  body: string;
+  nextContext: () => PlaceholderContext;
+  publish: (client: Client, destination: string, headers: Record<string, string>, body: string) => void;
+}
+
+export function createLoadTestDriver(options: LoadTestDriverOptions): LoadTestDriver {
+  const { connection } = options;
+  return {
+    subscribe: (destination, onMessage) =>
+      connection.subscribeAcrossReconnects(destination, message =>
+        onMessage({ body: message.body, headers: { ...message.headers } })
+      ),
+    publish: (destination, headers, correlationId) => {
+      const stompClient = connection.requireClient();
+      const context = options.nextContext();
+      context.variables = { ...context.variables, correlationId };
+      options.publish(stompClient, destination, headers, resolvePlaceholders(options.body, context).text);
+    },
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * Scenario Runner
+ *
+ * A scenario is an ordered list of steps executed against a STOMP session:
+ *
+ *   connect    { timeoutMs }        → connect with the session's profile
+ *   subscribe  { destination }      → start buffering messages
+ *   publish    { destination, body }
+ *   wait       { destination, timeoutMs, expression? }
+ *                                   → wait for the next message (optionally
+ *                                     matching a JSONPath expression)
+ *   assert     { expression }       → JSONPath check on the last message
+ *   sleep      { timeoutMs }
+ *
+ * The runner is transport-agnostic: the session supplies a ScenarioDriver
+ * that wraps its own client.subscribe / client.publish calls.
+ */
+
+import { matchesJsonPath, parseJsonPath } from './jsonPath';
+
+export type StepType = 'connect' | 'subscribe' | 'publish' | 'wait' | 'assert' | 'sleep';
+
+export interface ScenarioStep {
+  id: string;
+  type: StepType;
+  destination: string;
+  body: string;
+  timeoutMs: number;
+  expression: string;
+}
+
+export interface Scenario {
+  id: string;
+  name: string;
+  steps: ScenarioStep[];
+}
+
+export type StepStatus = 'pending' | 'running' | 'passed' | 'failed' | 'skipped';
+
+export interface StepResult {
+  stepId: string;
+  status: StepStatus;
+  message?: string;
+  durationMs?: number;
+}
+
+export interface ScenarioMessage {
+  destination: string;
+  body: string;
+  headers: Record<string, string>;
+}
+
+export interface ScenarioDriver {
+  connect: () => Promise<void>;
+  subscribe: (destination: string, onMessage: (message: ScenarioMessage) => void) => () => void;
+  publish: (destination: string, body: string) => void;
+}
+
+export const SCENARIOS_STORAGE_KEY = 'scenarios';
+
+export const STEP_TYPES: StepType[] = ['connect', 'subscribe', 'publish', 'wait', 'assert', 'sleep'];
+
+const DEFAULT_DESTINATIONS: Partial<Record<StepType, string>> = {
+  subscribe: '/user/queue/messages',
+  publish: '/app/chat.send',
+  wait: '/user/queue/messages',
+};
+
+export function createStep(type: StepType): ScenarioStep {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    destination: DEFAULT_DESTINATIONS[type] || '',
+    body: type === 'publish' ? '{\n  "receiverId": 7,\n  "content": "Hello {{uuid}}"\n}' : '',
+    timeoutMs: type === 'sleep' ? 1000 : type === 'connect' ? 10_000 : 5000,
+    expression: '',
+  };
+}
+
+export function createScenario(name: string): Scenario {
+  return {
+    id: crypto.randomUUID(),
+    name,
+    steps: [createStep('connect'), createStep('subscribe'), createStep('publish'), createStep('wait')],
+  };
+}
+
+/**
+ * One-line description of a step for the report.
+ */
+export function describeStep(step: ScenarioStep): string {
+  switch (step.type) {
+    case 'connect':
+      return `CONNECT (≤ ${step.timeoutMs} ms)`;
+    case 'subscribe':
+      return `SUBSCRIBE ${step.destination}`;
+    case 'publish':
+      return `PUBLISH ${step.destination}`;
+    case 'wait':
+      return `WAIT ${step.destination}${step.expression ? ` where ${step.expression}` : ''} (≤ ${step.timeoutMs} ms)`;
+    case 'assert':
+      return `ASSERT ${step.expression}`;
+    case 'sleep':
+      return `SLEEP ${step.timeoutMs} ms`;
+  }
+}
+
+function parseBody(body: string): unknown {
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(new Error('Đã dừng'));
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Settle with `promise`, or reject once `timeoutMs` passes (0 = no limit)
+ * or the run is stopped. The underlying work is not cancelled.
+ */
+function withDeadline<T>(promise: Promise<T>, timeoutMs: number, timeoutMessage: string, signal?: AbortSignal): Promise<T> {
+  return new Promise((resolve, reject) => {
+    const timer = timeoutMs > 0 ? setTimeout(() => fail(new Error(timeoutMessage)), timeoutMs) : undefined;
+    const abort = () => fail(new Error('Đã dừng'));
+    const finish = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    };
+    const fail = (error: Error) => {
+      finish();
+      reject(error);
+    };
+    if (signal?.aborted) return abort();
+    signal?.addEventListener('abort', abort);
+    promise.then(
+      value => {
+        finish();
+        resolve(value);
+      },
+      error => fail(error instanceof Error ? error : new Error(String(error)))
+    );
+  });
+}
+
+/**
+ * Run every step in order, stopping at the first failure. `onUpdate` is
+ * called with a fresh results array whenever a step changes state.
+ */
+export async function runScenario(
+  scenario: Scenario,
+  driver: ScenarioDriver,
+  onUpdate: (results: StepResult[]) => void,
+  signal?: AbortSignal
+): Promise<StepResult[]> {
+  let results: StepResult[] = scenario.steps.map(step => ({ stepId: step.id, status: 'pending' }));
+  const update = (index: number, patch: Partial<StepResult>) => {
+    results = results.map((r, i) => (i === index ? { ...r, ...patch } : r));
+    onUpdate(results);
+  };
+
+  // Messages buffered per destination since the scenario subscribed to it
+  const inboxes = new Map<string, ScenarioMessage[]>();
+  const waiters = new Set<() => void>();
+  const unsubscribers: (() => void)[] = [];
+  let lastMessage: ScenarioMessage | null = null;
+
+  const ensureSubscribed = (destination: string) => {
+    if (inboxes.has(destination)) return;
+    inboxes.set(destination, []);
+    unsubscribers.push(
+      driver.subscribe(destination, message => {
+        inboxes.get(destination)?.push(message);
+        waiters.forEach(wake => wake());
+      })
+    );
+  };
+
+  const takeMessage = (step: ScenarioStep): ScenarioMessage | null => {
+    const inbox = inboxes.get(step.destination) || [];
+    const query = step.expression.trim() ? parseJsonPath(step.expression) : null;
+    const index = inbox.findIndex(m => !query || matchesJsonPath(parseBody(m.body), query));
+    return index === -1 ? null : inbox.splice(index, 1)[0];
+  };
+
+  const waitForMessage = (step: ScenarioStep): Promise<ScenarioMessage> =>
+    new Promise((resolve, reject) => {
+      const check = () => {
+        const message = takeMessage(step);
+        if (message) {
+          finish();
+          resolve(message);
+        }
+      };
+      const timer = setTimeout(() => {
+        finish();
+        reject(new Error(`Không nhận được message trên ${step.destination} sau ${step.timeoutMs} ms`));
+      }, step.timeoutMs);
+      const abort = () => {
+        finish();
+        reject(new Error('Đã dừng'));
+      };
+      const finish = () => {
+        clearTimeout(timer);
+        waiters.delete(check);
+        signal?.removeEventListener('abort', abort);
+      };
+      waiters.add(check);
+      signal?.addEventListener('abort', abort);
+      check();
+    });
+
+  const runStep = async (step: ScenarioStep): Promise<string | undefined> => {
+    switch (step.type) {
+      case 'connect':
+        await withDeadline(driver.connect(), step.timeoutMs, `Không kết nối được sau ${step.timeoutMs} ms`, signal);
+        return undefined;
+      case 'subscribe':
+        ensureSubscribed(step.destination);
+        return undefined;
+      case 'publish':
+        driver.publish(step.destination, step.body);
+        return undefined;
+      case 'wait':
+        ensureSubscribed(step.destination);
+        lastMessage = await waitForMessage(step);
+        return lastMessage.body.length > 120 ? `${lastMessage.body.slice(0, 120)}…` : lastMessage.body;
+      case 'assert': {
+        if (!lastMessage) throw new Error('Chưa có message nào để assert (cần một bước wait trước)');
+        if (!matchesJsonPath(parseBody(lastMessage.body), parseJsonPath(step.expression))) {
+          throw new Error(`Assertion thất bại: ${step.expression}`);
+        }
+        return undefined;
+      }
+      case 'sleep':
+        await sleep(step.timeoutMs, signal);
+        return undefined;
+    }
+  };
+
+  try {
+    for (let i = 0; i < scenario.steps.length; i++) {
+      if (signal?.aborted) {
+        update(i, { status: 'skipped', message: 'Đã dừng' });
+        continue;
+      }
+      const started = performance.now();
+      update(i, { status: 'running' });
+      try {
+        const message = await runStep(scenario.steps[i]);
+        update(i, { status: 'passed', message, durationMs: Math.round(performance.now() - started) });
+      } catch (err) {
+        update(i, {
+          status: 'failed',
+          message: err instanceof Error ? err.message : String(err),
+          durationMs: Math.round(performance.now() - started),
+        });
+        for (let j = i + 1; j < scenario.steps.length; j++) {
+          update(j, { status: 'skipped' });
+        }
+        break;
+      }
+    }
+  } finally {
+    unsubscribers.forEach(unsubscribe => {
+      try {
+        unsubscribe();
+      } catch {
+        // Connection may already be gone
+      }
+    });
+  }
+
+  return results;
+}
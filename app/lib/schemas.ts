@@ -0,0 +1,196 @@
+/**
+ * Destination JSON Schemas
+ *
+ * JSON Schemas attached to destination patterns. Sent and received JSON
+ * bodies are validated against every schema whose pattern matches their
+ * destination. Schemas persist in localStorage next to the templates and
+ * travel in the same export file.
+ */
+
+import Ajv, { type ErrorObject, type ValidateFunction } from 'ajv';
+import Ajv2020 from 'ajv/dist/2020';
+
+export interface DestinationSchema {
+  id: string;
+  pattern: string; // "/app/chat.*", "/topic/**"
+  schema: string; // JSON Schema source, kept as typed
+  updatedAt: string;
+}
+
+export interface SchemaViolation {
+  pattern: string;
+  path: string; // JSON Pointer into the body, "" = root
+  message: string;
+}
+
+export const SCHEMAS_STORAGE_KEY = 'schemas';
+
+/**
+ * Create a new schema entry with a fresh id and timestamp.
+ */
+export function createDestinationSchema(pattern: string, schema: string): DestinationSchema {
+  return { id: crypto.randomUUID(), pattern: pattern.trim(), schema, updatedAt: new Date().toISOString() };
+}
+
+// ---------------------------------------------------------------------------
+// Destination patterns
+// ---------------------------------------------------------------------------
+
+const patternCache = new Map<string, RegExp>();
+
+/**
+ * Glob match: `*` stays within a path segment, `**` spans segments. A
+ * pattern without wildcards must match the destination exactly.
+ */
+export function matchesDestination(pattern: string, destination: string): boolean {
+  let regex = patternCache.get(pattern);
+  if (!regex) {
+    const source = pattern
+      .trim()
+      .split('**')
+      .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+      .join('.*');
+    regex = new RegExp(`^${source}$`);
+    patternCache.set(pattern, regex);
+  }
+  return regex.test(destination);
+}
+
+export function schemasForDestination(schemas: DestinationSchema[], destination: string): DestinationSchema[] {
+  return schemas.filter(s => s.pattern.trim() && matchesDestination(s.pattern, destination));
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+const ajvOptions = { allErrors: true, strict: false };
+
+// Compiled validators, by schema source
+const validatorCache = new Map<string, ValidateFunction>();
+
+/**
+ * Compile a schema, throwing a user-facing Error when the source is not
+ * JSON or not a valid JSON Schema. Draft 2020-12 is used when `$schema`
+ * asks for it, draft-07 otherwise.
+ */
+export function compileSchema(source: string): ValidateFunction {
+  const cached = validatorCache.get(source);
+  if (cached) return cached;
+
+  let schema: unknown;
+  try {
+    schema = JSON.parse(source);
+  } catch {
+    throw new Error('Schema không phải là JSON hợp lệ!');
+  }
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    throw new Error('Schema phải là JSON object!');
+  }
+
+  // One Ajv per compile: a shared instance keeps every `$id` it has seen and
+  // rejects the next version of an edited schema as a duplicate
+  const uri = String((schema as { $schema?: unknown }).$schema ?? '');
+  const ajv = uri.includes('2020-12') ? new Ajv2020(ajvOptions) : new Ajv(ajvOptions);
+  let validate: ValidateFunction;
+  try {
+    validate = ajv.compile(schema);
+  } catch (err) {
+    throw new Error(`Schema không hợp lệ: ${err instanceof Error ? err.message : err}`);
+  }
+  validatorCache.set(source, validate);
+  return validate;
+}
+
+function describeError(error: ErrorObject): string {
+  if (error.keyword === 'additionalProperties') {
+    return `không cho phép field "${(error.params as { additionalProperty: string }).additionalProperty}"`;
+  }
+  if (error.keyword === 'required') {
+    return `thiếu field "${(error.params as { missingProperty: string }).missingProperty}"`;
+  }
+  return error.message ?? error.keyword;
+}
+
+/**
+ * Validate a body against the schemas for its destination. Returns null
+ * when no schema applies or the body isn't JSON (that check belongs to the
+ * payload format), otherwise the list of violations (empty = valid).
+ */
+export function validateBody(
+  schemas: DestinationSchema[],
+  destination: string,
+  body: string
+): SchemaViolation[] | null {
+  const applicable = schemasForDestination(schemas, destination);
+  if (applicable.length === 0) return null;
+
+  let value: unknown;
+  try {
+    value = JSON.parse(body);
+  } catch {
+    return null;
+  }
+
+  const violations: SchemaViolation[] = [];
+  for (const entry of applicable) {
+    let validate: ValidateFunction;
+    try {
+      validate = compileSchema(entry.schema);
+    } catch (err) {
+      violations.push({ pattern: entry.pattern, path: '', message: err instanceof Error ? err.message : String(err) });
+      continue;
+    }
+    if (!validate(value)) {
+      for (const error of validate.errors ?? []) {
+        violations.push({ pattern: entry.pattern, path: error.instancePath, message: describeError(error) });
+      }
+    }
+  }
+  return violations;
+}
+
+export function formatViolation(violation: SchemaViolation): string {
+  return `${violation.path || '/'}: ${violation.message}`;
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+/**
+ * Read the schemas out of a templates export document. Returns an empty
+ * list for older exports (or bare template arrays) that carry no schemas.
+ */
+export function parseSchemaImport(text: string): DestinationSchema[] {
+  const parsed = JSON.parse(text);
+  const list: unknown = Array.isArray(parsed) ? undefined : parsed?.schemas;
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new Error('"schemas" phải là một danh sách');
+
+  return list.map((item, index) => {
+    if (typeof item !== 'object' || item === null || typeof item.pattern !== 'string') {
+      throw new Error(`Schema #${index + 1} thiếu pattern`);
+    }
+    const schema = typeof item.schema === 'string' ? item.schema : JSON.stringify(item.schema, null, 2);
+    if (typeof schema !== 'string') {
+      throw new Error(`Schema #${index + 1} thiếu schema`);
+    }
+    return {
+      id: typeof item.id === 'string' ? item.id : crypto.randomUUID(),
+      pattern: item.pattern,
+      schema,
+      updatedAt: typeof item.updatedAt === 'string' ? item.updatedAt : new Date().toISOString(),
+    };
+  });
+}
+
+/**
+ * Merge imported schemas. Entries with the same id or pattern replace the
+ * existing ones.
+ */
+export function mergeSchemas(existing: DestinationSchema[], imported: DestinationSchema[]): DestinationSchema[] {
+  const importedIds = new Set(imported.map(s => s.id));
+  const importedPatterns = new Set(imported.map(s => s.pattern));
+  return [...existing.filter(s => !importedIds.has(s.id) && !importedPatterns.has(s.pattern)), ...imported];
+}
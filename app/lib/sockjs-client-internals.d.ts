@@ -0,0 +1,40 @@
+// Internal sockjs-client modules used by agentSockJS.ts to plug in its
+// agent-backed HTTP transports. Only the parts it touches are typed.
+// sockjs-client is pinned to the version these describe.
+
+declare module 'sockjs-client/lib/event/emitter' {
+  export class EventEmitter {
+    emit(type: string, ...args: unknown[]): void;
+    removeAllListeners(type?: string): void;
+  }
+}
+
+declare module 'sockjs-client/lib/transport/lib/ajax-based' {
+  class AjaxBasedTransport {
+    constructor(transUrl: string, urlSuffix: string, Receiver: unknown, AjaxObject: unknown);
+  }
+  export = AjaxBasedTransport;
+}
+
+declare module 'sockjs-client/lib/transport/receiver/xhr' {
+  const XhrReceiver: unknown;
+  export = XhrReceiver;
+}
+
+declare module 'sockjs-client/lib/info-ajax' {
+  class InfoAjax {
+    constructor(url: string, AjaxObject: unknown);
+  }
+  export = InfoAjax;
+}
+
+declare module 'sockjs-client/lib/info-receiver' {
+  interface InfoReceiverInstance {
+    doXhr(baseUrl: string, urlInfo: Record<string, unknown>): void;
+  }
+  const InfoReceiver: {
+    prototype: InfoReceiverInstance;
+    _getReceiver(baseUrl: string, url: string, urlInfo: Record<string, unknown>): unknown;
+  };
+  export = InfoReceiver;
+}
@@ -0,0 +1,298 @@
+/**
+ * STOMP Connection Lifecycle
+ *
+ * The stompjs Client of one session: which socket it opens (Local Agent
+ * WebSocket, SockJS over the agent, SockJS, plain WebSocket), page-side
+ * reconnects following the profile's policy, callers waiting for the
+ * connection (ensureConnected) and run subscriptions that follow the
+ * session across reconnects. UI state stays with the caller, which hears
+ * about each transition through ConnectionEvents.
+ */
+
+import { Client, IMessage, StompSubscription } from '@stomp/stompjs';
+import SockJS from 'sockjs-client';
+import { AgentWebSocket } from './AgentWebSocket';
+import { createAgentSockJS } from './agentSockJS';
+import { buildBrokerUrl } from './brokerUrl';
+import { ReconnectPolicy, formatMaxAttempts, reconnectDelay, shouldReconnect } from './reconnect';
+
+// Socket open but no CONNECTED frame yet: stompjs closes it after this long
+export const CONNECT_TIMEOUT_MS = 15_000;
+
+export interface ConnectionSettings {
+  url: string;
+  // Route through the Local Agent extension (see shouldUseAgent)
+  useAgent: boolean;
+  connectHeaders: Record<string, string>;
+  heartbeatIncoming: number;
+  heartbeatOutgoing: number;
+  reconnect: ReconnectPolicy;
+}
+
+export interface ConnectionEvents {
+  log: (type: 'info' | 'error', message: string) => void;
+  // CONNECTED received, on the first connect and every reconnect
+  connected: (client: Client) => void;
+  // The client can no longer be used (STOMP ERROR, socket error or close)
+  disconnected: () => void;
+  // The STOMP session is gone, and its subscriptions, receipts and transaction with it
+  sessionLost: () => void;
+  reconnectingChange: (reconnecting: boolean) => void;
+  // Wraps every socket the client opens (frame inspector)
+  wrapSocket: <T extends object>(socket: T) => T;
+}
+
+interface ConnectWaiter {
+  resolve: (client: Client) => void;
+  reject: (error: Error) => void;
+}
+
+export class StompConnection {
+  private current: Client | null = null;
+  private events: ConnectionEvents | null = null;
+  // Client of the connect (or page-side reconnect) in progress, joined by ensureConnected()
+  private connecting: Client | null = null;
+  private waiters: ConnectWaiter[] = [];
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private reconnectAttempts = 0;
+  // Subscriptions of scenario and load-test runs, re-attached on every (re)connect
+  private runSubscriptions = new Set<(client: Client) => void>();
+
+  /** The latest client, connected or not */
+  get client(): Client | null {
+    return this.current;
+  }
+
+  get connected(): boolean {
+    return Boolean(this.current?.connected);
+  }
+
+  /** The connected client; throws when there is none */
+  requireClient(): Client {
+    if (!this.current?.connected) throw new Error('Chưa kết nối');
+    return this.current;
+  }
+
+  /**
+   * Resolve once connected. Joins a connect already in progress rather
+   * than restarting it; otherwise calls `start`, which must end in
+   * connect() or fail().
+   */
+  ensureConnected(start: () => void): Promise<Client> {
+    if (this.current?.connected) {
+      return Promise.resolve(this.current);
+    }
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+      if (!this.connecting) start();
+    });
+  }
+
+  /** Reject every ensureConnected() waiting for a connection */
+  fail(error?: string): void {
+    this.settle(null, error);
+  }
+
+  /**
+   * Replace the current client with a new one for `settings` and activate
+   * it. Callbacks of the replaced client are ignored from here on.
+   */
+  connect(settings: ConnectionSettings, events: ConnectionEvents): void {
+    this.stopReconnect();
+    this.current?.deactivate();
+    this.connecting = null;
+    this.events = events;
+
+    const { url, useAgent, reconnect: reconnectPolicy } = settings;
+    // The extension only reconnects its own WebSockets; SockJS over the agent reconnects here
+    const extensionReconnects = useAgent && !url.startsWith('http');
+    const brokerURL = buildBrokerUrl(url);
+
+    const stompClient = new Client({
+      brokerURL: brokerURL,
+      connectHeaders: settings.connectHeaders,
+      debug: (str) => {
+        console.log('[STOMP Debug]', str);
+      },
+      // Reconnects follow the profile's policy: in the extension (agent) or scheduleReconnect()
+      reconnectDelay: 0,
+      // Closing an agent socket would stop the extension's own reconnects
+      connectionTimeout: extensionReconnects ? 0 : CONNECT_TIMEOUT_MS,
+      heartbeatIncoming: settings.heartbeatIncoming,
+      heartbeatOutgoing: settings.heartbeatOutgoing,
+    });
+
+    this.current = stompClient;
+
+    // Callbacks of a client replaced by a newer connect() must not settle its waiters
+    const settle = (connected: boolean, error?: string) => {
+      if (this.current !== stompClient) return;
+      this.connecting = null;
+      this.settle(connected ? stompClient : null, error);
+    };
+
+    // SockJS endpoint behind the agent: its HTTP transports go through the extension
+    if (useAgent && url.startsWith('http')) {
+      stompClient.webSocketFactory = () => events.wrapSocket(createAgentSockJS(url));
+    }
+    // Use Agent WebSocket proxy when on Vercel targeting localhost
+    else if (useAgent) {
+      stompClient.webSocketFactory = () => {
+        const agentWs = new AgentWebSocket(url, stompClient.stompVersions.protocolVersions(), {
+          reconnect: reconnectPolicy,
+        });
+        // Hook reconnect callbacks for UI feedback
+        agentWs.onreconnecting = (event) => {
+          events.sessionLost();
+          events.log('info', `🔄 Reconnecting... attempt ${event.attempt}/${event.maxAttempts || '∞'} (retry in ${Math.round(event.delay / 1000)}s)`);
+        };
+        agentWs.onreconnected = () => {
+          events.log('info', '✓ Reconnected successfully!');
+        };
+        return events.wrapSocket(agentWs) as unknown as WebSocket;
+      };
+    }
+    // Fallback to SockJS if it's an http URL (running locally)
+    else if (url.startsWith('http')) {
+      stompClient.webSocketFactory = () => {
+        return events.wrapSocket(new SockJS(url)) as unknown as WebSocket;
+      };
+    }
+    // Plain ws(s):// URL: the socket stompjs would open from brokerURL, created here so the frame inspector can tap it
+    else {
+      stompClient.webSocketFactory = () =>
+        events.wrapSocket(new WebSocket(brokerURL, stompClient.stompVersions.protocolVersions()));
+    }
+
+    stompClient.onConnect = () => {
+      if (this.reconnectAttempts > 0) {
+        events.log('info', '✓ Reconnected successfully!');
+      }
+      this.reconnectAttempts = 0;
+      events.reconnectingChange(false);
+      events.log('info', '✓ Kết nối thành công!');
+      const protocol = (stompClient.webSocket as WebSocket | undefined)?.protocol;
+      if (protocol) {
+        events.log('info', `Subprotocol: ${protocol} (STOMP ${stompClient.connectedVersion ?? '?'})`);
+      }
+      events.connected(stompClient);
+      this.runSubscriptions.forEach(attach => attach(stompClient));
+      settle(true);
+    };
+
+    stompClient.onStompError = (frame) => {
+      const errorMsg = frame.headers['message'] || 'Unknown error';
+      events.log('error', `✗ STOMP Error: ${errorMsg}`);
+      settle(false, `STOMP Error: ${errorMsg}`);
+      stompClient.deactivate();
+      events.disconnected();
+    };
+
+    stompClient.onWebSocketError = (error) => {
+      const errorMsg = error instanceof Error ? error.message : String(error);
+      events.log('error', `✗ WebSocket Error: ${errorMsg}`);
+
+      // Kiểm tra lỗi cụ thể
+      if (errorMsg.includes('404') || errorMsg.includes('static resource')) {
+        events.log('error', '💡 Gợi ý: Path WebSocket có thể không chính xác. Kiểm tra lại URL endpoint.');
+      } else if (errorMsg.includes('ECONNREFUSED') || errorMsg.includes('Connection refused')) {
+        events.log('error', '💡 Gợi ý: Server không thể kết nối. Đảm bảo server đang chạy.');
+      }
+
+      // Khi dùng Agent proxy: KHÔNG deactivate STOMP — để extension tự reconnect.
+      // Nếu deactivate ở đây, STOMP sẽ gọi close() → gửi WS_CLOSE → kill reconnect.
+      // Tương tự khi bật reconnect: onWebSocketClose sẽ quyết định.
+      if (!extensionReconnects && !reconnectPolicy.enabled) {
+        settle(false, `WebSocket Error: ${errorMsg}`);
+        stompClient.deactivate();
+        events.disconnected();
+      }
+    };
+
+    stompClient.onWebSocketClose = (event) => {
+      events.disconnected();
+      events.sessionLost();
+      settle(false, 'WebSocket bị đóng');
+      if (extensionReconnects) return;
+
+      // stompClient.active is false once deactivate() was called (user disconnect, new connect)
+      const wasClean = Boolean(event?.wasClean);
+      if (stompClient.active && shouldReconnect(reconnectPolicy, wasClean, this.reconnectAttempts)) {
+        this.scheduleReconnect(stompClient, reconnectPolicy);
+        return;
+      }
+
+      events.log('error', '✗ WebSocket bị đóng. Kết nối không thành công.');
+      if (this.reconnectAttempts > 0) {
+        events.log('error', `✗ Đã dừng reconnect sau ${this.reconnectAttempts} lần thử`);
+        stompClient.deactivate();
+      }
+      this.reconnectAttempts = 0;
+      events.reconnectingChange(false);
+    };
+
+    this.connecting = stompClient;
+    stompClient.activate();
+  }
+
+  /**
+   * Deactivate the client and stop any page-side reconnect. Pending
+   * ensureConnected() calls reject with `reason`.
+   */
+  disconnect(reason = 'Đã ngắt kết nối'): Promise<void> {
+    this.stopReconnect();
+    this.connecting = null;
+    this.settle(null, reason);
+    return this.current?.deactivate() ?? Promise.resolve();
+  }
+
+  /**
+   * Subscribe for a scenario or load-test run. The subscription follows the
+   * session across reconnects until the returned function is called.
+   */
+  subscribeAcrossReconnects(destination: string, callback: (message: IMessage) => void): () => void {
+    const stompClient = this.requireClient();
+
+    let handle: StompSubscription | null = null;
+    const attach = (connected: Client) => {
+      handle = connected.subscribe(destination, callback);
+    };
+    attach(stompClient);
+    this.runSubscriptions.add(attach);
+    return () => {
+      this.runSubscriptions.delete(attach);
+      if (this.current?.connected) handle?.unsubscribe();
+    };
+  }
+
+  private settle(connected: Client | null, error = 'Kết nối thất bại'): void {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(w => (connected ? w.resolve(connected) : w.reject(new Error(error))));
+  }
+
+  private stopReconnect(): void {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.reconnectAttempts = 0;
+    this.events?.reconnectingChange(false);
+  }
+
+  private scheduleReconnect(stompClient: Client, policy: ReconnectPolicy): void {
+    const attempt = ++this.reconnectAttempts;
+    const delay = reconnectDelay(policy, attempt);
+    this.events?.reconnectingChange(true);
+    this.connecting = stompClient;
+    this.events?.log('info', `🔄 Reconnecting... attempt ${attempt}/${formatMaxAttempts(policy)} (retry in ${Math.round(delay / 1000)}s)`);
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      // stompjs stays ACTIVE after a close when its own reconnectDelay is 0; cycle it to open a new socket
+      await stompClient.deactivate();
+      if (this.current === stompClient) {
+        stompClient.activate();
+      }
+    }, delay);
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Raw STOMP Frame Tap
+ *
+ * Wraps whatever socket the STOMP client talks to (native WebSocket, SockJS
+ * or AgentWebSocket) so every outbound `send` and inbound message is split
+ * into STOMP frames before stompjs sees it. Heart-beats (bare EOLs) are
+ * reported as their own HEARTBEAT pseudo-frames.
+ */
+
+export type FrameDirection = 'in' | 'out';
+
+export interface StompFrameRecord {
+  id: string;
+  time: number; // epoch ms with sub-millisecond precision
+  direction: FrameDirection;
+  command: string; // 'HEARTBEAT' for bare EOLs
+  headers: [string, string][]; // in wire order, repeated headers kept
+  body: string;
+  size: number; // bytes on the wire, NUL included
+}
+
+export const HEARTBEAT = 'HEARTBEAT';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function chunkToString(data: unknown): string {
+  if (typeof data === 'string') return data;
+  if (data instanceof ArrayBuffer) return decoder.decode(data);
+  if (ArrayBuffer.isView(data)) return decoder.decode(data);
+  return String(data);
+}
+
+/**
+ * Parse one frame's text (without the trailing NUL).
+ */
+export function parseFrameText(text: string): Pick<StompFrameRecord, 'command' | 'headers' | 'body'> {
+  const normalized = text.replace(/\r\n/g, '\n');
+  const split = normalized.indexOf('\n\n');
+  const head = split === -1 ? normalized : normalized.slice(0, split);
+  const body = split === -1 ? '' : normalized.slice(split + 2);
+  const [command, ...headerLines] = head.split('\n');
+  const headers = headerLines
+    .filter(line => line.length > 0)
+    .map((line): [string, string] => {
+      const colon = line.indexOf(':');
+      return colon === -1 ? [line, ''] : [line.slice(0, colon), line.slice(colon + 1)];
+    });
+  return { command: command.trim(), headers, body };
+}
+
+/**
+ * Incremental splitter for one direction of the stream: frames may arrive
+ * split across several socket messages, or several in one message.
+ */
+export class FrameSplitter {
+  private buffer = '';
+
+  push(data: unknown): { text: string; heartbeat: boolean }[] {
+    this.buffer += chunkToString(data);
+    const out: { text: string; heartbeat: boolean }[] = [];
+
+    for (;;) {
+      // EOLs between frames are heart-beats
+      const eol = this.buffer.match(/^(\r?\n)+/);
+      if (eol) {
+        const beats = eol[0].split('\n').length - 1;
+        for (let i = 0; i < beats; i++) out.push({ text: '\n', heartbeat: true });
+        this.buffer = this.buffer.slice(eol[0].length);
+      }
+      const nul = this.buffer.indexOf('\0');
+      if (nul === -1) break;
+      out.push({ text: this.buffer.slice(0, nul), heartbeat: false });
+      this.buffer = this.buffer.slice(nul + 1);
+    }
+    return out;
+  }
+}
+
+function toRecord(direction: FrameDirection, part: { text: string; heartbeat: boolean }): StompFrameRecord {
+  const parsed = part.heartbeat ? { command: HEARTBEAT, headers: [], body: '' } : parseFrameText(part.text);
+  return {
+    id: Math.random().toString(36).substring(2, 10),
+    time: performance.timeOrigin + performance.now(),
+    direction,
+    ...parsed,
+    size: encoder.encode(part.text).length + (part.heartbeat ? 0 : 1),
+  };
+}
+
+type MessageHandler = ((event: MessageEvent) => void) | null;
+
+/**
+ * Install the tap on a freshly created socket, before stompjs assigns its
+ * handlers. Returns the same socket instance.
+ */
+export function tapSocket<T extends object>(socket: T, onFrame: (frame: StompFrameRecord) => void): T {
+  const target = socket as T & { send: (data: unknown) => void; onmessage: MessageHandler };
+  const incoming = new FrameSplitter();
+  const outgoing = new FrameSplitter();
+
+  const originalSend = target.send.bind(target);
+  target.send = (data: unknown) => {
+    originalSend(data);
+    outgoing.push(data).forEach(part => onFrame(toRecord('out', part)));
+  };
+
+  // Native WebSocket keeps onmessage as a prototype accessor; the polyfills
+  // use a plain field. Handle both by intercepting the assignment.
+  let proto = Object.getPrototypeOf(target);
+  let accessor: PropertyDescriptor | undefined;
+  while (proto && !accessor) {
+    accessor = Object.getOwnPropertyDescriptor(proto, 'onmessage');
+    proto = Object.getPrototypeOf(proto);
+  }
+  let wrapped: MessageHandler = null;
+  Object.defineProperty(target, 'onmessage', {
+    configurable: true,
+    get: () => wrapped,
+    set: (handler: MessageHandler) => {
+      wrapped = handler
+        ? (event: MessageEvent) => {
+            incoming.push(event.data).forEach(part => onFrame(toRecord('in', part)));
+            handler.call(target, event);
+          }
+        : null;
+      accessor?.set?.call(target, wrapped);
+    },
+  });
+
+  return socket;
+}
+
+/**
+ * Turn text typed by the user into a wire frame: LF line endings and a
+ * terminating NUL (typed as `^@` or added automatically).
+ */
+export function buildRawFrame(text: string): string {
+  const normalized = text.replace(/\r\n/g, '\n').replace(/\^@\s*$/, '');
+  const hasBody = normalized.includes('\n\n');
+  return `${hasBody ? normalized : `${normalized.replace(/\n*$/, '')}\n\n`}\0`;
+}
@@ -0,0 +1,99 @@
+/**
+ * Local Storage Utilities
+ *
+ * Small helpers for persisting app state in localStorage and for moving
+ * JSON documents in and out of the browser as files.
+ */
+
+import { useCallback, useEffect, useMemo, useState, useSyncExternalStore } from 'react';
+
+const STORAGE_PREFIX = 'stomp-template-send:';
+
+// Revoking the blob URL right after click() can cancel the download in some browsers
+const REVOKE_DELAY_MS = 10_000;
+
+/**
+ * Read a JSON value from localStorage, falling back when missing or corrupt.
+ */
+export function readStorage<T>(key: string, fallback: T): T {
+  if (typeof window === 'undefined') return fallback;
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : (JSON.parse(raw) as T);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON value to localStorage. Quota errors are logged, not thrown.
+ */
+export function writeStorage<T>(key: string, value: T): void {
+  if (typeof window === 'undefined') return;
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`[storage] Failed to persist "${key}"`, err);
+  }
+}
+
+const subscribeNever = () => () => {};
+
+/**
+ * False while rendering on the server and hydrating, true from then on.
+ */
+function useHydrated(): boolean {
+  return useSyncExternalStore(
+    subscribeNever,
+    () => true,
+    () => false
+  );
+}
+
+/**
+ * useState that is loaded from and saved to localStorage.
+ *
+ * The stored value is only read once hydrated so the server-rendered markup
+ * (which always uses `initial`) hydrates without mismatches. Only values set
+ * through the setter are written back, so `initial` never overwrites stored
+ * data.
+ */
+export function usePersistentState<T>(
+  key: string,
+  initial: T
+): [T, React.Dispatch<React.SetStateAction<T>>] {
+  const hydrated = useHydrated();
+  const [initialValue] = useState(initial);
+  const stored = useMemo(() => (hydrated ? readStorage<T | undefined>(key, undefined) : undefined), [key, hydrated]);
+  const [updated, setUpdated] = useState<{ value: T } | null>(null);
+
+  const setValue = useCallback<React.Dispatch<React.SetStateAction<T>>>(
+    action =>
+      setUpdated(prev => {
+        const current = prev ? prev.value : readStorage(key, initialValue);
+        return { value: typeof action === 'function' ? (action as (prev: T) => T)(current) : action };
+      }),
+    [key, initialValue]
+  );
+
+  useEffect(() => {
+    if (updated) writeStorage(key, updated.value);
+  }, [key, updated]);
+
+  const value = updated ? updated.value : stored !== undefined ? stored : initialValue;
+  return [value, setValue];
+}
+
+/**
+ * Trigger a browser download of a text document.
+ */
+export function downloadTextFile(filename: string, content: string, mimeType = 'application/json'): void {
+  const blob = new Blob([content], { type: mimeType });
+  const href = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(href), REVOKE_DELAY_MS);
+}
+
@@ -0,0 +1,131 @@
+/**
+ * Message Template Library
+ *
+ * Named publish templates (destination, headers, body) grouped into folders.
+ * Templates persist in localStorage and can be shared as a JSON file, which
+ * also carries the destination JSON Schemas.
+ */
+
+import { DestinationSchema } from './schemas';
+
+export interface MessageTemplate {
+  id: string;
+  name: string;
+  folder: string;
+  destination: string;
+  headers: Record<string, string>;
+  body: string;
+  updatedAt: string;
+}
+
+export interface TemplateExport {
+  format: 'stomp-template-send/templates';
+  version: 1;
+  exportedAt: string;
+  templates: MessageTemplate[];
+  schemas?: DestinationSchema[];
+}
+
+export const TEMPLATES_STORAGE_KEY = 'templates';
+export const DEFAULT_FOLDER = 'General';
+
+/**
+ * Create a new template with a fresh id and timestamp.
+ */
+export function createTemplate(
+  fields: Omit<MessageTemplate, 'id' | 'updatedAt'>
+): MessageTemplate {
+  return {
+    ...fields,
+    folder: fields.folder.trim() || DEFAULT_FOLDER,
+    id: crypto.randomUUID(),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Group templates by folder, folders and templates sorted by name.
+ */
+export function groupByFolder(templates: MessageTemplate[]): [string, MessageTemplate[]][] {
+  const groups = new Map<string, MessageTemplate[]>();
+  for (const template of templates) {
+    const folder = template.folder || DEFAULT_FOLDER;
+    groups.set(folder, [...(groups.get(folder) || []), template]);
+  }
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([folder, items]) => [folder, items.sort((a, b) => a.name.localeCompare(b.name))]);
+}
+
+/**
+ * Serialize templates (and destination schemas) into the shareable export document.
+ */
+export function exportTemplates(templates: MessageTemplate[], schemas: DestinationSchema[] = []): string {
+  const doc: TemplateExport = {
+    format: 'stomp-template-send/templates',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    templates,
+    ...(schemas.length > 0 && { schemas }),
+  };
+  return JSON.stringify(doc, null, 2);
+}
+
+function isStringRecord(value: unknown): value is Record<string, string> {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    !Array.isArray(value) &&
+    Object.values(value).every(v => typeof v === 'string')
+  );
+}
+
+/**
+ * Parse an export document (or a bare array of templates).
+ * Throws an Error describing the first invalid entry.
+ */
+export function parseTemplateImport(text: string): MessageTemplate[] {
+  const parsed = JSON.parse(text);
+  const list: unknown = Array.isArray(parsed) ? parsed : parsed?.templates;
+  if (!Array.isArray(list)) {
+    throw new Error('File không chứa danh sách templates');
+  }
+
+  return list.map((item, index) => {
+    if (
+      typeof item !== 'object' ||
+      item === null ||
+      typeof item.name !== 'string' ||
+      typeof item.destination !== 'string' ||
+      typeof item.body !== 'string'
+    ) {
+      throw new Error(`Template #${index + 1} thiếu name/destination/body`);
+    }
+    return {
+      id: typeof item.id === 'string' ? item.id : crypto.randomUUID(),
+      name: item.name,
+      folder: typeof item.folder === 'string' && item.folder.trim() ? item.folder : DEFAULT_FOLDER,
+      destination: item.destination,
+      headers: isStringRecord(item.headers) ? item.headers : {},
+      body: item.body,
+      updatedAt: typeof item.updatedAt === 'string' ? item.updatedAt : new Date().toISOString(),
+    };
+  });
+}
+
+/**
+ * Merge imported templates into the library. Entries with the same id or
+ * the same folder + name replace the existing ones.
+ */
+export function mergeTemplates(
+  existing: MessageTemplate[],
+  imported: MessageTemplate[]
+): MessageTemplate[] {
+  const key = (t: MessageTemplate) => `${t.folder}\u0000${t.name}`;
+  const importedIds = new Set(imported.map(t => t.id));
+  const importedKeys = new Set(imported.map(key));
+  return [
+    ...existing.filter(t => !importedIds.has(t.id) && !importedKeys.has(key(t))),
+    ...imported,
+  ];
+}
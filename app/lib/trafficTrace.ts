@@ -0,0 +1,285 @@
+/**
+ * Traffic Trace Export / Import
+ *
+ * Saves a session's traffic log together with its (redacted) connection
+ * settings so QA can attach reproducible traces to bug tickets.
+ *
+ * Two formats are supported:
+ *   - NDJSON: a `session` header line followed by one `entry` line per frame
+ *   - HAR:    Chrome-style HAR with the frames in `_webSocketMessages`
+ *             (time in epoch seconds), plus `_destination` / `_headers`
+ *             and `_logType` for info/error entries.
+ *
+ * Both formats are redacted the same way: secret connect headers, secret
+ * headers on logged frames (`Authorization`, `passcode`, ...) and secret
+ * query parameters or passwords in URLs (`?access_token=...`).
+ */
+
+import { LogEntry } from '../components/types';
+import { ConnectionProfile, buildConnectHeaders, isSecretKey } from './profiles';
+
+export type TraceFormat = 'ndjson' | 'har';
+
+export interface TraceConnection {
+  profileName: string;
+  url: string;
+  connectHeaders: Record<string, string>;
+  heartbeatIncoming: number;
+  heartbeatOutgoing: number;
+}
+
+export interface TrafficTrace {
+  name: string;
+  exportedAt: string;
+  connection: TraceConnection | null;
+  entries: LogEntry[];
+}
+
+interface HarWebSocketMessage {
+  type: 'send' | 'receive';
+  time: number;
+  opcode: number;
+  data: string;
+  _destination?: string;
+  _headers?: Record<string, string>;
+  _logType?: LogEntry['type'];
+}
+
+const CREATOR = { name: 'stomp-template-send', version: '0.1.0' };
+const REDACTED = '[REDACTED]';
+
+const URL_IN_TEXT_PATTERN = /\b(?:https?|wss?):\/\/[^\s"'<>]+/g;
+const QUERY_PARAM_PATTERN = /([?&])([^=&#]+)=([^&#]*)/g;
+const USERINFO_PASSWORD_PATTERN = /^([a-z]+:\/\/[^/:@]*):[^/@]*@/i;
+
+function isSecretParam(name: string): boolean {
+  try {
+    return isSecretKey(decodeURIComponent(name));
+  } catch {
+    return isSecretKey(name);
+  }
+}
+
+/**
+ * Mask secret query parameters and the userinfo password of a URL.
+ */
+export function redactUrl(url: string): string {
+  return url
+    .replace(USERINFO_PASSWORD_PATTERN, `$1:${REDACTED}@`)
+    .replace(QUERY_PARAM_PATTERN, (match, sep: string, name: string, value: string) =>
+      isSecretParam(name) && value ? `${sep}${name}=${REDACTED}` : match
+    );
+}
+
+/**
+ * Mask secret header values, keeping the names.
+ */
+export function redactHeaders(headers: Record<string, string>): Record<string, string> {
+  const result: Record<string, string> = {};
+  for (const [key, value] of Object.entries(headers)) {
+    result[key] = isSecretKey(key) && value ? REDACTED : value;
+  }
+  return result;
+}
+
+function redactEntry(entry: LogEntry): LogEntry {
+  return {
+    ...entry,
+    headers: entry.headers && redactHeaders(entry.headers),
+    content: entry.content.replace(URL_IN_TEXT_PATTERN, redactUrl),
+  };
+}
+
+/**
+ * Connection settings safe to share: secrets are masked, never dropped,
+ * so a reader can still tell which auth scheme was in use.
+ */
+export function traceConnection(profile: ConnectionProfile): TraceConnection {
+  return {
+    profileName: profile.name,
+    url: redactUrl(profile.url),
+    connectHeaders: redactHeaders(buildConnectHeaders(profile)),
+    heartbeatIncoming: profile.heartbeatIncoming,
+    heartbeatOutgoing: profile.heartbeatOutgoing,
+  };
+}
+
+function entryRecord(entry: LogEntry) {
+  return {
+    time: new Date(entry.time).toISOString(),
+    timeMs: entry.time,
+    type: entry.type,
+    destination: entry.destination,
+    headers: entry.headers,
+    content: entry.content,
+  };
+}
+
+function toNdjson(trace: TrafficTrace): string {
+  const header = {
+    kind: 'session',
+    format: 'stomp-template-send/trace',
+    version: 1,
+    name: trace.name,
+    exportedAt: trace.exportedAt,
+    connection: trace.connection,
+  };
+  const lines = [header, ...trace.entries.map(e => ({ kind: 'entry', ...entryRecord(e) }))];
+  return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+function toHar(trace: TrafficTrace): string {
+  const first = trace.entries[0];
+  const messages: HarWebSocketMessage[] = trace.entries.map(entry => ({
+    type: entry.type === 'sent' ? 'send' : 'receive',
+    time: entry.time / 1000,
+    opcode: 1,
+    data: entry.content,
+    _destination: entry.destination,
+    _headers: entry.headers,
+    _logType: entry.type,
+  }));
+
+  const har = {
+    log: {
+      version: '1.2',
+      creator: CREATOR,
+      comment: trace.name,
+      entries: [
+        {
+          startedDateTime: new Date(first ? first.time : Date.now()).toISOString(),
+          time: first ? trace.entries[trace.entries.length - 1].time - first.time : 0,
+          _resourceType: 'websocket',
+          _stompConnection: trace.connection,
+          request: {
+            method: 'GET',
+            url: trace.connection?.url || '',
+            httpVersion: 'HTTP/1.1',
+            headers: Object.entries(trace.connection?.connectHeaders || {}).map(([name, value]) => ({ name, value })),
+            queryString: [],
+            cookies: [],
+            headersSize: -1,
+            bodySize: 0,
+          },
+          response: {
+            status: 101,
+            statusText: 'Switching Protocols',
+            httpVersion: 'HTTP/1.1',
+            headers: [],
+            cookies: [],
+            content: { size: 0, mimeType: 'x-unknown' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: 0,
+          },
+          cache: {},
+          timings: { send: 0, wait: 0, receive: 0 },
+          _webSocketMessages: messages,
+        },
+      ],
+    },
+  };
+  return JSON.stringify(har, null, 2);
+}
+
+export function exportTrace(trace: TrafficTrace, format: TraceFormat): string {
+  const redacted = { ...trace, entries: trace.entries.map(redactEntry) };
+  return format === 'har' ? toHar(redacted) : toNdjson(redacted);
+}
+
+export function traceFileName(name: string, format: TraceFormat): string {
+  const safeName = name.replace(/[^\w.-]+/g, '_') || 'session';
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${safeName}-${stamp}.${format === 'har' ? 'har' : 'ndjson'}`;
+}
+
+function toLogEntry(raw: {
+  time: number;
+  type: LogEntry['type'];
+  destination?: string;
+  headers?: Record<string, string>;
+  content: string;
+}): LogEntry {
+  return {
+    id: Math.random().toString(36).substring(7),
+    timestamp: new Date(raw.time).toLocaleTimeString(),
+    time: raw.time,
+    type: raw.type,
+    destination: raw.destination,
+    headers: raw.headers,
+    content: raw.content,
+  };
+}
+
+const LOG_TYPES: LogEntry['type'][] = ['info', 'sent', 'received', 'error'];
+
+function parseNdjson(text: string): TrafficTrace {
+  const trace: TrafficTrace = { name: 'Imported trace', exportedAt: '', connection: null, entries: [] };
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      throw new Error(`Dòng ${index + 1} không phải JSON hợp lệ`);
+    }
+    if (record.kind === 'session') {
+      trace.name = record.name || trace.name;
+      trace.exportedAt = record.exportedAt || '';
+      trace.connection = record.connection || null;
+    } else if (record.kind === 'entry') {
+      trace.entries.push(
+        toLogEntry({
+          time: typeof record.timeMs === 'number' ? record.timeMs : Date.parse(record.time),
+          type: LOG_TYPES.includes(record.type) ? record.type : 'info',
+          destination: record.destination,
+          headers: record.headers,
+          content: String(record.content ?? ''),
+        })
+      );
+    }
+  });
+  return trace;
+}
+
+function parseHar(doc: { log: { comment?: string; entries?: unknown[] } }): TrafficTrace {
+  const trace: TrafficTrace = {
+    name: doc.log.comment || 'Imported HAR',
+    exportedAt: '',
+    connection: null,
+    entries: [],
+  };
+  for (const raw of doc.log.entries || []) {
+    const entry = raw as { _stompConnection?: TraceConnection; _webSocketMessages?: HarWebSocketMessage[] };
+    if (entry._stompConnection) trace.connection = entry._stompConnection;
+    for (const msg of entry._webSocketMessages || []) {
+      trace.entries.push(
+        toLogEntry({
+          time: msg.time * 1000,
+          type: msg._logType && LOG_TYPES.includes(msg._logType) ? msg._logType : msg.type === 'send' ? 'sent' : 'received',
+          destination: msg._destination,
+          headers: msg._headers,
+          content: String(msg.data ?? ''),
+        })
+      );
+    }
+  }
+  return trace;
+}
+
+/**
+ * Parse a previously exported NDJSON or HAR trace. Throws on invalid input.
+ */
+export function parseTraceImport(text: string): TrafficTrace {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    // Not a single JSON document: NDJSON with several lines
+    return parseNdjson(text);
+  }
+  if (doc?.log && Array.isArray(doc.log.entries)) {
+    return parseHar(doc);
+  }
+  return parseNdjson(text);
+}
@@ -5,6 +5,12 @@ import nextTs from "eslint-config-next/typescript";
 const eslintConfig = defineConfig([
   ...nextVitals,
   ...nextTs,
+  {
+    // TanStack Virtual's useVirtualizer can't be memoized by React Compiler. It
+    // is confined to this component, which opts out with "use no memo".
+    files: ["app/components/VirtualLogList.tsx"],
+    rules: { "react-hooks/incompatible-library": "off" },
+  },
   // Override default ignores of eslint-config-next.
   globalIgnores([
     // Default ignores of eslint-config-next:
@@ -0,0 +1,616 @@
+/**
+ * Mock Broker - Local STOMP Broker for Offline Testing
+ *
+ * A small in-memory STOMP 1.0-1.2 broker speaking STOMP over WebSocket
+ * (ws://host:port/ws) and optionally over SockJS (http://host:port/sockjs),
+ * so the app, AgentWebSocket and the extension can be exercised without a
+ * Spring backend. Also importable as a test fixture via startMockBroker().
+ *
+ * Destinations:
+ *   /topic/...              → every subscriber
+ *   /queue/...              → one subscriber (round robin); held until someone subscribes
+ *   /user/{name}/queue/...  → sessions of user {name} subscribed to /user/queue/...
+ *   /app/...                → only handled by rules (like Spring @MessageMapping)
+ *
+ * Supported frames: CONNECT/STOMP, SUBSCRIBE, UNSUBSCRIBE, SEND, ACK, NACK,
+ * BEGIN, COMMIT, ABORT, DISCONNECT, plus receipts and negotiated heart-beats.
+ * A NACKed message is redelivered to the same subscription under a new
+ * message id, with a `redelivered:true` header.
+ *
+ * Rules (rules.json or --rules file) are tried in order; the first whose
+ * `match` glob (`*` = one segment, `**` = any) fits a SEND's destination wins:
+ *   { "match": "/app/chat.*",
+ *     "reply": { "destination": "/user/queue/messages", "to": "sender",
+ *                "body": "{{body}}", "headers": {}, "delayMs": 0 },
+ *     "error": "message",   → ERROR frame, then the connection is closed
+ *     "drop": true }        → socket terminated without a close handshake
+ *   reply.to: "sender" | "broadcast" | "user:<name>" (default "sender")
+ *   Templates: {{body}} {{destination}} {{user}} {{header.NAME}} {{json.FIELD}}
+ *              {{timestamp}} {{uuid}}
+ *
+ * Usage: node mock-broker/broker.mjs [--port 8090] [--host localhost]
+ *                                    [--sockjs] [--rules file.json] [--quiet]
+ */
+
+import { randomUUID } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { WebSocketServer } from "ws";
+import { HEARTBEAT, parseFrames, serializeFrame } from "./frames.mjs";
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_PORT = 8090;
+export const WS_PATH = "/ws";
+export const SOCKJS_PREFIX = "/sockjs";
+
+const SUPPORTED_VERSIONS = ["1.2", "1.1", "1.0"];
+const STOMP_SUBPROTOCOLS = ["v12.stomp", "v11.stomp", "v10.stomp"];
+
+// Server side of the heart-beat negotiation: [can send every, wants to receive every]
+const DEFAULT_HEARTBEAT = [10000, 10000];
+
+// Headers that belong to the SEND frame itself and are not copied onto MESSAGE
+const TRANSPORT_HEADERS = new Set(["destination", "receipt", "transaction", "content-length"]);
+
+const DEFAULT_RULES_FILE = fileURLToPath(new URL("./rules.json", import.meta.url));
+
+export function loadRules(file = DEFAULT_RULES_FILE) {
+  const rules = JSON.parse(readFileSync(file, "utf8"));
+  if (!Array.isArray(rules)) throw new Error(`${file}: rules must be an array`);
+  return rules;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const globCache = new Map();
+
+/** Same glob semantics as the app's destination schemas */
+export function matchesGlob(pattern, destination) {
+  let regex = globCache.get(pattern);
+  if (!regex) {
+    const source = pattern
+      .split("**")
+      .map((part) => part.split("*").map((text) => text.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^/]*"))
+      .join(".*");
+    regex = new RegExp(`^${source}$`);
+    globCache.set(pattern, regex);
+  }
+  return regex.test(destination);
+}
+
+function renderTemplate(template, context) {
+  return String(template).replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => {
+    if (name === "body") return context.body;
+    if (name === "destination") return context.destination;
+    if (name === "user") return context.user;
+    if (name === "timestamp") return String(Date.now());
+    if (name === "uuid") return randomUUID();
+    if (name.startsWith("header.")) return context.headers[name.slice(7)] ?? "";
+    if (name.startsWith("json.")) {
+      const value = context.json?.[name.slice(5)];
+      if (value === undefined) return "";
+      return typeof value === "string" ? value : JSON.stringify(value);
+    }
+    return match;
+  });
+}
+
+function negotiateVersion(acceptVersion) {
+  if (!acceptVersion) return "1.0";
+  const offered = acceptVersion.split(",").map((v) => v.trim());
+  return SUPPORTED_VERSIONS.find((v) => offered.includes(v)) ?? null;
+}
+
+// ---------------------------------------------------------------------------
+// Session: one STOMP connection over any transport
+//
+// transport: { send(data: Buffer, binary: boolean), close(code, reason), terminate() }
+// ---------------------------------------------------------------------------
+
+class Session {
+  constructor(broker, transport, id) {
+    this.broker = broker;
+    this.transport = transport;
+    this.id = id;
+    this.user = null;
+    this.version = null;
+    this.connected = false;
+    this.buffer = Buffer.alloc(0);
+    this.subscriptions = new Map(); // id → { id, destination, ack }
+    this.transactions = new Map(); // transaction id → buffered frames
+    this.unacked = new Map(); // ack id → { subscriptionId, seq, destination, headers, body, binary }
+    this.lastReceived = Date.now();
+    this.timers = [];
+  }
+
+  // -- transport events -----------------------------------------------------
+
+  // `binary`: the data came in a binary WebSocket message; replies to it are sent the same way
+  onData(data, binary = false) {
+    this.lastReceived = Date.now();
+    this.buffer = Buffer.concat([this.buffer, data]);
+    const { frames, rest } = parseFrames(this.buffer);
+    this.buffer = Buffer.from(rest);
+    for (const frame of frames) {
+      if (frame === HEARTBEAT) continue;
+      if (!this.transport) return;
+      this.handleFrame({ ...frame, binary });
+    }
+  }
+
+  onClose() {
+    this.timers.forEach(clearInterval);
+    this.timers = [];
+    this.transport = null;
+    this.broker.removeSession(this);
+  }
+
+  // -- output ---------------------------------------------------------------
+
+  sendFrame(command, headers, body = "", binary = false) {
+    if (!this.transport) return;
+    this.transport.send(serializeFrame(command, headers, body), binary);
+  }
+
+  sendError(message, details = "", receiptId) {
+    this.broker.log(`✗ ERROR to ${this.id}: ${message}`);
+    this.sendFrame("ERROR", { message, "content-type": "text/plain", "receipt-id": receiptId }, details);
+    // Give the frame a moment to flush, then close as the spec requires
+    const transport = this.transport;
+    setTimeout(() => transport?.close(1000, "STOMP ERROR"), 50);
+  }
+
+  // -- frames ---------------------------------------------------------------
+
+  handleFrame(frame) {
+    const { command, headers } = frame;
+    if (!this.connected && command !== "CONNECT" && command !== "STOMP") {
+      this.sendError("Not connected", `Received ${command} before CONNECT`);
+      return;
+    }
+
+    // Frames inside a transaction are applied on COMMIT
+    if (headers.transaction && (command === "SEND" || command === "ACK" || command === "NACK")) {
+      const buffered = this.transactions.get(headers.transaction);
+      if (!buffered) {
+        this.sendError(`Unknown transaction ${headers.transaction}`, "", headers.receipt);
+        return;
+      }
+      buffered.push(frame);
+      this.sendReceipt(headers);
+      return;
+    }
+
+    switch (command) {
+      case "CONNECT":
+      case "STOMP":
+        this.connect(headers);
+        break;
+      case "SUBSCRIBE":
+        if (!this.subscribe(headers)) return;
+        break;
+      case "UNSUBSCRIBE":
+        this.subscriptions.delete(headers.id ?? headers.destination);
+        this.broker.log(`${this.id} unsubscribed ${headers.id ?? headers.destination}`);
+        break;
+      case "SEND":
+        if (!headers.destination) {
+          this.sendError("SEND without destination", "", headers.receipt);
+          return;
+        }
+        this.broker.handleSend(this, frame);
+        break;
+      case "ACK":
+      case "NACK":
+        this.acknowledge(command, headers);
+        break;
+      case "BEGIN":
+        if (!headers.transaction || this.transactions.has(headers.transaction)) {
+          this.sendError("BEGIN needs a new transaction id", "", headers.receipt);
+          return;
+        }
+        this.transactions.set(headers.transaction, []);
+        this.broker.log(`${this.id} BEGIN ${headers.transaction}`);
+        break;
+      case "COMMIT":
+      case "ABORT":
+        if (!this.endTransaction(command, headers)) return;
+        break;
+      case "DISCONNECT":
+        this.sendReceipt(headers);
+        this.broker.log(`${this.id} disconnected`);
+        setTimeout(() => this.transport?.close(1000, "DISCONNECT"), 50);
+        return;
+      default:
+        this.sendError(`Unknown command ${command}`, "", headers.receipt);
+        return;
+    }
+    this.sendReceipt(headers);
+  }
+
+  sendReceipt(headers) {
+    if (headers.receipt) {
+      this.sendFrame("RECEIPT", { "receipt-id": headers.receipt });
+    }
+  }
+
+  connect(headers) {
+    const version = negotiateVersion(headers["accept-version"]);
+    if (!version) {
+      this.sendFrame("ERROR", { version: SUPPORTED_VERSIONS.join(","), message: "Supported protocol versions are 1.0 1.1 1.2" });
+      this.transport?.close(1002, "Unsupported STOMP version");
+      return;
+    }
+
+    this.version = version;
+    this.connected = true;
+    this.user = headers.login || `user-${this.id}`;
+
+    const [serverSend, serverReceive] = this.broker.heartbeat;
+    const [clientSend, clientReceive] = (headers["heart-beat"] || "0,0").split(",").map((v) => Number(v) || 0);
+    this.sendFrame("CONNECTED", {
+      version,
+      server: "stomp-mock-broker/1.0",
+      session: this.id,
+      "user-name": this.user,
+      "heart-beat": `${serverSend},${serverReceive}`,
+    });
+    this.startHeartbeat(
+      serverSend && clientReceive ? Math.max(serverSend, clientReceive) : 0,
+      clientSend && serverReceive ? Math.max(clientSend, serverReceive) : 0
+    );
+    this.broker.log(`✓ ${this.id} CONNECTED as ${this.user} (STOMP ${version})`);
+  }
+
+  startHeartbeat(sendEvery, expectEvery) {
+    if (sendEvery > 0) {
+      this.timers.push(setInterval(() => this.transport?.send(Buffer.from("\n"), false), sendEvery));
+    }
+    if (expectEvery > 0) {
+      // Same tolerance as stompjs: twice the agreed interval
+      this.timers.push(
+        setInterval(() => {
+          if (Date.now() - this.lastReceived > expectEvery * 2) {
+            this.broker.log(`✗ ${this.id} missed heart-beats, closing`);
+            this.transport?.close(1000, "Heart-beat timeout");
+          }
+        }, expectEvery)
+      );
+    }
+  }
+
+  subscribe(headers) {
+    const id = headers.id ?? headers.destination; // STOMP 1.0 allows SUBSCRIBE without id
+    if (!headers.destination) {
+      this.sendError("SUBSCRIBE without destination", "", headers.receipt);
+      return false;
+    }
+    const subscription = { id, destination: headers.destination, ack: headers.ack || "auto" };
+    this.subscriptions.set(id, subscription);
+    this.broker.log(`${this.id} subscribed ${headers.destination} (id: ${id}, ack: ${subscription.ack})`);
+    this.broker.flushQueue(headers.destination);
+    return true;
+  }
+
+  acknowledge(command, headers) {
+    // STOMP 1.2 acks by `id`, 1.0 / 1.1 by `message-id`
+    const ackId = headers.id ?? headers["message-id"];
+    const pending = this.unacked.get(ackId);
+    if (!pending) {
+      this.broker.log(`${this.id} ${command} for unknown message ${ackId}`);
+      return;
+    }
+    const subscription = this.subscriptions.get(pending.subscriptionId);
+    // `client` acks are cumulative for the subscription
+    const settled = [];
+    for (const [id, entry] of this.unacked) {
+      const covered =
+        id === ackId ||
+        (subscription?.ack === "client" && entry.subscriptionId === pending.subscriptionId && entry.seq < pending.seq);
+      if (covered) {
+        this.unacked.delete(id);
+        settled.push(entry);
+      }
+    }
+    this.broker.log(`${this.id} ${command} ${ackId}`);
+
+    if (command === "NACK" && subscription) {
+      for (const entry of settled) {
+        this.deliverTo(subscription, entry.destination, { ...entry.headers, redelivered: "true" }, entry.body, entry.binary);
+      }
+    }
+  }
+
+  endTransaction(command, headers) {
+    const buffered = this.transactions.get(headers.transaction);
+    if (!buffered) {
+      this.sendError(`Unknown transaction ${headers.transaction}`, "", headers.receipt);
+      return false;
+    }
+    this.transactions.delete(headers.transaction);
+    this.broker.log(`${this.id} ${command} ${headers.transaction} (${buffered.length} frames)`);
+    if (command === "COMMIT") {
+      for (const frame of buffered) {
+        const headers = { ...frame.headers };
+        delete headers.transaction;
+        delete headers.receipt;
+        this.handleFrame({ ...frame, headers });
+      }
+    }
+    return true;
+  }
+
+  /** Deliver to every subscription of this session on `destination` */
+  deliver(destination, headers, body, binary) {
+    let delivered = false;
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.destination !== destination) continue;
+      this.deliverTo(subscription, destination, headers, body, binary);
+      delivered = true;
+    }
+    return delivered;
+  }
+
+  deliverTo(subscription, destination, headers, body, binary) {
+    const seq = ++this.broker.messageSeq;
+    const messageId = `${this.id}-${seq}`;
+    const frameHeaders = {
+      ...headers,
+      subscription: subscription.id,
+      "message-id": messageId,
+      destination,
+    };
+    if (subscription.ack !== "auto") {
+      frameHeaders.ack = messageId;
+      this.unacked.set(messageId, { subscriptionId: subscription.id, seq, destination, headers, body, binary });
+    }
+    this.sendFrame("MESSAGE", frameHeaders, body, binary);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Broker
+// ---------------------------------------------------------------------------
+
+class MockBroker {
+  constructor({ rules, heartbeat, quiet }) {
+    this.rules = rules;
+    this.heartbeat = heartbeat;
+    this.quiet = quiet;
+    this.sessions = new Set();
+    this.queues = new Map(); // destination → held messages
+    this.roundRobin = new Map(); // destination → next subscriber index
+    this.sessionSeq = 0;
+    this.messageSeq = 0;
+  }
+
+  log(message) {
+    if (!this.quiet) console.log(`[Mock] ${message}`);
+  }
+
+  createSession(transport) {
+    const session = new Session(this, transport, `s${++this.sessionSeq}`);
+    this.sessions.add(session);
+    return session;
+  }
+
+  removeSession(session) {
+    this.sessions.delete(session);
+  }
+
+  handleSend(session, frame) {
+    const { destination } = frame.headers;
+    const rule = this.rules.find((r) => r.match && matchesGlob(r.match, destination));
+    this.log(`${session.id} SEND ${destination}${rule ? ` (rule ${rule.match})` : ""}`);
+
+    if (rule?.drop) {
+      this.log(`✗ Dropping ${session.id} (rule ${rule.match})`);
+      session.transport?.terminate();
+      return;
+    }
+    if (rule?.error) {
+      session.sendError(rule.error, frame.body.toString("utf8"), frame.headers.receipt);
+      return;
+    }
+
+    const headers = Object.fromEntries(Object.entries(frame.headers).filter(([name]) => !TRANSPORT_HEADERS.has(name)));
+    if (!destination.startsWith("/app/")) {
+      this.route(destination, headers, frame.body, frame.binary);
+    }
+    for (const reply of [rule?.reply ?? []].flat()) {
+      this.scheduleReply(session, frame, reply);
+    }
+  }
+
+  scheduleReply(session, frame, reply) {
+    const body = frame.body.toString("utf8");
+    let json;
+    try {
+      json = JSON.parse(body);
+    } catch {
+      json = undefined;
+    }
+    const context = { body, destination: frame.headers.destination, user: session.user, headers: frame.headers, json };
+
+    const headers = {};
+    for (const name of reply.copyHeaders ?? ["correlation-id", "content-type"]) {
+      if (frame.headers[name] !== undefined) headers[name] = frame.headers[name];
+    }
+    for (const [name, value] of Object.entries(reply.headers ?? {})) {
+      headers[name] = renderTemplate(value, context);
+    }
+    const destination = renderTemplate(reply.destination, context);
+    const replyBody = reply.body === undefined ? frame.body : Buffer.from(renderTemplate(reply.body, context), "utf8");
+    const to = renderTemplate(reply.to ?? "sender", context);
+
+    const send = () => {
+      if (to === "broadcast") {
+        this.route(destination, headers, replyBody, frame.binary);
+      } else if (to.startsWith("user:")) {
+        this.routeToUser(to.slice(5), destination, headers, replyBody, frame.binary);
+      } else {
+        session.deliver(destination, headers, replyBody, frame.binary);
+      }
+    };
+    if (reply.delayMs > 0) {
+      setTimeout(send, reply.delayMs);
+    } else {
+      send();
+    }
+  }
+
+  /** Route a message by destination type (see header comment) */
+  route(destination, headers, body, binary) {
+    const userMatch = destination.match(/^\/user\/([^/]+)(\/.+)$/);
+    if (userMatch) {
+      this.routeToUser(userMatch[1], `/user${userMatch[2]}`, headers, body, binary);
+      return;
+    }
+    if (destination.startsWith("/queue/")) {
+      const receivers = [...this.sessions].filter((s) =>
+        [...s.subscriptions.values()].some((sub) => sub.destination === destination)
+      );
+      if (receivers.length === 0) {
+        const held = this.queues.get(destination) ?? [];
+        held.push({ headers, body, binary });
+        this.queues.set(destination, held);
+        return;
+      }
+      const next = (this.roundRobin.get(destination) ?? 0) % receivers.length;
+      this.roundRobin.set(destination, next + 1);
+      receivers[next].deliver(destination, headers, body, binary);
+      return;
+    }
+    for (const session of this.sessions) {
+      session.deliver(destination, headers, body, binary);
+    }
+  }
+
+  routeToUser(user, destination, headers, body, binary) {
+    for (const session of this.sessions) {
+      if (session.user === user) session.deliver(destination, headers, body, binary);
+    }
+  }
+
+  flushQueue(destination) {
+    const held = this.queues.get(destination);
+    if (!held) return;
+    this.queues.delete(destination);
+    for (const message of held) {
+      this.route(destination, message.headers, message.body, message.binary);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Transports
+// ---------------------------------------------------------------------------
+
+function attachWebSocket(broker, server) {
+  const wss = new WebSocketServer({
+    server,
+    path: WS_PATH,
+    handleProtocols: (protocols) => STOMP_SUBPROTOCOLS.find((p) => protocols.has(p)) ?? false,
+  });
+  wss.on("connection", (ws) => {
+    const session = broker.createSession({
+      send: (data, binary) => ws.readyState === ws.OPEN && ws.send(data, { binary }),
+      close: (code, reason) => ws.close(code, reason),
+      terminate: () => ws.terminate(),
+    });
+    broker.log(`${session.id} WebSocket connected (${ws.protocol || "no subprotocol"})`);
+    ws.on("message", (data, isBinary) => session.onData(data, isBinary));
+    ws.on("close", () => session.onClose());
+  });
+  return wss;
+}
+
+async function attachSockJS(broker, server) {
+  const { default: sockjs } = await import("sockjs");
+  const sockServer = sockjs.createServer({ log: () => {} });
+  sockServer.on("connection", (conn) => {
+    if (!conn) return;
+    const session = broker.createSession({
+      send: (data) => conn.write(data.toString("utf8")),
+      close: (code, reason) => conn.close(code, reason),
+      terminate: () => conn.destroy(),
+    });
+    broker.log(`${session.id} SockJS connected (${conn.protocol})`);
+    conn.on("data", (message) => session.onData(Buffer.from(message, "utf8")));
+    conn.on("close", () => session.onClose());
+  });
+  sockServer.installHandlers(server, { prefix: SOCKJS_PREFIX });
+  return sockServer;
+}
+
+// ---------------------------------------------------------------------------
+// Entry points
+// ---------------------------------------------------------------------------
+
+/**
+ * Start a broker. Resolves to { port, wsUrl, sockjsUrl, broker, close() };
+ * pass port 0 for a free port (tests).
+ */
+export async function startMockBroker({
+  port = DEFAULT_PORT,
+  host = "localhost",
+  sockjs = false,
+  rules = loadRules(),
+  heartbeat = DEFAULT_HEARTBEAT,
+  quiet = false,
+} = {}) {
+  const broker = new MockBroker({ rules, heartbeat, quiet });
+  const server = createServer((req, res) => {
+    res.writeHead(200, { "content-type": "text/plain" });
+    res.end(`STOMP mock broker\nWebSocket: ${WS_PATH}\n${sockjs ? `SockJS: ${SOCKJS_PREFIX}\n` : ""}`);
+  });
+  const wss = attachWebSocket(broker, server);
+  if (sockjs) await attachSockJS(broker, server);
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const actualPort = server.address().port;
+
+  return {
+    port: actualPort,
+    wsUrl: `ws://${host}:${actualPort}${WS_PATH}`,
+    sockjsUrl: sockjs ? `http://${host}:${actualPort}${SOCKJS_PREFIX}` : null,
+    broker,
+    close: () =>
+      new Promise((resolve) => {
+        for (const client of wss.clients) client.terminate();
+        for (const session of broker.sessions) session.onClose();
+        wss.close();
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      }),
+  };
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--port") options.port = Number(argv[++i]);
+    else if (arg === "--host") options.host = argv[++i];
+    else if (arg === "--sockjs") options.sockjs = true;
+    else if (arg === "--rules") options.rules = loadRules(argv[++i]);
+    else if (arg === "--quiet") options.quiet = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { wsUrl, sockjsUrl, broker } = await startMockBroker(parseArgs(process.argv.slice(2)));
+  console.log(`[Mock] 🚀 STOMP mock broker listening on ${wsUrl}${sockjsUrl ? ` and ${sockjsUrl}` : ""}`);
+  console.log(`[Mock] ${broker.rules.length} rules loaded`);
+}
@@ -0,0 +1,111 @@
+/**
+ * Mock Broker - STOMP Frame Codec
+ *
+ * Parses and serializes STOMP 1.0 / 1.1 / 1.2 frames on Buffers, so binary
+ * bodies survive. A WebSocket message may carry several frames, heart-beat
+ * EOLs between them, or (with stompjs' splitLargeFrames) only part of one;
+ * `parseFrames` returns the unconsumed tail for the next message.
+ */
+
+const NUL = 0x00;
+const LF = 0x0a;
+const CR = 0x0d;
+
+// Marker returned for a bare EOL (heart-beat)
+export const HEARTBEAT = "<heartbeat>";
+
+const HEADER_DECODE = { "\\r": "\r", "\\n": "\n", "\\c": ":", "\\\\": "\\" };
+const HEADER_ENCODE = { "\r": "\\r", "\n": "\\n", ":": "\\c", "\\": "\\\\" };
+
+// CONNECT / CONNECTED headers are never escaped (STOMP 1.2 §Value Encoding)
+function escapes(command) {
+  return command !== "CONNECT" && command !== "CONNECTED" && command !== "STOMP";
+}
+
+function decodeHeaderValue(value) {
+  return value.replace(/\\[rnc\\]/g, (match) => HEADER_DECODE[match]);
+}
+
+function encodeHeaderValue(value) {
+  return String(value).replace(/[\r\n:\\]/g, (match) => HEADER_ENCODE[match]);
+}
+
+function findHeaderEnd(buffer, from) {
+  for (let i = from; i < buffer.length - 1; i++) {
+    if (buffer[i] !== LF) continue;
+    if (buffer[i + 1] === LF) return { end: i, bodyStart: i + 2 };
+    if (buffer[i + 1] === CR && buffer[i + 2] === LF) return { end: i, bodyStart: i + 3 };
+  }
+  return null;
+}
+
+/**
+ * Parse every complete frame in `buffer`.
+ * Returns { frames: [{ command, headers, body }] | HEARTBEAT, rest }.
+ * Headers keep the first occurrence of a repeated name, as the spec says.
+ */
+export function parseFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] === LF) {
+      frames.push(HEARTBEAT);
+      offset += 1;
+      continue;
+    }
+    if (buffer[offset] === CR && buffer[offset + 1] === LF) {
+      frames.push(HEARTBEAT);
+      offset += 2;
+      continue;
+    }
+
+    const headerEnd = findHeaderEnd(buffer, offset);
+    if (!headerEnd) break;
+
+    const lines = buffer.toString("utf8", offset, headerEnd.end).split(/\r?\n/);
+    const command = lines[0].trim();
+    const decode = escapes(command);
+    const headers = {};
+    for (const line of lines.slice(1)) {
+      const colon = line.indexOf(":");
+      if (colon < 0) continue;
+      const name = decode ? decodeHeaderValue(line.slice(0, colon)) : line.slice(0, colon);
+      if (name in headers) continue;
+      const value = line.slice(colon + 1);
+      headers[name] = decode ? decodeHeaderValue(value) : value;
+    }
+
+    let bodyEnd;
+    if (headers["content-length"] !== undefined) {
+      bodyEnd = headerEnd.bodyStart + Number(headers["content-length"]);
+      if (bodyEnd >= buffer.length) break;
+    } else {
+      bodyEnd = buffer.indexOf(NUL, headerEnd.bodyStart);
+      if (bodyEnd < 0) break;
+    }
+
+    frames.push({ command, headers, body: buffer.subarray(headerEnd.bodyStart, bodyEnd) });
+    offset = bodyEnd + 1;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Serialize a frame. `body` may be a string or a Buffer; a content-length
+ * header is added whenever there is a body.
+ */
+export function serializeFrame(command, headers = {}, body = "") {
+  const bodyBuffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body), "utf8");
+  const encode = escapes(command);
+  const lines = [command];
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === undefined || value === null) continue;
+    lines.push(encode ? `${encodeHeaderValue(name)}:${encodeHeaderValue(value)}` : `${name}:${value}`);
+  }
+  if (bodyBuffer.length > 0 && headers["content-length"] === undefined) {
+    lines.push(`content-length:${bodyBuffer.length}`);
+  }
+  return Buffer.concat([Buffer.from(lines.join("\n") + "\n\n", "utf8"), bodyBuffer, Buffer.from([NUL])]);
+}
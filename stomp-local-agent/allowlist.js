@@ -0,0 +1,137 @@
+/**
+ * Stomp Local Agent - Target Host Allowlist
+ *
+ * Shared by the background service worker (importScripts) and the options
+ * page (<script>). Entries are stored in chrome.storage.sync as strings:
+ *
+ *   localhost            → any port on localhost
+ *   192.168.1.20:8080    → only that port
+ *   *.local              → any subdomain of .local, any port
+ *   broker               → docker-compose style hostname
+ *   my_broker:61614      → underscores are fine (docker-compose service names)
+ *   [::1]:8080           → IPv6 literals go in brackets, like in URLs
+ */
+
+const ALLOWLIST_STORAGE_KEY = "allowedHosts";
+const DEFAULT_ALLOWED_HOSTS = ["localhost", "127.0.0.1"];
+
+// First dynamic rule id used for the Origin rewrite rules
+const ALLOWLIST_RULE_ID_BASE = 100;
+
+const HOST_ENTRY_PATTERN = /^(\*\.)?[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?(\.[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?)*(:\d{1,5})?$/;
+const IPV6_ENTRY_PATTERN = /^(\[[0-9a-f:.]+\])(?::(\d{1,5}))?$/;
+
+/**
+ * Split an entry into { wildcard, host, port }, or null when invalid.
+ * IPv6 hosts keep their brackets, in the canonical form URL.hostname uses.
+ */
+function parseHostEntry(entry) {
+  const value = String(entry || "").trim().toLowerCase();
+
+  let wildcard = false;
+  let host;
+  let port;
+  const ipv6 = value.match(IPV6_ENTRY_PATTERN);
+  if (ipv6) {
+    try {
+      host = new URL(`http://${ipv6[1]}/`).hostname;
+    } catch {
+      return null;
+    }
+    port = ipv6[2];
+  } else {
+    if (!HOST_ENTRY_PATTERN.test(value)) return null;
+    wildcard = value.startsWith("*.");
+    [host, port] = (wildcard ? value.slice(2) : value).split(":");
+  }
+
+  if (port !== undefined && (Number(port) < 1 || Number(port) > 65535)) return null;
+  return { wildcard, host, port: port || "" };
+}
+
+function normalizeHostEntry(entry) {
+  const parsed = parseHostEntry(entry);
+  if (!parsed) return null;
+  return `${parsed.wildcard ? "*." : ""}${parsed.host}${parsed.port ? ":" + parsed.port : ""}`;
+}
+
+function defaultPort(protocol) {
+  return protocol === "https:" || protocol === "wss:" ? "443" : "80";
+}
+
+/**
+ * Whether `url` (http/https/ws/wss) targets a host on the allowlist.
+ */
+function isUrlAllowed(url, entries) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (!["http:", "https:", "ws:", "wss:"].includes(parsed.protocol)) return false;
+
+  const hostname = parsed.hostname.toLowerCase();
+  const port = parsed.port || defaultPort(parsed.protocol);
+  return entries.some((entry) => {
+    const rule = parseHostEntry(entry);
+    if (!rule) return false;
+    const hostMatches = rule.wildcard
+      ? hostname.endsWith("." + rule.host)
+      : hostname === rule.host;
+    return hostMatches && (!rule.port || rule.port === port);
+  });
+}
+
+/**
+ * Host permission match patterns for an entry. Match patterns ignore
+ * ports, so "host:8080" asks for the whole host.
+ */
+function hostPermissionOrigins(entry) {
+  const rule = parseHostEntry(entry);
+  if (!rule) return [];
+  return [`*://${rule.wildcard ? "*." : ""}${rule.host}/*`];
+}
+
+/**
+ * One declarativeNetRequest rule per entry, rewriting the Origin of the
+ * extension's own WebSocket handshakes and proxied HTTP requests (SockJS)
+ * to the target itself. Wildcard entries have no single target, so they
+ * fall back to http://localhost.
+ */
+function buildOriginRules(entries, extensionId) {
+  return entries
+    .map(parseHostEntry)
+    .filter(Boolean)
+    .map((rule, index) => ({
+      id: ALLOWLIST_RULE_ID_BASE + index,
+      priority: 1,
+      action: {
+        type: "modifyHeaders",
+        requestHeaders: [
+          {
+            header: "Origin",
+            operation: "set",
+            value: rule.wildcard
+              ? "http://localhost"
+              : `http://${rule.host}${rule.port ? ":" + rule.port : ""}`,
+          },
+        ],
+      },
+      condition: {
+        urlFilter: `||${rule.host}${rule.port ? ":" + rule.port : ""}^`,
+        resourceTypes: ["websocket", "xmlhttprequest"],
+        initiatorDomains: [extensionId],
+      },
+    }));
+}
+
+async function loadAllowedHosts() {
+  const stored = await chrome.storage.sync.get(ALLOWLIST_STORAGE_KEY);
+  const entries = stored[ALLOWLIST_STORAGE_KEY];
+  return Array.isArray(entries) ? entries : DEFAULT_ALLOWED_HOSTS;
+}
+
+function saveAllowedHosts(entries) {
+  return chrome.storage.sync.set({ [ALLOWLIST_STORAGE_KEY]: entries });
+}
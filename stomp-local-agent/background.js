@@ -2,28 +2,38 @@
  * Stomp Local Agent - Background Service Worker
  *
  * Privileged proxy that creates real WebSocket connections to localhost
- * on behalf of the web app. Features:
+ * (or any host on the options-page allowlist) on behalf of the web app.
+ * Features:
  *   - WebSocketManager for centralized connection tracking
  *   - Keepalive via chrome.alarms to prevent MV3 service worker sleep
  *   - Heartbeat ping every 20s to keep WS alive
- *   - Auto-reconnect with exponential backoff
+ *   - Auto-reconnect with exponential backoff, policy set per connection by the page
+ *   - Connection monitor (toolbar popup) with live stats and force close / reconnect
+ *   - HTTP proxy with streamed responses, so SockJS's /info handshake and
+ *     xhr-streaming / xhr-polling transports also work through the agent
  *
  * Protocol (Incoming from content script):
- *   WS_OPEN    { url }                → Open a WebSocket
- *   WS_SEND    { data }               → Send data
+ *   WS_OPEN    { url, protocols, reconnect } → Open a WebSocket offering the subprotocols,
+ *                                            reconnecting per the policy
+ *   WS_SEND    { data, binary }       → Send data (binary = base64 payload)
  *   WS_CLOSE   { code, reason }       → Close (no reconnect)
- *   HTTP_REQUEST { url, method, ... }  → Make an HTTP request
+ *   HTTP_REQUEST { url, method, headers, body, requestId, stream }
+ *                                     → Make an HTTP request (stream = relay the body in chunks)
+ *   HTTP_ABORT   { requestId }         → Abort an in-flight HTTP request
  *   PING                              → Extension detection
  *
  * Protocol (Outgoing to content script):
- *   WS_EVENT_OPEN         {}                          → WebSocket opened
- *   WS_EVENT_MESSAGE      { data }                    → Message received
+ *   WS_EVENT_OPEN         { protocol, extensions }    → WebSocket opened (negotiated values)
+ *   WS_EVENT_MESSAGE      { data, binary }            → Message received (binary = base64 payload)
  *   WS_EVENT_ERROR        { error }                   → Error occurred
  *   WS_EVENT_CLOSE        { code, reason, wasClean }  → WebSocket closed
  *   WS_EVENT_RECONNECTING { attempt, delay, maxAttempts } → Reconnecting
- *   WS_EVENT_RECONNECTED  {}                          → Reconnected successfully
- *   HTTP_RESPONSE         { ... }                     → HTTP response
- *   PONG                                              → Extension alive
+ *   WS_EVENT_RECONNECTED  { protocol, extensions }    → Reconnected successfully
+ *   HTTP_RESPONSE         { requestId, success, ... } → Whole HTTP response, or a failure
+ *   HTTP_RESPONSE_START   { requestId, status, statusText, headers } → Streamed response headers
+ *   HTTP_RESPONSE_CHUNK   { requestId, chunk }        → Next piece of a streamed body
+ *   HTTP_RESPONSE_END     { requestId }               → Streamed body complete
+ *   PONG                  { allowedHosts }            → Extension alive
  */
 
 // ---------------------------------------------------------------------------
@@ -32,85 +42,123 @@
 
 console.log("[BG] 🚀 Stomp Local Agent background service worker started");
 
+importScripts("allowlist.js", "trustedOrigins.js", "binaryCodec.js");
+
 // ---------------------------------------------------------------------------
-// Register dynamic rules to rewrite Origin header for extension's own requests.
+// Target host allowlist (managed on the options page)
+//
+// Dynamic rules rewrite the Origin header for the extension's own requests.
 // Static rules (rules.json) DON'T apply to extension-initiated requests by default.
 // We must use dynamic rules with initiatorDomains: [chrome.runtime.id].
 // ---------------------------------------------------------------------------
-(async () => {
-  const extId = chrome.runtime.id;
-  console.log(`[BG] Extension ID: ${extId}`);
 
-  // Remove old dynamic rules first, then add fresh ones
-  const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-  const oldIds = existingRules.map(r => r.id);
+let allowedHosts = DEFAULT_ALLOWED_HOSTS;
 
+async function syncOriginRules(entries) {
+  const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
   await chrome.declarativeNetRequest.updateDynamicRules({
-    removeRuleIds: oldIds,
-    addRules: [
+    removeRuleIds: existingRules.map(r => r.id),
+    addRules: buildOriginRules(entries, chrome.runtime.id),
+  });
+  console.log(`[BG] ✅ Origin rewrite rules registered for: ${entries.join(", ")}`);
+}
+
+async function refreshAllowlist() {
+  allowedHosts = await loadAllowedHosts();
+  await syncOriginRules(allowedHosts);
+}
+
+// Requests that arrive while the worker is starting wait for this
+const allowlistReady = refreshAllowlist().catch((err) => {
+  console.error("[BG] Failed to load allowlist:", err);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes[ALLOWLIST_STORAGE_KEY]) {
+    refreshAllowlist();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Trusted app origins: (re)register the content script on every origin the
+// user approved on the options page and granted host access for.
+// ---------------------------------------------------------------------------
+
+let trustedOrigins = [];
+
+async function syncTrustedContentScripts() {
+  trustedOrigins = await loadTrustedOrigins();
+
+  const matches = [];
+  for (const origin of trustedOrigins) {
+    const pattern = appOriginMatchPattern(origin);
+    if (await chrome.permissions.contains({ origins: [pattern] })) {
+      matches.push(pattern);
+    }
+  }
+
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [TRUSTED_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [TRUSTED_SCRIPT_ID] });
+  }
+  if (matches.length > 0) {
+    await chrome.scripting.registerContentScripts([
       {
-        id: 100,
-        priority: 1,
-        action: {
-          type: "modifyHeaders",
-          requestHeaders: [
-            { header: "Origin", operation: "set", value: "http://localhost" }
-          ]
-        },
-        condition: {
-          urlFilter: "||localhost",
-          resourceTypes: ["websocket"],
-          initiatorDomains: [extId]
-        }
+        id: TRUSTED_SCRIPT_ID,
+        matches: [...new Set(matches)],
+        js: ["trustedOrigins.js", "binaryCodec.js", "content.js"],
+        runAt: "document_start",
+        persistAcrossSessions: true,
       },
-      {
-        id: 101,
-        priority: 1,
-        action: {
-          type: "modifyHeaders",
-          requestHeaders: [
-            { header: "Origin", operation: "set", value: "http://127.0.0.1" }
-          ]
-        },
-        condition: {
-          urlFilter: "||127.0.0.1",
-          resourceTypes: ["websocket"],
-          initiatorDomains: [extId]
-        }
-      }
-    ]
-  });
+    ]);
+  }
+  console.log(`[BG] ✅ Content script registered for trusted origins: ${matches.join(", ") || "(none)"}`);
+}
 
-  console.log("[BG] ✅ Dynamic declarativeNetRequest rules registered (Origin rewrite for WS)");
-})();
+const trustedOriginsReady = syncTrustedContentScripts().catch((err) => {
+  console.error("[BG] Failed to register trusted origins:", err);
+});
 
-const ALLOWED_ORIGINS = [
-  "http://localhost",
-  "http://127.0.0.1",
-  "ws://localhost",
-  "ws://127.0.0.1",
-];
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes[TRUSTED_ORIGINS_STORAGE_KEY]) {
+    syncTrustedContentScripts();
+  }
+});
+
+// Host access granted or revoked outside the options page
+chrome.permissions.onAdded.addListener(() => syncTrustedContentScripts());
+chrome.permissions.onRemoved.addListener(() => syncTrustedContentScripts());
 
 const KEEPALIVE_ALARM = "ws-keepalive";
 const KEEPALIVE_INTERVAL_MIN = 0.4; // ~24 seconds
 const HEARTBEAT_INTERVAL_MS = 20_000; // 20 seconds
-const MAX_RECONNECT_ATTEMPTS = 10;
-const MAX_RECONNECT_DELAY_MS = 30_000; // 30 seconds
+
+// Reconnect policy used when the page doesn't send one (see app/lib/reconnect.ts)
+const DEFAULT_RECONNECT_POLICY = {
+  enabled: true,
+  maxAttempts: 10, // 0 = forever
+  baseDelayMs: 2000,
+  maxDelayMs: 30_000, // 30 seconds
+  jitter: 0, // 0..1, fraction of the delay randomized either way
+  reconnectOnCleanClose: false,
+};
+
+const MONITOR_PORT_NAME = "stomp-local-agent-monitor";
+const MONITOR_REFRESH_MS = 1000;
+const MONITOR_TAIL_SIZE = 50;
+const MONITOR_HISTORY_SIZE = 10;
+const MONITOR_PREVIEW_LENGTH = 200;
 
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
 function isAllowedUrl(url) {
-  try {
-    const parsed = new URL(url);
-    const origin = `${parsed.protocol}//${parsed.hostname}`;
-    return ALLOWED_ORIGINS.some(
-      (allowed) => origin === allowed || origin.startsWith(allowed + ":")
-    );
-  } catch {
-    return false;
-  }
+  return isUrlAllowed(url, allowedHosts);
+}
+
+function notAllowedMessage(url) {
+  return `URL not allowed: ${url}. Add its host in the Stomp Local Agent options.`;
 }
 
 function toWsUrl(url) {
@@ -119,8 +167,111 @@ function toWsUrl(url) {
   return url;
 }
 
-function reconnectDelay(attempt) {
-  return Math.min(1000 * Math.pow(2, attempt), MAX_RECONNECT_DELAY_MS);
+const utf8Encoder = new TextEncoder();
+
+function utf8Length(text) {
+  return utf8Encoder.encode(text).length;
+}
+
+function framePreview(data) {
+  if (typeof data !== "string") return `[binary ${data.byteLength} bytes]`;
+  const text = data.replace(/\0/g, "");
+  return text.length > MONITOR_PREVIEW_LENGTH ? text.slice(0, MONITOR_PREVIEW_LENGTH) + "…" : text;
+}
+
+/**
+ * Fill in missing or invalid fields of a page-supplied reconnect policy.
+ */
+function resolveReconnectPolicy(policy) {
+  const p = policy && typeof policy === "object" ? policy : {};
+  const d = DEFAULT_RECONNECT_POLICY;
+  const num = (v, fallback) => (typeof v === "number" && v >= 0 ? v : fallback);
+  const bool = (v, fallback) => (typeof v === "boolean" ? v : fallback);
+  return {
+    enabled: bool(p.enabled, d.enabled),
+    maxAttempts: Math.floor(num(p.maxAttempts, d.maxAttempts)),
+    baseDelayMs: num(p.baseDelayMs, d.baseDelayMs),
+    maxDelayMs: num(p.maxDelayMs, d.maxDelayMs),
+    jitter: Math.min(1, num(p.jitter, d.jitter)),
+    reconnectOnCleanClose: bool(p.reconnectOnCleanClose, d.reconnectOnCleanClose),
+  };
+}
+
+// Exponential backoff for the 1-based attempt, capped, then spread by ±jitter
+function reconnectDelay(policy, attempt) {
+  const backoff = Math.min(
+    policy.baseDelayMs * Math.pow(2, attempt - 1),
+    Math.max(policy.maxDelayMs, policy.baseDelayMs)
+  );
+  const spread = backoff * policy.jitter * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(backoff + spread));
+}
+
+// ---------------------------------------------------------------------------
+// HTTP proxying — one-shot (HTTP_RESPONSE) or streamed chunk by chunk
+// (HTTP_RESPONSE_START / CHUNK / END) for SockJS's xhr-streaming transport
+// ---------------------------------------------------------------------------
+
+function httpFetch(msg, signal) {
+  const { url, method, headers, body } = msg;
+  return fetch(url, {
+    method: method || "GET",
+    headers: headers || {},
+    body: body
+      ? typeof body === "string"
+        ? body
+        : JSON.stringify(body)
+      : undefined,
+    cache: "no-store",
+    signal,
+  });
+}
+
+async function bufferedHttpRequest(msg, port, signal) {
+  const response = await httpFetch(msg, signal);
+  const text = await response.text();
+
+  port.postMessage({
+    type: "HTTP_RESPONSE",
+    requestId: msg.requestId,
+    success: true,
+    status: response.status,
+    statusText: response.statusText,
+    headers: Object.fromEntries(response.headers.entries()),
+    body: text,
+  });
+}
+
+async function streamHttpRequest(msg, port, signal) {
+  const { requestId } = msg;
+  const response = await httpFetch(msg, signal);
+
+  port.postMessage({
+    type: "HTTP_RESPONSE_START",
+    requestId,
+    status: response.status,
+    statusText: response.statusText,
+    headers: Object.fromEntries(response.headers.entries()),
+  });
+
+  if (response.body) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = decoder.decode(value, { stream: true });
+      if (chunk) {
+        port.postMessage({ type: "HTTP_RESPONSE_CHUNK", requestId, chunk });
+      }
+    }
+    const tail = decoder.decode();
+    if (tail) {
+      port.postMessage({ type: "HTTP_RESPONSE_CHUNK", requestId, chunk: tail });
+    }
+  }
+
+  port.postMessage({ type: "HTTP_RESPONSE_END", requestId });
 }
 
 // ---------------------------------------------------------------------------
@@ -132,18 +283,35 @@ class WSConnection {
    * @param {string} id   - Unique connection ID
    * @param {string} url  - Target WebSocket URL (ws:// or http://)
    * @param {chrome.runtime.Port} port - Port to relay events to
+   * @param {string[]} protocols - Subprotocols to offer, in preference order
+   * @param {object} policy - Reconnect policy (resolveReconnectPolicy)
    */
-  constructor(id, url, port) {
+  constructor(id, url, port, protocols = [], policy = DEFAULT_RECONNECT_POLICY) {
     this.id = id;
     this.url = url;
     this.port = port;
+    this.protocols = protocols;
     this.socket = null;
     this.status = "IDLE"; // IDLE | CONNECTING | OPEN | CLOSING | CLOSED | RECONNECTING
     this.reconnectAttempts = 0;
-    this.maxReconnect = MAX_RECONNECT_ATTEMPTS;
+    this.policy = policy;
     this.heartbeatTimer = null;
     this.reconnectTimer = null;
     this.shouldReconnect = true; // false when user explicitly closes
+
+    // Stats for the connection monitor popup
+    this.createdAt = Date.now();
+    this.openedAt = null;
+    this.closedAt = null;
+    this.closedBy = null; // page | tab | server | agent | monitor
+    this.closeCode = null;
+    this.closeReason = "";
+    this.reconnects = 0;
+    this.framesIn = 0;
+    this.framesOut = 0;
+    this.bytesIn = 0;
+    this.bytesOut = 0;
+    this.tail = [];
   }
 
   // --- Lifecycle -----------------------------------------------------------
@@ -161,32 +329,32 @@ class WSConnection {
     console.log(`[BG] Creating WebSocket to: ${wsUrl}`);
 
     try {
-      this.socket = new WebSocket(wsUrl);
+      this.socket = this.protocols.length > 0 ? new WebSocket(wsUrl, this.protocols) : new WebSocket(wsUrl);
       console.log(`[BG] WebSocket created, readyState=${this.socket.readyState}`);
       this.socket.binaryType = "arraybuffer";
 
       this.socket.onopen = () => {
         console.log(`[BG] ✅ WebSocket OPEN id=${this.id}`);
         this.status = "OPEN";
+        this.openedAt = Date.now();
         this.startHeartbeat();
 
         // If this was a reconnect, send RECONNECTED instead of OPEN
         if (this.reconnectAttempts > 0) {
           console.log(`[BG] Reconnected after ${this.reconnectAttempts} attempts`);
           this.reconnectAttempts = 0;
-          this._send({ type: "WS_EVENT_RECONNECTED" });
+          this.reconnects++;
+          this._send({ type: "WS_EVENT_RECONNECTED", ...this.negotiated() });
         } else {
-          this._send({ type: "WS_EVENT_OPEN" });
+          this._send({ type: "WS_EVENT_OPEN", ...this.negotiated() });
         }
       };
 
       this.socket.onmessage = (event) => {
+        this.recordFrame("in", event.data);
         this._send({
           type: "WS_EVENT_MESSAGE",
-          data:
-            typeof event.data === "string"
-              ? event.data
-              : Array.from(new Uint8Array(event.data)),
+          ...encodeFrameData(event.data),
         });
       };
 
@@ -203,12 +371,13 @@ class WSConnection {
         this.stopHeartbeat();
         this.socket = null;
 
-        if (this.shouldReconnect && !event.wasClean) {
-          console.log(`[BG] Unexpected close, will reconnect...`);
+        const wanted = this.policy.enabled && (!event.wasClean || this.policy.reconnectOnCleanClose);
+        if (this.shouldReconnect && wanted) {
+          console.log(`[BG] ${event.wasClean ? "Clean" : "Unexpected"} close, will reconnect...`);
           this.reconnect();
         } else {
-          console.log(`[BG] Clean close or user-requested, no reconnect`);
-          this.status = "CLOSED";
+          console.log(`[BG] Clean close, user-requested or reconnect disabled, no reconnect`);
+          this.markClosed("server", event.code, event.reason);
           this._send({
             type: "WS_EVENT_CLOSE",
             code: event.code,
@@ -230,6 +399,7 @@ class WSConnection {
     }
     try {
       this.socket.send(data);
+      this.recordFrame("out", data);
     } catch (err) {
       this._send({ type: "WS_EVENT_ERROR", error: err.message });
     }
@@ -237,8 +407,9 @@ class WSConnection {
 
   /**
    * Close connection explicitly (user-initiated). No reconnect.
+   * @param {string} by - Who asked: "page" (WS_CLOSE) or "monitor" (popup)
    */
-  close(code = 1000, reason = "") {
+  close(code = 1000, reason = "", by = "page") {
     this.shouldReconnect = false;
     this.stopHeartbeat();
     this.clearReconnectTimer();
@@ -251,7 +422,7 @@ class WSConnection {
       this.socket = null;
     }
 
-    this.status = "CLOSED";
+    this.markClosed(by, code, reason);
     this._send({
       type: "WS_EVENT_CLOSE",
       code,
@@ -271,20 +442,21 @@ class WSConnection {
       try { this.socket.close(); } catch {}
       this.socket = null;
     }
-    this.status = "CLOSED";
+    this.markClosed("tab", 1001, "Content script port disconnected");
   }
 
   // --- Reconnect -----------------------------------------------------------
 
   reconnect() {
-    console.log(`[BG] reconnect() id=${this.id} attempt=${this.reconnectAttempts}/${this.maxReconnect}`);
-    if (this.reconnectAttempts >= this.maxReconnect) {
+    const { maxAttempts } = this.policy;
+    console.log(`[BG] reconnect() id=${this.id} attempt=${this.reconnectAttempts}/${maxAttempts || "∞"}`);
+    if (maxAttempts > 0 && this.reconnectAttempts >= maxAttempts) {
       console.log(`[BG] Max reconnect attempts reached, giving up`);
-      this.status = "CLOSED";
+      this.markClosed("agent", 1006, `Max reconnect attempts (${maxAttempts}) reached`);
       this._send({
         type: "WS_EVENT_CLOSE",
         code: 1006,
-        reason: `Max reconnect attempts (${this.maxReconnect}) reached`,
+        reason: `Max reconnect attempts (${maxAttempts}) reached`,
         wasClean: false,
       });
       return;
@@ -292,14 +464,14 @@ class WSConnection {
 
     this.reconnectAttempts++;
     this.status = "RECONNECTING";
-    const delay = reconnectDelay(this.reconnectAttempts);
+    const delay = reconnectDelay(this.policy, this.reconnectAttempts);
     console.log(`[BG] Will retry in ${delay}ms (attempt ${this.reconnectAttempts})`);
 
     this._send({
       type: "WS_EVENT_RECONNECTING",
       attempt: this.reconnectAttempts,
       delay,
-      maxAttempts: this.maxReconnect,
+      maxAttempts,
     });
 
     this.reconnectTimer = setTimeout(() => {
@@ -308,6 +480,26 @@ class WSConnection {
     }, delay);
   }
 
+  /**
+   * Drop the current socket and reconnect right away (connection monitor).
+   * The page sees the usual RECONNECTING / RECONNECTED events.
+   */
+  forceReconnect() {
+    if (this.status === "CLOSED") return;
+    console.log(`[BG] forceReconnect() id=${this.id}`);
+    this.clearReconnectTimer();
+    this.stopHeartbeat();
+    if (this.socket) {
+      const socket = this.socket;
+      socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+      try { socket.close(); } catch {}
+      this.socket = null;
+    }
+    this.shouldReconnect = true;
+    this.reconnectAttempts = 0;
+    this.reconnect();
+  }
+
   clearReconnectTimer() {
     if (this.reconnectTimer) {
       clearTimeout(this.reconnectTimer);
@@ -343,8 +535,68 @@ class WSConnection {
     }
   }
 
+  // --- Monitor -------------------------------------------------------------
+
+  recordFrame(direction, data) {
+    const size = typeof data === "string" ? utf8Length(data) : data.byteLength;
+    if (direction === "in") {
+      this.framesIn++;
+      this.bytesIn += size;
+    } else {
+      this.framesOut++;
+      this.bytesOut += size;
+    }
+
+    const frame = { time: Date.now(), direction, size, preview: framePreview(data) };
+    this.tail.push(frame);
+    if (this.tail.length > MONITOR_TAIL_SIZE) this.tail.shift();
+    connectionMonitor.frame(this.id, frame);
+  }
+
+  /**
+   * Record who ended the connection. The first cause wins: a socket closed
+   * by close() still fires its own onclose afterwards.
+   */
+  markClosed(by, code, reason) {
+    if (this.status === "CLOSED") return;
+    this.status = "CLOSED";
+    this.closedAt = Date.now();
+    this.closedBy = by;
+    this.closeCode = code;
+    this.closeReason = reason || "";
+  }
+
+  info() {
+    return {
+      id: this.id,
+      url: this.url,
+      status: this.status,
+      protocol: this.socket ? this.socket.protocol : "",
+      createdAt: this.createdAt,
+      openedAt: this.openedAt,
+      closedAt: this.closedAt,
+      closedBy: this.closedBy,
+      closeCode: this.closeCode,
+      closeReason: this.closeReason,
+      reconnectAttempts: this.reconnectAttempts,
+      maxReconnect: this.policy.maxAttempts,
+      reconnects: this.reconnects,
+      framesIn: this.framesIn,
+      framesOut: this.framesOut,
+      bytesIn: this.bytesIn,
+      bytesOut: this.bytesOut,
+    };
+  }
+
   // --- Internal ------------------------------------------------------------
 
+  negotiated() {
+    return {
+      protocol: this.socket ? this.socket.protocol : "",
+      extensions: this.socket ? this.socket.extensions : "",
+    };
+  }
+
   _send(msg) {
     try {
       this.port.postMessage(msg);
@@ -363,15 +615,18 @@ class WebSocketManager {
   constructor() {
     /** @type {Map<string, WSConnection>} */
     this.connections = new Map();
+    /** Recently removed connections, newest first (connection monitor) */
+    this.history = [];
   }
 
-  connect(id, url, port) {
+  connect(id, url, port, protocols, policy) {
     // Close existing connection with same ID if any
     if (this.connections.has(id)) {
       this.connections.get(id).destroy();
+      this._retire(this.connections.get(id));
     }
 
-    const conn = new WSConnection(id, url, port);
+    const conn = new WSConnection(id, url, port, protocols, policy);
     this.connections.set(id, conn);
     conn.connect();
 
@@ -388,11 +643,12 @@ class WebSocketManager {
     }
   }
 
-  disconnect(id, code, reason) {
+  disconnect(id, code, reason, by) {
     const conn = this.connections.get(id);
     if (conn) {
-      conn.close(code, reason);
+      conn.close(code, reason, by);
       this.connections.delete(id);
+      this._retire(conn);
       this._checkKeepalive();
     }
   }
@@ -402,11 +658,17 @@ class WebSocketManager {
       if (conn.port === port) {
         conn.destroy();
         this.connections.delete(id);
+        this._retire(conn);
       }
     }
     this._checkKeepalive();
   }
 
+  _retire(conn) {
+    this.history.unshift(conn.info());
+    this.history.length = Math.min(this.history.length, MONITOR_HISTORY_SIZE);
+  }
+
   _ensureKeepalive() {
     if (this.connections.size > 0) {
       chrome.alarms.create(KEEPALIVE_ALARM, {
@@ -428,6 +690,91 @@ class WebSocketManager {
 
 const wsManager = new WebSocketManager();
 
+// ---------------------------------------------------------------------------
+// ConnectionMonitor — feeds the toolbar popup (popup.html)
+//
+// Protocol (Outgoing to popup):
+//   MONITOR_SNAPSHOT { connections, history }  → On attach, then every second
+//   MONITOR_TAIL     { id, frames }            → Buffered frames, on attach
+//   MONITOR_FRAME    { id, frame }             → Live frame { time, direction, size, preview }
+//
+// Protocol (Incoming from popup):
+//   FORCE_CLOSE      { id }  → Close the target socket, page gets WS_EVENT_CLOSE
+//   FORCE_RECONNECT  { id }  → Drop the target socket and reconnect now
+// ---------------------------------------------------------------------------
+
+class ConnectionMonitor {
+  constructor(manager) {
+    this.manager = manager;
+    /** @type {Set<chrome.runtime.Port>} */
+    this.ports = new Set();
+    this.refreshTimer = null;
+  }
+
+  attach(port) {
+    this.ports.add(port);
+    port.postMessage(this.snapshot());
+    for (const conn of this.manager.connections.values()) {
+      port.postMessage({ type: "MONITOR_TAIL", id: conn.id, frames: conn.tail });
+    }
+
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => this.broadcast(this.snapshot()), MONITOR_REFRESH_MS);
+    }
+
+    port.onMessage.addListener((msg) => {
+      switch (msg.type) {
+        case "FORCE_CLOSE":
+          console.log(`[BG] Monitor force-close id=${msg.id}`);
+          this.manager.disconnect(msg.id, 1000, "Closed from agent monitor", "monitor");
+          break;
+
+        case "FORCE_RECONNECT": {
+          const conn = this.manager.connections.get(msg.id);
+          if (conn) conn.forceReconnect();
+          break;
+        }
+      }
+      this.broadcast(this.snapshot());
+    });
+
+    port.onDisconnect.addListener(() => {
+      this.ports.delete(port);
+      if (this.ports.size === 0) {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+      }
+    });
+  }
+
+  snapshot() {
+    return {
+      type: "MONITOR_SNAPSHOT",
+      now: Date.now(),
+      connections: [...this.manager.connections.values()].map((conn) => conn.info()),
+      history: this.manager.history,
+    };
+  }
+
+  frame(id, frame) {
+    if (this.ports.size > 0) {
+      this.broadcast({ type: "MONITOR_FRAME", id, frame });
+    }
+  }
+
+  broadcast(msg) {
+    for (const port of this.ports) {
+      try {
+        port.postMessage(msg);
+      } catch {
+        this.ports.delete(port);
+      }
+    }
+  }
+}
+
+const connectionMonitor = new ConnectionMonitor(wsManager);
+
 // ---------------------------------------------------------------------------
 // Keepalive alarm handler
 // ---------------------------------------------------------------------------
@@ -452,42 +799,71 @@ chrome.alarms.onAlarm.addListener((alarm) => {
 // ---------------------------------------------------------------------------
 
 chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === MONITOR_PORT_NAME) {
+    // Only the extension's own popup may watch and control connections
+    if (port.sender?.origin === `chrome-extension://${chrome.runtime.id}`) {
+      connectionMonitor.attach(port);
+    } else {
+      port.disconnect();
+    }
+    return;
+  }
   if (port.name !== "stomp-local-agent") return;
-  console.log(`[BG] Port connected: ${port.name}`);
+  console.log(`[BG] Port connected: ${port.name} from ${port.sender?.origin}`);
+
+  // Second line of defence behind the content script's own check
+  const portTrusted = trustedOriginsReady.then(() => {
+    const trusted = isTrustedAppOrigin(port.sender?.origin, trustedOrigins);
+    if (!trusted) {
+      console.log(`[BG] Rejecting port from untrusted origin: ${port.sender?.origin}`);
+      port.disconnect();
+    }
+    return trusted;
+  });
 
   // Track connectionId → this port for this session
   let activeConnectionId = null;
+  // In-flight HTTP requests on this port: requestId → AbortController
+  const httpRequests = new Map();
 
-  port.onMessage.addListener((msg) => {
+  port.onMessage.addListener(async (msg) => {
+    if (!(await portTrusted)) return;
     console.log(`[BG] Port message received:`, msg.type, msg);
     switch (msg.type) {
       case "PING":
         console.log(`[BG] PING received, sending PONG`);
-        port.postMessage({ type: "PONG" });
+        allowlistReady.then(() => {
+          port.postMessage({ type: "PONG", allowedHosts });
+        });
         break;
 
       case "WS_OPEN": {
         const { url, connectionId } = msg;
+        const protocols = Array.isArray(msg.protocols) ? msg.protocols : [];
+        const policy = resolveReconnectPolicy(msg.reconnect);
         console.log(`[BG] WS_OPEN url=${url} connectionId=${connectionId}`);
+        activeConnectionId = connectionId || port.name + "-" + Date.now();
 
-        if (!isAllowedUrl(url)) {
-          console.log(`[BG] URL not allowed: ${url}`);
-          port.postMessage({
-            type: "WS_EVENT_ERROR",
-            error: `URL not allowed: ${url}. Only localhost URLs are permitted.`,
-          });
-          return;
-        }
+        allowlistReady.then(() => {
+          if (!isAllowedUrl(url)) {
+            console.log(`[BG] URL not allowed: ${url}`);
+            activeConnectionId = null;
+            port.postMessage({
+              type: "WS_EVENT_ERROR",
+              error: notAllowedMessage(url),
+            });
+            return;
+          }
 
-        activeConnectionId = connectionId || port.name + "-" + Date.now();
-        console.log(`[BG] Creating connection with id=${activeConnectionId}`);
-        wsManager.connect(activeConnectionId, url, port);
+          console.log(`[BG] Creating connection with id=${activeConnectionId}`);
+          wsManager.connect(activeConnectionId, url, port, protocols, policy);
+        });
         break;
       }
 
       case "WS_SEND": {
         if (activeConnectionId) {
-          wsManager.send(activeConnectionId, msg.data);
+          wsManager.send(activeConnectionId, decodeFrameData(msg));
         } else {
           port.postMessage({
             type: "WS_EVENT_ERROR",
@@ -510,52 +886,51 @@ chrome.runtime.onConnect.addListener((port) => {
       }
 
       case "HTTP_REQUEST": {
-        const { url, method, headers, body, requestId } = msg;
-
-        if (!isAllowedUrl(url)) {
-          port.postMessage({
-            type: "HTTP_RESPONSE",
-            requestId,
-            success: false,
-            error: `URL not allowed: ${url}. Only localhost URLs are permitted.`,
-          });
-          return;
-        }
+        const { url, requestId } = msg;
 
         (async () => {
-          try {
-            const response = await fetch(url, {
-              method: method || "GET",
-              headers: headers || {},
-              body: body
-                ? typeof body === "string"
-                  ? body
-                  : JSON.stringify(body)
-                : undefined,
-            });
-
-            const text = await response.text();
-
+          await allowlistReady;
+          if (!isAllowedUrl(url)) {
             port.postMessage({
               type: "HTTP_RESPONSE",
               requestId,
-              success: true,
-              status: response.status,
-              statusText: response.statusText,
-              headers: Object.fromEntries(response.headers.entries()),
-              body: text,
+              success: false,
+              error: notAllowedMessage(url),
             });
+            return;
+          }
+
+          const controller = new AbortController();
+          httpRequests.set(requestId, controller);
+          try {
+            if (msg.stream) {
+              await streamHttpRequest(msg, port, controller.signal);
+            } else {
+              await bufferedHttpRequest(msg, port, controller.signal);
+            }
           } catch (err) {
+            if (controller.signal.aborted) return;
             port.postMessage({
               type: "HTTP_RESPONSE",
               requestId,
               success: false,
               error: err.message,
             });
+          } finally {
+            httpRequests.delete(requestId);
           }
         })();
         break;
       }
+
+      case "HTTP_ABORT": {
+        const controller = httpRequests.get(msg.requestId);
+        if (controller) {
+          controller.abort();
+          httpRequests.delete(msg.requestId);
+        }
+        break;
+      }
     }
   });
 
@@ -563,5 +938,9 @@ chrome.runtime.onConnect.addListener((port) => {
     console.log(`[BG] Port disconnected, destroying connections`);
     wsManager.destroyByPort(port);
     activeConnectionId = null;
+    for (const controller of httpRequests.values()) {
+      controller.abort();
+    }
+    httpRequests.clear();
   });
 });
@@ -0,0 +1,50 @@
+/**
+ * Stomp Local Agent - Binary Codec
+ *
+ * chrome.runtime ports serialize messages as JSON, so binary WebSocket
+ * frames cross the content script ↔ background hop as base64 strings
+ * flagged with `binary: true`. The page ↔ content script hop uses
+ * window.postMessage, which carries ArrayBuffers natively.
+ *
+ * Shared by the background worker and the content script.
+ */
+
+// Keeps String.fromCharCode.apply under the engine's argument limit
+const BASE64_CHUNK_SIZE = 0x8000;
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Port-safe payload for a frame: strings pass through, ArrayBuffer and
+ * typed-array views become base64.
+ */
+function encodeFrameData(data) {
+  if (typeof data === "string") return { data, binary: false };
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+  return { data: bytesToBase64(bytes), binary: true };
+}
+
+/**
+ * Inverse of encodeFrameData. Binary payloads come back as a standalone
+ * ArrayBuffer so they can be transferred to the page.
+ */
+function decodeFrameData(message) {
+  return message.binary ? base64ToBytes(message.data).buffer : message.data;
+}
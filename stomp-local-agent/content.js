@@ -6,24 +6,79 @@
  *
  * The content script runs in the same page context as the web app,
  * but has access to chrome.runtime APIs that the web app doesn't.
+ *
+ * Injected on the built-in app origin (manifest.json) and on trusted
+ * self-hosted origins (registered by background.js). trustedOrigins.js and
+ * binaryCodec.js are loaded before this file.
  */
 
-const ALLOWED_ORIGIN = "https://stomp-template-send-sigma.vercel.app";
+const APP_ORIGIN = window.location.origin;
+
+// Trust is re-checked on every message so removing an origin on the
+// options page takes effect without reloading the app
+let trustedOrigins = [];
+const trustReady = loadTrustedOrigins()
+  .then((origins) => { trustedOrigins = origins; })
+  .catch(() => {});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes[TRUSTED_ORIGINS_STORAGE_KEY]) {
+    trustedOrigins = changes[TRUSTED_ORIGINS_STORAGE_KEY].newValue || [];
+  }
+});
 
 // Map of connectionId → port for managing multiple simultaneous connections
 const connections = new Map();
+// Map of requestId → port for in-flight HTTP requests
+const httpRequests = new Map();
 
 // Listen for messages from the web page
 window.addEventListener("message", (event) => {
-  // Security: only accept messages from our own window and allowed origin
+  // Security: only accept messages from our own window
   if (event.source !== window) return;
-  if (event.origin !== ALLOWED_ORIGIN) return;
+  if (event.origin !== APP_ORIGIN) return;
 
   const { type, connectionId } = event.data || {};
 
   if (!type || !connectionId) return;
   console.log(`[CS] Received message from page: type=${type} connectionId=${connectionId}`);
 
+  trustReady.then(() => {
+    if (isTrustedAppOrigin(APP_ORIGIN, trustedOrigins)) {
+      handlePageMessage(event);
+      return;
+    }
+
+    console.log(`[CS] Origin not trusted: ${APP_ORIGIN}`);
+    if (type === "AGENT_PING") {
+      window.postMessage({ type: "AGENT_UNTRUSTED", connectionId, origin: APP_ORIGIN }, APP_ORIGIN);
+    } else if (type === "WS_OPEN") {
+      window.postMessage(
+        {
+          type: "WS_EVENT_ERROR",
+          connectionId,
+          error: `Origin ${APP_ORIGIN} is not trusted by Stomp Local Agent`,
+        },
+        APP_ORIGIN
+      );
+    } else if (type === "HTTP_REQUEST") {
+      window.postMessage(
+        {
+          type: "HTTP_RESPONSE",
+          connectionId,
+          requestId: event.data.requestId,
+          success: false,
+          error: `Origin ${APP_ORIGIN} is not trusted by Stomp Local Agent`,
+        },
+        APP_ORIGIN
+      );
+    }
+  });
+});
+
+function handlePageMessage(event) {
+  const { type, connectionId } = event.data;
+
   switch (type) {
     case "AGENT_PING": {
       console.log(`[CS] AGENT_PING - detecting extension...`);
@@ -39,6 +94,7 @@ window.addEventListener("message", (event) => {
               {
                 type: "AGENT_PONG",
                 connectionId,
+                allowedHosts: msg.allowedHosts,
               },
               event.origin
             );
@@ -64,6 +120,16 @@ window.addEventListener("message", (event) => {
       // Relay all messages from background → web page
       port.onMessage.addListener((msg) => {
         console.log(`[CS] Relay BG→Page:`, msg.type);
+        if (msg.type === "WS_EVENT_MESSAGE") {
+          // Binary frames arrive base64-encoded; hand the page a real ArrayBuffer
+          const data = decodeFrameData(msg);
+          window.postMessage(
+            { type: msg.type, connectionId, data },
+            event.origin,
+            data instanceof ArrayBuffer ? [data] : []
+          );
+          return;
+        }
         window.postMessage(
           {
             ...msg,
@@ -90,14 +156,20 @@ window.addEventListener("message", (event) => {
       });
 
       // Forward the open request (include connectionId for WSManager tracking)
-      port.postMessage({ type: "WS_OPEN", url: event.data.url, connectionId });
+      port.postMessage({
+        type: "WS_OPEN",
+        url: event.data.url,
+        protocols: event.data.protocols,
+        reconnect: event.data.reconnect,
+        connectionId,
+      });
       break;
     }
 
     case "WS_SEND": {
       const port = connections.get(connectionId);
       if (port) {
-        port.postMessage({ type: "WS_SEND", data: event.data.data });
+        port.postMessage({ type: "WS_SEND", ...encodeFrameData(event.data.data) });
       }
       break;
     }
@@ -116,22 +188,63 @@ window.addEventListener("message", (event) => {
     }
 
     case "HTTP_REQUEST": {
-      // For SockJS HTTP transport negotiation
-      const port = connections.get(connectionId);
+      // Each request gets its own port, independent of any WebSocket, so
+      // SockJS HTTP transports can run before (or without) a WS_OPEN
+      const { requestId } = event.data;
+      const port = chrome.runtime.connect({ name: "stomp-local-agent" });
+      httpRequests.set(requestId, port);
+
+      const finish = () => {
+        httpRequests.delete(requestId);
+        try { port.disconnect(); } catch {}
+      };
+
+      port.onMessage.addListener((msg) => {
+        if (msg.requestId !== requestId) return;
+        window.postMessage({ ...msg, connectionId }, event.origin);
+        if (msg.type === "HTTP_RESPONSE" || msg.type === "HTTP_RESPONSE_END") {
+          finish();
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        if (!httpRequests.has(requestId)) return;
+        httpRequests.delete(requestId);
+        window.postMessage(
+          {
+            type: "HTTP_RESPONSE",
+            connectionId,
+            requestId,
+            success: false,
+            error: "Extension port disconnected",
+          },
+          event.origin
+        );
+      });
+
+      port.postMessage({
+        type: "HTTP_REQUEST",
+        url: event.data.url,
+        method: event.data.method,
+        headers: event.data.headers,
+        body: event.data.body,
+        stream: event.data.stream,
+        requestId,
+      });
+      break;
+    }
+
+    case "HTTP_ABORT": {
+      const port = httpRequests.get(event.data.requestId);
       if (port) {
-        port.postMessage({
-          type: "HTTP_REQUEST",
-          url: event.data.url,
-          method: event.data.method,
-          headers: event.data.headers,
-          body: event.data.body,
-          requestId: event.data.requestId,
-        });
+        httpRequests.delete(event.data.requestId);
+        // Disconnecting aborts the fetch in the background worker
+        try { port.disconnect(); } catch {}
       }
       break;
     }
   }
-});
+}
 
 // Inject a marker to let the page know the content script is loaded
 function injectMarker() {
@@ -0,0 +1,205 @@
+/**
+ * Stomp Local Agent - Options Page
+ *
+ * Manages the target host allowlist and the trusted app origins. Adding
+ * either also asks Chrome for the matching optional host permission: the
+ * Origin rewrite rule needs it for hosts, the content script for origins.
+ */
+
+const hostList = document.getElementById("hosts");
+const hostForm = document.getElementById("add-host");
+const hostInput = document.getElementById("host-input");
+const statusLine = document.getElementById("status");
+const originList = document.getElementById("origins");
+const originForm = document.getElementById("add-origin");
+const originInput = document.getElementById("origin-input");
+const originStatusLine = document.getElementById("origin-status");
+
+let entries = [];
+let origins = [];
+
+function showStatus(text, isError = false, line = statusLine) {
+  line.textContent = text;
+  line.className = isError ? "error" : "ok";
+}
+
+async function hasPermission(entry) {
+  return chrome.permissions.contains({ origins: hostPermissionOrigins(entry) });
+}
+
+// Must run inside a user gesture (click / submit)
+async function requestPermission(entry) {
+  try {
+    return await chrome.permissions.request({ origins: hostPermissionOrigins(entry) });
+  } catch (err) {
+    console.error("[Options] Permission request failed:", err);
+    return false;
+  }
+}
+
+async function render() {
+  hostList.replaceChildren();
+  for (const entry of entries) {
+    const item = document.createElement("li");
+    const label = document.createElement("span");
+    label.textContent = entry;
+    item.appendChild(label);
+
+    if (!(await hasPermission(entry))) {
+      const grant = document.createElement("button");
+      grant.className = "warn";
+      grant.textContent = "⚠ grant access";
+      grant.title = "Needed to rewrite the Origin header for this host";
+      grant.addEventListener("click", async () => {
+        await requestPermission(entry);
+        render();
+      });
+      item.appendChild(grant);
+    }
+
+    const remove = document.createElement("button");
+    remove.className = "remove";
+    remove.textContent = "✕";
+    remove.title = "Remove";
+    remove.addEventListener("click", () => removeHost(entry));
+    item.appendChild(remove);
+
+    hostList.appendChild(item);
+  }
+}
+
+async function addHost(raw) {
+  const entry = normalizeHostEntry(raw);
+  if (!entry) {
+    showStatus(`"${raw}" is not a valid host[:port] or *.domain entry`, true);
+    return;
+  }
+  if (entries.includes(entry)) {
+    showStatus(`${entry} is already allowed`, true);
+    return;
+  }
+
+  const granted = await requestPermission(entry);
+  entries = [...entries, entry];
+  await saveAllowedHosts(entries);
+  hostInput.value = "";
+  showStatus(granted ? `Added ${entry}` : `Added ${entry}, but host access was not granted`, !granted);
+  render();
+}
+
+async function removeHost(entry) {
+  entries = entries.filter((e) => e !== entry);
+  await saveAllowedHosts(entries);
+
+  // Drop the host permission unless another entry still needs it
+  const stillNeeded = new Set(entries.flatMap(hostPermissionOrigins));
+  const unused = hostPermissionOrigins(entry).filter((origin) => !stillNeeded.has(origin));
+  if (unused.length > 0) {
+    try {
+      await chrome.permissions.remove({ origins: unused });
+    } catch {
+      // Hosts declared in the manifest can't be removed
+    }
+  }
+  showStatus(`Removed ${entry}`);
+  render();
+}
+
+// ---------------------------------------------------------------------------
+// Trusted app origins
+// ---------------------------------------------------------------------------
+
+function renderOrigins() {
+  originList.replaceChildren();
+  for (const origin of [BUILT_IN_APP_ORIGIN, ...origins]) {
+    const item = document.createElement("li");
+    const label = document.createElement("span");
+    label.textContent = origin;
+    item.appendChild(label);
+
+    if (origin === BUILT_IN_APP_ORIGIN) {
+      const builtIn = document.createElement("span");
+      builtIn.className = "warn";
+      builtIn.textContent = "built-in";
+      item.appendChild(builtIn);
+    } else {
+      const remove = document.createElement("button");
+      remove.className = "remove";
+      remove.textContent = "✕";
+      remove.title = "Remove";
+      remove.addEventListener("click", () => removeOrigin(origin));
+      item.appendChild(remove);
+    }
+
+    originList.appendChild(item);
+  }
+}
+
+async function addOrigin(raw) {
+  const origin = normalizeAppOrigin(raw);
+  if (!origin) {
+    showStatus(`"${raw}" is not a valid http(s) origin`, true, originStatusLine);
+    return;
+  }
+  if (isTrustedAppOrigin(origin, origins)) {
+    showStatus(`${origin} is already trusted`, true, originStatusLine);
+    return;
+  }
+  const approved = confirm(
+    `Trust ${origin}?\n\nPages on this origin will be able to open connections to every allowed target host through the agent.`
+  );
+  if (!approved) return;
+
+  // Chrome shows its own permission prompt for the content script's host access
+  let granted = false;
+  try {
+    granted = await chrome.permissions.request({ origins: [appOriginMatchPattern(origin)] });
+  } catch (err) {
+    console.error("[Options] Permission request failed:", err);
+  }
+  if (!granted) {
+    showStatus(`Host access for ${origin} was not granted`, true, originStatusLine);
+    return;
+  }
+
+  origins = [...origins, origin];
+  await saveTrustedOrigins(origins);
+  originInput.value = "";
+  showStatus(`Trusted ${origin} — reload the app tab to activate the agent`, false, originStatusLine);
+  renderOrigins();
+}
+
+async function removeOrigin(origin) {
+  origins = origins.filter((o) => o !== origin);
+  await saveTrustedOrigins(origins);
+
+  const pattern = appOriginMatchPattern(origin);
+  const stillNeeded = origins.some((o) => appOriginMatchPattern(o) === pattern);
+  const neededByHost = entries.flatMap(hostPermissionOrigins).includes(pattern);
+  if (!stillNeeded && !neededByHost) {
+    try {
+      await chrome.permissions.remove({ origins: [pattern] });
+    } catch {
+      // Hosts declared in the manifest can't be removed
+    }
+  }
+  showStatus(`Removed ${origin}`, false, originStatusLine);
+  renderOrigins();
+}
+
+hostForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  addHost(hostInput.value);
+});
+
+originForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  addOrigin(originInput.value);
+});
+
+(async () => {
+  entries = await loadAllowedHosts();
+  origins = await loadTrustedOrigins();
+  render();
+  renderOrigins();
+})();
@@ -0,0 +1,199 @@
+/**
+ * Stomp Local Agent - Connection Monitor Popup
+ *
+ * Live view of the background worker's WebSocketManager over a
+ * "stomp-local-agent-monitor" port: status, uptime, traffic and reconnects
+ * per proxied connection, a message tail for the selected one, and the
+ * recently closed connections with who closed them — so a "disconnected"
+ * in the app can be traced to the page, the content script or the server.
+ */
+
+const MONITOR_PORT_NAME = "stomp-local-agent-monitor";
+const TAIL_SIZE = 50;
+
+const CLOSED_BY_LABELS = {
+  page: "closed by the page",
+  tab: "page / content script port disconnected",
+  server: "closed by the server",
+  agent: "agent gave up reconnecting",
+  monitor: "force-closed from this popup",
+};
+
+const connectionList = document.getElementById("connections");
+const historyList = document.getElementById("history");
+const countLabel = document.getElementById("count");
+const tailBox = document.getElementById("tail");
+const tailTarget = document.getElementById("tail-target");
+
+let snapshot = { now: Date.now(), connections: [], history: [] };
+let selectedId = null;
+// connection id → recent frames
+const tails = new Map();
+
+const port = chrome.runtime.connect({ name: MONITOR_PORT_NAME });
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+function formatTime(time) {
+  return new Date(time).toLocaleTimeString();
+}
+
+function element(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function statsLine(conn) {
+  const parts = [
+    `↓ ${conn.framesIn} / ${formatBytes(conn.bytesIn)}`,
+    `↑ ${conn.framesOut} / ${formatBytes(conn.bytesOut)}`,
+    `reconnects ${conn.reconnects}`,
+  ];
+  if (conn.status === "RECONNECTING") {
+    parts.push(`attempt ${conn.reconnectAttempts}/${conn.maxReconnect || "∞"}`);
+  }
+  if (conn.protocol) parts.push(conn.protocol);
+  return parts.join("  ·  ");
+}
+
+function renderConnections() {
+  connectionList.replaceChildren();
+  countLabel.textContent = `(${snapshot.connections.length})`;
+  if (snapshot.connections.length === 0) {
+    connectionList.appendChild(element("p", "empty", "No proxied connections"));
+    return;
+  }
+
+  for (const conn of snapshot.connections) {
+    const item = element("li", conn.id === selectedId ? "selected" : "");
+    item.addEventListener("click", () => selectConnection(conn.id));
+
+    const row = element("div", "row");
+    row.appendChild(element("span", `status ${conn.status}`, conn.status));
+    row.appendChild(element("span", "url", conn.url));
+    const uptime = conn.status === "OPEN" && conn.openedAt ? formatDuration(snapshot.now - conn.openedAt) : "–";
+    row.appendChild(element("span", "stats", uptime));
+
+    if (conn.status !== "CLOSED") {
+      const reconnect = element("button", "", "↻");
+      reconnect.title = "Force reconnect";
+      reconnect.addEventListener("click", (event) => {
+        event.stopPropagation();
+        port.postMessage({ type: "FORCE_RECONNECT", id: conn.id });
+      });
+      row.appendChild(reconnect);
+    }
+
+    const close = element("button", "danger", "✕");
+    close.title = "Force close";
+    close.addEventListener("click", (event) => {
+      event.stopPropagation();
+      port.postMessage({ type: "FORCE_CLOSE", id: conn.id });
+    });
+    row.appendChild(close);
+    item.appendChild(row);
+
+    item.appendChild(element("div", "stats", statsLine(conn)));
+    if (conn.status === "CLOSED") {
+      item.appendChild(closedLine(conn));
+    }
+    connectionList.appendChild(item);
+  }
+}
+
+function closedLine(conn) {
+  const label = CLOSED_BY_LABELS[conn.closedBy] || conn.closedBy || "closed";
+  const reason = conn.closeReason ? ` "${conn.closeReason}"` : "";
+  return element("div", "stats closed-by", `${label} · code ${conn.closeCode}${reason} · ${formatTime(conn.closedAt)}`);
+}
+
+function renderHistory() {
+  historyList.replaceChildren();
+  if (snapshot.history.length === 0) {
+    historyList.appendChild(element("p", "empty", "Nothing closed yet"));
+    return;
+  }
+  for (const conn of snapshot.history) {
+    const item = element("li");
+    const row = element("div", "row");
+    row.appendChild(element("span", `status ${conn.status}`, conn.status));
+    row.appendChild(element("span", "url", conn.url));
+    item.appendChild(row);
+    item.appendChild(element("div", "stats", statsLine(conn)));
+    item.appendChild(closedLine(conn));
+    historyList.appendChild(item);
+  }
+}
+
+function renderTail() {
+  if (!selectedId) return;
+  const frames = tails.get(selectedId) || [];
+  const conn = snapshot.connections.find((c) => c.id === selectedId);
+  tailTarget.textContent = conn ? `— ${conn.url}` : "";
+
+  tailBox.replaceChildren();
+  if (frames.length === 0) {
+    tailBox.appendChild(element("p", "empty", "No frames yet"));
+    return;
+  }
+  for (const frame of frames) {
+    const row = element("div", "frame");
+    row.appendChild(element("span", `dir ${frame.direction}`, frame.direction === "in" ? "↓" : "↑"));
+    row.appendChild(element("span", "time", formatTime(frame.time)));
+    row.appendChild(element("span", "preview", frame.preview));
+    row.appendChild(element("span", "size", formatBytes(frame.size)));
+    tailBox.appendChild(row);
+  }
+  tailBox.scrollTop = tailBox.scrollHeight;
+}
+
+function selectConnection(id) {
+  selectedId = id;
+  renderConnections();
+  renderTail();
+}
+
+port.onMessage.addListener((msg) => {
+  switch (msg.type) {
+    case "MONITOR_SNAPSHOT":
+      snapshot = msg;
+      if (!selectedId && snapshot.connections.length > 0) {
+        selectedId = snapshot.connections[0].id;
+        renderTail();
+      }
+      renderConnections();
+      renderHistory();
+      break;
+
+    case "MONITOR_TAIL":
+      tails.set(msg.id, msg.frames.slice(-TAIL_SIZE));
+      if (msg.id === selectedId) renderTail();
+      break;
+
+    case "MONITOR_FRAME": {
+      const frames = tails.get(msg.id) || [];
+      frames.push(msg.frame);
+      if (frames.length > TAIL_SIZE) frames.shift();
+      tails.set(msg.id, frames);
+      if (msg.id === selectedId) renderTail();
+      break;
+    }
+  }
+});
+
+port.onDisconnect.addListener(() => {
+  countLabel.textContent = "(agent unavailable)";
+});
@@ -0,0 +1,51 @@
+/**
+ * Stomp Local Agent - Trusted App Origins
+ *
+ * Origins allowed to drive the agent. The public deployment is built in
+ * (static content script in manifest.json); self-hosted copies of the app
+ * are added on the options page and get the content script registered
+ * dynamically via chrome.scripting.registerContentScripts.
+ *
+ * Shared by the background worker, the options page and the content script.
+ */
+
+const TRUSTED_ORIGINS_STORAGE_KEY = "trustedOrigins";
+const BUILT_IN_APP_ORIGIN = "https://stomp-template-send-sigma.vercel.app";
+const TRUSTED_SCRIPT_ID = "trusted-app-origins";
+
+/**
+ * Reduce user input to a bare http(s) origin, or null when invalid.
+ */
+function normalizeAppOrigin(value) {
+  try {
+    const url = new URL(String(value || "").trim());
+    if (url.protocol !== "https:" && url.protocol !== "http:") return null;
+    return url.origin;
+  } catch {
+    return null;
+  }
+}
+
+function isTrustedAppOrigin(origin, trustedOrigins) {
+  return origin === BUILT_IN_APP_ORIGIN || trustedOrigins.includes(origin);
+}
+
+/**
+ * Match pattern used for the permission and content script registration.
+ * Match patterns can't pin a port; the content script checks the exact
+ * origin itself.
+ */
+function appOriginMatchPattern(origin) {
+  const url = new URL(origin);
+  return `${url.protocol}//${url.hostname}/*`;
+}
+
+async function loadTrustedOrigins() {
+  const stored = await chrome.storage.sync.get(TRUSTED_ORIGINS_STORAGE_KEY);
+  const origins = stored[TRUSTED_ORIGINS_STORAGE_KEY];
+  return Array.isArray(origins) ? origins : [];
+}
+
+function saveTrustedOrigins(origins) {
+  return chrome.storage.sync.set({ [TRUSTED_ORIGINS_STORAGE_KEY]: origins });
+}
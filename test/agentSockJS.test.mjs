@@ -0,0 +1,89 @@
+import { Client } from "@stomp/stompjs";
+import SockJS from "sockjs-client";
+import InfoReceiver from "sockjs-client/lib/info-receiver";
+import transportList from "sockjs-client/lib/transport-list";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { createAgentSockJS } from "../app/lib/agentSockJS";
+import { startMockBroker } from "../mock-broker/broker.mjs";
+import { MockExtension } from "./helpers/chrome.mjs";
+import {
+  createPageWindow,
+  delay,
+  injectContentScript,
+  installPageGlobals,
+  startBackground,
+  stopBackground,
+} from "./helpers/agent.mjs";
+
+let background;
+let broker;
+let win;
+let restoreGlobals;
+
+beforeEach(async () => {
+  const extension = new MockExtension();
+  background = await startBackground(extension);
+  broker = await startMockBroker({ port: 0, quiet: true, sockjs: true });
+  win = createPageWindow();
+  injectContentScript(extension, win);
+  restoreGlobals = installPageGlobals(win);
+});
+
+afterEach(async () => {
+  restoreGlobals();
+  stopBackground(background);
+  await broker.close();
+});
+
+describe("SockJS through the agent", () => {
+  it("connects over agent xhr-streaming and exchanges STOMP frames", async () => {
+    let socket;
+    const client = new Client({
+      webSocketFactory: () => (socket = createAgentSockJS(broker.sockjsUrl)),
+      heartbeatIncoming: 0,
+      heartbeatOutgoing: 0,
+      reconnectDelay: 0,
+    });
+    const connected = new Promise((resolve) => (client.onConnect = resolve));
+    client.activate();
+    await connected;
+
+    expect(socket.transport).toBe("agent-xhr-streaming");
+    const received = new Promise((resolve) => client.subscribe("/topic/greetings", resolve));
+    client.publish({ destination: "/topic/greetings", body: "xin chào" });
+    expect((await received).body).toBe("xin chào");
+
+    await client.deactivate();
+  });
+});
+
+describe("sockjs-client internals patched by createAgentSockJS", () => {
+  it("are those of the pinned version", () => {
+    // Bumping sockjs-client means re-checking agentSockJS.ts against the new internals
+    expect(SockJS.version).toBe("1.6.1");
+    expect(typeof InfoReceiver._getReceiver).toBe("function");
+    expect(typeof InfoReceiver.prototype.doXhr).toBe("function");
+    expect(typeof SockJS.prototype._connect).toBe("function");
+  });
+
+  it("are patched on the agent socket only", async () => {
+    const nativeGetReceiver = InfoReceiver._getReceiver;
+    const transportNames = transportList.map((t) => t.transportName);
+
+    const socket = createAgentSockJS(broker.sockjsUrl);
+    const plain = new SockJS(broker.sockjsUrl);
+    try {
+      expect(Object.hasOwn(socket, "_connect")).toBe(true);
+      expect(Object.hasOwn(socket._ir, "doXhr")).toBe(true);
+      expect(Object.hasOwn(plain, "_connect")).toBe(false);
+      expect(Object.hasOwn(plain._ir, "doXhr")).toBe(false);
+      expect(InfoReceiver._getReceiver).toBe(nativeGetReceiver);
+      expect(transportList.map((t) => t.transportName)).toEqual(transportNames);
+    } finally {
+      socket.close();
+      plain.close();
+      // The /info requests were already scheduled for the next tick
+      await delay(20);
+    }
+  });
+});
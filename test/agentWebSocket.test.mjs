@@ -0,0 +1,182 @@
+import { Client } from "@stomp/stompjs";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { AgentWebSocket } from "../app/lib/AgentWebSocket";
+import { startMockBroker } from "../mock-broker/broker.mjs";
+import { MockExtension } from "./helpers/chrome.mjs";
+import {
+  createPageWindow,
+  injectContentScript,
+  installPageGlobals,
+  startBackground,
+  startEchoServer,
+  stopBackground,
+  unusedPort,
+  waitFor,
+} from "./helpers/agent.mjs";
+
+let background;
+let echo;
+let win;
+let restoreGlobals;
+
+beforeEach(async () => {
+  const extension = new MockExtension();
+  background = await startBackground(extension);
+  echo = await startEchoServer();
+  win = createPageWindow();
+  injectContentScript(extension, win);
+  restoreGlobals = installPageGlobals(win);
+});
+
+afterEach(async () => {
+  restoreGlobals();
+  stopBackground(background);
+  await echo.close();
+});
+
+/**
+ * Open an AgentWebSocket and record everything it reports.
+ */
+function openAgentSocket(url, protocols, options) {
+  const ws = new AgentWebSocket(url, protocols, options);
+  const events = { open: 0, messages: [], errors: 0, closes: [], reconnecting: [], reconnected: 0 };
+  ws.onopen = () => events.open++;
+  ws.onmessage = (event) => events.messages.push(event.data);
+  ws.onerror = () => events.errors++;
+  ws.onclose = (event) => events.closes.push({ code: event.code, reason: event.reason, wasClean: event.wasClean });
+  ws.onreconnecting = (event) => events.reconnecting.push(event);
+  ws.onreconnected = () => events.reconnected++;
+  return { ws, events };
+}
+
+describe("AgentWebSocket", () => {
+  it("opens, exchanges frames and closes like a native WebSocket", async () => {
+    const { ws, events } = openAgentSocket(echo.url, ["v12.stomp", "v11.stomp"]);
+    expect(ws.readyState).toBe(ws.CONNECTING);
+
+    await waitFor(() => events.open === 1, undefined, { what: "onopen" });
+    expect(ws.readyState).toBe(ws.OPEN);
+    expect(ws.protocol).toBe("v12.stomp");
+
+    ws.send("text frame");
+    await waitFor(() => events.messages.length === 1, undefined, { what: "the text echo" });
+    expect(events.messages[0]).toBe("text frame");
+
+    // Only the view's bytes are sent, not its whole buffer
+    ws.binaryType = "arraybuffer";
+    ws.send(new Uint8Array([0, 1, 2, 3, 4]).subarray(1, 4));
+    await waitFor(() => events.messages.length === 2, undefined, { what: "the binary echo" });
+    expect(events.messages[1]).toBeInstanceOf(ArrayBuffer);
+    expect([...new Uint8Array(events.messages[1])]).toEqual([1, 2, 3]);
+
+    ws.binaryType = "blob";
+    ws.send(new Uint8Array([7]).buffer);
+    await waitFor(() => events.messages.length === 3, undefined, { what: "the blob echo" });
+    expect(events.messages[2]).toBeInstanceOf(Blob);
+    expect([...new Uint8Array(await events.messages[2].arrayBuffer())]).toEqual([7]);
+
+    ws.close(1000, "done");
+    expect(ws.readyState).toBe(ws.CLOSING);
+    await waitFor(() => events.closes.length === 1, undefined, { what: "onclose" });
+    expect(events.closes[0]).toEqual({ code: 1000, reason: "done", wasClean: true });
+    expect(ws.readyState).toBe(ws.CLOSED);
+    // Only the content script's listener is left
+    expect(win.listenerCount()).toBe(1);
+  });
+
+  it("keeps frame order when a Blob is sent before text", async () => {
+    const { ws, events } = openAgentSocket(echo.url);
+    ws.binaryType = "arraybuffer";
+    await waitFor(() => events.open === 1, undefined, { what: "onopen" });
+
+    ws.send(new Blob(["first"]));
+    ws.send("second");
+
+    await waitFor(() => events.messages.length === 2, undefined, { what: "both echoes" });
+    expect(new TextDecoder().decode(events.messages[0])).toBe("first");
+    expect(events.messages[1]).toBe("second");
+    expect(ws.bufferedAmount).toBe(0);
+  });
+
+  it("throws like a native WebSocket on bad subprotocols and early sends", () => {
+    expect(() => new AgentWebSocket(echo.url, ["v12.stomp", "v12.stomp"])).toThrow(
+      expect.objectContaining({ name: "SyntaxError" })
+    );
+    expect(() => new AgentWebSocket(echo.url, "not a token")).toThrow(/invalid or duplicated/);
+
+    const ws = new AgentWebSocket(echo.url);
+    expect(() => ws.send("too early")).toThrow(expect.objectContaining({ name: "InvalidStateError" }));
+    ws.close();
+  });
+
+  it("surfaces the extension's reconnects and fires onopen again", async () => {
+    const { ws, events } = openAgentSocket(echo.url, [], { reconnect: { baseDelayMs: 10, maxAttempts: 3 } });
+    await waitFor(() => events.open === 1, undefined, { what: "onopen" });
+
+    echo.sockets[0].terminate();
+
+    await waitFor(() => events.reconnected === 1, undefined, { what: "onreconnected" });
+    expect(events.reconnecting).toEqual([{ attempt: 1, delay: 10, maxAttempts: 3 }]);
+    expect(events.open).toBe(2);
+    expect(events.closes).toEqual([]);
+    expect(ws.readyState).toBe(ws.OPEN);
+  });
+
+  it("reports an exhausted reconnect policy as an abnormal close", async () => {
+    const port = await unusedPort();
+    const { ws, events } = openAgentSocket(`ws://localhost:${port}/ws`, [], {
+      reconnect: { baseDelayMs: 10, maxAttempts: 1 },
+    });
+
+    await waitFor(() => events.closes.length === 1, undefined, { what: "onclose" });
+    expect(events.errors).toBeGreaterThanOrEqual(1);
+    expect(events.reconnecting).toHaveLength(1);
+    expect(events.closes[0]).toEqual({ code: 1006, reason: "Max reconnect attempts (1) reached", wasClean: false });
+    expect(ws.readyState).toBe(ws.CLOSED);
+  });
+
+  it("reports hosts outside the allowlist through onerror", async () => {
+    const { ws, events } = openAgentSocket("ws://example.com/ws");
+
+    await waitFor(() => events.errors === 1, undefined, { what: "onerror" });
+    expect(events.open).toBe(0);
+    expect(ws.readyState).toBe(ws.CONNECTING);
+  });
+});
+
+describe("STOMP through the agent", () => {
+  let broker;
+
+  beforeEach(async () => {
+    broker = await startMockBroker({ port: 0, quiet: true });
+  });
+
+  afterEach(() => broker.close());
+
+  it("connects, subscribes and receives from the mock broker", async () => {
+    let socket;
+    const client = new Client({
+      webSocketFactory: () => (socket = new AgentWebSocket(broker.wsUrl, ["v12.stomp", "v11.stomp", "v10.stomp"])),
+      connectHeaders: { login: "tester" },
+      heartbeatIncoming: 0,
+      heartbeatOutgoing: 0,
+      reconnectDelay: 0,
+    });
+    const connected = new Promise((resolve) => (client.onConnect = resolve));
+    client.activate();
+
+    const frame = await connected;
+    expect(frame.headers.version).toBe("1.2");
+    expect(socket.protocol).toBe("v12.stomp");
+
+    const received = new Promise((resolve) => client.subscribe("/topic/greetings", resolve));
+    client.publish({ destination: "/topic/greetings", body: "xin chào", headers: { receipt: "r-1" } });
+
+    const message = await received;
+    expect(message.body).toBe("xin chào");
+    expect(message.headers.destination).toBe("/topic/greetings");
+
+    await client.deactivate();
+    expect(socket.readyState).toBe(socket.CLOSED);
+  });
+});
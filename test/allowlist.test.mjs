@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { isAgentAllowedUrl } from "../app/lib/localAgent";
+import { loadAgentScript } from "./helpers/agent.mjs";
+
+const isUrlAllowed = loadAgentScript("allowlist.js")("isUrlAllowed");
+
+// [allowlist entry, URL, allowed]
+const TABLE = [
+  ["localhost", "ws://localhost:8080/ws", true],
+  ["localhost", "http://LOCALHOST/sockjs", true],
+  ["localhost:8080", "ws://localhost:9090/ws", false],
+  ["localhost:80", "ws://localhost/ws", true],
+  ["broker:443", "wss://broker/ws", true],
+  ["my_broker:61614", "ws://my_broker:61614/ws", true],
+  ["*.dev.local", "ws://api.dev.local/ws", true],
+  ["*.dev.local", "ws://dev.local/ws", false],
+  ["[::1]:8080", "ws://[::1]:8080/ws", true],
+  ["[0:0::1]", "ws://[::1]:9000/ws", true],
+  ["localhost", "ftp://localhost/file", false],
+  // Malformed entries match nothing
+  ["localhost:abc", "ws://localhost/ws", false],
+  ["localhost:8080:9090", "ws://localhost:8080/ws", false],
+  ["localhost:0", "ws://localhost/ws", false],
+  ["localhost:99999", "ws://localhost/ws", false],
+  ["bad host", "ws://bad/ws", false],
+  ["-broker", "ws://-broker/ws", false],
+  ["*.", "ws://x./ws", false],
+  ["[::1", "ws://[::1]/ws", false],
+  ["[not-ipv6]", "ws://localhost/ws", false],
+  ["http://localhost", "ws://localhost/ws", false],
+  ["", "ws://localhost/ws", false],
+];
+
+describe("allowlist entries", () => {
+  it.each(TABLE)("%s vs %s → %s in the extension and on the page", (entry, url, allowed) => {
+    expect(isUrlAllowed(url, [entry])).toBe(allowed);
+    expect(isAgentAllowedUrl(url, [entry])).toBe(allowed);
+  });
+});
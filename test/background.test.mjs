@@ -0,0 +1,493 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { EXTENSION_ID, MockExtension } from "./helpers/chrome.mjs";
+import {
+  APP_ORIGIN,
+  delay,
+  recordPort,
+  startBackground,
+  startEchoServer,
+  startHttpServer,
+  stopBackground,
+  unusedPort,
+  waitFor,
+} from "./helpers/agent.mjs";
+
+const PORT_NAME = "stomp-local-agent";
+const KEEPALIVE_ALARM = "ws-keepalive";
+
+let background;
+let extension;
+let echo;
+
+beforeEach(async () => {
+  background = await startBackground();
+  extension = background.extension;
+  echo = await startEchoServer();
+});
+
+afterEach(async () => {
+  stopBackground(background);
+  await echo.close();
+});
+
+function openPort(origin = APP_ORIGIN) {
+  return recordPort(extension.connect(PORT_NAME, origin));
+}
+
+function manager() {
+  return background.get("wsManager");
+}
+
+async function openSocket(agent, connectionId = "c1", extra = {}) {
+  agent.port.postMessage({ type: "WS_OPEN", url: echo.url, connectionId, ...extra });
+  return agent.next("WS_EVENT_OPEN");
+}
+
+describe("WebSocket proxying", () => {
+  it("opens a socket, relays text and binary frames and closes on WS_CLOSE", async () => {
+    const agent = openPort();
+    agent.port.postMessage({ type: "WS_OPEN", url: echo.url, protocols: ["v12.stomp", "v11.stomp"], connectionId: "c1" });
+
+    const opened = await agent.next("WS_EVENT_OPEN");
+    expect(opened.protocol).toBe("v12.stomp");
+    expect(extension.alarms.get(KEEPALIVE_ALARM)).toMatchObject({ periodInMinutes: 0.4 });
+
+    agent.port.postMessage({ type: "WS_SEND", data: "SEND\ndestination:/app/x\n\nhello\0", binary: false });
+    const text = await agent.next("WS_EVENT_MESSAGE");
+    expect(text).toEqual({ type: "WS_EVENT_MESSAGE", data: "SEND\ndestination:/app/x\n\nhello\0", binary: false });
+
+    const bytes = Buffer.from([0, 1, 2, 254, 255]);
+    agent.port.postMessage({ type: "WS_SEND", data: bytes.toString("base64"), binary: true });
+    const binary = await agent.next("WS_EVENT_MESSAGE", (m) => m.binary);
+    expect(Buffer.from(binary.data, "base64")).toEqual(bytes);
+
+    const conn = manager().connections.get("c1");
+    expect(conn.info()).toMatchObject({ status: "OPEN", protocol: "v12.stomp", framesIn: 2, framesOut: 2 });
+
+    agent.port.postMessage({ type: "WS_CLOSE", code: 1000, reason: "bye" });
+    const closed = await agent.next("WS_EVENT_CLOSE");
+    expect(closed).toMatchObject({ code: 1000, reason: "bye", wasClean: true });
+    expect(manager().connections.size).toBe(0);
+    expect(manager().history[0]).toMatchObject({ id: "c1", status: "CLOSED", closedBy: "page" });
+    expect(extension.alarms.has(KEEPALIVE_ALARM)).toBe(false);
+    await waitFor(() => echo.open().length === 0, undefined, { what: "server socket to close" });
+  });
+
+  it("reports WS_SEND without an open connection", async () => {
+    const agent = openPort();
+    agent.port.postMessage({ type: "WS_SEND", data: "x", binary: false });
+    expect(await agent.next("WS_EVENT_ERROR")).toMatchObject({ error: "No active connection" });
+  });
+
+  it("replaces a connection opened again under the same id", async () => {
+    const agent = openPort();
+    await openSocket(agent, "same");
+    const first = manager().connections.get("same");
+
+    agent.port.postMessage({ type: "WS_OPEN", url: echo.url, connectionId: "same" });
+    await waitFor(() => agent.messages.filter((m) => m.type === "WS_EVENT_OPEN").length === 2, undefined, {
+      what: "the second WS_EVENT_OPEN",
+    });
+
+    expect(manager().connections.get("same")).not.toBe(first);
+    expect(first.info()).toMatchObject({ status: "CLOSED", closedBy: "tab" });
+    await waitFor(() => echo.open().length === 1, undefined, { what: "the old socket to close" });
+  });
+});
+
+describe("keepalive alarm", () => {
+  it("runs while connections are open and clears with the last one", async () => {
+    const agent = openPort();
+    await openSocket(agent);
+    expect(extension.alarms.has(KEEPALIVE_ALARM)).toBe(true);
+
+    extension.fireAlarm(KEEPALIVE_ALARM);
+    expect(extension.alarms.has(KEEPALIVE_ALARM)).toBe(true);
+
+    agent.port.postMessage({ type: "WS_CLOSE" });
+    await agent.next("WS_EVENT_CLOSE");
+    expect(extension.alarms.has(KEEPALIVE_ALARM)).toBe(false);
+  });
+
+  it("clears a stale alarm that fires with no connections", () => {
+    extension.alarms.set(KEEPALIVE_ALARM, { name: KEEPALIVE_ALARM, periodInMinutes: 0.4 });
+    extension.fireAlarm(KEEPALIVE_ALARM);
+    expect(extension.alarms.has(KEEPALIVE_ALARM)).toBe(false);
+  });
+});
+
+describe("reconnect", () => {
+  it("reconnects after an unclean close and reports RECONNECTED", async () => {
+    const agent = openPort();
+    await openSocket(agent, "c1", { protocols: ["v12.stomp"], reconnect: { baseDelayMs: 10, maxAttempts: 3 } });
+
+    echo.sockets[0].terminate();
+
+    const reconnecting = await agent.next("WS_EVENT_RECONNECTING");
+    expect(reconnecting).toMatchObject({ attempt: 1, delay: 10, maxAttempts: 3 });
+    const reconnected = await agent.next("WS_EVENT_RECONNECTED");
+    expect(reconnected.protocol).toBe("v12.stomp");
+    expect(agent.types()).not.toContain("WS_EVENT_CLOSE");
+
+    const conn = manager().connections.get("c1");
+    expect(conn.info()).toMatchObject({ status: "OPEN", reconnectAttempts: 0, reconnects: 1 });
+
+    agent.port.postMessage({ type: "WS_SEND", data: "after", binary: false });
+    expect(await agent.next("WS_EVENT_MESSAGE")).toMatchObject({ data: "after" });
+  });
+
+  it("backs off exponentially up to the cap and gives up after maxAttempts", async () => {
+    const agent = openPort();
+    const port = await unusedPort();
+    agent.port.postMessage({
+      type: "WS_OPEN",
+      url: `ws://localhost:${port}/ws`,
+      connectionId: "c1",
+      reconnect: { baseDelayMs: 10, maxDelayMs: 30, maxAttempts: 4 },
+    });
+
+    const closed = await agent.next("WS_EVENT_CLOSE", undefined, { timeout: 5000 });
+    const attempts = agent.messages
+      .filter((m) => m.type === "WS_EVENT_RECONNECTING")
+      .map(({ attempt, delay }) => [attempt, delay]);
+    expect(attempts).toEqual([[1, 10], [2, 20], [3, 30], [4, 30]]);
+    expect(closed).toEqual({
+      type: "WS_EVENT_CLOSE",
+      code: 1006,
+      reason: "Max reconnect attempts (4) reached",
+      wasClean: false,
+    });
+    expect(agent.types()).not.toContain("WS_EVENT_OPEN");
+    expect(manager().connections.get("c1").info()).toMatchObject({ status: "CLOSED", closedBy: "agent" });
+  });
+
+  it("does not reconnect after a clean server close by default", async () => {
+    const agent = openPort();
+    await openSocket(agent, "c1", { reconnect: { baseDelayMs: 10 } });
+
+    echo.sockets[0].close(1000, "done");
+
+    expect(await agent.next("WS_EVENT_CLOSE")).toMatchObject({ code: 1000, reason: "done", wasClean: true });
+    expect(agent.types()).not.toContain("WS_EVENT_RECONNECTING");
+    expect(manager().connections.get("c1").info()).toMatchObject({ status: "CLOSED", closedBy: "server" });
+  });
+
+  it("reconnects after a clean close when the policy asks for it", async () => {
+    const agent = openPort();
+    await openSocket(agent, "c1", { reconnect: { baseDelayMs: 10, reconnectOnCleanClose: true } });
+
+    echo.sockets[0].close(1000, "done");
+
+    await agent.next("WS_EVENT_RECONNECTING");
+    await agent.next("WS_EVENT_RECONNECTED");
+    expect(agent.types()).not.toContain("WS_EVENT_CLOSE");
+  });
+
+  it("passes an unclean close through when reconnect is disabled", async () => {
+    const agent = openPort();
+    await openSocket(agent, "c1", { reconnect: { enabled: false } });
+
+    echo.sockets[0].terminate();
+
+    expect(await agent.next("WS_EVENT_CLOSE")).toMatchObject({ code: 1006, wasClean: false });
+    expect(agent.types()).not.toContain("WS_EVENT_RECONNECTING");
+  });
+
+  it("fills in page policies and computes capped, jittered delays", () => {
+    const resolveReconnectPolicy = background.get("resolveReconnectPolicy");
+    const reconnectDelay = background.get("reconnectDelay");
+    const math = background.get("Math");
+
+    expect(resolveReconnectPolicy({ maxAttempts: -1, baseDelayMs: "5", jitter: 7, enabled: "no" })).toEqual(
+      background.get("({ ...DEFAULT_RECONNECT_POLICY, jitter: 1 })")
+    );
+    expect(resolveReconnectPolicy(undefined)).toEqual(background.get("DEFAULT_RECONNECT_POLICY"));
+
+    const policy = resolveReconnectPolicy({ baseDelayMs: 1000, maxDelayMs: 5000, jitter: 0.5 });
+    const random = math.random;
+    try {
+      math.random = () => 1;
+      expect(reconnectDelay(policy, 1)).toBe(1500);
+      math.random = () => 0;
+      expect(reconnectDelay(policy, 2)).toBe(1000);
+      math.random = () => 0.5;
+      expect(reconnectDelay(policy, 10)).toBe(5000);
+    } finally {
+      math.random = random;
+    }
+  });
+});
+
+describe("port lifecycle", () => {
+  it("destroys only the disconnected port's connections", async () => {
+    const a = openPort();
+    const b = openPort();
+    await openSocket(a, "c-a");
+    await openSocket(b, "c-b");
+
+    a.port.disconnect();
+
+    await waitFor(() => manager().connections.size === 1, undefined, { what: "c-a to be destroyed" });
+    expect([...manager().connections.keys()]).toEqual(["c-b"]);
+    expect(manager().history[0]).toMatchObject({ id: "c-a", closedBy: "tab", closeCode: 1001 });
+    await waitFor(() => echo.open().length === 1, undefined, { what: "c-a's server socket to close" });
+    expect(extension.alarms.has(KEEPALIVE_ALARM)).toBe(true);
+
+    b.port.disconnect();
+
+    await waitFor(() => manager().connections.size === 0, undefined, { what: "c-b to be destroyed" });
+    expect(extension.alarms.has(KEEPALIVE_ALARM)).toBe(false);
+    await waitFor(() => echo.open().length === 0, undefined, { what: "all server sockets to close" });
+  });
+
+  it("cancels a pending reconnect when the port goes away", async () => {
+    const agent = openPort();
+    const port = await unusedPort();
+    agent.port.postMessage({
+      type: "WS_OPEN",
+      url: `ws://localhost:${port}/ws`,
+      connectionId: "c1",
+      reconnect: { baseDelayMs: 50, maxAttempts: 0 },
+    });
+    await agent.next("WS_EVENT_RECONNECTING");
+    const conn = manager().connections.get("c1");
+
+    agent.port.disconnect();
+    await waitFor(() => manager().connections.size === 0, undefined, { what: "c1 to be destroyed" });
+
+    expect(conn.reconnectTimer).toBe(null);
+    expect(conn.info()).toMatchObject({ status: "CLOSED", closedBy: "tab" });
+    await delay(120);
+    expect(conn.socket).toBe(null);
+  });
+
+  it("rejects ports from untrusted origins", async () => {
+    const agent = openPort("https://evil.example");
+    agent.port.postMessage({ type: "PING" });
+    agent.port.postMessage({ type: "WS_OPEN", url: echo.url, connectionId: "c1" });
+
+    await waitFor(() => !agent.port.connected, undefined, { what: "the port to be disconnected" });
+    await delay(20);
+    expect(agent.messages).toEqual([]);
+    expect(manager().connections.size).toBe(0);
+  });
+
+  it("ignores ports with other names", async () => {
+    const port = extension.connect("something-else", APP_ORIGIN);
+    const agent = recordPort(port);
+    port.postMessage({ type: "PING" });
+    await delay(20);
+    expect(agent.messages).toEqual([]);
+  });
+});
+
+describe("target allowlist", () => {
+  it("registers Origin rewrite rules for the default hosts", () => {
+    expect(extension.dynamicRules.map((r) => r.action.requestHeaders[0].value)).toEqual([
+      "http://localhost",
+      "http://127.0.0.1",
+    ]);
+    expect(extension.dynamicRules[0].condition.initiatorDomains).toEqual([EXTENSION_ID]);
+  });
+
+  it("refuses WebSocket and HTTP targets outside the allowlist", async () => {
+    const ws = openPort();
+    ws.port.postMessage({ type: "WS_OPEN", url: "ws://example.com:8080/ws", connectionId: "c1" });
+    expect((await ws.next("WS_EVENT_ERROR")).error).toBe(
+      "URL not allowed: ws://example.com:8080/ws. Add its host in the Stomp Local Agent options."
+    );
+    expect(manager().connections.size).toBe(0);
+    expect(extension.alarms.has(KEEPALIVE_ALARM)).toBe(false);
+
+    const http = openPort();
+    http.port.postMessage({ type: "HTTP_REQUEST", url: "https://example.com/info", requestId: "r1" });
+    expect(await http.next("HTTP_RESPONSE")).toMatchObject({
+      requestId: "r1",
+      success: false,
+      error: expect.stringContaining("URL not allowed: https://example.com/info"),
+    });
+  });
+
+  it("follows allowlist changes from the options page", async () => {
+    await extension.setStorage({ allowedHosts: ["127.0.0.1"] });
+    await waitFor(() => extension.dynamicRules.length === 1, undefined, { what: "rules to be re-registered" });
+
+    const ping = openPort();
+    ping.port.postMessage({ type: "PING" });
+    expect(await ping.next("PONG")).toEqual({ type: "PONG", allowedHosts: ["127.0.0.1"] });
+
+    const denied = openPort();
+    denied.port.postMessage({ type: "WS_OPEN", url: echo.url, connectionId: "c1" });
+    await denied.next("WS_EVENT_ERROR");
+
+    const allowed = openPort();
+    allowed.port.postMessage({ type: "WS_OPEN", url: `ws://127.0.0.1:${echo.port}`, connectionId: "c2" });
+    await allowed.next("WS_EVENT_OPEN");
+  });
+
+  it("accepts underscores in host names and bracketed IPv6 literals", () => {
+    const normalizeHostEntry = background.get("normalizeHostEntry");
+    const isUrlAllowed = background.get("isUrlAllowed");
+
+    expect(normalizeHostEntry(" My_Broker:61614 ")).toBe("my_broker:61614");
+    expect(normalizeHostEntry("*.dev_env.local")).toBe("*.dev_env.local");
+    expect(normalizeHostEntry("[::1]:8080")).toBe("[::1]:8080");
+    expect(normalizeHostEntry("[0:0:0:0:0:0:0:1]")).toBe("[::1]");
+    expect(normalizeHostEntry("[::1]:70000")).toBe(null);
+    expect(normalizeHostEntry("[not-ipv6]")).toBe(null);
+    expect(normalizeHostEntry("::1")).toBe(null);
+
+    expect(isUrlAllowed("ws://my_broker:61614/ws", ["my_broker:61614"])).toBe(true);
+    expect(isUrlAllowed("ws://my_broker:61613/ws", ["my_broker:61614"])).toBe(false);
+    expect(isUrlAllowed("http://[::1]:8080/sockjs/info", ["[::1]:8080"])).toBe(true);
+    expect(isUrlAllowed("ws://[0::1]:8080/ws", ["[::1]"])).toBe(true);
+    expect(isUrlAllowed("ws://[::2]:8080/ws", ["[::1]"])).toBe(false);
+
+    expect(background.get("buildOriginRules")(["[::1]:8080"], EXTENSION_ID)[0].action.requestHeaders[0].value).toBe(
+      "http://[::1]:8080"
+    );
+  });
+
+  it("opens sockets to an allowlisted IPv6 literal", async () => {
+    await extension.setStorage({ allowedHosts: ["[::1]"] });
+    await waitFor(() => extension.dynamicRules.length === 1, undefined, { what: "rules to be re-registered" });
+
+    const agent = openPort();
+    agent.port.postMessage({ type: "WS_OPEN", url: `ws://[::1]:${echo.port}`, connectionId: "c1" });
+    await agent.next("WS_EVENT_OPEN");
+  });
+
+  it("trusts self-hosted app origins once approved and granted", async () => {
+    const selfHosted = new MockExtension({
+      storage: { trustedOrigins: ["http://localhost:3000"] },
+      grantedOrigins: ["http://localhost/*"],
+    });
+    const worker = await startBackground(selfHosted);
+    try {
+      expect(selfHosted.contentScripts).toEqual([
+        expect.objectContaining({ id: "trusted-app-origins", matches: ["http://localhost/*"] }),
+      ]);
+
+      const agent = recordPort(selfHosted.connect(PORT_NAME, "http://localhost:3000"));
+      agent.port.postMessage({ type: "PING" });
+      expect(await agent.next("PONG")).toMatchObject({ allowedHosts: ["localhost", "127.0.0.1"] });
+    } finally {
+      stopBackground(worker);
+    }
+  });
+});
+
+describe("HTTP_REQUEST", () => {
+  let http;
+  let requests;
+
+  beforeEach(async () => {
+    requests = [];
+    http = await startHttpServer((req, res) => {
+      const record = { url: req.url, method: req.method, aborted: false };
+      requests.push(record);
+      res.on("close", () => {
+        record.aborted = !res.writableFinished;
+      });
+
+      if (req.url === "/info") {
+        res.writeHead(200, { "content-type": "application/json", "x-test": "yes" });
+        res.end('{"websocket":true}');
+      } else if (req.url === "/echo") {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          res.writeHead(201, { "content-type": req.headers["content-type"] || "text/plain" });
+          res.end(body);
+        });
+      } else if (req.url === "/stream") {
+        res.writeHead(200, { "content-type": "application/javascript" });
+        res.write("h\n");
+        setTimeout(() => res.end("a[\"hello\"]\n"), 20);
+      } else if (req.url === "/hang") {
+        res.writeHead(200);
+        res.write("o\n");
+      }
+    });
+  });
+
+  afterEach(() => http.close());
+
+  it("returns a buffered response", async () => {
+    const agent = openPort();
+    agent.port.postMessage({ type: "HTTP_REQUEST", url: `${http.url}/info`, requestId: "r1" });
+
+    const response = await agent.next("HTTP_RESPONSE");
+    expect(response).toMatchObject({
+      requestId: "r1",
+      success: true,
+      status: 200,
+      body: '{"websocket":true}',
+      headers: expect.objectContaining({ "content-type": "application/json", "x-test": "yes" }),
+    });
+  });
+
+  it("sends the method, headers and a JSON-encoded object body", async () => {
+    const agent = openPort();
+    agent.port.postMessage({
+      type: "HTTP_REQUEST",
+      url: `${http.url}/echo`,
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: { receiverId: 7 },
+      requestId: "r2",
+    });
+
+    expect(await agent.next("HTTP_RESPONSE")).toMatchObject({ status: 201, body: '{"receiverId":7}' });
+    expect(requests[0]).toMatchObject({ method: "POST", url: "/echo" });
+  });
+
+  it("streams the body in chunks when asked", async () => {
+    const agent = openPort();
+    agent.port.postMessage({ type: "HTTP_REQUEST", url: `${http.url}/stream`, requestId: "r3", stream: true });
+
+    await agent.next("HTTP_RESPONSE_END");
+    const types = agent.types();
+    expect(types[0]).toBe("HTTP_RESPONSE_START");
+    expect(types.at(-1)).toBe("HTTP_RESPONSE_END");
+    expect(agent.messages[0]).toMatchObject({ requestId: "r3", status: 200 });
+
+    const chunks = agent.messages.filter((m) => m.type === "HTTP_RESPONSE_CHUNK");
+    expect(chunks.length).toBeGreaterThanOrEqual(1);
+    expect(chunks.map((m) => m.chunk).join("")).toBe('h\na["hello"]\n');
+  });
+
+  it("aborts an in-flight request on HTTP_ABORT without answering", async () => {
+    const agent = openPort();
+    agent.port.postMessage({ type: "HTTP_REQUEST", url: `${http.url}/hang`, requestId: "r4" });
+    await waitFor(() => requests, (r) => r.url === "/hang", { what: "the request to arrive" });
+
+    agent.port.postMessage({ type: "HTTP_ABORT", requestId: "r4" });
+
+    await waitFor(() => requests[0].aborted, undefined, { what: "the server to see the abort" });
+    await delay(20);
+    expect(agent.messages).toEqual([]);
+  });
+
+  it("aborts in-flight requests when the port disconnects", async () => {
+    const agent = openPort();
+    agent.port.postMessage({ type: "HTTP_REQUEST", url: `${http.url}/hang`, requestId: "r5", stream: true });
+    await agent.next("HTTP_RESPONSE_START");
+
+    agent.port.disconnect();
+
+    await waitFor(() => requests[0].aborted, undefined, { what: "the server to see the abort" });
+  });
+
+  it("reports network failures", async () => {
+    const agent = openPort();
+    const port = await unusedPort();
+    agent.port.postMessage({ type: "HTTP_REQUEST", url: `http://localhost:${port}/info`, requestId: "r6" });
+
+    expect(await agent.next("HTTP_RESPONSE")).toMatchObject({
+      requestId: "r6",
+      success: false,
+      error: expect.any(String),
+    });
+  });
+});
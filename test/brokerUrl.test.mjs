@@ -0,0 +1,64 @@
+import { Client } from "@stomp/stompjs";
+import { describe, expect, it } from "vitest";
+import WebSocket from "ws";
+import { buildBrokerUrl, validateBrokerUrl } from "../app/lib/brokerUrl";
+import { createMockBrokerProfile } from "../app/lib/profiles";
+import { tapSocket } from "../app/lib/stompFrames";
+import { startMockBroker } from "../mock-broker/broker.mjs";
+
+describe("validateBrokerUrl", () => {
+  it("accepts SockJS and WebSocket endpoints", () => {
+    for (const url of ["http://localhost:8080/ws/chat", "https://api.example.com/ws", "ws://localhost:8090/ws", "wss://broker/ws"]) {
+      expect(validateBrokerUrl(url)).toEqual({ valid: true });
+    }
+  });
+
+  it("rejects empty input and other schemes", () => {
+    expect(validateBrokerUrl("  ").valid).toBe(false);
+    expect(validateBrokerUrl("ftp://localhost/ws")).toMatchObject({ valid: false, error: expect.stringContaining("ws://") });
+    expect(validateBrokerUrl("localhost:8080")).toMatchObject({ valid: false });
+  });
+
+  it("lets the one-click mock broker profile connect", () => {
+    expect(validateBrokerUrl(createMockBrokerProfile().url)).toEqual({ valid: true });
+  });
+});
+
+describe("plain WebSocket connections", () => {
+  it("keeps ws URLs and maps http(s) to ws(s)", () => {
+    expect(buildBrokerUrl("ws://localhost:8090/ws")).toBe("ws://localhost:8090/ws");
+    expect(buildBrokerUrl("http://localhost:8080/ws")).toBe("ws://localhost:8080/ws");
+    expect(buildBrokerUrl("https://host/ws")).toBe("wss://host/ws");
+  });
+
+  it("taps frames on a native WebSocket to the mock broker", async () => {
+    const broker = await startMockBroker({ port: 0, quiet: true });
+    const url = new URL(createMockBrokerProfile().url);
+    url.port = String(broker.port);
+
+    const frames = [];
+    const client = new Client({
+      heartbeatIncoming: 0,
+      heartbeatOutgoing: 0,
+      reconnectDelay: 0,
+    });
+    // Same factory StompSession uses for ws(s) URLs outside the agent
+    client.webSocketFactory = () =>
+      tapSocket(new WebSocket(buildBrokerUrl(url.href), client.stompVersions.protocolVersions()), (frame) =>
+        frames.push(frame)
+      );
+    try {
+      const connected = new Promise((resolve) => (client.onConnect = resolve));
+      client.activate();
+      await connected;
+
+      expect(frames.map((f) => [f.direction, f.command])).toEqual([
+        ["out", "CONNECT"],
+        ["in", "CONNECTED"],
+      ]);
+    } finally {
+      await client.deactivate();
+      await broker.close();
+    }
+  });
+});
@@ -0,0 +1,222 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { MockExtension } from "./helpers/chrome.mjs";
+import {
+  createPageWindow,
+  delay,
+  injectContentScript,
+  startBackground,
+  startEchoServer,
+  startHttpServer,
+  stopBackground,
+  waitFor,
+} from "./helpers/agent.mjs";
+
+const SELF_HOSTED_ORIGIN = "http://localhost:3000";
+
+let extension;
+let background;
+let echo;
+let win;
+
+beforeEach(async () => {
+  extension = new MockExtension();
+  background = await startBackground(extension);
+  echo = await startEchoServer();
+  win = createPageWindow();
+  injectContentScript(extension, win);
+});
+
+afterEach(async () => {
+  stopBackground(background);
+  await echo.close();
+});
+
+// Page side of the postMessage protocol
+function post(message, target = win) {
+  target.postMessage(message, target.location.origin);
+}
+
+function received(type, predicate = () => true, target = win) {
+  return waitFor(() => target.posted, (m) => m.type === type && predicate(m), { what: type });
+}
+
+function receivedAll(type, target = win) {
+  return target.posted.filter((m) => m.type === type);
+}
+
+describe("content script", () => {
+  it("marks the page as agent-enabled", () => {
+    expect(win.document.head.children).toEqual([
+      expect.objectContaining({ tagName: "META", name: "stomp-local-agent", content: "installed" }),
+    ]);
+  });
+
+  it("answers AGENT_PING with the allowlist and closes the ping port", async () => {
+    post({ type: "AGENT_PING", connectionId: "p1" });
+
+    expect(await received("AGENT_PONG")).toEqual({
+      type: "AGENT_PONG",
+      connectionId: "p1",
+      allowedHosts: ["localhost", "127.0.0.1"],
+    });
+    await waitFor(() => extension.ports.every((p) => !p.connected), undefined, { what: "the ping port to close" });
+  });
+
+  it("relays a WebSocket session tagged with its connectionId", async () => {
+    post({ type: "WS_OPEN", connectionId: "c1", url: echo.url, protocols: ["v12.stomp"] });
+    expect(await received("WS_EVENT_OPEN")).toMatchObject({ connectionId: "c1", protocol: "v12.stomp" });
+
+    post({ type: "WS_SEND", connectionId: "c1", data: "CONNECT\n\n\0" });
+    expect(await received("WS_EVENT_MESSAGE")).toEqual({
+      type: "WS_EVENT_MESSAGE",
+      connectionId: "c1",
+      data: "CONNECT\n\n\0",
+    });
+
+    post({ type: "WS_SEND", connectionId: "c1", data: new Uint8Array([9, 8, 7]).buffer });
+    const binary = await received("WS_EVENT_MESSAGE", (m) => m.data instanceof ArrayBuffer);
+    expect([...new Uint8Array(binary.data)]).toEqual([9, 8, 7]);
+
+    post({ type: "WS_CLOSE", connectionId: "c1", code: 1000, reason: "bye" });
+    expect(await received("WS_EVENT_CLOSE")).toMatchObject({ connectionId: "c1", code: 1000, wasClean: true });
+  });
+
+  it("keeps simultaneous connections on separate ports", async () => {
+    post({ type: "WS_OPEN", connectionId: "c1", url: echo.url });
+    post({ type: "WS_OPEN", connectionId: "c2", url: echo.url });
+    await received("WS_EVENT_OPEN", (m) => m.connectionId === "c1");
+    await received("WS_EVENT_OPEN", (m) => m.connectionId === "c2");
+    expect(extension.ports).toHaveLength(2);
+
+    post({ type: "WS_SEND", connectionId: "c2", data: "only c2" });
+    await received("WS_EVENT_MESSAGE");
+    await delay(20);
+    expect(receivedAll("WS_EVENT_MESSAGE").map((m) => m.connectionId)).toEqual(["c2"]);
+  });
+
+  it("reports a lost extension port as an abnormal close", async () => {
+    post({ type: "WS_OPEN", connectionId: "c1", url: echo.url });
+    await received("WS_EVENT_OPEN");
+
+    // The worker side going away, e.g. the service worker being stopped
+    extension.ports[0].disconnect();
+
+    expect(await received("WS_EVENT_CLOSE")).toEqual({
+      type: "WS_EVENT_CLOSE",
+      connectionId: "c1",
+      code: 1006,
+      reason: "Extension port disconnected",
+      wasClean: false,
+    });
+
+    post({ type: "WS_SEND", connectionId: "c1", data: "dropped" });
+    await delay(20);
+    expect(receivedAll("WS_EVENT_MESSAGE")).toEqual([]);
+  });
+
+  it("ignores messages from other windows, other origins or without a connectionId", async () => {
+    const url = echo.url;
+    win.dispatchMessage({ type: "WS_OPEN", connectionId: "c1", url }, { source: {} });
+    win.dispatchMessage({ type: "WS_OPEN", connectionId: "c2", url }, { origin: "https://evil.example" });
+    post({ type: "WS_OPEN", url });
+
+    await delay(30);
+    expect(extension.ports).toEqual([]);
+  });
+});
+
+describe("untrusted origins", () => {
+  let page;
+
+  beforeEach(() => {
+    page = createPageWindow(SELF_HOSTED_ORIGIN);
+    injectContentScript(extension, page);
+  });
+
+  it("refuses to open ports until the origin is trusted", async () => {
+    const notTrusted = `Origin ${SELF_HOSTED_ORIGIN} is not trusted by Stomp Local Agent`;
+
+    post({ type: "AGENT_PING", connectionId: "p1" }, page);
+    expect(await received("AGENT_UNTRUSTED", undefined, page)).toEqual({
+      type: "AGENT_UNTRUSTED",
+      connectionId: "p1",
+      origin: SELF_HOSTED_ORIGIN,
+    });
+
+    post({ type: "WS_OPEN", connectionId: "c1", url: echo.url }, page);
+    expect(await received("WS_EVENT_ERROR", undefined, page)).toMatchObject({ connectionId: "c1", error: notTrusted });
+
+    post({ type: "HTTP_REQUEST", connectionId: "h1", requestId: "r1", url: "http://localhost/info" }, page);
+    expect(await received("HTTP_RESPONSE", undefined, page)).toMatchObject({
+      requestId: "r1",
+      success: false,
+      error: notTrusted,
+    });
+    expect(extension.ports).toEqual([]);
+
+    // Approved on the options page: takes effect without reloading the app
+    extension.grantedOrigins.add("http://localhost/*");
+    await extension.setStorage({ trustedOrigins: [SELF_HOSTED_ORIGIN] });
+    await waitFor(() => extension.contentScripts.length === 1, undefined, { what: "the content script registration" });
+
+    post({ type: "AGENT_PING", connectionId: "p2" }, page);
+    expect(await received("AGENT_PONG", undefined, page)).toMatchObject({ connectionId: "p2" });
+  });
+});
+
+describe("HTTP_REQUEST", () => {
+  let http;
+  let hangClosed;
+
+  beforeEach(async () => {
+    hangClosed = false;
+    http = await startHttpServer((req, res) => {
+      if (req.url === "/hang") {
+        res.writeHead(200);
+        res.write("o\n");
+        res.on("close", () => {
+          hangClosed = true;
+        });
+        return;
+      }
+      res.writeHead(200, { "content-type": "text/plain" });
+      res.write("first ");
+      setTimeout(() => res.end("second"), 10);
+    });
+  });
+
+  afterEach(() => http.close());
+
+  it("proxies a request on its own port and closes it after the response", async () => {
+    post({ type: "HTTP_REQUEST", connectionId: "h1", requestId: "r1", url: `${http.url}/info` });
+
+    expect(await received("HTTP_RESPONSE")).toMatchObject({
+      connectionId: "h1",
+      requestId: "r1",
+      success: true,
+      status: 200,
+      body: "first second",
+    });
+    await waitFor(() => extension.ports.every((p) => !p.connected), undefined, { what: "the request port to close" });
+  });
+
+  it("relays a streamed response", async () => {
+    post({ type: "HTTP_REQUEST", connectionId: "h1", requestId: "r2", url: `${http.url}/xhr_streaming`, stream: true });
+
+    await received("HTTP_RESPONSE_END");
+    expect(receivedAll("HTTP_RESPONSE_START")).toEqual([
+      expect.objectContaining({ connectionId: "h1", requestId: "r2", status: 200 }),
+    ]);
+    expect(receivedAll("HTTP_RESPONSE_CHUNK").map((m) => m.chunk).join("")).toBe("first second");
+  });
+
+  it("aborts the request by disconnecting its port on HTTP_ABORT", async () => {
+    post({ type: "HTTP_REQUEST", connectionId: "h1", requestId: "r3", url: `${http.url}/hang`, stream: true });
+    await received("HTTP_RESPONSE_START");
+
+    post({ type: "HTTP_ABORT", connectionId: "h1", requestId: "r3" });
+
+    await waitFor(() => hangClosed, undefined, { what: "the server to see the abort" });
+    expect(receivedAll("HTTP_RESPONSE")).toEqual([]);
+  });
+});
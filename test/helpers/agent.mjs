@@ -0,0 +1,303 @@
+/**
+ * Test Harness - Extension Scripts, Page Window and Servers
+ *
+ * Runs the real stomp-local-agent scripts in `vm` contexts: background.js
+ * with the mocked chrome.* API, importScripts and the `ws` WebSocket, and
+ * content.js against a fake page window whose postMessage behaves like the
+ * browser's (asynchronous, origin-checked, transferable). The page-side
+ * modules (AgentWebSocket, localAgent) share that window via
+ * installPageGlobals(). Local ws / HTTP servers act as the targets.
+ */
+
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+import vm from "node:vm";
+import WebSocket, { WebSocketServer } from "ws";
+import { MockExtension } from "./chrome.mjs";
+
+const AGENT_DIR = fileURLToPath(new URL("../../stomp-local-agent/", import.meta.url));
+
+export const APP_ORIGIN = "https://stomp-template-send-sigma.vercel.app";
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+// Shared with the scripts so binary data doesn't cross realms
+const SHARED_GLOBALS = {
+  ArrayBuffer,
+  Uint8Array,
+  TextEncoder,
+  TextDecoder,
+  URL,
+  AbortController,
+  atob,
+  btoa,
+};
+
+function runScript(context, file) {
+  vm.runInContext(readFileSync(AGENT_DIR + file, "utf8"), context, { filename: file });
+}
+
+// Console that records instead of printing; the agent logs every frame
+function createConsole() {
+  const entries = [];
+  const record = (level) => (...args) => entries.push({ level, args });
+  return { entries, log: record("log"), info: record("info"), warn: record("warn"), error: record("error") };
+}
+
+/**
+ * Load one of the extension's shared scripts (allowlist.js, binaryCodec.js,
+ * ...) on its own. Returns a getter evaluating expressions in its context.
+ */
+export function loadAgentScript(file) {
+  const context = vm.createContext({ ...SHARED_GLOBALS });
+  runScript(context, file);
+  return (expression) => vm.runInContext(expression, context);
+}
+
+// ---------------------------------------------------------------------------
+// Background service worker
+// ---------------------------------------------------------------------------
+
+/**
+ * Load background.js into a fresh worker context.
+ * Resolves once the allowlist and trusted origins are loaded, with
+ * { extension, context, console, get(expression) }.
+ */
+export async function startBackground(extension = new MockExtension()) {
+  const console = createConsole();
+  const context = vm.createContext({
+    ...SHARED_GLOBALS,
+    console,
+    chrome: extension.backgroundChrome(),
+    WebSocket,
+    fetch,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    importScripts: (...files) => files.forEach((file) => runScript(context, file)),
+  });
+  runScript(context, "background.js");
+
+  const get = (expression) => vm.runInContext(expression, context);
+  await get("Promise.all([allowlistReady, trustedOriginsReady])");
+  return { extension, context, console, get };
+}
+
+/**
+ * Destroy every socket the worker still holds so no timers outlive a test.
+ */
+export function stopBackground(background) {
+  const manager = background.get("wsManager");
+  for (const conn of manager.connections.values()) {
+    conn.destroy();
+  }
+  manager.connections.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Page window + content script
+// ---------------------------------------------------------------------------
+
+/**
+ * Minimal page `window`: message listeners, postMessage with targetOrigin
+ * and transfer semantics, location and a document with a <head>.
+ */
+export function createPageWindow(origin = APP_ORIGIN) {
+  const listeners = new Set();
+  const head = { children: [], appendChild: (el) => head.children.push(el) };
+
+  const win = {
+    location: { origin, href: `${origin}/`, hostname: new URL(origin).hostname },
+    document: {
+      head,
+      documentElement: {},
+      createElement: (tagName) => ({ tagName: tagName.toUpperCase() }),
+    },
+    // Every message posted on this window, page and content script alike
+    posted: [],
+
+    addEventListener(type, listener) {
+      if (type === "message") listeners.add(listener);
+    },
+    removeEventListener(type, listener) {
+      if (type === "message") listeners.delete(listener);
+    },
+    listenerCount() {
+      return listeners.size;
+    },
+
+    postMessage(data, targetOrigin, transfer = []) {
+      if (targetOrigin !== "*" && targetOrigin !== origin) return;
+      const copy = structuredClone(data, { transfer });
+      win.posted.push(copy);
+      setTimeout(() => win.dispatchMessage(copy), 0);
+    },
+
+    /** Deliver a message event as if posted by `source` from `eventOrigin`. */
+    dispatchMessage(data, { source = win, origin: eventOrigin = origin } = {}) {
+      const event = { type: "message", data, origin: eventOrigin, source };
+      for (const listener of [...listeners]) {
+        listener(event);
+      }
+    },
+  };
+  win.window = win;
+  return win;
+}
+
+/**
+ * Inject trustedOrigins.js, binaryCodec.js and content.js into the page,
+ * as the manifest (or the dynamic registration) does.
+ */
+export function injectContentScript(extension, win) {
+  const console = createConsole();
+  const context = vm.createContext({
+    ...SHARED_GLOBALS,
+    console,
+    chrome: extension.contentChrome(win.location.origin),
+    window: win,
+    document: win.document,
+    setTimeout,
+    clearTimeout,
+  });
+  for (const file of ["trustedOrigins.js", "binaryCodec.js", "content.js"]) {
+    runScript(context, file);
+  }
+  return { context, console, get: (expression) => vm.runInContext(expression, context) };
+}
+
+// Node 20 has no CloseEvent; AgentWebSocket only needs the init fields
+class CloseEventPolyfill extends Event {
+  constructor(type, init = {}) {
+    super(type);
+    this.code = init.code ?? 0;
+    this.reason = init.reason ?? "";
+    this.wasClean = init.wasClean ?? false;
+  }
+}
+
+/**
+ * Expose `win` as the page's global window for the app modules under test.
+ * Returns a function restoring the previous globals.
+ */
+export function installPageGlobals(win) {
+  const previous = { window: globalThis.window, CloseEvent: globalThis.CloseEvent };
+  globalThis.window = win;
+  globalThis.CloseEvent ??= CloseEventPolyfill;
+  return () => {
+    globalThis.window = previous.window;
+    globalThis.CloseEvent = previous.CloseEvent;
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Waiting
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve with the first item `predicate` accepts, polling `source()`.
+ */
+export async function waitFor(source, predicate = () => true, { timeout = DEFAULT_TIMEOUT_MS, what = "condition" } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = source();
+    const items = Array.isArray(value) ? value : [value];
+    const found = items.find((item) => item && predicate(item));
+    if (found) return found;
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out after ${timeout}ms waiting for ${what}`);
+    }
+    await delay(5);
+  }
+}
+
+export function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Collect every message the worker posts on a content-side port.
+ */
+export function recordPort(port) {
+  const messages = [];
+  port.onMessage.addListener((msg) => messages.push(msg));
+
+  return {
+    port,
+    messages,
+    /** Wait for the first message of `type` (matching `predicate`) */
+    next(type, predicate = () => true, options) {
+      return waitFor(() => messages, (m) => m.type === type && predicate(m), { what: type, ...options });
+    },
+    types() {
+      return messages.map((m) => m.type);
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Servers
+// ---------------------------------------------------------------------------
+
+/**
+ * WebSocket server on a free localhost port that echoes every frame back,
+ * keeping its text/binary kind, and accepts the first offered subprotocol.
+ */
+export async function startEchoServer() {
+  const wss = new WebSocketServer({
+    port: 0,
+    handleProtocols: (protocols) => protocols.values().next().value ?? false,
+  });
+  await new Promise((resolve) => wss.once("listening", resolve));
+
+  const sockets = [];
+  wss.on("connection", (ws) => {
+    sockets.push(ws);
+    ws.on("message", (data, isBinary) => ws.send(data, { binary: isBinary }));
+  });
+
+  const { port } = wss.address();
+  return {
+    port,
+    url: `ws://localhost:${port}`,
+    sockets,
+    /** Sockets still open on the server side */
+    open: () => sockets.filter((ws) => ws.readyState === WebSocket.OPEN),
+    close: () => closeServer(wss),
+  };
+}
+
+/**
+ * HTTP server on a free localhost port running `handler(req, res)`.
+ */
+export async function startHttpServer(handler) {
+  const server = createServer(handler);
+  await new Promise((resolve) => server.listen(0, resolve));
+  const { port } = server.address();
+  return {
+    port,
+    url: `http://localhost:${port}`,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+/**
+ * A localhost port nothing listens on (connections are refused).
+ */
+export async function unusedPort() {
+  const server = createServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+function closeServer(wss) {
+  for (const ws of wss.clients) ws.terminate();
+  return new Promise((resolve) => wss.close(() => resolve()));
+}
@@ -0,0 +1,198 @@
+/**
+ * Test Harness - Mocked chrome.* API
+ *
+ * Just enough of the extension platform for background.js and content.js:
+ * runtime ports (JSON-serialized, asynchronous, one-sided disconnects like
+ * Chrome's), storage.sync with onChanged, alarms, permissions, scripting
+ * and declarativeNetRequest. One MockExtension is shared by the worker and
+ * every content script, the way a real installed extension is.
+ */
+
+export const EXTENSION_ID = "abcdefghijklmnopabcdefghijklmnop";
+
+class MockEvent {
+  constructor() {
+    this.listeners = [];
+  }
+
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  removeListener(listener) {
+    this.listeners = this.listeners.filter((l) => l !== listener);
+  }
+
+  hasListener(listener) {
+    return this.listeners.includes(listener);
+  }
+
+  dispatch(...args) {
+    for (const listener of [...this.listeners]) {
+      listener(...args);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Ports
+// ---------------------------------------------------------------------------
+
+export class MockPort {
+  constructor(name, sender) {
+    this.name = name;
+    this.sender = sender;
+    this.onMessage = new MockEvent();
+    this.onDisconnect = new MockEvent();
+    this.connected = true;
+    this.peer = null;
+  }
+
+  postMessage(msg) {
+    if (!this.connected) {
+      throw new Error("Attempting to use a disconnected port object");
+    }
+    const copy = JSON.parse(JSON.stringify(msg));
+    const peer = this.peer;
+    setTimeout(() => {
+      if (peer.connected) peer.onMessage.dispatch(copy, peer);
+    }, 0);
+  }
+
+  // Only the other end hears about it, as in Chrome
+  disconnect() {
+    if (!this.connected) return;
+    this.connected = false;
+    const peer = this.peer;
+    setTimeout(() => {
+      if (!peer.connected) return;
+      peer.connected = false;
+      peer.onDisconnect.dispatch(peer);
+    }, 0);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Extension
+// ---------------------------------------------------------------------------
+
+export class MockExtension {
+  /**
+   * @param {object} options
+   * @param {object} options.storage        - Initial chrome.storage.sync contents
+   * @param {string[]} options.grantedOrigins - Host permissions already granted
+   */
+  constructor({ storage = {}, grantedOrigins = [] } = {}) {
+    this.id = EXTENSION_ID;
+    this.syncData = structuredClone(storage);
+    this.grantedOrigins = new Set(grantedOrigins);
+    this.alarms = new Map();
+    this.dynamicRules = [];
+    this.contentScripts = [];
+
+    this.onConnect = new MockEvent();
+    this.onStorageChanged = new MockEvent();
+    this.onAlarm = new MockEvent();
+    this.onPermissionsAdded = new MockEvent();
+    this.onPermissionsRemoved = new MockEvent();
+
+    /** Background ends of every port opened so far */
+    this.ports = [];
+  }
+
+  // --- Test controls -------------------------------------------------------
+
+  /** Write to storage.sync like the options page does; fires onChanged. */
+  async setStorage(items) {
+    const changes = {};
+    for (const [key, value] of Object.entries(items)) {
+      changes[key] = { oldValue: this.syncData[key], newValue: structuredClone(value) };
+      this.syncData[key] = structuredClone(value);
+    }
+    setTimeout(() => this.onStorageChanged.dispatch(changes, "sync"), 0);
+  }
+
+  /** Fire a registered alarm now. */
+  fireAlarm(name) {
+    const alarm = this.alarms.get(name);
+    if (alarm) this.onAlarm.dispatch(alarm);
+  }
+
+  /** Open a port from a page (content script) of `origin` to the worker. */
+  connect(name, origin) {
+    const client = new MockPort(name);
+    const server = new MockPort(name, { origin, url: `${origin}/` });
+    client.peer = server;
+    server.peer = client;
+    this.ports.push(server);
+    setTimeout(() => this.onConnect.dispatch(server), 0);
+    return client;
+  }
+
+  // --- chrome.* objects ----------------------------------------------------
+
+  /** The `chrome` global of the background service worker. */
+  backgroundChrome() {
+    return {
+      runtime: { id: this.id, onConnect: this.onConnect },
+      storage: { sync: this.storageArea(), onChanged: this.onStorageChanged },
+      alarms: {
+        create: (name, info) => {
+          this.alarms.set(name, { name, ...info });
+        },
+        clear: async (name) => this.alarms.delete(name),
+        get: async (name) => this.alarms.get(name),
+        onAlarm: this.onAlarm,
+      },
+      permissions: {
+        contains: async ({ origins = [] }) => origins.every((o) => this.grantedOrigins.has(o)),
+        onAdded: this.onPermissionsAdded,
+        onRemoved: this.onPermissionsRemoved,
+      },
+      scripting: {
+        getRegisteredContentScripts: async ({ ids } = {}) =>
+          this.contentScripts.filter((s) => !ids || ids.includes(s.id)),
+        registerContentScripts: async (scripts) => {
+          this.contentScripts.push(...structuredClone(scripts));
+        },
+        unregisterContentScripts: async ({ ids } = {}) => {
+          this.contentScripts = this.contentScripts.filter((s) => ids && !ids.includes(s.id));
+        },
+      },
+      declarativeNetRequest: {
+        getDynamicRules: async () => structuredClone(this.dynamicRules),
+        updateDynamicRules: async ({ removeRuleIds = [], addRules = [] }) => {
+          this.dynamicRules = [
+            ...this.dynamicRules.filter((r) => !removeRuleIds.includes(r.id)),
+            ...structuredClone(addRules),
+          ];
+        },
+      },
+    };
+  }
+
+  /** The `chrome` global of a content script injected into `origin`. */
+  contentChrome(origin) {
+    return {
+      runtime: {
+        id: this.id,
+        connect: ({ name } = {}) => this.connect(name, origin),
+      },
+      storage: { sync: this.storageArea(), onChanged: this.onStorageChanged },
+    };
+  }
+
+  storageArea() {
+    return {
+      get: async (keys) => {
+        const list = keys == null ? Object.keys(this.syncData) : [].concat(keys);
+        const result = {};
+        for (const key of list) {
+          if (key in this.syncData) result[key] = structuredClone(this.syncData[key]);
+        }
+        return result;
+      },
+      set: (items) => this.setStorage(items),
+    };
+  }
+}
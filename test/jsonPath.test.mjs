@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { matchesJsonPath, parseJsonPath, selectJsonPath } from "../app/lib/jsonPath";
+
+const data = {
+  order: { id: 7, "x-ref": "A-1", status: "sent" },
+  items: [
+    { sku: "a", qty: 1 },
+    { sku: "b", qty: 2, tags: { id: 99 } },
+  ],
+};
+
+const select = (query) => selectJsonPath(data, parseJsonPath(query));
+const matches = (query) => matchesJsonPath(data, parseJsonPath(query));
+
+describe("parseJsonPath", () => {
+  it("parses the path and an optional comparison", () => {
+    expect(parseJsonPath("$.a['b-c'][0][*]..d")).toEqual({
+      segments: [
+        { kind: "member", name: "a" },
+        { kind: "member", name: "b-c" },
+        { kind: "index", index: 0 },
+        { kind: "wildcard" },
+        { kind: "descend", name: "d" },
+      ],
+    });
+    expect(parseJsonPath(' $.n == 7 ')).toMatchObject({ operator: "==", operand: 7 });
+    expect(parseJsonPath('$.s != "x"')).toMatchObject({ operator: "!=", operand: "x" });
+    expect(parseJsonPath("$.s ~= hello world")).toMatchObject({ operator: "~=", operand: "hello world" });
+  });
+
+  it("rejects invalid syntax", () => {
+    expect(() => parseJsonPath("a.b")).toThrow("JSONPath phải bắt đầu bằng $");
+    expect(() => parseJsonPath("$.a[0")).toThrow("Thiếu dấu ]");
+    expect(() => parseJsonPath("$.a[?(@.b)]")).toThrow("Selector không hỗ trợ: [?(@.b)]");
+    expect(() => parseJsonPath("$.")).toThrow("JSONPath không hợp lệ tại vị trí 2");
+    expect(() => parseJsonPath("$a")).toThrow("JSONPath không hợp lệ tại vị trí 1");
+  });
+});
+
+describe("selectJsonPath", () => {
+  it("selects members, bracket members and indexes", () => {
+    expect(select("$.order.id")).toEqual([7]);
+    expect(select("$.order['x-ref']")).toEqual(["A-1"]);
+    expect(select("$.items[1].sku")).toEqual(["b"]);
+    expect(select("$.items[-1].qty")).toEqual([2]);
+    expect(select("$.items[5]")).toEqual([]);
+    expect(select("$.order.missing")).toEqual([]);
+  });
+
+  it("expands wildcards and recursive descent", () => {
+    expect(select("$.items[*].sku")).toEqual(["a", "b"]);
+    expect(select("$.order.*")).toEqual([7, "A-1", "sent"]);
+    expect(select("$..id")).toEqual([7, 99]);
+  });
+});
+
+describe("matchesJsonPath", () => {
+  it("without a comparison, matches when anything is selected", () => {
+    expect(matches("$.order")).toBe(true);
+    expect(matches("$.nothing")).toBe(false);
+  });
+
+  it("compares == and != loosely against scalars", () => {
+    expect(matches("$.order.id == 7")).toBe(true);
+    expect(matches('$.order.id == "7"')).toBe(true);
+    expect(matches("$.order.status == sent")).toBe(true);
+    expect(matches('$.order.status != "sent"')).toBe(false);
+    expect(matches("$.items[*].qty != 1")).toBe(true);
+  });
+
+  it("matches ~= as a case-insensitive substring, objects as JSON", () => {
+    expect(matches("$.order.status ~= SEN")).toBe(true);
+    expect(matches('$.items[1].tags ~= "id":99')).toBe(true);
+    expect(matches("$.order.status ~= queued")).toBe(false);
+  });
+});
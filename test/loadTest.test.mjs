@@ -0,0 +1,91 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { DEFAULT_LOAD_CONFIG, percentile, runLoadTest, summarizeLatencies } from "../app/lib/loadTest";
+
+/**
+ * Driver whose broker echoes each message back through `reply(correlationId)`.
+ */
+function echoDriver(reply) {
+  let deliver = () => {};
+  return {
+    published: [],
+    subscribe: (_destination, onMessage) => {
+      deliver = onMessage;
+      return () => {};
+    },
+    publish(_destination, headers, correlationId) {
+      this.published.push(headers);
+      queueMicrotask(() => deliver(reply(correlationId)));
+    },
+  };
+}
+
+const config = { ...DEFAULT_LOAD_CONFIG, count: 10, ratePerSec: 1000, replyTimeoutMs: 1000 };
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("runLoadTest", () => {
+  it("matches replies by the correlation header", async () => {
+    const driver = echoDriver((id) => ({ body: "ok", headers: { "correlation-id": id } }));
+    const run = runLoadTest(config, driver, () => {});
+    await vi.advanceTimersByTimeAsync(200);
+
+    const stats = await run;
+    expect(stats).toMatchObject({ running: false, sent: 10, received: 10, errors: 0 });
+    expect(driver.published[0]).toEqual({ "correlation-id": expect.any(String) });
+  });
+
+  it("finds the id in echoed bodies among other UUIDs when the header is missing", async () => {
+    const driver = echoDriver((id) => ({
+      body: JSON.stringify({ requestId: crypto.randomUUID(), content: `Load ${id.toUpperCase()}` }),
+      headers: {},
+    }));
+    const run = runLoadTest(config, driver, () => {});
+    await vi.advanceTimersByTimeAsync(200);
+
+    expect(await run).toMatchObject({ sent: 10, received: 10 });
+  });
+
+  it("counts publish failures as errors and gives up on replies after the timeout", async () => {
+    let calls = 0;
+    const driver = {
+      subscribe: () => () => {},
+      publish: () => {
+        if (++calls % 2 === 0) throw new Error("Chưa kết nối");
+      },
+    };
+    const run = runLoadTest(config, driver, () => {});
+    await vi.advanceTimersByTimeAsync(1500);
+
+    expect(await run).toMatchObject({ sent: 5, errors: 5, received: 0, latency: null });
+  });
+
+  it("stops sending when aborted", async () => {
+    const abort = new AbortController();
+    const driver = echoDriver((id) => ({ body: "", headers: { "correlation-id": id } }));
+    const run = runLoadTest({ ...config, mode: "duration", durationSec: 60, ratePerSec: 100 }, driver, () => {}, abort.signal);
+    await vi.advanceTimersByTimeAsync(100);
+    abort.abort();
+    await vi.advanceTimersByTimeAsync(100);
+
+    const stats = await run;
+    expect(stats.sent).toBeGreaterThan(0);
+    expect(stats.sent).toBeLessThan(20);
+  });
+});
+
+describe("latency statistics", () => {
+  it("uses nearest-rank percentiles", () => {
+    const sorted = Array.from({ length: 100 }, (_, i) => i + 1);
+    expect(percentile(sorted, 50)).toBe(50);
+    expect(percentile(sorted, 99)).toBe(99);
+    expect(percentile([], 50)).toBe(0);
+    expect(summarizeLatencies([3, 1, 2])).toEqual({ min: 1, mean: 2, p50: 2, p95: 3, p99: 3, max: 3 });
+    expect(summarizeLatencies([])).toBeNull();
+  });
+});
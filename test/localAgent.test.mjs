@@ -0,0 +1,82 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  detectLocalAgent,
+  getAgentAllowedHosts,
+  isAgentAllowedUrl,
+  isLocalAgentAvailable,
+  shouldUseAgent,
+} from "../app/lib/localAgent";
+import { MockExtension } from "./helpers/chrome.mjs";
+import {
+  createPageWindow,
+  injectContentScript,
+  installPageGlobals,
+  startBackground,
+  stopBackground,
+} from "./helpers/agent.mjs";
+
+let background;
+let restoreGlobals;
+
+/**
+ * Load the extension (when given) and a page of `origin` with the content script.
+ */
+async function openPage(origin, extension) {
+  const win = createPageWindow(origin);
+  if (extension) {
+    background = await startBackground(extension);
+    injectContentScript(extension, win);
+  }
+  restoreGlobals = installPageGlobals(win);
+  return win;
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+  restoreGlobals?.();
+  if (background) stopBackground(background);
+  background = undefined;
+});
+
+describe("isLocalAgentAvailable", () => {
+  it("is true when the extension answers and adopts its allowlist", async () => {
+    await openPage(undefined, new MockExtension({ storage: { allowedHosts: ["localhost", "broker:61614"] } }));
+
+    expect(await isLocalAgentAvailable()).toBe(true);
+    expect(getAgentAllowedHosts()).toEqual(["localhost", "broker:61614"]);
+    expect(shouldUseAgent("ws://broker:61614/ws")).toBe(true);
+    expect(shouldUseAgent("ws://broker:8080/ws")).toBe(false);
+  });
+
+  it("is false on an origin the extension does not trust", async () => {
+    await openPage("https://stomp.example.com", new MockExtension());
+
+    expect(await detectLocalAgent()).toBe("untrusted");
+    expect(await isLocalAgentAvailable()).toBe(false);
+  });
+
+  it("is false after the timeout when no content script answers", async () => {
+    const win = await openPage();
+    vi.useFakeTimers();
+
+    const available = isLocalAgentAvailable();
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(await available).toBe(false);
+    expect(win.listenerCount()).toBe(0);
+  });
+});
+
+describe("isAgentAllowedUrl", () => {
+  it("matches the extension's entry syntax, underscores and IPv6 included", () => {
+    const entries = ["localhost", "my_broker:61614", "*.dev.local", "[::1]:8080"];
+
+    expect(isAgentAllowedUrl("ws://localhost:9000/ws", entries)).toBe(true);
+    expect(isAgentAllowedUrl("ws://my_broker:61614/ws", entries)).toBe(true);
+    expect(isAgentAllowedUrl("ws://my_broker:61613/ws", entries)).toBe(false);
+    expect(isAgentAllowedUrl("http://api.dev.local/sockjs", entries)).toBe(true);
+    expect(isAgentAllowedUrl("ws://[::1]:8080/ws", entries)).toBe(true);
+    expect(isAgentAllowedUrl("ws://[0:0::1]:8080/ws", entries)).toBe(true);
+    expect(isAgentAllowedUrl("ws://[::1]:9090/ws", entries)).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import WebSocket from "ws";
+import { startMockBroker } from "../mock-broker/broker.mjs";
+import { HEARTBEAT, parseFrames, serializeFrame } from "../mock-broker/frames.mjs";
+import { delay, waitFor } from "./helpers/agent.mjs";
+
+let broker;
+
+beforeEach(async () => {
+  broker = await startMockBroker({ port: 0, quiet: true });
+});
+
+afterEach(() => broker.close());
+
+/**
+ * Raw STOMP 1.2 client: records every frame the broker sends.
+ */
+async function connectRaw() {
+  const ws = new WebSocket(broker.wsUrl, ["v12.stomp"]);
+  const frames = [];
+  let closed = false;
+  ws.on("message", (data) => {
+    for (const frame of parseFrames(Buffer.from(data)).frames) {
+      if (frame !== HEARTBEAT) frames.push({ ...frame, body: frame.body.toString("utf8") });
+    }
+  });
+  ws.on("close", () => {
+    closed = true;
+  });
+  await new Promise((resolve) => ws.once("open", resolve));
+
+  const client = {
+    frames,
+    isClosed: () => closed,
+    send: (command, headers = {}, body = "") => ws.send(serializeFrame(command, headers, body)),
+    next: (command, predicate = () => true) =>
+      waitFor(() => frames, (f) => f.command === command && predicate(f), { what: command }),
+    close: () => ws.terminate(),
+  };
+  client.send("CONNECT", { "accept-version": "1.2", host: "localhost", "heart-beat": "0,0" });
+  await client.next("CONNECTED");
+  return client;
+}
+
+describe("mock broker", () => {
+  it("redelivers a NACKed message to the same subscription", async () => {
+    const client = await connectRaw();
+    try {
+      client.send("SUBSCRIBE", { id: "sub-1", destination: "/queue/jobs", ack: "client-individual" });
+      client.send("SEND", { destination: "/queue/jobs", "content-type": "text/plain" }, "job 1");
+
+      const first = await client.next("MESSAGE");
+      expect(first.headers.redelivered).toBeUndefined();
+
+      client.send("NACK", { id: first.headers.ack });
+      const second = await client.next("MESSAGE", (f) => f.headers.redelivered === "true");
+      expect(second).toMatchObject({ body: "job 1", headers: { subscription: "sub-1", "content-type": "text/plain" } });
+      expect(second.headers["message-id"]).not.toBe(first.headers["message-id"]);
+
+      client.send("ACK", { id: second.headers.ack });
+      await delay(30);
+      expect(client.frames.filter((f) => f.command === "MESSAGE")).toHaveLength(2);
+    } finally {
+      client.close();
+    }
+  });
+
+  it("answers a SUBSCRIBE without destination with an ERROR only", async () => {
+    const client = await connectRaw();
+    try {
+      client.send("SUBSCRIBE", { id: "sub-1", receipt: "r-1" });
+
+      const error = await client.next("ERROR");
+      expect(error.headers).toMatchObject({ message: "SUBSCRIBE without destination", "receipt-id": "r-1" });
+      await waitFor(() => client.isClosed(), undefined, { what: "the broker to close the connection" });
+      expect(client.frames.map((f) => f.command)).toEqual(["CONNECTED", "ERROR"]);
+    } finally {
+      client.close();
+    }
+  });
+});
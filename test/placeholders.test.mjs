@@ -0,0 +1,26 @@
+import { describe, expect, it } from "vitest";
+import { resolveMessage } from "../app/lib/placeholders";
+
+describe("resolveMessage", () => {
+  it("resolves the body and headers with the same variables and counter", () => {
+    const context = { variables: { tenant: "acme", token: "t-1" }, counter: 3 };
+    const resolved = resolveMessage(
+      '{"tenant":"{{tenant}}","n":{{counter}}}',
+      { authorization: "Bearer {{token}}", "x-seq": "{{counter}}" },
+      context
+    );
+
+    expect(resolved).toEqual({
+      text: '{"tenant":"acme","n":3}',
+      headers: { authorization: "Bearer t-1", "x-seq": "3" },
+      unresolved: [],
+    });
+  });
+
+  it("reports unresolved names from body and headers once each", () => {
+    const resolved = resolveMessage("{{missing}} {{other}}", { "x-id": "{{missing}}" }, { variables: {}, counter: 1 });
+
+    expect(resolved.unresolved).toEqual(["missing", "other"]);
+    expect(resolved.headers["x-id"]).toBe("{{missing}}");
+  });
+});
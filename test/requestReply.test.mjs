@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_REQUEST_REPLY, attachCorrelation, extractCorrelation, newCorrelationId } from "../app/lib/requestReply";
+
+const header = { ...DEFAULT_REQUEST_REPLY, enabled: true };
+const body = { ...header, location: "body", correlationKey: "requestId" };
+
+describe("attachCorrelation", () => {
+  it("adds the id as a header", () => {
+    expect(attachCorrelation(header, { a: "1" }, "{}", "id-1")).toEqual({
+      headers: { a: "1", "correlation-id": "id-1" },
+      body: "{}",
+      correlationId: "id-1",
+    });
+  });
+
+  it("keeps an id already set in the headers", () => {
+    const request = attachCorrelation(header, { "correlation-id": "mine" }, "{}", "id-1");
+    expect(request.correlationId).toBe("mine");
+    expect(request.headers).toEqual({ "correlation-id": "mine" });
+  });
+
+  it("adds the id as a top-level body field", () => {
+    const request = attachCorrelation(body, {}, '{"n": 1}', "id-1");
+    expect(JSON.parse(request.body)).toEqual({ n: 1, requestId: "id-1" });
+    expect(request.correlationId).toBe("id-1");
+  });
+
+  it("keeps an id already in the body, stringified", () => {
+    const request = attachCorrelation(body, {}, '{"requestId": 42}', "id-1");
+    expect(request).toEqual({ headers: {}, body: '{"requestId": 42}', correlationId: "42" });
+  });
+
+  it("rejects body mode for anything but a JSON object", () => {
+    expect(() => attachCorrelation(body, {}, "[1, 2]", "id-1")).toThrow('Body phải là JSON object để thêm field "requestId"');
+    expect(() => attachCorrelation(body, {}, "plain text", "id-1")).toThrow(SyntaxError);
+  });
+});
+
+describe("extractCorrelation", () => {
+  it("reads the configured location first", () => {
+    const headers = { "correlation-id": "from-header" };
+    const text = '{"correlation-id": "from-body"}';
+    expect(extractCorrelation(header, headers, text)).toBe("from-header");
+    expect(extractCorrelation({ ...header, location: "body" }, headers, text)).toBe("from-body");
+  });
+
+  it("falls back to the other location", () => {
+    expect(extractCorrelation(header, {}, '{"correlation-id": 7}')).toBe("7");
+    expect(extractCorrelation(body, { requestId: "h" }, "not json")).toBe("h");
+  });
+
+  it("returns undefined when the reply carries no id", () => {
+    expect(extractCorrelation(header, {}, "{broken")).toBeUndefined();
+    expect(extractCorrelation(header, { "correlation-id": "" }, '{"correlation-id": null}')).toBeUndefined();
+  });
+});
+
+describe("newCorrelationId", () => {
+  it("returns a fresh UUID each time", () => {
+    const id = newCorrelationId();
+    expect(id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    expect(newCorrelationId()).not.toBe(id);
+  });
+});
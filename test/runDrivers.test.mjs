@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { WebSocket } from "ws";
+import { DEFAULT_LOAD_CONFIG, runLoadTest } from "../app/lib/loadTest";
+import { resolveReconnectPolicy } from "../app/lib/reconnect";
+import { createLoadTestDriver, createScenarioDriver } from "../app/lib/runDrivers";
+import { createStep, runScenario } from "../app/lib/scenario";
+import { StompConnection } from "../app/lib/stompConnection";
+import { startMockBroker } from "../mock-broker/broker.mjs";
+
+let broker;
+let connection;
+const originalWebSocket = globalThis.WebSocket;
+
+beforeEach(async () => {
+  globalThis.WebSocket = WebSocket;
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  broker = await startMockBroker({ port: 0, quiet: true });
+  connection = new StompConnection();
+});
+
+afterEach(async () => {
+  await connection.disconnect();
+  await broker.close();
+  vi.restoreAllMocks();
+  globalThis.WebSocket = originalWebSocket;
+});
+
+const noEvents = {
+  log: () => {},
+  connected: () => {},
+  disconnected: () => {},
+  sessionLost: () => {},
+  reconnectingChange: () => {},
+  wrapSocket: (socket) => socket,
+};
+
+function startConnect() {
+  connection.connect(
+    {
+      url: broker.wsUrl,
+      useAgent: false,
+      connectHeaders: {},
+      heartbeatIncoming: 0,
+      heartbeatOutgoing: 0,
+      reconnect: resolveReconnectPolicy({ enabled: false }),
+    },
+    noEvents
+  );
+}
+
+function counterContext() {
+  let counter = 0;
+  return () => ({ variables: { name: "An" }, counter: ++counter });
+}
+
+function scenarioOf(...steps) {
+  return { id: "s", name: "test", steps: steps.map((fields) => ({ ...createStep(fields.type), ...fields })) };
+}
+
+describe("createScenarioDriver", () => {
+  it("connects, subscribes and publishes through the connection", async () => {
+    const published = [];
+    const received = [];
+    const driver = createScenarioDriver({
+      connection,
+      startConnect,
+      nextContext: counterContext(),
+      publish: (client, destination, body) => {
+        published.push(body);
+        client.publish({ destination, body });
+      },
+      onReceived: (message) => received.push(message),
+    });
+
+    const results = await runScenario(
+      scenarioOf(
+        { type: "connect" },
+        { type: "subscribe", destination: "/user/queue/messages" },
+        { type: "publish", destination: "/app/chat.send", body: '{"from": "{{name}}", "n": {{counter}}}' },
+        { type: "wait", destination: "/user/queue/messages", timeoutMs: 2000, expression: "$.n == 1" },
+        { type: "assert", expression: '$.from == "An"' }
+      ),
+      driver,
+      () => {}
+    );
+
+    expect(results.map((r) => r.status)).toEqual(["passed", "passed", "passed", "passed", "passed"]);
+    expect(published).toEqual(['{"from": "An", "n": 1}']);
+    expect(received.map((m) => [m.destination, m.body])).toEqual([["/user/queue/messages", '{"from": "An", "n": 1}']]);
+  });
+
+  it("fails a publish step while disconnected", async () => {
+    const driver = createScenarioDriver({ connection, startConnect, nextContext: counterContext(), publish: () => {} });
+
+    const [result] = await runScenario(scenarioOf({ type: "publish", destination: "/app/chat.send" }), driver, () => {});
+
+    expect([result.status, result.message]).toEqual(["failed", "Chưa kết nối"]);
+  });
+});
+
+describe("createLoadTestDriver", () => {
+  it("resolves {{correlationId}} per message and matches the echoed replies", async () => {
+    await connection.ensureConnected(startConnect);
+    const bodies = [];
+    const config = { ...DEFAULT_LOAD_CONFIG, count: 5, ratePerSec: 100, replyTimeoutMs: 2000 };
+    const driver = createLoadTestDriver({
+      connection,
+      body: config.body,
+      nextContext: counterContext(),
+      publish: (client, destination, headers, body) => {
+        bodies.push(body);
+        client.publish({ destination, headers, body });
+      },
+    });
+
+    const stats = await runLoadTest(config, driver, () => {});
+
+    expect([stats.sent, stats.received, stats.errors]).toEqual([5, 5, 0]);
+    expect(bodies[0]).toMatch(/"content": "Load 1 [0-9a-f-]{36}"/);
+  });
+});
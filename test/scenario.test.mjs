@@ -0,0 +1,160 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createStep, runScenario } from "../app/lib/scenario";
+
+function scenarioOf(...steps) {
+  return { id: "s", name: "test", steps: steps.map((fields) => ({ ...createStep(fields.type), ...fields })) };
+}
+
+function fakeDriver(connect) {
+  return { connect, subscribe: () => () => {}, publish: () => {} };
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("runScenario connect step", () => {
+  it("fails after the step timeout when CONNECTED never arrives", async () => {
+    vi.useFakeTimers();
+    const run = runScenario(
+      scenarioOf({ type: "connect", timeoutMs: 3000 }, { type: "sleep", timeoutMs: 10 }),
+      fakeDriver(() => new Promise(() => {})),
+      () => {}
+    );
+    await vi.advanceTimersByTimeAsync(3000);
+
+    expect((await run).map((r) => [r.status, r.message])).toEqual([
+      ["failed", "Không kết nối được sau 3000 ms"],
+      ["skipped", undefined],
+    ]);
+  });
+
+  it("stops a pending connect when the run is aborted", async () => {
+    const abort = new AbortController();
+    const run = runScenario(
+      scenarioOf({ type: "connect", timeoutMs: 0 }),
+      fakeDriver(() => new Promise(() => {})),
+      () => {},
+      abort.signal
+    );
+    abort.abort();
+
+    expect(await run).toMatchObject([{ status: "failed", message: "Đã dừng" }]);
+  });
+
+  it("reports the driver's connect error", async () => {
+    const results = await runScenario(
+      scenarioOf({ type: "connect" }),
+      fakeDriver(() => Promise.reject(new Error("STOMP Error: Bad credentials"))),
+      () => {}
+    );
+
+    expect(results).toMatchObject([{ status: "failed", message: "STOMP Error: Bad credentials" }]);
+  });
+});
+
+// Loopback broker: every publish is delivered to the subscribers of its destination
+function loopbackDriver() {
+  const subscribers = new Map();
+  const driver = {
+    connect: async () => {},
+    subscribe: (destination, onMessage) => {
+      subscribers.set(destination, [...(subscribers.get(destination) ?? []), onMessage]);
+      return () => subscribers.set(destination, subscribers.get(destination).filter((fn) => fn !== onMessage));
+    },
+    publish: (destination, body) => {
+      for (const onMessage of subscribers.get(destination) ?? []) onMessage({ destination, body, headers: {} });
+    },
+  };
+  return { driver, subscribers };
+}
+
+describe("runScenario message steps", () => {
+  it("waits for the message matching the expression, then asserts on it", async () => {
+    const { driver } = loopbackDriver();
+    const results = await runScenario(
+      scenarioOf(
+        { type: "subscribe", destination: "/topic/a" },
+        { type: "publish", destination: "/topic/a", body: '{"status": "queued"}' },
+        { type: "publish", destination: "/topic/a", body: '{"status": "sent", "id": 7}' },
+        { type: "wait", destination: "/topic/a", timeoutMs: 100, expression: '$.status == "sent"' },
+        { type: "assert", expression: "$.id == 7" }
+      ),
+      driver,
+      () => {}
+    );
+
+    expect(results.map((r) => r.status)).toEqual(["passed", "passed", "passed", "passed", "passed"]);
+    expect(results[3].message).toBe('{"status": "sent", "id": 7}');
+  });
+
+  it("leaves messages that were not taken for the next wait", async () => {
+    const { driver } = loopbackDriver();
+    const results = await runScenario(
+      scenarioOf(
+        { type: "subscribe", destination: "/topic/a" },
+        { type: "publish", destination: "/topic/a", body: "first" },
+        { type: "publish", destination: "/topic/a", body: "second" },
+        { type: "wait", destination: "/topic/a", timeoutMs: 100 },
+        { type: "wait", destination: "/topic/a", timeoutMs: 100 }
+      ),
+      driver,
+      () => {}
+    );
+
+    expect(results.slice(3).map((r) => r.message)).toEqual(["first", "second"]);
+  });
+
+  it("fails a wait that times out and skips the remaining steps", async () => {
+    const { driver } = loopbackDriver();
+    const results = await runScenario(
+      scenarioOf({ type: "wait", destination: "/topic/empty", timeoutMs: 20 }, { type: "sleep", timeoutMs: 1 }),
+      driver,
+      () => {}
+    );
+
+    expect(results.map((r) => [r.status, r.message])).toEqual([
+      ["failed", "Không nhận được message trên /topic/empty sau 20 ms"],
+      ["skipped", undefined],
+    ]);
+  });
+
+  it("fails an assert with no message to check, or one that does not match", async () => {
+    const { driver } = loopbackDriver();
+    const [noMessage] = await runScenario(scenarioOf({ type: "assert", expression: "$.id" }), driver, () => {});
+    expect(noMessage).toMatchObject({ status: "failed", message: "Chưa có message nào để assert (cần một bước wait trước)" });
+
+    const results = await runScenario(
+      scenarioOf(
+        { type: "subscribe", destination: "/topic/a" },
+        { type: "publish", destination: "/topic/a", body: '{"id": 1}' },
+        { type: "wait", destination: "/topic/a", timeoutMs: 100 },
+        { type: "assert", expression: "$.id == 2" }
+      ),
+      driver,
+      () => {}
+    );
+    expect(results[3]).toMatchObject({ status: "failed", message: "Assertion thất bại: $.id == 2" });
+  });
+
+  it("unsubscribes everything when the run ends", async () => {
+    const { driver, subscribers } = loopbackDriver();
+    await runScenario(
+      scenarioOf({ type: "subscribe", destination: "/topic/a" }, { type: "wait", destination: "/topic/b", timeoutMs: 1 }),
+      driver,
+      () => {}
+    );
+
+    expect([...subscribers.values()].flat()).toEqual([]);
+  });
+
+  it("reports every state change to onUpdate", async () => {
+    const { driver } = loopbackDriver();
+    const updates = [];
+    await runScenario(scenarioOf({ type: "sleep", timeoutMs: 1 }), driver, (results) =>
+      updates.push(results.map((r) => r.status))
+    );
+
+    expect(updates).toEqual([["running"], ["passed"]]);
+  });
+});
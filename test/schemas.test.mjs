@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { compileSchema, matchesDestination, mergeSchemas, parseSchemaImport, validateBody } from "../app/lib/schemas";
+
+const orderSchema = (required) =>
+  JSON.stringify({
+    $id: "https://example.com/order.json",
+    type: "object",
+    required,
+    properties: { id: { type: "integer" } },
+  });
+
+describe("matchesDestination", () => {
+  it("keeps * within a segment and lets ** span segments", () => {
+    expect(matchesDestination("/app/chat.*", "/app/chat.room1")).toBe(true);
+    expect(matchesDestination("/topic/*", "/topic/a/b")).toBe(false);
+    expect(matchesDestination("/topic/**", "/topic/a/b")).toBe(true);
+    expect(matchesDestination("/queue/jobs", "/queue/jobs2")).toBe(false);
+  });
+});
+
+describe("compileSchema", () => {
+  it("compiles two sources that declare the same $id", () => {
+    const first = compileSchema(orderSchema(["id"]));
+    const second = compileSchema(orderSchema(["id", "total"]));
+
+    expect(first({ id: 1 })).toBe(true);
+    expect(second({ id: 1 })).toBe(false);
+    expect(first({ id: 1 })).toBe(true);
+  });
+
+  it("uses draft 2020-12 when $schema asks for it", () => {
+    const validate = compileSchema(
+      JSON.stringify({ $schema: "https://json-schema.org/draft/2020-12/schema", prefixItems: [{ type: "string" }] })
+    );
+    expect(validate(["a"])).toBe(true);
+    expect(validate([1])).toBe(false);
+  });
+
+  it("throws user-facing errors for invalid sources", () => {
+    expect(() => compileSchema("{")).toThrow("Schema không phải là JSON hợp lệ!");
+    expect(() => compileSchema("[]")).toThrow("Schema phải là JSON object!");
+    expect(() => compileSchema('{"type":"nope"}')).toThrow(/^Schema không hợp lệ/);
+  });
+});
+
+describe("validateBody", () => {
+  const schemas = [
+    { id: "1", pattern: "/app/orders.*", schema: orderSchema(["id"]), updatedAt: "" },
+    { id: "2", pattern: "/app/**", schema: JSON.stringify({ type: "object", additionalProperties: false, properties: { id: {} } }), updatedAt: "" },
+  ];
+
+  it("reports violations from every matching schema", () => {
+    expect(validateBody(schemas, "/app/orders.new", '{"id":1}')).toEqual([]);
+    expect(validateBody(schemas, "/app/orders.new", '{"extra":true}')).toEqual([
+      { pattern: "/app/orders.*", path: "", message: 'thiếu field "id"' },
+      { pattern: "/app/**", path: "", message: 'không cho phép field "extra"' },
+    ]);
+  });
+
+  it("returns null without a schema or a JSON body", () => {
+    expect(validateBody(schemas, "/topic/x", "{}")).toBeNull();
+    expect(validateBody(schemas, "/app/orders.new", "not json")).toBeNull();
+  });
+});
+
+describe("schema import", () => {
+  it("reads schemas from an export and lets imports replace by pattern", () => {
+    const imported = parseSchemaImport(JSON.stringify({ templates: [], schemas: [{ pattern: "/app/**", schema: { type: "object" } }] }));
+    expect(imported).toHaveLength(1);
+    expect(JSON.parse(imported[0].schema)).toEqual({ type: "object" });
+    expect(parseSchemaImport("[]")).toEqual([]);
+
+    const existing = [{ id: "old", pattern: "/app/**", schema: "{}", updatedAt: "" }];
+    expect(mergeSchemas(existing, imported)).toEqual(imported);
+  });
+});
@@ -0,0 +1,119 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { WebSocket } from "ws";
+import { resolveReconnectPolicy } from "../app/lib/reconnect";
+import { StompConnection } from "../app/lib/stompConnection";
+import { startMockBroker } from "../mock-broker/broker.mjs";
+import { waitFor } from "./helpers/agent.mjs";
+
+let broker;
+let connection;
+const originalWebSocket = globalThis.WebSocket;
+
+beforeEach(async () => {
+  globalThis.WebSocket = WebSocket;
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  broker = await startMockBroker({ port: 0, quiet: true });
+  connection = new StompConnection();
+});
+
+afterEach(async () => {
+  await connection.disconnect();
+  await broker.close();
+  vi.restoreAllMocks();
+  globalThis.WebSocket = originalWebSocket;
+});
+
+function settingsFor(url, reconnect = { enabled: false }) {
+  return {
+    url,
+    useAgent: false,
+    connectHeaders: {},
+    heartbeatIncoming: 0,
+    heartbeatOutgoing: 0,
+    reconnect: resolveReconnectPolicy({ baseDelayMs: 20, ...reconnect }),
+  };
+}
+
+function recordingEvents() {
+  const record = { log: [], connected: 0, lost: 0, reconnecting: [] };
+  const events = {
+    log: (type, message) => record.log.push(message),
+    connected: () => record.connected++,
+    disconnected: () => {},
+    sessionLost: () => record.lost++,
+    reconnectingChange: (reconnecting) => record.reconnecting.push(reconnecting),
+    wrapSocket: (socket) => socket,
+  };
+  return { record, events };
+}
+
+describe("StompConnection", () => {
+  it("starts one connect for concurrent ensureConnected() calls", async () => {
+    const { record, events } = recordingEvents();
+    const start = vi.fn(() => connection.connect(settingsFor(broker.wsUrl), events));
+
+    const [first, second] = await Promise.all([connection.ensureConnected(start), connection.ensureConnected(start)]);
+
+    expect(start).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+    expect(connection.connected).toBe(true);
+    expect(record.connected).toBe(1);
+    expect(await connection.ensureConnected(start)).toBe(first);
+  });
+
+  it("rejects waiters with the error passed to fail()", async () => {
+    const waiting = connection.ensureConnected(() => connection.fail("URL không hợp lệ"));
+    await expect(waiting).rejects.toThrow("URL không hợp lệ");
+  });
+
+  it("ignores the callbacks of a client replaced by a newer connect()", async () => {
+    const { events } = recordingEvents();
+    connection.connect(settingsFor(broker.wsUrl), events);
+    const waiting = connection.ensureConnected(() => {});
+    connection.connect(settingsFor(broker.wsUrl), events);
+
+    expect(await waiting).toBe(connection.client);
+  });
+
+  it("reconnects after a dropped socket and re-attaches run subscriptions", async () => {
+    const { record, events } = recordingEvents();
+    const client = await connection.ensureConnected(() =>
+      connection.connect(settingsFor(broker.wsUrl, { enabled: true }), events)
+    );
+    const received = [];
+    connection.subscribeAcrossReconnects("/topic/run", (message) => received.push(message.body));
+
+    client.publish({ destination: "/app/drop", body: "" });
+    await waitFor(() => record.connected === 2);
+
+    expect(record.lost).toBe(1);
+    expect(record.reconnecting).toContain(true);
+    expect(record.reconnecting.at(-1)).toBe(false);
+    expect(record.log).toContain("✓ Reconnected successfully!");
+
+    connection.client.publish({ destination: "/topic/run", body: "sau reconnect" });
+    await waitFor(() => received.length === 1);
+    expect(received).toEqual(["sau reconnect"]);
+  });
+
+  it("joins a page-side reconnect in progress and rejects it when cancelled", async () => {
+    const { record, events } = recordingEvents();
+    await connection.ensureConnected(() =>
+      connection.connect(settingsFor(broker.wsUrl, { enabled: true, baseDelayMs: 60_000 }), events)
+    );
+    connection.client.publish({ destination: "/app/drop", body: "" });
+    await waitFor(() => record.reconnecting.includes(true));
+
+    const start = vi.fn();
+    const waiting = connection.ensureConnected(start);
+    expect(start).not.toHaveBeenCalled();
+
+    connection.disconnect("Đã hủy reconnect");
+    await expect(waiting).rejects.toThrow("Đã hủy reconnect");
+    expect(record.reconnecting.at(-1)).toBe(false);
+  });
+
+  it("refuses run subscriptions while disconnected", () => {
+    expect(() => connection.subscribeAcrossReconnects("/topic/run", () => {})).toThrow("Chưa kết nối");
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, expect, it } from "vitest";
+import { FrameSplitter, HEARTBEAT, buildRawFrame, parseFrameText, tapSocket } from "../app/lib/stompFrames";
+
+describe("parseFrameText", () => {
+  it("splits command, headers in wire order and body", () => {
+    expect(parseFrameText("MESSAGE\r\ndestination:/topic/a\nx:1\nx:2\nflag\n\nbody\n\nmore")).toEqual({
+      command: "MESSAGE",
+      headers: [
+        ["destination", "/topic/a"],
+        ["x", "1"],
+        ["x", "2"],
+        ["flag", ""],
+      ],
+      body: "body\n\nmore",
+    });
+  });
+
+  it("keeps colons inside header values", () => {
+    expect(parseFrameText("SEND\nurl:http://x:1\n\n").headers).toEqual([["url", "http://x:1"]]);
+  });
+});
+
+describe("FrameSplitter", () => {
+  it("joins frames split across chunks and splits several in one", () => {
+    const splitter = new FrameSplitter();
+    expect(splitter.push("SEND\ndestination:/a\n\nhel")).toEqual([]);
+    expect(splitter.push("lo\0CONNECTED\n\n\0")).toEqual([
+      { text: "SEND\ndestination:/a\n\nhello", heartbeat: false },
+      { text: "CONNECTED\n\n", heartbeat: false },
+    ]);
+  });
+
+  it("reports EOLs between frames as heart-beats", () => {
+    const splitter = new FrameSplitter();
+    expect(splitter.push("\n\r\nPING\n\n\0")).toEqual([
+      { text: "\n", heartbeat: true },
+      { text: "\n", heartbeat: true },
+      { text: "PING\n\n", heartbeat: false },
+    ]);
+  });
+
+  it("decodes binary chunks", () => {
+    const splitter = new FrameSplitter();
+    expect(splitter.push(new TextEncoder().encode("ACK\nid:1\n\n\0"))).toEqual([{ text: "ACK\nid:1\n\n", heartbeat: false }]);
+  });
+});
+
+describe("buildRawFrame", () => {
+  it("adds the blank line and NUL, and normalizes line endings", () => {
+    expect(buildRawFrame("SEND\r\ndestination:/a\n\n")).toBe("SEND\ndestination:/a\n\n\0");
+    expect(buildRawFrame("SEND\ndestination:/a\n\nbody")).toBe("SEND\ndestination:/a\n\nbody\0");
+  });
+
+  it("accepts a typed ^@ terminator", () => {
+    expect(buildRawFrame("DISCONNECT^@ ")).toBe("DISCONNECT\n\n\0");
+  });
+});
+
+describe("tapSocket", () => {
+  it("records outbound sends and inbound messages on a plain-field socket", () => {
+    const sent = [];
+    const socket = { send: (data) => sent.push(data), onmessage: null };
+    const frames = [];
+    tapSocket(socket, (frame) => frames.push(frame));
+
+    const delivered = [];
+    socket.onmessage = (event) => delivered.push(event.data);
+    socket.send("SEND\ndestination:/a\n\nhi\0");
+    socket.onmessage({ data: "MESSAGE\nx:1\n\nhé\0\n" });
+
+    expect(sent).toEqual(["SEND\ndestination:/a\n\nhi\0"]);
+    expect(delivered).toEqual(["MESSAGE\nx:1\n\nhé\0\n"]);
+    // Sizes are UTF-8 bytes including the NUL
+    expect(frames.map((f) => [f.direction, f.command, f.size])).toEqual([
+      ["out", "SEND", 24],
+      ["in", "MESSAGE", 17],
+      ["in", HEARTBEAT, 1],
+    ]);
+  });
+
+  it("passes the wrapped handler to a prototype onmessage accessor", () => {
+    class NativeLike {
+      handler = null;
+      send() {}
+      get onmessage() {
+        return this.handler;
+      }
+      set onmessage(fn) {
+        this.handler = fn;
+      }
+    }
+    const socket = new NativeLike();
+    const frames = [];
+    tapSocket(socket, (frame) => frames.push(frame));
+
+    let received = null;
+    socket.onmessage = (event) => (received = event.data);
+    socket.handler({ data: "RECEIPT\nreceipt-id:r1\n\n\0" });
+
+    expect(received).toBe("RECEIPT\nreceipt-id:r1\n\n\0");
+    expect(frames.map((f) => [f.command, f.headers])).toEqual([["RECEIPT", [["receipt-id", "r1"]]]]);
+  });
+});
@@ -0,0 +1,46 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { downloadTextFile, readStorage, writeStorage } from "../app/lib/storage";
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("localStorage helpers", () => {
+  it("round-trips JSON under the app prefix and falls back on corrupt data", () => {
+    const items = new Map();
+    vi.stubGlobal("window", {
+      localStorage: {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value),
+      },
+    });
+
+    writeStorage("profiles", [{ name: "Local" }]);
+    expect(items.get("stomp-template-send:profiles")).toBe('[{"name":"Local"}]');
+    expect(readStorage("profiles", [])).toEqual([{ name: "Local" }]);
+
+    items.set("stomp-template-send:broken", "{");
+    expect(readStorage("broken", "fallback")).toBe("fallback");
+    expect(readStorage("missing", 1)).toBe(1);
+  });
+});
+
+describe("downloadTextFile", () => {
+  it("revokes the blob URL only after the download had time to start", () => {
+    vi.useFakeTimers();
+    const link = { click: vi.fn() };
+    vi.stubGlobal("document", { createElement: () => link });
+    vi.spyOn(URL, "createObjectURL").mockReturnValue("blob:trace");
+    const revoke = vi.spyOn(URL, "revokeObjectURL").mockImplementation(() => {});
+
+    downloadTextFile("trace.ndjson", "{}\n", "application/x-ndjson");
+
+    expect(link).toMatchObject({ href: "blob:trace", download: "trace.ndjson" });
+    expect(link.click).toHaveBeenCalledOnce();
+    expect(revoke).not.toHaveBeenCalled();
+    vi.runAllTimers();
+    expect(revoke).toHaveBeenCalledWith("blob:trace");
+  });
+});